@@ -48,7 +48,7 @@ function createFragmentCard(fragment) {
       ${isImage ? `<div class="fragment-preview"><img src="${getFragmentImageUrl(fragment.id)}" alt="Fragment preview" style="max-width: 200px; max-height: 150px;" /></div>` : ''}
       <div class="fragment-actions">
         <button class="btn-view" data-action="view" data-fragment-id="${fragment.id}">View</button>
-        <button class="btn-convert" data-action="convert" data-fragment-id="${fragment.id}" data-fragment-type="${fragment.type}">Convert</button>
+        <button class="btn-convert" data-action="convert" data-fragment-id="${fragment.id}" data-fragment-type="${fragment.type}" data-fragment-formats="${(fragment.formats || []).join(',')}">Convert</button>
         <button class="btn-update" data-action="update" data-fragment-id="${fragment.id}">Update</button>
         <button class="btn-delete" data-action="delete" data-fragment-id="${fragment.id}">Delete</button>
       </div>
@@ -87,7 +87,8 @@ function attachFragmentEventListeners(user) {
     btn.onclick = async () => {
       const fragmentId = btn.getAttribute('data-fragment-id');
       const fragmentType = btn.getAttribute('data-fragment-type');
-      await showConversionOptions(user, fragmentId, fragmentType);
+      const formats = btn.getAttribute('data-fragment-formats').split(',').filter(Boolean);
+      await showConversionOptions(user, fragmentId, fragmentType, formats);
     };
   });
   
@@ -290,7 +291,7 @@ async function showUpdateForm(user, fragmentId, fragmentType) {
   }
 }
 
-async function showConversionOptions(user, fragmentId, fragmentType) {
+async function showConversionOptions(user, fragmentId, fragmentType, formats) {
   // Map MIME types to file extensions
   const mimeToExtension = {
     'text/plain': 'txt',
@@ -303,35 +304,38 @@ async function showConversionOptions(user, fragmentId, fragmentType) {
     'image/jpeg': 'jpg',
     'image/webp': 'webp',
     'image/gif': 'gif',
+    'image/avif': 'avif',
+    'image/tiff': 'tiff',
+    'image/svg+xml': 'svg',
+  };
+
+  // Friendly names for the types in the select list
+  const typeLabels = {
+    'text/plain': 'Plain Text',
+    'text/markdown': 'Markdown',
+    'text/html': 'HTML',
+    'text/csv': 'CSV',
+    'application/json': 'JSON',
+    'application/yaml': 'YAML',
+    'image/png': 'PNG',
+    'image/jpeg': 'JPEG',
+    'image/webp': 'WebP',
+    'image/gif': 'GIF',
+    'image/avif': 'AVIF',
+    'image/tiff': 'TIFF',
+    'image/svg+xml': 'SVG',
   };
   
   // Get base MIME type (without charset)
   const baseType = fragmentType.split(';')[0].trim();
   
-  // Define available conversion types based on source type
-  const textTypes = [
-    { mime: 'text/plain', label: 'Plain Text (.txt)' },
-    { mime: 'text/markdown', label: 'Markdown (.md)' },
-    { mime: 'text/html', label: 'HTML (.html)' },
-    { mime: 'text/csv', label: 'CSV (.csv)' },
-    { mime: 'application/json', label: 'JSON (.json)' },
-    { mime: 'application/yaml', label: 'YAML (.yaml)' },
-  ];
-  
-  const imageTypes = [
-    { mime: 'image/png', label: 'PNG (.png)' },
-    { mime: 'image/jpeg', label: 'JPEG (.jpg)' },
-    { mime: 'image/webp', label: 'WebP (.webp)' },
-    { mime: 'image/gif', label: 'GIF (.gif)' },
-  ];
-  
-  // Determine available conversions
-  let availableTypes = [];
-  if (textTypes.some(t => t.mime === baseType)) {
-    availableTypes = textTypes.filter(t => t.mime !== baseType);
-  } else if (imageTypes.some(t => t.mime === baseType)) {
-    availableTypes = imageTypes.filter(t => t.mime !== baseType);
-  }
+  // The server tells us which formats each fragment can be converted to
+  const availableTypes = formats
+    .filter(mime => mime !== baseType && mimeToExtension[mime])
+    .map(mime => ({
+      mime,
+      label: `${typeLabels[mime] || mime} (.${mimeToExtension[mime]})`,
+    }));
   
   if (availableTypes.length === 0) {
     alert('No conversion options available for this fragment type.');
@@ -425,13 +429,21 @@ async function showConvertedContent(user, fragmentId, extension, blob, sourceTyp
   if (blob.type.startsWith('image/')) {
     const imageUrl = URL.createObjectURL(blob);
     contentDisplay.innerHTML = `<img src="${imageUrl}" alt="Converted fragment" style="max-width: 100%;" />`;
+  } else if (blob.type === 'text/html') {
+    // Show HTML in a sandboxed frame, so nothing in it can run scripts on our page
+    const frame = document.createElement('iframe');
+    frame.setAttribute('sandbox', '');
+    frame.style.width = '100%';
+    frame.style.minHeight = '300px';
+    frame.srcdoc = await blob.text();
+    contentDisplay.appendChild(frame);
   } else if (blob.type === 'application/json') {
     const text = await blob.text();
     try {
       const json = JSON.parse(text);
-      contentDisplay.innerHTML = `<pre>${JSON.stringify(json, null, 2)}</pre>`;
+      contentDisplay.innerHTML = `<pre>${escapeHtml(JSON.stringify(json, null, 2))}</pre>`;
     } catch {
-      contentDisplay.innerHTML = `<pre>${text}</pre>`;
+      contentDisplay.innerHTML = `<pre>${escapeHtml(text)}</pre>`;
     }
   } else {
     const text = await blob.text();
@@ -547,7 +559,7 @@ async function init() {
       // Use the file's actual MIME type if available and valid
       if (file.type && file.type.startsWith('image/')) {
         // Validate the file type is supported
-        const supportedImageTypes = ['image/png', 'image/jpeg', 'image/webp', 'image/gif'];
+        const supportedImageTypes = ['image/png', 'image/jpeg', 'image/webp', 'image/gif', 'image/avif', 'image/tiff', 'image/svg+xml'];
         if (supportedImageTypes.includes(file.type)) {
           actualContentType = file.type;
         } else {
@@ -562,9 +574,9 @@ async function init() {
       }
       
       // Ensure we're using a supported image type
-      const supportedImageTypes = ['image/png', 'image/jpeg', 'image/webp', 'image/gif'];
+      const supportedImageTypes = ['image/png', 'image/jpeg', 'image/webp', 'image/gif', 'image/avif', 'image/tiff', 'image/svg+xml'];
       if (!supportedImageTypes.includes(actualContentType)) {
-        statusDiv.innerHTML = '<p style="color: red;">Unsupported image type. Please use PNG, JPEG, WebP, or GIF.</p>';
+        statusDiv.innerHTML = '<p style="color: red;">Unsupported image type. Please use PNG, JPEG, WebP, GIF, AVIF, TIFF or SVG.</p>';
         return;
       }
     } else {
@@ -0,0 +1,85 @@
+#!/usr/bin/env node
+// Checks that the fragments table and bucket agree, and optionally repairs them
+// (see src/model/data/aws/consistency.js). Uses the same AWS_* environment as the
+// server, so it works against LocalStack and DynamoDB Local too.
+//
+// Usage: npm run storage:check -- [--repair] [--grace=<seconds>] [--json]
+//  --repair          fix what we find (otherwise we only report it)
+//  --grace=seconds   leave anything changed this recently alone (defaults to an hour)
+//  --json            print the report as JSON
+//
+// Exits with 0 if everything is consistent (or was repaired), 1 if not, and 2 on error.
+require('dotenv').config({ quiet: true });
+
+const USAGE = 'Usage: npm run storage:check -- [--repair] [--grace=<seconds>] [--json]';
+
+function parseArgs(args) {
+  const options = { repair: false, json: false };
+
+  for (const arg of args) {
+    if (arg === '--repair') {
+      options.repair = true;
+    } else if (arg === '--json') {
+      options.json = true;
+    } else if (arg.startsWith('--grace=')) {
+      const grace = Number(arg.slice('--grace='.length));
+      if (!Number.isInteger(grace) || grace < 0) {
+        throw new Error('--grace must be a whole number of seconds');
+      }
+      options.grace = grace;
+    } else {
+      throw new Error(`Unknown option: ${arg}`);
+    }
+  }
+
+  return options;
+}
+
+async function main() {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (err) {
+    console.error(`${err.message}\n${USAGE}`);
+    return 2;
+  }
+
+  const missing = ['AWS_REGION', 'AWS_S3_BUCKET_NAME', 'AWS_DYNAMODB_TABLE_NAME'].filter(
+    (name) => !process.env[name]
+  );
+  if (missing.length) {
+    console.error(`Missing environment variables: ${missing.join(', ')}`);
+    return 2;
+  }
+
+  // Only load the AWS clients once we know they're configured
+  const { checkConsistency } = require('../src/model/data/aws/consistency');
+  const { repair, grace, json } = options;
+  const report = await checkConsistency({ repair, grace });
+
+  if (json) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    for (const { type, key, ownerId, id, message, repaired, error } of report.issues) {
+      const status = repaired ? 'repaired' : error ? `not repaired: ${error}` : 'found';
+      console.log(`${type}\t${key || `${ownerId}/${id}`}\t${message} (${status})`);
+    }
+    const repairedCount = report.issues.filter(({ repaired }) => repaired).length;
+    console.log(
+      `Checked ${report.fragments} fragments and ${report.objects} objects: ` +
+        `${report.issues.length} issues` +
+        (repair ? `, ${repairedCount} repaired` : '')
+    );
+  }
+
+  return report.issues.every(({ repaired }) => repaired) ? 0 : 1;
+}
+
+main()
+  .then((code) => {
+    process.exitCode = code;
+  })
+  .catch((err) => {
+    console.error(`Unable to check storage: ${err.message}`);
+    process.exitCode = 2;
+  });
@@ -0,0 +1,139 @@
+#!/usr/bin/env node
+// Exports fragments from the configured storage backend (FRAGMENTS_BACKEND, with the
+// same settings as the server) into an archive, or imports an archive into it (see
+// src/model/archive). To move fragments between backends, export with one backend's
+// settings and import with the other's.
+//
+// Usage:
+//   npm run fragments:archive -- export <file> [--owner=<ownerId>]...
+//   npm run fragments:archive -- import <file> [--owner=<ownerId>]... [--dry-run] [--overwrite] [--json]
+//
+//  --owner=ownerId   only export/import this owner's fragments (can be repeated)
+//  --dry-run         check the archive and report what would be imported, without writing
+//  --overwrite       replace fragments that already exist with different contents
+//  --json            print the report as JSON
+//
+// Exits with 0 on success, 1 if an import left conflicts behind, and 2 on error.
+require('dotenv').config({ quiet: true });
+
+const fs = require('fs');
+
+const USAGE = [
+  'Usage: npm run fragments:archive -- export <file> [--owner=<ownerId>]...',
+  '       npm run fragments:archive -- import <file> [--owner=<ownerId>]... [--dry-run] [--overwrite] [--json]',
+].join('\n');
+
+function parseArgs(args) {
+  const [command, file, ...rest] = args;
+  if (!['export', 'import'].includes(command)) {
+    throw new Error(command ? `Unknown command: ${command}` : 'Missing command');
+  }
+  if (!file || file.startsWith('--')) {
+    throw new Error('Missing archive file');
+  }
+
+  const options = { command, file, ownerIds: [], dryRun: false, overwrite: false, json: false };
+  for (const arg of rest) {
+    if (arg.startsWith('--owner=') && arg.length > '--owner='.length) {
+      options.ownerIds.push(arg.slice('--owner='.length));
+    } else if (command === 'import' && arg === '--dry-run') {
+      options.dryRun = true;
+    } else if (command === 'import' && arg === '--overwrite') {
+      options.overwrite = true;
+    } else if (arg === '--json') {
+      options.json = true;
+    } else {
+      throw new Error(`Unknown option: ${arg}`);
+    }
+  }
+
+  return options;
+}
+
+async function runExport(backend, { file, ownerIds, json }) {
+  const { exportArchive } = require('../src/model/archive');
+  // Write to a temporary file, so we never leave a partial archive behind
+  const temp = `${file}.partial`;
+  let report;
+  try {
+    report = await exportArchive(backend, fs.createWriteStream(temp), {
+      ownerIds: ownerIds.length ? ownerIds : undefined,
+    });
+    fs.renameSync(temp, file);
+  } catch (err) {
+    fs.rmSync(temp, { force: true });
+    throw err;
+  }
+
+  if (json) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    report.warnings.forEach((warning) => console.log(`warning\t${warning}`));
+    console.log(
+      `Exported ${report.fragments} fragments (${report.versions} prior versions) ` +
+        `for ${report.owners} owners to ${file}`
+    );
+  }
+  return 0;
+}
+
+async function runImport(backend, { file, ownerIds, dryRun, overwrite, json }) {
+  const { importArchive } = require('../src/model/archive');
+  if (!fs.existsSync(file)) {
+    throw new Error(`${file} does not exist`);
+  }
+
+  const report = await importArchive(backend, () => fs.createReadStream(file), {
+    dryRun,
+    overwrite,
+    ownerIds: ownerIds.length ? ownerIds : undefined,
+  });
+
+  if (json) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    for (const { ownerId, id, action } of report.results) {
+      console.log(`${action}\t${ownerId}/${id}`);
+    }
+    console.log(
+      `${dryRun ? 'Dry run: would import' : 'Imported'} ${report.imported} fragments, ` +
+        `overwrite ${report.overwritten}, skip ${report.skipped} already there, ` +
+        `and leave ${report.conflicts} conflicts (of ${report.fragments} in ${file})`
+    );
+  }
+  return report.conflicts ? 1 : 0;
+}
+
+async function main() {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (err) {
+    console.error(`${err.message}\n${USAGE}`);
+    return 2;
+  }
+
+  const { selectBackend, loadBackend } = require('../src/model/data/backends');
+  const name = selectBackend();
+  // The memory backend only lives inside the server process
+  if (name === 'memory') {
+    console.error(
+      'FRAGMENTS_BACKEND is memory (or not set), which only lives inside the server. ' +
+        'Set FRAGMENTS_BACKEND to fs, sqlite or aws, or export a user\'s fragments ' +
+        'from the server with GET /v1/fragments/export'
+    );
+    return 2;
+  }
+  const backend = loadBackend(name);
+
+  return options.command === 'export' ? runExport(backend, options) : runImport(backend, options);
+}
+
+main()
+  .then((code) => {
+    process.exitCode = code;
+  })
+  .catch((err) => {
+    console.error(`Unable to ${process.argv[2]} fragments: ${err.message}`);
+    process.exitCode = 2;
+  });
@@ -46,3 +46,10 @@ dynamodb create-table \
 # Wait until the Fragments table exists in dynamodb-local, so we can use it, see:
 # https://awscli.amazonaws.com/v2/documentation/api/latest/reference/dynamodb/wait/table-exists.html
 aws --endpoint-url=http://localhost:8000 dynamodb wait table-exists --table-name fragments
+
+# Let DynamoDB remove expired idempotency keys (see src/model/idempotency.js)
+echo "Enabling TTL on the expires attribute"
+aws --endpoint-url=http://localhost:8000 \
+dynamodb update-time-to-live \
+    --table-name fragments \
+    --time-to-live-specification Enabled=true,AttributeName=expires
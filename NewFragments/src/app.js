@@ -24,7 +24,12 @@ const app = express();
 // Attach all of our middleware to the express app instance
 app.use(cors());
 app.use(helmet());
-app.use(compression());
+app.use(
+  compression({
+    // Partial (206) responses describe a range of the uncompressed bytes, so leave them alone
+    filter: (req, res) => res.statusCode !== 206 && compression.filter(req, res),
+  })
+);
 app.use(pino);
 // Define our routes
 app.use('/', require('./routes'));
@@ -0,0 +1,90 @@
+// src/etag.js
+
+/**
+ * Helpers for working with entity tags (ETags) and the conditional request
+ * headers that use them (If-Match, If-None-Match), see:
+ * https://httpwg.org/specs/rfc9110.html#field.etag
+ *
+ * A fragment's ETag is a strong validator: a base64url encoded sha256 hash of
+ * its data, quoted, for example:
+ *
+ *   "n4bQgYhMfWWaL-qgxVrQFaO_TxsrC4Is0V1sFbDwCgg"
+ */
+
+const crypto = require('crypto');
+
+/**
+ * @param {Buffer} data fragment data
+ * @returns {string} a quoted, strong ETag for the data
+ */
+module.exports.createETag = (data) =>
+  `"${crypto.createHash('sha256').update(data).digest('base64url')}"`;
+
+/**
+ * Creates the ETag for a different representation (e.g., a conversion) of the
+ * data identified by etag. Each representation needs its own strong ETag.
+ * @param {string} etag the quoted ETag of the original data
+ * @param {string} type the mime type of the representation
+ * @param {Object} [options] any options that change the representation (e.g., a CSV delimiter)
+ * @returns {string} a quoted ETag
+ */
+module.exports.variantETag = (etag, type, options = {}) => {
+  const keys = Object.keys(options).sort();
+  if (!keys.length) {
+    return `${etag.slice(0, -1)}+${type}"`;
+  }
+
+  // Options can contain characters that aren't allowed in an ETag, so we use a hash of them
+  const hash = crypto
+    .createHash('sha256')
+    .update(JSON.stringify(keys.map((key) => [key, options[key]])))
+    .digest('base64url')
+    .slice(0, 16);
+  return `${etag.slice(0, -1)}+${type}+${hash}"`;
+};
+
+/**
+ * Creates the ETag for a fragment's metadata (e.g., GET /fragments/:id/info), which
+ * can change without its data changing (e.g., a new type), so it can't share the
+ * data's ETag.
+ * @param {Object} metadata the metadata as we send it
+ * @returns {string} a quoted, strong ETag
+ */
+module.exports.metadataETag = (metadata) =>
+  module.exports.createETag(Buffer.from(JSON.stringify(metadata)));
+
+/**
+ * Splits an If-Match/If-None-Match header into its list of entity tags
+ * @param {string} header the header value
+ * @returns {Array<string>} list of ETags (or ['*'])
+ */
+const parseETagList = (header) =>
+  String(header)
+    .split(',')
+    .map((value) => value.trim())
+    .filter(Boolean);
+
+/**
+ * Returns true if an If-None-Match header matches the ETag, meaning the client
+ * already has this representation. Uses weak comparison, so W/ prefixes are ignored.
+ * @param {string} header the If-None-Match header value
+ * @param {string|undefined} etag the current ETag
+ * @returns {boolean}
+ */
+module.exports.ifNoneMatch = (header, etag) => {
+  if (!etag) {
+    return false;
+  }
+  const weak = (value) => value.replace(/^W\//, '');
+  return parseETagList(header).some((value) => value === '*' || weak(value) === weak(etag));
+};
+
+/**
+ * Returns true if an If-Match header matches the ETag, meaning it's safe to
+ * modify the resource. Uses strong comparison, so weak ETags never match.
+ * @param {string} header the If-Match header value
+ * @param {string|undefined} etag the current ETag
+ * @returns {boolean}
+ */
+module.exports.ifMatch = (header, etag) =>
+  parseETagList(header).some((value) => value === '*' || (!!etag && value === etag));
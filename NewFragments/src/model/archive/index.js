@@ -0,0 +1,336 @@
+// src/model/archive/index.js
+
+// Exports fragments (metadata, data and prior versions) from a storage backend into
+// a portable archive, and imports them again, into the same or any other backend.
+// We use this to back up fragments, and to move them between backends.
+//
+// An archive is a gzipped tar file (see ./tar.js) holding each fragment's data:
+//
+//   fragments/<n>/data                its current data
+//   fragments/<n>/versions/<version>  its prior versions' data
+//   manifest.json                     what's in the archive (always last)
+//
+// The manifest lists every fragment's metadata, along with the size and SHA-256
+// checksum of each file, so an import can check the archive before using it.
+const { createHash } = require('crypto');
+const { isDeepStrictEqual } = require('util');
+const logger = require('../../logger');
+const { TarWriter, readTar } = require('./tar');
+const { isNew } = require('../data/query');
+
+// What we write in the manifest, so we know what we're reading later
+const FORMAT = 'fragments-archive';
+const FORMAT_VERSION = 1;
+
+const MANIFEST = 'manifest.json';
+
+const sha256 = (data) => createHash('sha256').update(data).digest('hex');
+
+// What the manifest says about a file
+const describeFile = (file, data) => ({ file, size: data.length, sha256: sha256(data) });
+
+
+/**
+ * Reads a fragment's current data and prior versions for the archive. If a write
+ * is pending, the current data is the last committed version (see Fragment.getData()).
+ * @returns {Promise<{ data: Buffer|undefined, versions: Array<{ entry: Object, data: Buffer }>, missing: Array<number> }>}
+ */
+async function readFragmentFiles(backend, fragment) {
+  const { ownerId, id } = fragment;
+  const data =
+    fragment.state === 'pending'
+      ? await backend.readFragmentVersionData(ownerId, id, fragment.version)
+      : await backend.readFragmentData(ownerId, id);
+
+  const versions = [];
+  const missing = [];
+  for (const entry of fragment.versions || []) {
+    if (entry.version === fragment.version) {
+      continue;
+    }
+    const versionData = await backend.readFragmentVersionData(ownerId, id, entry.version);
+    if (versionData) {
+      versions.push({ entry, data: versionData });
+    } else {
+      missing.push(entry.version);
+    }
+  }
+
+  return { data, versions, missing };
+}
+
+/**
+ * Writes an archive of every fragment belonging to the given owners (or to everyone)
+ * @param {Object} backend the storage backend to export from (see ../data/backends.js)
+ * @param {import('stream').Writable} output where to write the archive
+ * @param {Object} options
+ * @param {Array<string>} [options.ownerIds] only export these owners' fragments
+ * @returns {Promise<{ owners: number, fragments: number, versions: number, warnings: Array<string> }>}
+ */
+async function exportArchive(backend, output, options = {}) {
+  const ownerIds = options.ownerIds || (await backend.listOwners());
+  const writer = new TarWriter(output);
+  const manifest = {
+    format: FORMAT,
+    version: FORMAT_VERSION,
+    created: new Date().toISOString(),
+    fragments: [],
+  };
+  const report = { owners: ownerIds.length, fragments: 0, versions: 0, warnings: [] };
+
+  logger.info({ owners: ownerIds.length }, 'exportArchive: Exporting fragments');
+
+  try {
+    for (const ownerId of ownerIds) {
+      const fragments = (await backend.listFragments(ownerId, true)).sort((a, b) =>
+        a.id < b.id ? -1 : a.id > b.id ? 1 : 0
+      );
+
+      for (const fragment of fragments) {
+        const { data, versions, missing } = await readFragmentFiles(backend, fragment);
+        if (!data) {
+          report.warnings.push(`${ownerId}/${fragment.id}: no data, not exported`);
+          continue;
+        }
+        for (const version of missing) {
+          report.warnings.push(`${ownerId}/${fragment.id}: no data for version ${version}, left out`);
+        }
+
+        const path = `fragments/${manifest.fragments.length}`;
+        const mtime = new Date(fragment.updated);
+        // What it looks like once the write (if any) is done
+        const metadata = {
+          ...fragment,
+          state: 'committed',
+          ...(fragment.versions && {
+            versions: fragment.versions.filter(({ version }) => !missing.includes(version)),
+          }),
+        };
+        delete metadata.stateSince;
+        const entry = {
+          metadata,
+          data: describeFile(`${path}/data`, data),
+          versions: [],
+        };
+
+        await writer.addFile(entry.data.file, data, mtime);
+        for (const version of versions) {
+          const file = describeFile(`${path}/versions/${version.entry.version}`, version.data);
+          await writer.addFile(file.file, version.data, mtime);
+          entry.versions.push({ version: version.entry.version, ...file });
+        }
+
+        manifest.fragments.push(entry);
+        report.fragments++;
+        report.versions += entry.versions.length;
+      }
+    }
+
+    await writer.addFile(MANIFEST, Buffer.from(JSON.stringify(manifest, null, 2)));
+    await writer.finish();
+  } catch (err) {
+    logger.error({ err }, 'exportArchive: Unable to export fragments');
+    writer.abort(err);
+    throw err;
+  }
+
+  logger.info(report, 'exportArchive: Fragments exported');
+  return report;
+}
+
+/**
+ * Reads a whole archive, checking every file against the manifest. Throws if the
+ * archive is incomplete or anything doesn't match.
+ * @param {import('stream').Readable} input the archive
+ * @returns {Promise<Object>} the manifest
+ */
+async function verifyArchive(input) {
+  const files = new Map();
+  let manifest;
+
+  for await (const { name, data } of readTar(input)) {
+    if (name === MANIFEST) {
+      try {
+        manifest = JSON.parse(data.toString('utf8'));
+      } catch {
+        throw new Error('invalid archive: manifest.json is not valid JSON');
+      }
+    } else {
+      files.set(name, { size: data.length, sha256: sha256(data) });
+    }
+  }
+
+  if (!manifest) {
+    throw new Error('invalid archive: no manifest.json');
+  }
+  if (
+    manifest.format !== FORMAT ||
+    manifest.version !== FORMAT_VERSION ||
+    !Array.isArray(manifest.fragments)
+  ) {
+    throw new Error(
+      `invalid archive: expected ${FORMAT} version ${FORMAT_VERSION}, got ${manifest.format} version ${manifest.version}`
+    );
+  }
+
+  for (const { metadata, data, versions } of manifest.fragments) {
+    for (const expected of [data, ...versions]) {
+      const actual = files.get(expected.file);
+      if (!actual) {
+        throw new Error(`invalid archive: ${expected.file} is missing (${metadata.ownerId}/${metadata.id})`);
+      }
+      if (actual.size !== expected.size || actual.sha256 !== expected.sha256) {
+        throw new Error(
+          `invalid archive: checksum mismatch for ${expected.file} (${metadata.ownerId}/${metadata.id})`
+        );
+      }
+    }
+  }
+
+  return manifest;
+}
+
+/**
+ * Works out what importing a fragment would do:
+ *  - `import`: it isn't there yet (or an earlier import didn't finish)
+ *  - `skip`: it's already there, exactly as it is in the archive
+ *  - `overwrite`: a different fragment with the same id is there, and we're replacing it
+ *  - `conflict`: a different fragment with the same id is there, and we're leaving it
+ */
+async function planFragment(backend, metadata, overwrite) {
+  const existing = await backend.readFragment(metadata.ownerId, metadata.id);
+  // A new fragment that was never committed leaves metadata behind that readers don't
+  // see (see isNew() in ../data/query.js), as does an import that's interrupted
+  if (!existing || isNew(existing)) {
+    return 'import';
+  }
+  if (isDeepStrictEqual(existing, metadata)) {
+    return 'skip';
+  }
+  return overwrite ? 'overwrite' : 'conflict';
+}
+
+/**
+ * Writes one fragment from the archive. Its metadata is first written as an
+ * uncommitted fragment (so readers don't see it), then its data, and then its real
+ * metadata. If we stop part way through, running the import again finishes it.
+ */
+async function importFragment(backend, { metadata, data, versions }, files, action) {
+  const { ownerId, id } = metadata;
+
+  if (action === 'overwrite') {
+    await backend.deleteFragment(ownerId, id);
+  }
+  await backend.writeFragment({
+    ...metadata,
+    state: 'pending',
+    stateSince: new Date().toISOString(),
+    version: 0,
+    versions: [],
+  });
+
+  // Prior versions can only be written by archiving the current data
+  for (const { version, file } of [...versions].sort((a, b) => a.version - b.version)) {
+    await backend.writeFragmentData(ownerId, id, files.get(file));
+    await backend.archiveFragmentData(ownerId, id, version);
+  }
+  await backend.writeFragmentData(ownerId, id, files.get(data.file));
+  await backend.writeFragment(metadata);
+}
+
+/**
+ * Imports an archive into a backend. The whole archive is checked against its
+ * manifest before anything is written. Fragments that are already there are
+ * skipped, so an import that was interrupted can be run again to finish it.
+ * @param {Object} backend the storage backend to import into
+ * @param {Function} open returns a new stream of the archive each time it's called
+ * (it's read twice: once to check it, and again to import it)
+ * @param {Object} options
+ * @param {boolean} [options.dryRun] only check the archive and report what we'd do
+ * @param {boolean} [options.overwrite] replace fragments that are different in the backend
+ * @param {Array<string>} [options.ownerIds] only import these owners' fragments
+ * @returns {Promise<{ fragments: number, imported: number, skipped: number, overwritten: number, conflicts: number, dryRun: boolean, results: Array<Object> }>}
+ */
+async function importArchive(backend, open, options = {}) {
+  const { dryRun = false, overwrite = false, ownerIds } = options;
+
+  const manifest = await verifyArchive(open());
+  const entries = manifest.fragments.filter(
+    ({ metadata }) => !ownerIds || ownerIds.includes(metadata.ownerId)
+  );
+  logger.info(
+    { fragments: entries.length, dryRun, overwrite },
+    'importArchive: Archive verified, importing fragments'
+  );
+
+  // What we'll do with each fragment
+  const plans = [];
+  for (const entry of entries) {
+    plans.push({ entry, action: await planFragment(backend, entry.metadata, overwrite) });
+  }
+
+  const report = {
+    fragments: entries.length,
+    imported: 0,
+    skipped: 0,
+    overwritten: 0,
+    conflicts: 0,
+    dryRun,
+    results: plans.map(({ entry, action }) => ({
+      ownerId: entry.metadata.ownerId,
+      id: entry.metadata.id,
+      action,
+    })),
+  };
+  const counts = { import: 'imported', skip: 'skipped', overwrite: 'overwritten', conflict: 'conflicts' };
+  for (const { action } of plans) {
+    report[counts[action]]++;
+  }
+
+  const toWrite = plans.filter(({ action }) => action === 'import' || action === 'overwrite');
+  if (dryRun || toWrite.length === 0) {
+    return report;
+  }
+
+  // Which fragment each file belongs to, so we can write each one once we have all its files
+  const owners = new Map();
+  for (const plan of toWrite) {
+    plan.files = new Map();
+    plan.remaining = 1 + plan.entry.versions.length;
+    for (const expected of [plan.entry.data, ...plan.entry.versions]) {
+      owners.set(expected.file, { plan, expected });
+    }
+  }
+
+  for await (const { name, data } of readTar(open())) {
+    const owner = owners.get(name);
+    if (!owner) {
+      continue;
+    }
+    // The archive may have changed since we checked it
+    const { plan, expected } = owner;
+    if (data.length !== expected.size || sha256(data) !== expected.sha256) {
+      throw new Error(`invalid archive: checksum mismatch for ${name}`);
+    }
+
+    plan.files.set(name, data);
+    if (--plan.remaining === 0) {
+      await importFragment(backend, plan.entry, plan.files, plan.action);
+      // We don't need the data any more
+      plan.files = null;
+      logger.debug(
+        { ownerId: plan.entry.metadata.ownerId, id: plan.entry.metadata.id, action: plan.action },
+        'importArchive: Fragment imported'
+      );
+    }
+  }
+
+  logger.info(report, 'importArchive: Fragments imported');
+  return report;
+}
+
+module.exports.FORMAT = FORMAT;
+module.exports.FORMAT_VERSION = FORMAT_VERSION;
+module.exports.exportArchive = exportArchive;
+module.exports.verifyArchive = verifyArchive;
+module.exports.importArchive = importArchive;
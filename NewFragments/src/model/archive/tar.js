@@ -0,0 +1,206 @@
+// src/model/archive/tar.js
+
+// Just enough of the tar format (POSIX ustar, gzipped) to write and read fragment
+// archives. Entries are regular files with short names (see ./index.js), so we
+// don't need long names, links or other extensions. Other tools (e.g., `tar -tzf`)
+// can read what we write.
+const zlib = require('zlib');
+const { once } = require('events');
+const { pipeline } = require('stream/promises');
+
+const BLOCK_SIZE = 512;
+
+// Write a value into a header field as a NUL terminated, zero padded octal number
+function writeOctal(header, value, offset, length) {
+  header.write(value.toString(8).padStart(length - 1, '0'), offset, length - 1, 'ascii');
+}
+
+// Add up the header's bytes, counting the checksum field itself as spaces
+function headerChecksum(header) {
+  let sum = 0;
+  for (let i = 0; i < BLOCK_SIZE; i++) {
+    sum += i >= 148 && i < 156 ? 0x20 : header[i];
+  }
+  return sum;
+}
+
+/**
+ * Creates the header block for a regular file
+ * @param {string} name the file's name (up to 100 bytes)
+ * @param {number} size the file's size in bytes
+ * @param {Date} mtime when the file was last modified
+ * @returns {Buffer}
+ */
+function createHeader(name, size, mtime) {
+  if (Buffer.byteLength(name) > 100) {
+    throw new Error(`tar entry name is too long: ${name}`);
+  }
+
+  const header = Buffer.alloc(BLOCK_SIZE);
+  header.write(name, 0, 100, 'utf8');
+  writeOctal(header, 0o644, 100, 8);
+  writeOctal(header, 0, 108, 8);
+  writeOctal(header, 0, 116, 8);
+  writeOctal(header, size, 124, 12);
+  writeOctal(header, Math.floor(mtime.getTime() / 1000), 136, 12);
+  // A regular file
+  header.write('0', 156, 1, 'ascii');
+  header.write('ustar\u000000', 257, 8, 'ascii');
+  // The checksum is 6 octal digits, then a NUL and a space
+  header.write(`${headerChecksum(header).toString(8).padStart(6, '0')}\u0000 `, 148, 8, 'ascii');
+  return header;
+}
+
+// Read a NUL (or space) terminated string from a header field
+function readString(header, offset, length) {
+  const field = header.subarray(offset, offset + length);
+  const end = field.indexOf(0);
+  return field.subarray(0, end === -1 ? length : end).toString('utf8');
+}
+
+// Read an octal number from a header field
+const readOctal = (header, offset, length) =>
+  parseInt(readString(header, offset, length).trim() || '0', 8);
+
+/**
+ * Parses a header block, or returns null for the zero blocks at the end of an archive.
+ * Throws if the header is corrupt.
+ * @param {Buffer} header a 512 byte block
+ * @returns {{ name: string, size: number, type: string }|null}
+ */
+function parseHeader(header) {
+  if (header.every((byte) => byte === 0)) {
+    return null;
+  }
+  if (readOctal(header, 148, 8) !== headerChecksum(header)) {
+    throw new Error('invalid tar header checksum');
+  }
+
+  const prefix = readString(header, 345, 155);
+  const name = readString(header, 0, 100);
+  return {
+    name: prefix ? `${prefix}/${name}` : name,
+    size: readOctal(header, 124, 12),
+    type: String.fromCharCode(header[156] || 0x30),
+  };
+}
+
+// The zeros after a file's data that fill up its last block
+const padding = (size) => Buffer.alloc((BLOCK_SIZE - (size % BLOCK_SIZE)) % BLOCK_SIZE);
+
+/**
+ * Writes a gzipped tar archive to a stream, one file at a time
+ */
+class TarWriter {
+  /**
+   * @param {import('stream').Writable} output where to write the archive
+   */
+  constructor(output) {
+    this.gzip = zlib.createGzip();
+    this.done = pipeline(this.gzip, output);
+    // Don't let an early failure go unhandled; finish() will still throw it
+    this.done.catch(() => {});
+  }
+
+  // Write a chunk, waiting if the stream wants us to slow down
+  async write(chunk) {
+    if (!this.gzip.write(chunk)) {
+      await Promise.race([once(this.gzip, 'drain'), this.done]);
+    }
+  }
+
+  /**
+   * Adds a file to the archive
+   * @param {string} name the file's name
+   * @param {Buffer} data its contents
+   * @param {Date} mtime when it was last modified (defaults to now)
+   */
+  async addFile(name, data, mtime = new Date()) {
+    await this.write(createHeader(name, data.length, mtime));
+    await this.write(data);
+    await this.write(padding(data.length));
+  }
+
+  /**
+   * Ends the archive, and waits for it all to be written
+   */
+  async finish() {
+    this.gzip.end(Buffer.alloc(BLOCK_SIZE * 2));
+    await this.done;
+  }
+
+  /**
+   * Stops writing (e.g., after an error), leaving the archive incomplete
+   * @param {Error} err why we stopped
+   */
+  abort(err) {
+    this.gzip.destroy(err);
+  }
+}
+
+/**
+ * Reads the files in a gzipped tar archive, in order, closing the input once it
+ * gets to the end. Only regular files are returned.
+ * @param {import('stream').Readable} input the archive
+ * @returns {AsyncGenerator<{ name: string, data: Buffer }>}
+ */
+async function* readTar(input) {
+  const gunzip = zlib.createGunzip();
+  input.on('error', (err) => gunzip.destroy(err));
+  input.pipe(gunzip);
+
+  // What we've read but not used yet. We only join the chunks once there's enough
+  // for what we need next, so large files aren't copied over and over.
+  let chunks = [];
+  let length = 0;
+  const take = (size) => {
+    const all = Buffer.concat(chunks, length);
+    chunks = [all.subarray(size)];
+    length -= size;
+    return all.subarray(0, size);
+  };
+
+  // The entry we're reading, once we've read its header
+  let entry = null;
+
+  try {
+    for await (const chunk of gunzip) {
+      chunks.push(chunk);
+      length += chunk.length;
+
+      for (;;) {
+        if (!entry) {
+          if (length < BLOCK_SIZE) {
+            break;
+          }
+          entry = parseHeader(take(BLOCK_SIZE));
+          if (!entry) {
+            // The end of the archive
+            return;
+          }
+        }
+
+        const size = entry.size + padding(entry.size).length;
+        if (length < size) {
+          break;
+        }
+        const data = Buffer.from(take(size).subarray(0, entry.size));
+        const { name, type } = entry;
+        entry = null;
+        // Regular files only (e.g., not directories or extended headers)
+        if (type === '0') {
+          yield { name, data };
+        }
+      }
+    }
+  } finally {
+    input.unpipe(gunzip);
+    input.destroy();
+    gunzip.destroy();
+  }
+
+  throw new Error('unexpected end of tar archive');
+}
+
+module.exports.TarWriter = TarWriter;
+module.exports.readTar = readTar;
@@ -0,0 +1,156 @@
+// src/model/converters/csv-format.js
+
+// Parsing and generating CSV, as described in RFC 4180:
+// https://www.rfc-editor.org/rfc/rfc4180
+//
+// Fields can be quoted ("..."), in which case they may contain the delimiter,
+// line breaks, and quotes (escaped by doubling them: ""). Records may end in
+// CRLF, LF or CR. Unlike the RFC, the delimiter can be something other than a comma.
+
+const QUOTE = '"';
+
+/**
+ * Parses CSV text into a list of records, each a list of field values
+ * @param {string} text CSV text (a leading byte order mark is ignored)
+ * @param {Object} [options]
+ * @param {string} [options.delimiter] field separator (defaults to `,`)
+ * @returns {Array<Array<string>>} records, not including blank lines
+ */
+function parse(text, { delimiter = ',' } = {}) {
+  const records = [];
+  let record = [];
+  let field = '';
+  // Whether the current field was quoted, so a record like "" isn't mistaken for a blank line
+  let quoted = false;
+  let i = text.charCodeAt(0) === 0xfeff ? 1 : 0;
+
+  const endField = () => {
+    record.push(field);
+    field = '';
+  };
+
+  const endRecord = () => {
+    endField();
+    // Skip blank lines
+    if (record.length > 1 || record[0] !== '' || quoted) {
+      records.push(record);
+    }
+    record = [];
+    quoted = false;
+  };
+
+  while (i < text.length) {
+    const char = text[i];
+
+    if (char === QUOTE && field === '' && !quoted) {
+      // A quoted field runs until the next quote that isn't doubled
+      quoted = true;
+      i += 1;
+      for (;;) {
+        const next = text.indexOf(QUOTE, i);
+        if (next === -1) {
+          throw new Error('Invalid CSV: unterminated quoted field');
+        }
+        field += text.slice(i, next);
+        if (text[next + 1] === QUOTE) {
+          field += QUOTE;
+          i = next + 2;
+        } else {
+          i = next + 1;
+          break;
+        }
+      }
+
+      // Only a delimiter or the end of the record can follow the closing quote
+      if (i < text.length && text[i] !== delimiter && text[i] !== '\r' && text[i] !== '\n') {
+        throw new Error(`Invalid CSV: unexpected text after a quoted field in record ${records.length + 1}`);
+      }
+    } else if (char === delimiter) {
+      endField();
+      quoted = false;
+      i += 1;
+    } else if (char === '\r' || char === '\n') {
+      endRecord();
+      i += char === '\r' && text[i + 1] === '\n' ? 2 : 1;
+    } else {
+      field += char;
+      i += 1;
+    }
+  }
+
+  // The last record doesn't need a line break after it
+  if (field !== '' || record.length || quoted) {
+    endRecord();
+  }
+
+  return records;
+}
+
+/**
+ * Quotes a field value if it contains the delimiter, a quote or a line break
+ * @param {string} value the field value
+ * @param {string} delimiter the field separator
+ * @returns {string}
+ */
+function formatField(value, delimiter) {
+  if (value.includes(delimiter) || /["\r\n]/.test(value)) {
+    return `"${value.replace(/"/g, '""')}"`;
+  }
+  return value;
+}
+
+/**
+ * Generates CSV text from a list of records. Records are separated by CRLF.
+ * @param {Array<Array<string>>} records each a list of field values
+ * @param {Object} [options]
+ * @param {string} [options.delimiter] field separator (defaults to `,`)
+ * @returns {string}
+ */
+function stringify(records, { delimiter = ',' } = {}) {
+  return records
+    .map((record) => record.map((value) => formatField(value, delimiter)).join(delimiter))
+    .join('\r\n');
+}
+
+/**
+ * Flattens nested objects into a single level, using dotted keys for the
+ * nested values: { a: { b: 1 } } -> { 'a.b': 1 }. Arrays are kept as values.
+ * @param {Object} obj the object to flatten
+ * @param {string} [prefix] key prefix for nested values
+ * @returns {Object}
+ */
+function flatten(obj, prefix = '') {
+  const flat = {};
+  for (const [key, value] of Object.entries(obj)) {
+    const name = prefix ? `${prefix}.${key}` : key;
+    if (value && typeof value === 'object' && !Array.isArray(value) && Object.keys(value).length) {
+      Object.assign(flat, flatten(value, name));
+    } else {
+      flat[name] = value;
+    }
+  }
+  return flat;
+}
+
+// Numbers (without leading zeros, so things like zip codes stay strings) and booleans
+const NUMBER = /^-?(0|[1-9]\d*)(\.\d+)?([eE][+-]?\d+)?$/;
+
+/**
+ * Converts a field value to a number or boolean, if that's what it looks like
+ * @param {string} value the field value
+ * @returns {string|number|boolean}
+ */
+function inferType(value) {
+  if (NUMBER.test(value)) {
+    return Number(value);
+  }
+  if (value === 'true' || value === 'false') {
+    return value === 'true';
+  }
+  return value;
+}
+
+module.exports.parse = parse;
+module.exports.stringify = stringify;
+module.exports.flatten = flatten;
+module.exports.inferType = inferType;
@@ -0,0 +1,107 @@
+// src/model/converters/csv.js
+
+// Converts between CSV and JSON (see csv-format.js for the CSV details).
+//
+// Options:
+//  - delimiter: the field separator to read/write (defaults to `,`)
+//  - header: false if the CSV has (or should have) no header row
+//  - inferTypes: true to turn CSV values that look like numbers or booleans into those types
+const { parse, stringify, flatten, inferType } = require('./csv-format');
+
+/**
+ * Names the columns using the header row. Blank names become `columnN`, and
+ * repeated names get a suffix (`name_2`), so no values are lost.
+ * @param {Array<string>} header the first record
+ * @param {number} count the number of columns we need names for
+ * @returns {Array<string>}
+ */
+function columnNames(header, count) {
+  const names = [];
+  const used = new Set();
+
+  for (let i = 0; i < count; i++) {
+    const base = header[i]?.trim() || `column${i + 1}`;
+    let name = base;
+    for (let n = 2; used.has(name); n++) {
+      name = `${base}_${n}`;
+    }
+    used.add(name);
+    names.push(name);
+  }
+
+  return names;
+}
+
+// Formats a JSON value for a CSV field, keeping falsy values like 0 and false
+function fieldValue(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  if (typeof value === 'object') {
+    return JSON.stringify(value);
+  }
+  return String(value);
+}
+
+module.exports = [
+  {
+    // Each record becomes an object keyed by the header row (or an array, without one)
+    name: 'csv-to-json',
+    from: ['text/csv'],
+    to: ['application/json'],
+    convert: (data, from, to, { delimiter, header = true, inferTypes = false } = {}) => {
+      const records = parse(data.toString('utf8'), { delimiter });
+      const value = inferTypes ? inferType : (field) => field;
+
+      let rows;
+      if (!header) {
+        rows = records.map((record) => record.map(value));
+      } else if (records.length === 0) {
+        rows = [];
+      } else {
+        const count = records.reduce((max, record) => Math.max(max, record.length), 0);
+        const names = columnNames(records[0], count);
+        rows = records.slice(1).map((record) =>
+          Object.fromEntries(names.map((name, i) => [name, value(record[i] ?? '')]))
+        );
+      }
+
+      return Buffer.from(JSON.stringify(rows, null, 2), 'utf8');
+    },
+  },
+  {
+    // An array of objects becomes a record per object. Nested objects are
+    // flattened into dotted column names (e.g., address.city).
+    name: 'json-to-csv',
+    from: ['application/json'],
+    to: ['text/csv'],
+    convert: (data, from, to, { delimiter, header = true } = {}) => {
+      let json;
+      try {
+        json = JSON.parse(data.toString('utf8'));
+      } catch (err) {
+        throw new Error(`Invalid JSON: ${err.message}`);
+      }
+
+      const items = Array.isArray(json) ? json : [json];
+
+      // An array of arrays is already a list of records
+      if (items.length && items.every(Array.isArray)) {
+        return Buffer.from(stringify(items.map((item) => item.map(fieldValue)), { delimiter }), 'utf8');
+      }
+
+      const objects = items.map((item) =>
+        item && typeof item === 'object' && !Array.isArray(item) ? flatten(item) : { value: item }
+      );
+
+      // Every key from every object is a column, in the order we first see them
+      const columns = [...new Set(objects.flatMap((object) => Object.keys(object)))];
+      const records = objects.map((object) => columns.map((column) => fieldValue(object[column])));
+      if (header && columns.length) {
+        records.unshift(columns);
+      }
+
+      return Buffer.from(stringify(records, { delimiter }), 'utf8');
+    },
+  },
+];
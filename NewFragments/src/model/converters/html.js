@@ -0,0 +1,347 @@
+// src/model/converters/html.js
+
+// Converts HTML to Markdown or plain text. We parse the HTML into a DOM (using
+// htmlparser2, which also decodes entities) and walk it, so that the structure
+// (headings, lists, links, tables, code blocks) is kept. The Markdown we write
+// renders back to the same HTML with markdown-it (see markdown.js).
+const { parseDocument, DomUtils } = require('htmlparser2');
+
+// Elements that start a new block (paragraph, list, etc.) rather than flowing with the text
+const BLOCK_ELEMENTS = new Set([
+  'address', 'article', 'aside', 'blockquote', 'body', 'dd', 'details', 'dialog', 'div', 'dl',
+  'dt', 'fieldset', 'figcaption', 'figure', 'footer', 'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+  'header', 'hr', 'html', 'li', 'main', 'nav', 'ol', 'p', 'pre', 'section', 'summary', 'table',
+  'ul',
+]);
+
+// Elements whose content isn't part of the document's text
+const IGNORED_ELEMENTS = new Set([
+  'head', 'iframe', 'noscript', 'object', 'script', 'style', 'svg', 'template', 'title',
+]);
+
+const isElement = (node) => DomUtils.isTag(node);
+const isBlock = (node) => isElement(node) && BLOCK_ELEMENTS.has(node.name);
+const isIgnored = (node) =>
+  (isElement(node) && IGNORED_ELEMENTS.has(node.name)) || !(isElement(node) || node.type === 'text');
+
+// Collapses runs of whitespace, the way a browser displays them
+const collapse = (text) => text.replace(/[ \t\r\n\f]+/g, ' ');
+
+// Like collapse(), but keeps (single) line breaks, which are soft breaks in Markdown
+const collapseSpaces = (text) => text.replace(/[ \t\f]+/g, ' ').replace(/ ?(\r?\n[ \t\r\n\f]*)+/g, '\n');
+
+// Cleans up the text of a block: trims each line, and removes doubled spaces left between elements
+const tidy = (text) =>
+  text
+    .split('\n')
+    .map((line) => line.replace(/ {2,}/g, ' ').trim())
+    .join('\n')
+    .trim();
+
+// Prefixes every line of text (e.g., to indent or quote it). Blank lines get a trimmed prefix.
+const prefixLines = (text, first, rest = first) =>
+  text
+    .split('\n')
+    .map((line, i) => (line ? (i === 0 ? first : rest) + line : (i === 0 ? first : rest).trimEnd()))
+    .join('\n');
+
+// The rows of a table, each a list of cell elements
+const tableRows = (table) =>
+  DomUtils.findAll((node) => node.name === 'tr', table.children).map((row) =>
+    row.children.filter((cell) => cell.name === 'th' || cell.name === 'td')
+  );
+
+// The language of a code block, from markdown-it's (and highlight.js's) class="language-js"
+const codeLanguage = (pre) => {
+  const code = pre.children.find((node) => node.name === 'code');
+  const match = /(?:^|\s)(?:language|lang)-(\S+)/.exec(code?.attribs.class || '');
+  return match ? match[1] : '';
+};
+
+/**
+ * Walks a list of nodes, rendering runs of inline nodes as paragraphs and block
+ * elements using the renderer's block(). Returns the blocks joined by separator.
+ */
+function renderBlocks(nodes, renderer, separator = '\n\n') {
+  const blocks = [];
+  let run = [];
+
+  const endRun = () => {
+    const text = renderer.paragraph(run);
+    if (text) {
+      blocks.push(text);
+    }
+    run = [];
+  };
+
+  for (const node of nodes) {
+    if (isIgnored(node)) {
+      continue;
+    }
+    if (isBlock(node)) {
+      endRun();
+      const text = renderer.block(node);
+      if (text) {
+        blocks.push(text);
+      }
+    } else {
+      run.push(node);
+    }
+  }
+  endRun();
+
+  return blocks.join(separator);
+}
+
+/**
+ * Renders the items of a list element, prefixing each with its bullet or number
+ */
+function renderList(list, renderer, bullet) {
+  const start = list.name === 'ol' ? parseInt(list.attribs.start, 10) || 1 : 1;
+  const items = list.children.filter((node) => node.name === 'li');
+
+  return items
+    .map((item, i) => {
+      const marker = list.name === 'ol' ? `${start + i}. ` : bullet;
+      // Items without paragraphs are "tight", so we don't add blank lines in them
+      const loose = item.children.some((node) => node.name === 'p');
+      const content = renderBlocks(item.children, renderer, loose ? '\n\n' : '\n');
+      return prefixLines(content, marker, ' '.repeat(marker.length));
+    })
+    .join('\n');
+}
+
+// Escapes characters that would otherwise be read as Markdown syntax
+const escapeMarkdown = (text) => text.replace(/[\\`*_[\]<~]/g, '\\$&');
+
+// Escapes text at the start of a line that would otherwise be a heading, list or quote
+const escapeLineStarts = (text) =>
+  text
+    .replace(/^(#{1,6}|[-+>])(?=\s|$)/gm, '\\$1')
+    .replace(/^(\d+)([.)])(?=\s|$)/gm, '$1\\$2');
+
+// Wraps inline content in Markdown emphasis (etc.), keeping outer spaces outside the markers
+const wrap = (content, marker) => {
+  const match = /^(\s*)(.*?)(\s*)$/s.exec(content);
+  return match[2] ? `${match[1]}${marker}${match[2]}${marker}${match[3]}` : content;
+};
+
+// A code span, using more backticks than appear in the code
+const codeSpan = (code) => {
+  const ticks = '`'.repeat(Math.max(0, ...(code.match(/`+/g) || []).map((run) => run.length)) + 1);
+  const padding = code.startsWith('`') || code.endsWith('`') ? ' ' : '';
+  return `${ticks}${padding}${code}${padding}${ticks}`;
+};
+
+// A link or image destination, which needs <> if it has spaces or parentheses
+const destination = (url) => (/[\s()<>]/.test(url) ? `<${url.replace(/[<>]/g, encodeURIComponent)}>` : url);
+const linkTitle = (title) => (title ? ` "${title.replace(/"/g, '\\"')}"` : '');
+
+const markdown = {
+  inline(nodes) {
+    return nodes
+      .map((node) => {
+        if (node.type === 'text') {
+          return escapeMarkdown(collapseSpaces(node.data));
+        }
+        if (isIgnored(node)) {
+          return '';
+        }
+
+        const content = () => markdown.inline(node.children);
+        switch (node.name) {
+          case 'br':
+            return '\\\n';
+          case 'strong':
+          case 'b':
+            return wrap(content(), '**');
+          case 'em':
+          case 'i':
+            return wrap(content(), '*');
+          case 'del':
+          case 's':
+          case 'strike':
+            return wrap(content(), '~~');
+          case 'code':
+          case 'kbd':
+          case 'samp':
+            return codeSpan(collapse(DomUtils.textContent(node)));
+          case 'a': {
+            const text = content();
+            const { href, title } = node.attribs;
+            return href ? `[${text}](${destination(href)}${linkTitle(title)})` : text;
+          }
+          case 'input':
+            // Task list items (e.g., from markdown-it-task-lists)
+            return node.attribs.type === 'checkbox' ? (node.attribs.checked !== undefined ? '[x] ' : '[ ] ') : '';
+          case 'img': {
+            const { src, alt = '', title } = node.attribs;
+            return src ? `![${escapeMarkdown(alt)}](${destination(src)}${linkTitle(title)})` : '';
+          }
+          default:
+            return content();
+        }
+      })
+      .join('');
+  },
+
+  paragraph(nodes) {
+    // A blank line would end the paragraph (e.g., after a <br> and a line break)
+    return escapeLineStarts(tidy(markdown.inline(nodes)).replace(/\n{2,}/g, '\n'));
+  },
+
+  block(node) {
+    switch (node.name) {
+      case 'h1':
+      case 'h2':
+      case 'h3':
+      case 'h4':
+      case 'h5':
+      case 'h6': {
+        const text = tidy(markdown.inline(node.children)).replace(/\\\n/g, ' ');
+        return text && `${'#'.repeat(Number(node.name[1]))} ${text}`;
+      }
+      case 'p':
+        return markdown.paragraph(node.children);
+      case 'hr':
+        return '---';
+      case 'pre': {
+        const code = DomUtils.textContent(node).replace(/\n$/, '');
+        const fence = '`'.repeat(Math.max(2, ...(code.match(/`+/g) || []).map((run) => run.length)) + 1);
+        return `${fence}${codeLanguage(node)}\n${code}\n${fence}`;
+      }
+      case 'blockquote':
+        return prefixLines(renderBlocks(node.children, markdown), '> ');
+      case 'ul':
+      case 'ol':
+        return renderList(node, markdown, '- ');
+      case 'li':
+        return prefixLines(renderBlocks(node.children, markdown), '- ', '  ');
+      case 'table': {
+        const rows = tableRows(node).map((cells) =>
+          cells.map((cell) => tidy(markdown.inline(cell.children)).replace(/\\\n/g, ' ').replace(/\|/g, '\\|'))
+        );
+        if (!rows.length) {
+          return '';
+        }
+        const columns = rows.reduce((max, cells) => Math.max(max, cells.length), 0);
+        const line = (cells) =>
+          `| ${Array.from({ length: columns }, (_, i) => cells[i] ?? '').join(' | ')} |`;
+        return [line(rows[0]), line(Array(columns).fill('---')), ...rows.slice(1).map(line)].join(
+          '\n'
+        );
+      }
+      default:
+        return renderBlocks(node.children, markdown);
+    }
+  },
+};
+
+const text = {
+  inline(nodes) {
+    return nodes
+      .map((node) => {
+        if (node.type === 'text') {
+          return collapse(node.data);
+        }
+        if (isIgnored(node)) {
+          return '';
+        }
+
+        switch (node.name) {
+          case 'br':
+            return '\n';
+          case 'img':
+            return node.attribs.alt || '';
+          case 'input':
+            return node.attribs.type === 'checkbox' ? (node.attribs.checked !== undefined ? '[x] ' : '[ ] ') : '';
+          case 'a': {
+            // Links back from footnotes (e.g., from markdown-it-footnote) aren't part of the text
+            if (/\bfootnote-backref\b/.test(node.attribs.class || '')) {
+              return '';
+            }
+            // Keep where links go, unless the text already says so
+            const content = text.inline(node.children);
+            const { href } = node.attribs;
+            return href && /^(https?|mailto):/i.test(href) && content.trim() && content.trim() !== href
+              ? `${content} (${href.replace(/^mailto:/i, '')})`
+              : content;
+          }
+          default:
+            return text.inline(node.children);
+        }
+      })
+      .join('');
+  },
+
+  paragraph(nodes) {
+    return tidy(text.inline(nodes));
+  },
+
+  block(node) {
+    switch (node.name) {
+      case 'p':
+      case 'h1':
+      case 'h2':
+      case 'h3':
+      case 'h4':
+      case 'h5':
+      case 'h6':
+        return text.paragraph(node.children);
+      case 'hr':
+        return '---';
+      case 'pre':
+        return DomUtils.textContent(node).replace(/\n$/, '');
+      case 'blockquote':
+        return prefixLines(renderBlocks(node.children, text), '  ');
+      case 'ul':
+      case 'ol':
+        return renderList(node, text, '- ');
+      case 'li':
+        return prefixLines(renderBlocks(node.children, text), '- ', '  ');
+      case 'table': {
+        // Line up the columns
+        const rows = tableRows(node).map((cells) =>
+          cells.map((cell) => tidy(text.inline(cell.children)).replace(/\n/g, ' '))
+        );
+        const widths = [];
+        rows.forEach((cells) =>
+          cells.forEach((cell, i) => (widths[i] = Math.max(widths[i] || 0, cell.length)))
+        );
+        return rows
+          .map((cells) => cells.map((cell, i) => cell.padEnd(widths[i])).join('  ').trimEnd())
+          .join('\n');
+      }
+      default:
+        return renderBlocks(node.children, text);
+    }
+  },
+};
+
+/**
+ * Converts HTML to Markdown
+ * @param {string} html
+ * @returns {string}
+ */
+const htmlToMarkdown = (html) => renderBlocks(parseDocument(html).children, markdown);
+
+/**
+ * Converts HTML to readable plain text
+ * @param {string} html
+ * @returns {string}
+ */
+const htmlToText = (html) => renderBlocks(parseDocument(html).children, text);
+
+module.exports = {
+  name: 'html',
+  from: ['text/html'],
+  to: ['text/markdown', 'text/plain'],
+  convert: (data, from, to) => {
+    const html = data.toString('utf8');
+    const result = to === 'text/markdown' ? htmlToMarkdown(html) : htmlToText(html);
+    return Buffer.from(result, 'utf8');
+  },
+};
+
+module.exports.htmlToMarkdown = htmlToMarkdown;
+module.exports.htmlToText = htmlToText;
@@ -0,0 +1,123 @@
+// src/model/converters/image.js
+
+// Converts between image formats using sharp, optionally transforming the image
+// (resizing, cropping, etc.) along the way. Transforms apply even when the type
+// doesn't change, e.g., for a thumbnail of a PNG as a PNG. SVG images can be
+// rasterized, but not written.
+//
+// Options:
+//  - width, height: resize to fit these dimensions (see fit)
+//  - fit: how to fit the width and height, one of FITS (defaults to cover)
+//  - crop: { left, top, width, height } region to extract, before resizing
+//  - rotate: degrees to rotate clockwise
+//  - flip: `horizontal`, `vertical` or `both`
+//  - quality: 1-100, for lossy formats
+//  - blur: Gaussian blur sigma
+//  - grayscale: true to remove colour
+const sharp = require('sharp');
+const logger = require('../../logger');
+
+// sharp's output format for each type
+const formats = {
+  'image/png': 'png',
+  'image/jpeg': 'jpeg',
+  'image/webp': 'webp',
+  'image/gif': 'gif',
+  'image/avif': 'avif',
+  'image/tiff': 'tiff',
+};
+
+// Upper bounds for transforms, so one request can't tie up the server
+const LIMITS = {
+  // Largest width or height we'll produce (or crop)
+  maxDimension: 4096,
+  // Largest blur sigma (the cost of blurring grows with it)
+  maxBlur: 50,
+  // Largest source image we'll decode, in pixels (i.e., width x height)
+  maxInputPixels: 100_000_000,
+};
+
+// The ways we can fit an image to a width and height, see https://sharp.pixelplumbing.com/api-resize
+const FITS = ['cover', 'contain', 'fill', 'inside', 'outside'];
+
+// The options that transform the image
+const TRANSFORMS = ['width', 'height', 'crop', 'rotate', 'flip', 'quality', 'blur', 'grayscale'];
+
+/**
+ * Returns true if the options ask for the image to be transformed
+ * @param {Object} options conversion options
+ * @returns {boolean}
+ */
+const transforms = (options = {}) =>
+  TRANSFORMS.some((option) => options[option] !== undefined && options[option] !== false);
+
+/**
+ * Converts (and transforms) an image with sharp
+ * @param {Buffer} data the source image
+ * @param {string} from source mime type
+ * @param {string} to target mime type
+ * @param {Object} options conversion options (see above)
+ * @returns {Promise<Buffer>}
+ */
+async function convert(data, from, to, options = {}) {
+  const { width, height, fit = 'cover', crop, rotate, flip, quality, blur, grayscale } = options;
+
+  try {
+    let image = sharp(data, { limitInputPixels: LIMITS.maxInputPixels });
+
+    if (crop) {
+      image = image.extract(crop);
+    }
+    if (width || height) {
+      image = image.resize({ width, height, fit });
+    }
+    if (rotate) {
+      image = image.rotate(rotate);
+    }
+    if (flip === 'vertical' || flip === 'both') {
+      image = image.flip();
+    }
+    if (flip === 'horizontal' || flip === 'both') {
+      image = image.flop();
+    }
+    if (blur) {
+      image = image.blur(blur);
+    }
+    if (grayscale) {
+      image = image.grayscale();
+    }
+
+    return await image.toFormat(formats[to], quality ? { quality } : {}).toBuffer();
+  } catch (err) {
+    logger.error('image converter: Conversion failed', {
+      from,
+      to,
+      options,
+      error: err.message
+    });
+    throw new Error(`Image conversion failed: ${err.message}`);
+  }
+}
+
+module.exports = [
+  {
+    name: 'image',
+    from: Object.keys(formats),
+    to: Object.keys(formats),
+    transforms,
+    transformOptions: TRANSFORMS,
+    convert,
+  },
+  {
+    // Straight to any format, so SVG is only transformed once
+    name: 'svg',
+    from: ['image/svg+xml'],
+    to: Object.keys(formats),
+    transformOptions: TRANSFORMS,
+    convert,
+  },
+];
+
+module.exports.LIMITS = LIMITS;
+module.exports.FITS = FITS;
+module.exports.formats = formats;
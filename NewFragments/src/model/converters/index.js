@@ -0,0 +1,237 @@
+// src/model/converters/index.js
+
+// A registry of converters between fragment types. Each converter declares the
+// source (`from`) and target (`to`) types it handles, and conversions between
+// types that no single converter handles are chained automatically, using the
+// shortest path through the registered converters (e.g., CSV -> JSON -> YAML).
+//
+// To support a new format, write a converter module and register() it below.
+const logger = require('../../logger');
+const { sanitize } = require('../../sanitize');
+
+/**
+ * @typedef {Object} Converter
+ * @property {string} name a name for the converter, used in logs
+ * @property {Array<string>} from the mime types it can convert from
+ * @property {Array<string>} to the mime types it can convert to
+ * @property {(data: Buffer, from: string, to: string, options: Object) => Promise<Buffer>|Buffer} convert
+ * converts the data, using any options it understands (e.g., a CSV delimiter)
+ * @property {(options: Object) => boolean} [transforms] for converters that can also change
+ * data without changing its type (e.g., resizing an image), returns true if the options ask for that
+ * @property {Array<string>} [transformOptions] the options that transform the data. In a chain
+ * of conversions, these only go to the last step, so the data is only transformed once.
+ */
+
+/** @type {Array<Converter>} */
+const converters = [];
+
+/**
+ * Maps file extensions (e.g., in GET /fragments/:id.html) to mime types
+ */
+const extensionToMimeType = {
+  '.txt': 'text/plain',
+  '.md': 'text/markdown',
+  '.html': 'text/html',
+  '.json': 'application/json',
+  '.csv': 'text/csv',
+  '.yaml': 'application/yaml',
+  '.yml': 'application/yaml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.webp': 'image/webp',
+  '.gif': 'image/gif',
+  '.avif': 'image/avif',
+  '.tif': 'image/tiff',
+  '.tiff': 'image/tiff',
+  '.svg': 'image/svg+xml',
+};
+
+/**
+ * Adds a converter to the registry
+ * @param {Converter} converter
+ */
+function register(converter) {
+  const { name, from, to, convert } = converter;
+  if (!name || !Array.isArray(from) || !Array.isArray(to) || typeof convert !== 'function') {
+    throw new Error('converter requires a name, from and to types, and a convert() function');
+  }
+  converters.push(converter);
+}
+
+// Every single-step conversion out of the given type, in registration order
+function edgesFrom(type) {
+  return converters.flatMap((converter) =>
+    converter.from.includes(type)
+      ? converter.to.filter((to) => to !== type).map((to) => ({ converter, from: type, to }))
+      : []
+  );
+}
+
+/**
+ * Finds the shortest chain of converters from one type to another (breadth-first),
+ * or null if there isn't one.
+ * @param {string} from source mime type
+ * @param {string} to target mime type
+ * @returns {Array<{ converter: Converter, from: string, to: string }>|null} the
+ * steps to take, which is empty if the types are the same
+ */
+function findPath(from, to) {
+  if (from === to) {
+    return [];
+  }
+
+  // How we first reached each type we've visited
+  const reachedBy = new Map([[from, null]]);
+  const queue = [from];
+
+  while (queue.length) {
+    const type = queue.shift();
+    for (const edge of edgesFrom(type)) {
+      if (reachedBy.has(edge.to)) {
+        continue;
+      }
+      reachedBy.set(edge.to, edge);
+
+      if (edge.to === to) {
+        // Walk back to the source to get the steps in order
+        const path = [];
+        for (let step = edge; step; step = reachedBy.get(step.from)) {
+          path.unshift(step);
+        }
+        return path;
+      }
+      queue.push(edge.to);
+    }
+  }
+
+  return null;
+}
+
+// The converter that transforms data of the given type (without changing it) using the options, if any
+const transformerFor = (type, options) =>
+  converters.find(
+    (converter) =>
+      converter.from.includes(type) &&
+      converter.to.includes(type) &&
+      typeof converter.transforms === 'function' &&
+      converter.transforms(options)
+  );
+
+/**
+ * Returns every type that data of the given type can be converted to, nearest first
+ * @param {string} from source mime type
+ * @returns {Array<string>} list of mime types (not including from)
+ */
+function targetsFor(from) {
+  const seen = new Set([from]);
+  const queue = [from];
+
+  while (queue.length) {
+    for (const { to } of edgesFrom(queue.shift())) {
+      if (!seen.has(to)) {
+        seen.add(to);
+        queue.push(to);
+      }
+    }
+  }
+
+  seen.delete(from);
+  return [...seen];
+}
+
+/**
+ * Returns true if data of one type can be converted to another
+ * @param {string} from source mime type
+ * @param {string} to target mime type
+ * @returns {boolean}
+ */
+const canConvert = (from, to) => findPath(from, to) !== null;
+
+/**
+ * Returns true if a single converter turns data of one type into another, without
+ * going through other types on the way
+ * @param {string} from source mime type
+ * @param {string} to target mime type
+ * @returns {boolean}
+ */
+const canConvertDirectly = (from, to) => findPath(from, to)?.length === 1;
+
+/**
+ * Returns true if sending data of one type as another, with the given options,
+ * changes the data: either the types differ, or a converter transforms the type
+ * with these options (e.g., ?w=100 for an image).
+ * @param {string} from source mime type
+ * @param {string} to target mime type
+ * @param {Object} [options] conversion options
+ * @returns {boolean}
+ */
+const needsConversion = (from, to, options = {}) =>
+  from !== to || !!transformerFor(from, options);
+
+/**
+ * Converts data from one type to another, chaining converters as needed. HTML
+ * output is always sanitized (see src/sanitize.js), whichever converter made it.
+ * Throws if there's no way to do the conversion, or if a converter fails.
+ * @param {Buffer} data the source data
+ * @param {string} from source mime type
+ * @param {string} to target mime type
+ * @param {Object} [options] conversion options, passed to every converter in the chain
+ * (except for transform options, which only go to the last one)
+ * @returns {Promise<Buffer>} the converted data
+ */
+async function convert(data, from, to, options = {}) {
+  let path = findPath(from, to);
+  if (path && !path.length) {
+    // Same type, but it may still need transforming
+    const converter = transformerFor(from, options);
+    path = converter ? [{ converter, from, to }] : [];
+  }
+  if (!path) {
+    throw new Error(`Conversion from ${from} to ${to} is not supported`);
+  }
+
+  logger.debug('convert: Converting data', {
+    from,
+    to,
+    options,
+    steps: path.map((step) => `${step.converter.name}: ${step.from} -> ${step.to}`)
+  });
+
+  let result = data;
+  for (const [index, step] of path.entries()) {
+    let stepOptions = options;
+    // Don't transform the data (e.g., rotate an image) at every step, only the last
+    if (index < path.length - 1 && step.converter.transformOptions) {
+      stepOptions = { ...options };
+      step.converter.transformOptions.forEach((option) => delete stepOptions[option]);
+    }
+    result = await step.converter.convert(result, step.from, step.to, stepOptions);
+  }
+
+  if (to === 'text/html' && path.length) {
+    result = Buffer.from(sanitize(result.toString('utf8')), 'utf8');
+  }
+  return result;
+}
+
+// The converters we support out of the box. Each module exports one converter, or a list.
+[
+  require('./markdown'),
+  require('./html'),
+  require('./text'),
+  require('./json'),
+  require('./csv'),
+  require('./image'),
+]
+  .flat()
+  .forEach(register);
+
+module.exports.extensionToMimeType = extensionToMimeType;
+module.exports.register = register;
+module.exports.findPath = findPath;
+module.exports.targetsFor = targetsFor;
+module.exports.canConvert = canConvert;
+module.exports.canConvertDirectly = canConvertDirectly;
+module.exports.needsConversion = needsConversion;
+module.exports.convert = convert;
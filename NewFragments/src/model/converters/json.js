@@ -0,0 +1,35 @@
+// src/model/converters/json.js
+
+// Converts between JSON and YAML
+const yaml = require('js-yaml');
+
+const parseJson = (data) => {
+  try {
+    return JSON.parse(data.toString('utf8'));
+  } catch (err) {
+    throw new Error(`Invalid JSON: ${err.message}`);
+  }
+};
+
+module.exports = [
+  {
+    name: 'json-to-yaml',
+    from: ['application/json'],
+    to: ['application/yaml'],
+    convert: (data) => Buffer.from(yaml.dump(parseJson(data)), 'utf8'),
+  },
+  {
+    name: 'yaml-to-json',
+    from: ['application/yaml'],
+    to: ['application/json'],
+    convert: (data) => {
+      let value;
+      try {
+        value = yaml.load(data.toString('utf8'));
+      } catch (err) {
+        throw new Error(`Invalid YAML: ${err.message}`);
+      }
+      return Buffer.from(JSON.stringify(value ?? null, null, 2), 'utf8');
+    },
+  },
+];
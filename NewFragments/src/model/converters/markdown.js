@@ -0,0 +1,105 @@
+// src/model/converters/markdown.js
+
+// Renders Markdown as HTML (using markdown-it), or as plain text (by rendering
+// the HTML as text, see html.js).
+//
+// Options turn markdown-it features and plugins on or off:
+//  - tables: GitHub-style tables (on by default)
+//  - taskLists: `- [ ]` and `- [x]` list items as checkboxes
+//  - footnotes: `[^1]` references and their notes
+//  - anchors: an id on each heading, so they can be linked to
+//  - toc: a table of contents in place of `[[toc]]`, or at the top (implies anchors)
+//  - highlight: syntax highlighting for fenced code blocks with a language
+const MarkdownIt = require('markdown-it');
+const markdownItAnchor = require('markdown-it-anchor');
+const markdownItFootnote = require('markdown-it-footnote');
+const markdownItTaskLists = require('markdown-it-task-lists');
+const markdownItToc = require('markdown-it-toc-done-right');
+const hljs = require('highlight.js/lib/common');
+const { htmlToText } = require('./html');
+
+// The features we support, and whether they're on when no option is given
+const FEATURES = {
+  tables: true,
+  taskLists: false,
+  footnotes: false,
+  anchors: false,
+  toc: false,
+  highlight: false,
+};
+
+// Highlights code for markdown-it, or returns '' to let it escape the code as usual
+const highlight = (code, language) => {
+  if (!language || !hljs.getLanguage(language)) {
+    return '';
+  }
+  return hljs.highlight(code, { language, ignoreIllegals: true }).value;
+};
+
+/**
+ * Creates a markdown-it instance with the given features turned on
+ * @param {Set<string>} features names from FEATURES
+ * @returns {MarkdownIt}
+ */
+function createRenderer(features) {
+  const md = new MarkdownIt(features.has('highlight') ? { highlight, langPrefix: 'hljs language-' } : {});
+
+  if (!features.has('tables')) {
+    md.disable('table');
+  }
+  if (features.has('taskLists')) {
+    md.use(markdownItTaskLists);
+  }
+  if (features.has('footnotes')) {
+    md.use(markdownItFootnote);
+  }
+  if (features.has('anchors') || features.has('toc')) {
+    md.use(markdownItAnchor);
+  }
+  if (features.has('toc')) {
+    md.use(markdownItToc);
+  }
+
+  return md;
+}
+
+// We only need one renderer per combination of features
+const renderers = new Map();
+
+function getRenderer(options) {
+  const features = new Set(
+    Object.keys(FEATURES).filter((feature) => options[feature] ?? FEATURES[feature])
+  );
+  const key = [...features].join(',');
+
+  if (!renderers.has(key)) {
+    renderers.set(key, createRenderer(features));
+  }
+  return renderers.get(key);
+}
+
+/**
+ * Renders Markdown as HTML
+ * @param {string} markdown
+ * @param {Object} [options] features to turn on or off (see FEATURES)
+ * @returns {string}
+ */
+function render(markdown, options = {}) {
+  // Without a [[toc]] marker, the table of contents goes at the top
+  if (options.toc && !/^\[\[toc\]\]$/im.test(markdown)) {
+    markdown = `[[toc]]\n\n${markdown}`;
+  }
+  return getRenderer(options).render(markdown);
+}
+
+module.exports = {
+  name: 'markdown',
+  from: ['text/markdown'],
+  to: ['text/html', 'text/plain'],
+  convert: (data, from, to, options = {}) => {
+    const html = render(data.toString('utf8'), options);
+    return Buffer.from(to === 'text/html' ? html : htmlToText(html), 'utf8');
+  },
+};
+
+module.exports.render = render;
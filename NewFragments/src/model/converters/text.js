@@ -0,0 +1,22 @@
+// src/model/converters/text.js
+
+// Conversions to and from plain text
+const escapeHtml = (text) =>
+  text.replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+
+module.exports = [
+  {
+    // Plain text is escaped, so it displays as-is in a browser
+    name: 'text-to-html',
+    from: ['text/plain'],
+    to: ['text/html'],
+    convert: (data) => Buffer.from(escapeHtml(data.toString('utf8')), 'utf8'),
+  },
+  {
+    // These are all human-readable text already, so the text itself is the plain text version
+    name: 'to-text',
+    from: ['text/csv', 'application/json', 'application/yaml'],
+    to: ['text/plain'],
+    convert: (data) => data,
+  },
+];
@@ -0,0 +1,431 @@
+// src/model/data/aws/consistency.js
+
+// Checks that the fragments table (DynamoDB) and bucket (S3) agree. A fragment's
+// metadata and data are written separately, so a crash or network failure part
+// way through can leave data without metadata, metadata without data, or a write
+// or delete that never finished (see Fragment.setData() and Fragment.delete()).
+// The scan reports what it finds and can optionally repair it.
+//
+// The service may be writing while we scan, so anything changed within the grace
+// period is left alone, and repairs to metadata only apply if it hasn't changed
+// since the scan. Run it with `npm run storage:check` (see scripts/check-storage.js).
+const { ScanCommand, PutCommand } = require('@aws-sdk/lib-dynamodb');
+const { ListObjectsV2Command, DeleteObjectCommand } = require('@aws-sdk/client-s3');
+const logger = require('../../../logger');
+const { createETag } = require('../../../etag');
+const s3Client = require('./s3Client');
+const ddbDocClient = require('./ddbDocClient');
+const {
+  readFragmentData,
+  writeFragmentData,
+  readFragmentVersionData,
+  deleteFragment,
+} = require('./index');
+const { isNew } = require('../query');
+
+// The kinds of problems we look for
+const ISSUES = {
+  // An object with no metadata
+  ORPHANED_DATA: 'orphaned-data',
+  // A prior version's object that the metadata doesn't list
+  ORPHANED_VERSION: 'orphaned-version',
+  // Committed metadata with no object
+  MISSING_DATA: 'missing-data',
+  // A prior version listed in the metadata, with no object
+  MISSING_VERSION: 'missing-version',
+  // The metadata's size isn't the object's length
+  SIZE_MISMATCH: 'size-mismatch',
+  // A write or delete that never finished (i.e., still pending or deleting)
+  INCOMPLETE: 'incomplete',
+};
+
+// By default, leave anything changed in the last hour alone (it may be in use)
+const DEFAULT_GRACE = 60 * 60;
+
+// Idempotency keys share the table, under their own partition (see ./index.js)
+const isIdempotencyKey = (item) => item.ownerId.startsWith('idempotency#');
+
+// Read every fragment's metadata in the table
+async function scanFragments() {
+  const items = [];
+  let ExclusiveStartKey;
+
+  do {
+    const data = await ddbDocClient.send(
+      new ScanCommand({
+        TableName: process.env.AWS_DYNAMODB_TABLE_NAME,
+        ConsistentRead: true,
+        ExclusiveStartKey,
+      })
+    );
+    items.push(...(data?.Items || []));
+    ExclusiveStartKey = data?.LastEvaluatedKey;
+  } while (ExclusiveStartKey);
+
+  return items.filter((item) => !isIdempotencyKey(item));
+}
+
+// List every object in the bucket
+async function listObjects() {
+  const objects = [];
+  let ContinuationToken;
+
+  do {
+    const page = await s3Client.send(
+      new ListObjectsV2Command({ Bucket: process.env.AWS_S3_BUCKET_NAME, ContinuationToken })
+    );
+    objects.push(...(page.Contents || []));
+    ContinuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+  } while (ContinuationToken);
+
+  return objects;
+}
+
+/**
+ * Works out what an object holds from its key: a fragment's current data
+ * (`${ownerId}/${id}`) or a prior version (`${ownerId}/${id}/versions/${version}`)
+ * @param {string} key the object's key
+ * @returns {{ ownerId: string, id: string, version?: number }|undefined} undefined if it isn't ours
+ */
+function parseKey(key) {
+  const [ownerId, id, ...rest] = key.split('/');
+  if (!ownerId || !id) {
+    return undefined;
+  }
+  if (rest.length === 0) {
+    return { ownerId, id };
+  }
+  if (rest.length === 2 && rest[0] === 'versions' && /^\d+$/.test(rest[1])) {
+    return { ownerId, id, version: Number(rest[1]) };
+  }
+  return undefined;
+}
+
+// Replace a fragment's metadata, as long as it hasn't been written since we read it.
+// Returns false if it had.
+async function replaceFragment(fragment, expected) {
+  const params = {
+    TableName: process.env.AWS_DYNAMODB_TABLE_NAME,
+    Item: fragment,
+    ConditionExpression: [
+      '#version = :version AND #updated = :updated',
+      expected.state ? '#state = :state' : 'attribute_not_exists(#state)',
+      expected.stateSince ? '#stateSince = :stateSince' : 'attribute_not_exists(#stateSince)',
+    ].join(' AND '),
+    ExpressionAttributeNames: {
+      '#version': 'version',
+      '#updated': 'updated',
+      '#state': 'state',
+      '#stateSince': 'stateSince',
+    },
+    ExpressionAttributeValues: {
+      ':version': expected.version,
+      ':updated': expected.updated,
+      ...(expected.state && { ':state': expected.state }),
+      ...(expected.stateSince && { ':stateSince': expected.stateSince }),
+    },
+  };
+
+  try {
+    await ddbDocClient.send(new PutCommand(params));
+    return true;
+  } catch (err) {
+    if (err.name === 'ConditionalCheckFailedException') {
+      return false;
+    }
+    throw err;
+  }
+}
+
+// The committed metadata for a fragment (i.e., without a pending or deleting state)
+function committed(fragment) {
+  const result = { ...fragment, state: 'committed' };
+  delete result.stateSince;
+  return result;
+}
+
+// Make a prior version's archived copy the fragment's current data. We first mark
+// the fragment pending at that version (as long as it hasn't changed since we read
+// it), so readers use the archived copy and a write that started since the scan
+// stops us before we touch the data. Then we copy the data, and commit.
+async function restoreVersion(fragment, version) {
+  const entry = (fragment.versions || []).find((entry) => entry.version === version);
+  const marker = {
+    ...fragment,
+    version,
+    versions: (fragment.versions || []).filter((entry) => entry.version <= version),
+    ...(entry && { type: entry.type, size: entry.size, etag: entry.etag }),
+    state: 'pending',
+    stateSince: new Date().toISOString(),
+  };
+  if (!(await replaceFragment(marker, fragment))) {
+    return false;
+  }
+
+  const data = await readFragmentVersionData(fragment.ownerId, fragment.id, version);
+  await writeFragmentData(fragment.ownerId, fragment.id, data);
+  return replaceFragment(committed(marker), marker);
+}
+
+// Delete an object from the bucket
+function deleteObject(Key) {
+  return s3Client.send(new DeleteObjectCommand({ Bucket: process.env.AWS_S3_BUCKET_NAME, Key }));
+}
+
+// Finish a write or delete that never did: deletes are completed, as are new
+// fragments that never got their data (there's nothing to keep), and updates are
+// rolled back to the archived copy of the current version. Either way, we only
+// touch the data once a conditional write of the metadata tells us nothing else has.
+async function finishIncomplete(fragment) {
+  if (fragment.state === 'deleting' || isNew(fragment)) {
+    const claimed = { ...fragment, stateSince: new Date().toISOString() };
+    if (!(await replaceFragment(claimed, fragment))) {
+      return false;
+    }
+    await deleteFragment(fragment.ownerId, fragment.id);
+    return true;
+  }
+
+  return restoreVersion(fragment, fragment.version);
+}
+
+// Bring a fragment's metadata in line with its data: the size and etag come from
+// the data, and prior versions whose data is gone are forgotten.
+async function repairMetadata(fragment, missingVersions) {
+  const data = await readFragmentData(fragment.ownerId, fragment.id);
+  const size = data.length;
+  const etag = createETag(data);
+
+  const versions = (fragment.versions || [])
+    .filter(({ version }) => !missingVersions.includes(version))
+    .map((entry) => (entry.version === fragment.version ? { ...entry, size, etag } : entry));
+
+  return replaceFragment({ ...fragment, size, etag, versions }, fragment);
+}
+
+/**
+ * @typedef {Object} Issue
+ * @property {string} type one of ISSUES
+ * @property {string} ownerId the owner of the fragment
+ * @property {string} id the fragment's id
+ * @property {string} [key] the object's key, for issues with an object
+ * @property {number} [version] the version, for issues with a prior version
+ * @property {string} message what's wrong
+ * @property {boolean} repaired whether it was repaired
+ * @property {string} [error] why it couldn't be repaired, if we tried
+ */
+
+/**
+ * Scans the fragments table and bucket for data and metadata that don't agree
+ * @param {Object} [options]
+ * @param {boolean} [options.repair=false] whether to repair what we find
+ * @param {number} [options.grace] leave fragments and objects changed within this many seconds alone
+ * @param {number} [options.now] the time to measure the grace period from (defaults to now)
+ * @returns {Promise<{ fragments: number, objects: number, issues: Array<Issue> }>}
+ */
+async function checkConsistency({ repair = false, grace = DEFAULT_GRACE, now = Date.now() } = {}) {
+  logger.info('checkConsistency: Scanning fragments table and bucket', { repair, grace });
+
+  const cutoff = now - grace * 1000;
+  const isRecent = (date) => new Date(date).getTime() > cutoff;
+
+  const fragments = await scanFragments();
+  const objects = await listObjects();
+
+  // Index the objects by fragment (`${ownerId}/${id}`)
+  const current = new Map();
+  const archived = new Map();
+  for (const object of objects) {
+    const parsed = parseKey(object.Key);
+    if (!parsed) {
+      logger.warn('checkConsistency: Skipping unrecognized object', { key: object.Key });
+      continue;
+    }
+
+    const key = `${parsed.ownerId}/${parsed.id}`;
+    if (parsed.version === undefined) {
+      current.set(key, object);
+    } else {
+      if (!archived.has(key)) {
+        archived.set(key, new Map());
+      }
+      archived.get(key).set(parsed.version, object);
+    }
+  }
+
+  const issues = [];
+
+  // Record an issue, repairing it if we've been asked to
+  const found = async (issue, fix) => {
+    const entry = { ...issue, repaired: false };
+    issues.push(entry);
+    logger.warn('checkConsistency: Found an issue', entry);
+
+    if (repair && fix) {
+      try {
+        entry.repaired = await fix();
+        if (!entry.repaired) {
+          entry.error = 'the fragment changed during the scan';
+        }
+      } catch (err) {
+        entry.error = err.message;
+        logger.error('checkConsistency: Unable to repair issue', { ...entry });
+      }
+    }
+  };
+
+  for (const fragment of fragments) {
+    const { ownerId, id } = fragment;
+    const key = `${ownerId}/${id}`;
+    const versions = archived.get(key) || new Map();
+    archived.delete(key);
+    const object = current.get(key);
+    current.delete(key);
+
+    // It may be in the middle of being written. Pending and deleting markers keep the
+    // old updated time, so we also check when the fragment went into that state.
+    if (isRecent(fragment.updated) || (fragment.stateSince && isRecent(fragment.stateSince))) {
+      continue;
+    }
+
+    // A new fragment with data may be an update of a fragment stored before we kept
+    // versions, made before such updates archived the existing data first. We can't
+    // tell which, and deleting it could lose the user's data.
+    if (isNew(fragment) && object) {
+      await found({
+        type: ISSUES.INCOMPLETE,
+        ownerId,
+        id,
+        message: 'write never finished, and it may have replaced existing data (repair it manually)',
+      });
+      continue;
+    }
+
+    if (fragment.state === 'pending' || fragment.state === 'deleting') {
+      await found(
+        {
+          type: ISSUES.INCOMPLETE,
+          ownerId,
+          id,
+          message: `${fragment.state === 'deleting' ? 'delete' : 'write'} never finished`,
+        },
+        () => finishIncomplete(fragment)
+      );
+      continue;
+    }
+
+    if (!object) {
+      // Deleting the fragment would lose its history too, so we can only restore the
+      // newest prior version we still have (which may be a copy of the current one)
+      const newest = (fragment.versions || [])
+        .map(({ version }) => version)
+        .filter((version) => versions.has(version))
+        .sort((a, b) => b - a)[0];
+      await found(
+        {
+          type: ISSUES.MISSING_DATA,
+          ownerId,
+          id,
+          key,
+          message:
+            newest === undefined
+              ? 'no data for the fragment, and no prior version to restore (repair it manually)'
+              : `no data for the fragment, restore version ${newest}`,
+        },
+        newest === undefined ? undefined : () => restoreVersion(fragment, newest)
+      );
+      continue;
+    }
+
+    const problems = [];
+    if (object.Size !== fragment.size) {
+      problems.push({
+        type: ISSUES.SIZE_MISMATCH,
+        ownerId,
+        id,
+        key,
+        message: `metadata size is ${fragment.size}, data is ${object.Size} bytes`,
+      });
+    }
+
+    const listed = (fragment.versions || []).map(({ version }) => version);
+    const missingVersions = listed.filter(
+      (version) => version !== fragment.version && !versions.has(version)
+    );
+    for (const version of missingVersions) {
+      problems.push({
+        type: ISSUES.MISSING_VERSION,
+        ownerId,
+        id,
+        version,
+        message: `no data for version ${version}`,
+      });
+    }
+
+    // One metadata repair covers all of the fragment's problems
+    let repaired;
+    for (const problem of problems) {
+      await found(problem, () => {
+        repaired = repaired || repairMetadata(fragment, missingVersions);
+        return repaired;
+      });
+    }
+
+    for (const [version, versionObject] of versions) {
+      if (!listed.includes(version) && !isRecent(versionObject.LastModified)) {
+        await found(
+          {
+            type: ISSUES.ORPHANED_VERSION,
+            ownerId,
+            id,
+            key: versionObject.Key,
+            version,
+            message: `version ${version} isn't in the fragment's history`,
+          },
+          async () => {
+            await deleteObject(versionObject.Key);
+            return true;
+          }
+        );
+      }
+    }
+  }
+
+  // Whatever's left has no metadata
+  const orphans = [...current.values(), ...[...archived.values()].flatMap((map) => [...map.values()])];
+  for (const object of orphans) {
+    if (isRecent(object.LastModified)) {
+      continue;
+    }
+
+    const { ownerId, id, version } = parseKey(object.Key);
+    await found(
+      {
+        type: version === undefined ? ISSUES.ORPHANED_DATA : ISSUES.ORPHANED_VERSION,
+        ownerId,
+        id,
+        key: object.Key,
+        ...(version !== undefined && { version }),
+        message: 'no metadata for the data',
+      },
+      async () => {
+        await deleteObject(object.Key);
+        return true;
+      }
+    );
+  }
+
+  logger.info('checkConsistency: Scan complete', {
+    fragments: fragments.length,
+    objects: objects.length,
+    issues: issues.length,
+    repaired: issues.filter(({ repaired }) => repaired).length,
+  });
+
+  return { fragments: fragments.length, objects: objects.length, issues };
+}
+
+module.exports.ISSUES = ISSUES;
+module.exports.DEFAULT_GRACE = DEFAULT_GRACE;
+module.exports.parseKey = parseKey;
+module.exports.checkConsistency = checkConsistency;
@@ -1,11 +1,56 @@
 const logger = require('../../../logger');
 const s3Client = require('./s3Client');
 const ddbDocClient = require('./ddbDocClient');
-const { PutObjectCommand, GetObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3');
-const { PutCommand, GetCommand, QueryCommand, DeleteCommand } = require('@aws-sdk/lib-dynamodb');
+const {
+  PutObjectCommand,
+  GetObjectCommand,
+  DeleteObjectCommand,
+  CopyObjectCommand,
+  ListObjectsV2Command,
+  DeleteObjectsCommand,
+} = require('@aws-sdk/client-s3');
+const {
+  PutCommand,
+  GetCommand,
+  QueryCommand,
+  DeleteCommand,
+  ScanCommand,
+  BatchWriteCommand,
+} = require('@aws-sdk/lib-dynamodb');
+const { paginate, matchesFilters, encodeCursor, CONDITION_FIELDS } = require('../query');
+
+// The ConditionExpression for a write that only goes ahead if the stored metadata
+// is still what we expect (see isUnchanged() in ../query.js)
+function unchangedCondition(expected) {
+  const conditions = ['attribute_exists(id)'];
+  const names = {};
+  const values = {};
+
+  CONDITION_FIELDS.forEach((field, index) => {
+    const name = `#c${index}`;
+    names[name] = field;
+    if (field === 'state' && (expected.state || 'committed') === 'committed') {
+      // Fragments stored before we kept a state are committed
+      values[`:c${index}`] = 'committed';
+      conditions.push(`(attribute_not_exists(${name}) OR ${name} = :c${index})`);
+    } else if (expected[field] === undefined) {
+      conditions.push(`attribute_not_exists(${name})`);
+    } else {
+      values[`:c${index}`] = expected[field];
+      conditions.push(`${name} = :c${index}`);
+    }
+  });
+
+  return {
+    ConditionExpression: conditions.join(' AND '),
+    ExpressionAttributeNames: names,
+    ExpressionAttributeValues: values,
+  };
+}
 
-// Writes a fragment to DynamoDB. Returns a Promise.
-async function writeFragment(fragment) {
+// Writes a fragment to DynamoDB. If `expected` (the metadata as it was read) is
+// given, only writes it if the fragment hasn't changed since. Returns a Promise
+async function writeFragment(fragment, expected) {
   logger.debug('writeFragment: Writing fragment metadata to DynamoDB', {
     ownerId: fragment.ownerId,
     id: fragment.id,
@@ -17,6 +62,8 @@ async function writeFragment(fragment) {
   const params = {
     TableName: process.env.AWS_DYNAMODB_TABLE_NAME,
     Item: fragment,
+    // Only write if nobody has changed the fragment since it was read
+    ...(expected && unchangedCondition(expected)),
   };
 
   // Create a PUT command to send to DynamoDB
@@ -29,6 +76,13 @@ async function writeFragment(fragment) {
       id: fragment.id
     });
   } catch (err) {
+    if (expected && err.name === 'ConditionalCheckFailedException') {
+      logger.warn('writeFragment: Fragment changed since it was read', {
+        ownerId: fragment.ownerId,
+        id: fragment.id
+      });
+      throw new Error(`Fragment changed: ${fragment.id}`);
+    }
     logger.warn({ err, params, fragment }, 'error writing fragment to DynamoDB');
     throw err;
   }
@@ -135,12 +189,17 @@ const streamToBuffer = (stream) =>
     stream.on('end', () => resolve(Buffer.concat(chunks)));
   });
 
-// Reads a fragment's data from S3 and returns (Promise<Buffer>)
+// S3 says an object doesn't exist with a NoSuchKey error
+const isMissingObject = (err) => err.name === 'NoSuchKey';
+
+// Reads a fragment's data from S3 and returns (Promise<Buffer|undefined>). If an (inclusive)
+// byte range { start, end } is given, S3 only sends us those bytes.
 // https://github.com/awsdocs/aws-sdk-for-javascript-v3/blob/main/doc_source/s3-example-creating-buckets.md#getting-a-file-from-an-amazon-s3-bucket
-async function readFragmentData(ownerId, id) {
+async function readFragmentData(ownerId, id, range) {
   logger.debug('readFragmentData: Reading fragment data from S3', {
     ownerId,
-    id
+    id,
+    range
   });
 
   // Create the GET API params from our details
@@ -150,6 +209,11 @@ async function readFragmentData(ownerId, id) {
     Key: `${ownerId}/${id}`,
   };
 
+  // https://docs.aws.amazon.com/AmazonS3/latest/API/API_GetObject.html#API_GetObject_RequestSyntax
+  if (range) {
+    params.Range = `bytes=${range.start}-${range.end}`;
+  }
+
   // Create a GET Object command to send to S3
   const command = new GetObjectCommand(params);
 
@@ -165,12 +229,165 @@ async function readFragmentData(ownerId, id) {
     });
     return buffer;
   } catch (err) {
+    // Like the other backends, there's nothing to return if there's no data
+    if (isMissingObject(err)) {
+      return undefined;
+    }
     const { Bucket, Key } = params;
     logger.error({ err, Bucket, Key }, 'Error streaming fragment data from S3');
     throw new Error('unable to read fragment data');
   }
 }
 
+// Prior versions of a fragment's data live alongside the current data in S3,
+// under `${ownerId}/${id}/versions/${version}`
+const versionsPrefix = (ownerId, id) => `${ownerId}/${id}/versions/`;
+
+// Copies a fragment's current data in S3 into the given version slot, without
+// downloading it first. Returns a Promise
+// https://docs.aws.amazon.com/AmazonS3/latest/API/API_CopyObject.html
+async function archiveFragmentData(ownerId, id, version) {
+  logger.debug('archiveFragmentData: Archiving fragment data in S3', {
+    ownerId,
+    id,
+    version
+  });
+
+  const params = {
+    Bucket: process.env.AWS_S3_BUCKET_NAME,
+    // CopySource is the bucket and key of the object to copy, URL encoded
+    CopySource: encodeURI(`${process.env.AWS_S3_BUCKET_NAME}/${ownerId}/${id}`),
+    Key: `${versionsPrefix(ownerId, id)}${version}`,
+  };
+
+  try {
+    await s3Client.send(new CopyObjectCommand(params));
+  } catch (err) {
+    const { Bucket, CopySource, Key } = params;
+    logger.error({ err, Bucket, CopySource, Key }, 'Error archiving fragment data in S3');
+    throw new Error('unable to archive fragment data');
+  }
+}
+
+// Reads a prior version of a fragment's data from S3. Returns a Promise<Buffer|undefined>
+async function readFragmentVersionData(ownerId, id, version) {
+  logger.debug('readFragmentVersionData: Reading fragment version data from S3', {
+    ownerId,
+    id,
+    version
+  });
+
+  const params = {
+    Bucket: process.env.AWS_S3_BUCKET_NAME,
+    Key: `${versionsPrefix(ownerId, id)}${version}`,
+  };
+
+  try {
+    const data = await s3Client.send(new GetObjectCommand(params));
+    return await streamToBuffer(data.Body);
+  } catch (err) {
+    if (isMissingObject(err)) {
+      return undefined;
+    }
+    const { Bucket, Key } = params;
+    logger.error({ err, Bucket, Key }, 'Error streaming fragment version data from S3');
+    throw new Error('unable to read fragment version data');
+  }
+}
+
+// Deletes a prior version of a fragment's data from S3. Returns a Promise
+async function deleteFragmentVersionData(ownerId, id, version) {
+  logger.debug('deleteFragmentVersionData: Deleting fragment version data from S3', {
+    ownerId,
+    id,
+    version
+  });
+
+  const params = {
+    Bucket: process.env.AWS_S3_BUCKET_NAME,
+    Key: `${versionsPrefix(ownerId, id)}${version}`,
+  };
+
+  try {
+    await s3Client.send(new DeleteObjectCommand(params));
+  } catch (err) {
+    const { Bucket, Key } = params;
+    logger.error({ err, Bucket, Key }, 'Error deleting fragment version data from S3');
+    throw new Error('unable to delete fragment version data');
+  }
+}
+
+// Deletes every prior version of a fragment's data from S3. Returns a Promise
+async function deleteAllFragmentVersionData(ownerId, id) {
+  const Bucket = process.env.AWS_S3_BUCKET_NAME;
+  let ContinuationToken;
+
+  do {
+    const page = await s3Client.send(
+      new ListObjectsV2Command({ Bucket, Prefix: versionsPrefix(ownerId, id), ContinuationToken })
+    );
+    const objects = (page.Contents || []).map(({ Key }) => ({ Key }));
+    if (objects.length) {
+      await s3Client.send(new DeleteObjectsCommand({ Bucket, Delete: { Objects: objects } }));
+    }
+    ContinuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+  } while (ContinuationToken);
+}
+
+// Run a DynamoDB Query, following LastEvaluatedKey until every matching item
+// has been read. A single Query only returns up to 1MB of items, see:
+// https://docs.aws.amazon.com/amazondynamodb/latest/developerguide/Query.Pagination.html
+async function queryAll(params) {
+  const items = [];
+  let ExclusiveStartKey;
+
+  do {
+    const data = await ddbDocClient.send(new QueryCommand({ ...params, ExclusiveStartKey }));
+    items.push(...(data?.Items || []));
+    ExclusiveStartKey = data?.LastEvaluatedKey;
+  } while (ExclusiveStartKey);
+
+  return items;
+}
+
+// A filter for the fragments readers should see, i.e., not new ones that haven't
+// been committed, or ones being deleted (see isVisible() in ../query.js)
+const visibleFilter = {
+  expression:
+    'attribute_not_exists(#state) OR #state = :committed OR ' +
+    '(#state = :pending AND (#version > :zero OR size(#versions) > :zero))',
+  names: { '#state': 'state', '#version': 'version', '#versions': 'versions' },
+  values: { ':committed': 'committed', ':pending': 'pending', ':zero': 0 },
+};
+
+// Get the ids of every owner with fragments in DynamoDB, sorted. This has to scan
+// the whole table, so it's only for tools (e.g., exporting everything), not requests.
+// Returns a Promise<Array<string>>
+async function listOwners() {
+  logger.debug('listOwners: Listing owners from DynamoDB');
+
+  const owners = new Set();
+  let ExclusiveStartKey;
+  do {
+    const data = await ddbDocClient.send(
+      new ScanCommand({
+        TableName: process.env.AWS_DYNAMODB_TABLE_NAME,
+        ProjectionExpression: 'ownerId',
+        ExclusiveStartKey,
+      })
+    );
+    for (const { ownerId } of data?.Items || []) {
+      // Idempotency keys have a partition of their own (see below)
+      if (!ownerId.startsWith('idempotency#')) {
+        owners.add(ownerId);
+      }
+    }
+    ExclusiveStartKey = data?.LastEvaluatedKey;
+  } while (ExclusiveStartKey);
+
+  return [...owners].sort();
+}
+
 // Get a list of fragments, either ids-only, or full Objects, for the given user.
 // Returns a Promise<Array<Fragment>|Array<string>|undefined>
 async function listFragments(ownerId, expand = false) {
@@ -188,7 +405,12 @@ async function listFragments(ownerId, expand = false) {
     // Use the `ownerId` value to do the query
     ExpressionAttributeValues: {
       ':ownerId': ownerId,
+      ...visibleFilter.values,
     },
+    // Leave out fragments that are half written or deleted. DynamoDB filters
+    // items before projecting them, so this works for ids-only lists too.
+    FilterExpression: visibleFilter.expression,
+    ExpressionAttributeNames: visibleFilter.names,
   };
 
   // Limit to only `id` if we aren't supposed to expand. Without doing this
@@ -199,15 +421,12 @@ async function listFragments(ownerId, expand = false) {
     params.ProjectionExpression = 'id';
   }
 
-  // Create a QUERY command to send to DynamoDB
-  const command = new QueryCommand(params);
-
   try {
-    // Wait for the data to come back from AWS
-    const data = await ddbDocClient.send(command);
+    // Wait for all pages of data to come back from AWS
+    const items = await queryAll(params);
 
     // If we don't get anything back, return empty array
-    if (!data?.Items || data.Items.length === 0) {
+    if (items.length === 0) {
       logger.debug('listFragments: No fragments found for user', {
         ownerId
       });
@@ -216,21 +435,107 @@ async function listFragments(ownerId, expand = false) {
 
     logger.debug('listFragments: Found fragments for user', {
       ownerId,
-      count: data.Items.length,
+      count: items.length,
       expand
     });
 
     // If we haven't expanded to include all attributes, remap this array from
     // [ {"id":"b9e7a264-630f-436d-a785-27f30233faea"}, {"id":"dad25b07-8cd6-498b-9aaf-46d358ea97fe"} ,... ] to
     // [ "b9e7a264-630f-436d-a785-27f30233faea", "dad25b07-8cd6-498b-9aaf-46d358ea97fe", ... ]
-    return !expand ? data.Items.map((item) => item.id) : data.Items;
+    return !expand ? items.map((item) => item.id) : items;
   } catch (err) {
     logger.error({ err, params }, 'error getting all fragments for user from DynamoDB');
     throw err;
   }
 }
 
-// Delete a fragment's metadata and data. Returns a Promise
+// Get one page of a user's fragments, filtered and sorted according to `options`
+// (see ../query.js). Returns a Promise<{ fragments, next }>
+async function listFragmentsPage(ownerId, options = {}) {
+  logger.debug('listFragmentsPage: Listing a page of fragments for user from DynamoDB', {
+    ownerId,
+    options
+  });
+
+  const { limit, cursor, createdAfter, updatedBefore, sort = 'id' } = options;
+
+  const params = {
+    TableName: process.env.AWS_DYNAMODB_TABLE_NAME,
+    KeyConditionExpression: 'ownerId = :ownerId',
+    ExpressionAttributeValues: {
+      ':ownerId': ownerId,
+    },
+  };
+
+  // Let DynamoDB leave out hidden fragments and do the date filtering for us, so
+  // fewer items come back over the wire. Type filters (e.g., `image/*`) need the Content-Type parsed, so
+  // we apply those ourselves with matchesFilters().
+  const filters = [`(${visibleFilter.expression})`];
+  const names = { ...visibleFilter.names };
+  Object.assign(params.ExpressionAttributeValues, visibleFilter.values);
+  if (createdAfter) {
+    filters.push('#created > :createdAfter');
+    names['#created'] = 'created';
+    params.ExpressionAttributeValues[':createdAfter'] = createdAfter;
+  }
+  if (updatedBefore) {
+    filters.push('#updated < :updatedBefore');
+    names['#updated'] = 'updated';
+    params.ExpressionAttributeValues[':updatedBefore'] = updatedBefore;
+  }
+  params.FilterExpression = filters.join(' AND ');
+  params.ExpressionAttributeNames = names;
+
+  try {
+    // Items come back from DynamoDB ordered by our sort key (id), so we can
+    // page through them directly, stopping as soon as we have one more item than
+    // we need (which tells us whether there is a next page).
+    if (sort === 'id' && limit) {
+      const items = [];
+      let ExclusiveStartKey = cursor ? { ownerId, id: cursor.id } : undefined;
+
+      do {
+        const data = await ddbDocClient.send(new QueryCommand({ ...params, ExclusiveStartKey }));
+        items.push(...(data?.Items || []).filter((item) => matchesFilters(item, options)));
+        ExclusiveStartKey = data?.LastEvaluatedKey;
+      } while (ExclusiveStartKey && items.length <= limit);
+
+      const page = items.slice(0, limit);
+      const next = items.length > limit ? encodeCursor(page[page.length - 1], sort) : null;
+
+      logger.debug('listFragmentsPage: Returning page of fragments from DynamoDB', {
+        ownerId,
+        count: page.length,
+        hasNext: !!next
+      });
+
+      return {
+        fragments: options.expand ? page : page.map((item) => item.id),
+        next,
+      };
+    }
+
+    // Any other order means we have to read all of the user's fragments
+    // before we can sort them and find the requested page.
+    const page = paginate(await queryAll(params), options);
+
+    logger.debug('listFragmentsPage: Returning page of fragments from DynamoDB', {
+      ownerId,
+      count: page.fragments.length,
+      hasNext: !!page.next
+    });
+
+    return {
+      fragments: options.expand ? page.fragments : page.fragments.map((item) => item.id),
+      next: page.next,
+    };
+  } catch (err) {
+    logger.error({ err, params }, 'error getting page of fragments for user from DynamoDB');
+    throw err;
+  }
+}
+
+// Delete a fragment's data and metadata. Returns a Promise
 async function deleteFragment(ownerId, id) {
   logger.debug('deleteFragment: Deleting fragment', {
     ownerId,
@@ -251,41 +556,218 @@ async function deleteFragment(ownerId, id) {
   const ddbParams = {
     TableName: process.env.AWS_DYNAMODB_TABLE_NAME,
     Key: { ownerId, id },
+    // Fail (like the other backends) if there's no metadata to delete
+    ConditionExpression: 'attribute_exists(id)',
   };
 
   // Create a DELETE command to send to DynamoDB
   const ddbCommand = new DeleteCommand(ddbParams);
 
   try {
-    // Delete both metadata and data in parallel
-    await Promise.all([
-      // Delete metadata from DynamoDB
-      ddbDocClient.send(ddbCommand),
-      // Delete data from S3
-      s3Client.send(s3Command),
-    ]);
+    // Delete the data before the metadata, so if we fail part way through, the
+    // metadata is still there to tell us about any data that's left.
+    // Delete any prior versions of the data from S3
+    await deleteAllFragmentVersionData(ownerId, id);
+    // Delete data from S3
+    await s3Client.send(s3Command);
+    // Delete metadata from DynamoDB
+    await ddbDocClient.send(ddbCommand);
     logger.info('deleteFragment: Fragment deleted successfully', {
       ownerId,
       id
     });
   } catch (err) {
+    if (err.name === 'ConditionalCheckFailedException') {
+      throw new Error(`missing metadata for fragment ${id}`);
+    }
     logger.error({ err, ddbParams, s3Params, ownerId, id }, 'Error deleting fragment');
     throw err;
   }
 }
 
-// Reset function (no-op for DynamoDB, kept for API compatibility)
-function reset() {
-  // DynamoDB doesn't have a simple reset operation
-  // This is kept for API compatibility with tests
-  logger.debug('reset: No-op for DynamoDB backend');
+// Idempotency keys live in the fragments table, under a partition key of their own
+// so they never show up in a user's fragments. Their `expires` (epoch seconds) can
+// be used as the table's TTL attribute, so DynamoDB removes them for us, see:
+// https://docs.aws.amazon.com/amazondynamodb/latest/developerguide/TTL.html
+const idempotencyKeysPartition = (ownerId) => `idempotency#${ownerId}`;
+
+// Stores an idempotency key's record, unless the owner already has a record for
+// the key that hasn't expired. Returns a Promise with the existing record, or
+// undefined if the key was claimed.
+async function claimIdempotencyKey(ownerId, key, record) {
+  logger.debug('claimIdempotencyKey: Claiming idempotency key in DynamoDB', { ownerId, key });
+
+  const TableName = process.env.AWS_DYNAMODB_TABLE_NAME;
+  const Key = { ownerId: idempotencyKeysPartition(ownerId), id: key };
+  const params = {
+    TableName,
+    Item: { ...record, ...Key },
+    // TTL deletion isn't immediate, so an expired record can still be there
+    ConditionExpression: 'attribute_not_exists(id) OR expires <= :now',
+    ExpressionAttributeValues: { ':now': Math.floor(Date.now() / 1000) },
+  };
+
+  try {
+    await ddbDocClient.send(new PutCommand(params));
+    return undefined;
+  } catch (err) {
+    if (err.name !== 'ConditionalCheckFailedException') {
+      logger.error({ err, params }, 'error claiming idempotency key in DynamoDB');
+      throw err;
+    }
+  }
+
+  // Someone else has the key, so return what they stored
+  const data = await ddbDocClient.send(new GetCommand({ TableName, Key, ConsistentRead: true }));
+  if (!data?.Item) {
+    // It was deleted in the meantime (e.g., the other request failed), so try again
+    return claimIdempotencyKey(ownerId, key, record);
+  }
+  const existing = { ...data.Item };
+  delete existing.ownerId;
+  delete existing.id;
+  return existing;
+}
+
+// Replaces an idempotency key's record (e.g., once the request is complete). Returns a Promise
+async function writeIdempotencyKey(ownerId, key, record) {
+  logger.debug('writeIdempotencyKey: Writing idempotency key to DynamoDB', { ownerId, key });
+
+  const params = {
+    TableName: process.env.AWS_DYNAMODB_TABLE_NAME,
+    Item: { ...record, ownerId: idempotencyKeysPartition(ownerId), id: key },
+  };
+
+  try {
+    await ddbDocClient.send(new PutCommand(params));
+  } catch (err) {
+    logger.error({ err, params }, 'error writing idempotency key to DynamoDB');
+    throw err;
+  }
+}
+
+// Forgets an idempotency key (e.g., if the request failed). Returns a Promise
+async function deleteIdempotencyKey(ownerId, key) {
+  logger.debug('deleteIdempotencyKey: Deleting idempotency key from DynamoDB', { ownerId, key });
+
+  const params = {
+    TableName: process.env.AWS_DYNAMODB_TABLE_NAME,
+    Key: { ownerId: idempotencyKeysPartition(ownerId), id: key },
+  };
+
+  try {
+    await ddbDocClient.send(new DeleteCommand(params));
+  } catch (err) {
+    logger.error({ err, params }, 'error deleting idempotency key from DynamoDB');
+    throw err;
+  }
+}
+
+// DynamoDB deletes at most 25 items per BatchWriteItem request
+const BATCH_WRITE_LIMIT = 25;
+
+// Deletes every item in the table. Returns a Promise
+async function deleteAllItems() {
+  const TableName = process.env.AWS_DYNAMODB_TABLE_NAME;
+  let ExclusiveStartKey;
+
+  do {
+    const data = await ddbDocClient.send(
+      new ScanCommand({ TableName, ProjectionExpression: 'ownerId, id', ExclusiveStartKey })
+    );
+    const keys = data?.Items || [];
+
+    for (let i = 0; i < keys.length; i += BATCH_WRITE_LIMIT) {
+      let requests = keys
+        .slice(i, i + BATCH_WRITE_LIMIT)
+        .map((Key) => ({ DeleteRequest: { Key } }));
+      // Retry anything DynamoDB didn't get to (e.g., if we're throttled)
+      while (requests.length) {
+        const result = await ddbDocClient.send(
+          new BatchWriteCommand({ RequestItems: { [TableName]: requests } })
+        );
+        requests = result?.UnprocessedItems?.[TableName] || [];
+      }
+    }
+    ExclusiveStartKey = data?.LastEvaluatedKey;
+  } while (ExclusiveStartKey);
+}
+
+// Deletes every object in the bucket. Returns a Promise
+async function deleteAllObjects() {
+  const Bucket = process.env.AWS_S3_BUCKET_NAME;
+  let ContinuationToken;
+
+  do {
+    // A page has at most 1000 keys, which is as many as DeleteObjects takes
+    const page = await s3Client.send(new ListObjectsV2Command({ Bucket, ContinuationToken }));
+    const objects = (page.Contents || []).map(({ Key }) => ({ Key }));
+    if (objects.length) {
+      await s3Client.send(new DeleteObjectsCommand({ Bucket, Delete: { Objects: objects } }));
+    }
+    ContinuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+  } while (ContinuationToken);
+}
+
+// Whether an endpoint URL points at this machine, or at a container next to it (e.g., the
+// localstack or dynamodb-local services in docker-compose.yml, whose names have no dots)
+function isLocalEndpoint(endpoint) {
+  let hostname;
+  try {
+    ({ hostname } = new URL(endpoint));
+  } catch {
+    return false;
+  }
+  return (
+    hostname === 'localhost' ||
+    hostname.endsWith('.localhost') ||
+    /^127(\.\d{1,3}){3}$/.test(hostname) ||
+    hostname === '[::1]' ||
+    /^[a-z0-9-]+$/i.test(hostname)
+  );
+}
+
+// Remove everything from the table and bucket (useful for testing, e.g., against
+// LocalStack and DynamoDB Local). Only runs against local endpoints for both S3 and
+// DynamoDB, or if FRAGMENTS_ALLOW_AWS_RESET=1, and never in production. Returns a Promise
+async function reset() {
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('refusing to reset AWS storage in production');
+  }
+
+  const isLocal =
+    isLocalEndpoint(process.env.AWS_S3_ENDPOINT_URL) &&
+    isLocalEndpoint(process.env.AWS_DYNAMODB_ENDPOINT_URL);
+  if (!isLocal && process.env.FRAGMENTS_ALLOW_AWS_RESET !== '1') {
+    throw new Error(
+      'refusing to reset AWS storage without local AWS_S3_ENDPOINT_URL and AWS_DYNAMODB_ENDPOINT_URL (or FRAGMENTS_ALLOW_AWS_RESET=1)'
+    );
+  }
+
+  logger.warn(
+    {
+      Bucket: process.env.AWS_S3_BUCKET_NAME,
+      TableName: process.env.AWS_DYNAMODB_TABLE_NAME,
+    },
+    'reset: Deleting everything from S3 and DynamoDB'
+  );
+  await deleteAllObjects();
+  await deleteAllItems();
 }
 
 module.exports.listFragments = listFragments;
+module.exports.listFragmentsPage = listFragmentsPage;
+module.exports.listOwners = listOwners;
 module.exports.writeFragment = writeFragment;
 module.exports.readFragment = readFragment;
 module.exports.writeFragmentData = writeFragmentData;
 module.exports.readFragmentData = readFragmentData;
 module.exports.deleteFragment = deleteFragment;
+module.exports.archiveFragmentData = archiveFragmentData;
+module.exports.readFragmentVersionData = readFragmentVersionData;
+module.exports.deleteFragmentVersionData = deleteFragmentVersionData;
+module.exports.claimIdempotencyKey = claimIdempotencyKey;
+module.exports.writeIdempotencyKey = writeIdempotencyKey;
+module.exports.deleteIdempotencyKey = deleteIdempotencyKey;
 module.exports.reset = reset;
 
@@ -0,0 +1,99 @@
+// src/model/data/backends.js
+
+// The storage backends we know about, by the name used in FRAGMENTS_BACKEND. Each
+// one implements the same interface (see ./memory for the reference version, and
+// tests/conformance/backend.js for the tests every backend has to pass). They're
+// only loaded when they're used, since some need native modules or cloud services.
+const logger = require('../../logger');
+
+const backends = {
+  // Everything is lost when the server stops (the default, for development and tests)
+  memory: {
+    load: () => require('./memory'),
+  },
+  // Files under FRAGMENTS_FS_DIR
+  fs: {
+    load: () => require('./fs'),
+  },
+  // A database file at FRAGMENTS_SQLITE_FILE
+  sqlite: {
+    load: () => require('./sqlite'),
+  },
+  // Data in S3 and metadata in DynamoDB
+  aws: {
+    load: () => require('./aws'),
+    requires: ['AWS_REGION', 'AWS_S3_BUCKET_NAME', 'AWS_DYNAMODB_TABLE_NAME'],
+  },
+};
+
+// The backend we use if FRAGMENTS_BACKEND isn't set
+const DEFAULT_BACKEND = 'memory';
+
+/**
+ * Returns the names of all the backends we know about
+ * @returns {Array<string>}
+ */
+function backendNames() {
+  return Object.keys(backends);
+}
+
+/**
+ * Works out which backend the environment asks for, and checks that it has the
+ * settings that backend needs. Throws if FRAGMENTS_BACKEND isn't a backend we know,
+ * or a required setting is missing, or if it isn't set in production with AWS_REGION
+ * set (which used to mean AWS).
+ * @param {Object} env the environment (defaults to process.env)
+ * @returns {string} the backend's name
+ */
+function selectBackend(env = process.env) {
+  const value = env.FRAGMENTS_BACKEND;
+
+  if (value === undefined || value.trim() === '') {
+    // We used to pick AWS whenever a region was set. A server relying on that would
+    // lose everything it stores when it stops, so in production we refuse to guess.
+    if (env.AWS_REGION && env.NODE_ENV === 'production') {
+      throw new Error(
+        `FRAGMENTS_BACKEND is not set, but AWS_REGION is. Set FRAGMENTS_BACKEND=aws to use S3 and DynamoDB, or FRAGMENTS_BACKEND=${DEFAULT_BACKEND}`
+      );
+    }
+    if (env.AWS_REGION) {
+      logger.warn(
+        { AWS_REGION: env.AWS_REGION },
+        `FRAGMENTS_BACKEND is not set, using ${DEFAULT_BACKEND} storage. Set FRAGMENTS_BACKEND=aws to use S3 and DynamoDB`
+      );
+    }
+    return DEFAULT_BACKEND;
+  }
+
+  const name = value.trim().toLowerCase();
+  if (!Object.hasOwn(backends, name)) {
+    throw new Error(
+      `unknown FRAGMENTS_BACKEND '${value}', expected one of: ${backendNames().join(', ')}`
+    );
+  }
+
+  const missing = (backends[name].requires || []).filter((setting) => !env[setting]);
+  if (missing.length) {
+    throw new Error(`FRAGMENTS_BACKEND=${name} requires ${missing.join(', ')} to be set`);
+  }
+
+  return name;
+}
+
+/**
+ * Loads a backend by name
+ * @param {string} name one of backendNames()
+ * @returns {Object} the backend's module
+ */
+function loadBackend(name) {
+  if (!Object.hasOwn(backends, name)) {
+    throw new Error(`unknown storage backend '${name}'`);
+  }
+  logger.info({ backend: name }, 'Using storage backend');
+  return backends[name].load();
+}
+
+module.exports.DEFAULT_BACKEND = DEFAULT_BACKEND;
+module.exports.backendNames = backendNames;
+module.exports.selectBackend = selectBackend;
+module.exports.loadBackend = loadBackend;
@@ -0,0 +1,385 @@
+// src/model/data/fs/index.js
+
+// Stores fragments on the local filesystem, for durable storage without any cloud
+// services. Everything lives under FRAGMENTS_FS_DIR (defaults to ./data), in a
+// directory per owner:
+//
+//   <ownerId>/index.json               metadata for all of the owner's fragments, by id
+//   <ownerId>/data/<id>                each fragment's current data
+//   <ownerId>/versions/<id>/<version>  prior versions of the data
+//   <ownerId>/idempotency.json         idempotency keys (see src/model/idempotency.js)
+//
+// Files are written to a temporary file first and then renamed over the original,
+// so a crash never leaves a partly written file behind. Updates to an owner's index
+// are made one at a time, so only one server process should use a directory.
+const fs = require('fs/promises');
+const { rmSync } = require('fs');
+const path = require('path');
+const { randomUUID } = require('crypto');
+const logger = require('../../../logger');
+const { paginate, isVisible, isUnchanged } = require('../query');
+
+// Where we keep everything
+const root = () => path.resolve(process.env.FRAGMENTS_FS_DIR || 'data');
+
+// Ids come from URLs, so we encode them before using them as file names (including
+// dots, so `..` can't escape the directory and ids never look like temporary files)
+const fileName = (value) => encodeURIComponent(value).replace(/\./g, '%2E');
+
+const ownerDir = (ownerId) => path.join(root(), fileName(ownerId));
+const indexFile = (ownerId) => path.join(ownerDir(ownerId), 'index.json');
+const dataFile = (ownerId, id) => path.join(ownerDir(ownerId), 'data', fileName(id));
+const versionsDir = (ownerId, id) => path.join(ownerDir(ownerId), 'versions', fileName(id));
+const versionFile = (ownerId, id, version) => path.join(versionsDir(ownerId, id), String(version));
+const idempotencyFile = (ownerId) => path.join(ownerDir(ownerId), 'idempotency.json');
+
+// Returns undefined instead of throwing if the file doesn't exist
+async function ifExists(promise) {
+  try {
+    return await promise;
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      return undefined;
+    }
+    throw err;
+  }
+}
+
+// Write a file atomically: write (and flush) a temporary file next to it, then
+// rename it into place. Returns a Promise
+async function writeAtomic(file, data) {
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  const temp = `${file}.${randomUUID()}.tmp`;
+
+  try {
+    const handle = await fs.open(temp, 'w');
+    try {
+      await handle.writeFile(data);
+      await handle.sync();
+    } finally {
+      await handle.close();
+    }
+    await fs.rename(temp, file);
+  } catch (err) {
+    await fs.rm(temp, { force: true });
+    throw err;
+  }
+}
+
+// Read an object from a JSON file, or an empty object if the file doesn't exist. Its
+// keys come from users (e.g., an id of `constructor` or `__proto__`), so it has no
+// prototype for them to collide with.
+async function readObject(file) {
+  const text = await ifExists(fs.readFile(file, 'utf8'));
+  return Object.assign(Object.create(null), text === undefined ? {} : JSON.parse(text));
+}
+
+// The pending update to each owner's files, so we can make them one at a time
+const locks = new Map();
+
+// Run fn once every earlier update to the owner's files is done. Returns fn's Promise
+function withLock(ownerId, fn) {
+  const previous = locks.get(ownerId) || Promise.resolve();
+  const result = previous.then(fn);
+  const done = result.catch(() => {});
+  locks.set(ownerId, done);
+  done.then(() => {
+    if (locks.get(ownerId) === done) {
+      locks.delete(ownerId);
+    }
+  });
+  return result;
+}
+
+// Read an owner's metadata index: { [id]: fragment }
+const readIndex = (ownerId) => readObject(indexFile(ownerId));
+
+// Write a fragment's metadata to the owner's index. If `expected` (the metadata as
+// it was read) is given, only write it if the fragment hasn't changed since (see
+// isUnchanged() in ../query.js). Returns a Promise<void>
+function writeFragment(fragment, expected) {
+  logger.debug('writeFragment: Writing fragment metadata to filesystem', {
+    ownerId: fragment.ownerId,
+    id: fragment.id,
+    type: fragment.type,
+    size: fragment.size
+  });
+
+  // Like the other backends, we only store the JSON representation
+  const serialized = JSON.parse(JSON.stringify(fragment));
+
+  return withLock(fragment.ownerId, async () => {
+    const index = await readIndex(fragment.ownerId);
+    // We hold the owner's lock, so nothing else can write it until we're done
+    if (expected && !isUnchanged(index[fragment.id], expected)) {
+      throw new Error(`Fragment changed: ${fragment.id}`);
+    }
+    index[fragment.id] = serialized;
+    await writeAtomic(indexFile(fragment.ownerId), JSON.stringify(index));
+  }).catch((err) => {
+    logger.error('writeFragment: Error writing fragment metadata', {
+      ownerId: fragment.ownerId,
+      id: fragment.id,
+      error: err.message
+    });
+    throw err;
+  });
+}
+
+// Read a fragment's metadata from the owner's index. Returns a Promise<Object|undefined>
+async function readFragment(ownerId, id) {
+  logger.debug('readFragment: Reading fragment metadata from filesystem', {
+    ownerId,
+    id
+  });
+
+  const index = await readIndex(ownerId);
+  return index[id];
+}
+
+// Write a fragment's data buffer to its file. Returns a Promise
+async function writeFragmentData(ownerId, id, buffer) {
+  logger.debug('writeFragmentData: Writing fragment data to filesystem', {
+    ownerId,
+    id,
+    bufferSize: buffer.length
+  });
+
+  try {
+    await writeAtomic(dataFile(ownerId, id), buffer);
+  } catch (err) {
+    logger.error('writeFragmentData: Error writing fragment data', {
+      ownerId,
+      id,
+      error: err.message
+    });
+    throw err;
+  }
+}
+
+// Read a fragment's data from its file, optionally only the (inclusive) byte
+// range { start, end }. Returns a Promise<Buffer|undefined>
+async function readFragmentData(ownerId, id, range) {
+  logger.debug('readFragmentData: Reading fragment data from filesystem', {
+    ownerId,
+    id,
+    range
+  });
+
+  if (!range) {
+    return ifExists(fs.readFile(dataFile(ownerId, id)));
+  }
+
+  // Only read the bytes we need
+  const handle = await ifExists(fs.open(dataFile(ownerId, id), 'r'));
+  if (!handle) {
+    return undefined;
+  }
+  try {
+    const { size } = await handle.stat();
+    const length = Math.max(0, Math.min(range.end, size - 1) - range.start + 1);
+    const buffer = Buffer.alloc(length);
+    await handle.read(buffer, 0, length, range.start);
+    return buffer;
+  } finally {
+    await handle.close();
+  }
+}
+
+// Copy a fragment's current data into the given version slot. Returns a Promise
+async function archiveFragmentData(ownerId, id, version) {
+  logger.debug('archiveFragmentData: Archiving fragment data on filesystem', {
+    ownerId,
+    id,
+    version
+  });
+
+  const file = versionFile(ownerId, id, version);
+  const temp = `${file}.${randomUUID()}.tmp`;
+  await fs.mkdir(path.dirname(file), { recursive: true });
+
+  try {
+    await fs.copyFile(dataFile(ownerId, id), temp);
+    await fs.rename(temp, file);
+  } catch (err) {
+    await fs.rm(temp, { force: true });
+    if (err.code === 'ENOENT') {
+      throw new Error(`missing data for fragment ${id}, unable to archive version ${version}`);
+    }
+    throw err;
+  }
+}
+
+// Read a prior version of a fragment's data. Returns a Promise<Buffer|undefined>
+function readFragmentVersionData(ownerId, id, version) {
+  logger.debug('readFragmentVersionData: Reading fragment version data from filesystem', {
+    ownerId,
+    id,
+    version
+  });
+
+  return ifExists(fs.readFile(versionFile(ownerId, id, version)));
+}
+
+// Delete a prior version of a fragment's data. Returns a Promise
+function deleteFragmentVersionData(ownerId, id, version) {
+  logger.debug('deleteFragmentVersionData: Deleting fragment version data from filesystem', {
+    ownerId,
+    id,
+    version
+  });
+
+  return fs.rm(versionFile(ownerId, id, version), { force: true });
+}
+
+// Get the ids of every owner with fragments on the filesystem, sorted. Returns a Promise
+async function listOwners() {
+  logger.debug('listOwners: Listing owners from filesystem');
+
+  const entries = (await ifExists(fs.readdir(root(), { withFileTypes: true }))) || [];
+  const owners = [];
+  for (const entry of entries.filter((entry) => entry.isDirectory())) {
+    const ownerId = decodeURIComponent(entry.name);
+    if (Object.keys(await readIndex(ownerId)).length > 0) {
+      owners.push(ownerId);
+    }
+  }
+  return owners.sort();
+}
+
+// Get a list of fragment ids/objects for the given user. Returns a Promise
+async function listFragments(ownerId, expand = false) {
+  logger.debug('listFragments: Listing fragments for user from filesystem', {
+    ownerId,
+    expand
+  });
+
+  // Leave out fragments that are half written or deleted (see ../query.js)
+  const fragments = Object.values(await readIndex(ownerId)).filter(isVisible);
+  return expand ? fragments : fragments.map((fragment) => fragment.id);
+}
+
+// Get one page of a user's fragments, filtered and sorted according to `options`
+// (see ../query.js). Returns a Promise<{ fragments, next }>
+async function listFragmentsPage(ownerId, options = {}) {
+  logger.debug('listFragmentsPage: Listing a page of fragments for user from filesystem', {
+    ownerId,
+    options
+  });
+
+  const page = paginate(Object.values(await readIndex(ownerId)), options);
+
+  return {
+    fragments: options.expand ? page.fragments : page.fragments.map((fragment) => fragment.id),
+    next: page.next,
+  };
+}
+
+// Delete a fragment's data and metadata. The metadata goes last, so if anything
+// fails, it's still there to tell us about the rest. Returns a Promise
+function deleteFragment(ownerId, id) {
+  logger.debug('deleteFragment: Deleting fragment from filesystem', {
+    ownerId,
+    id
+  });
+
+  return withLock(ownerId, async () => {
+    await fs.rm(versionsDir(ownerId, id), { recursive: true, force: true });
+    await fs.rm(dataFile(ownerId, id), { force: true });
+
+    const index = await readIndex(ownerId);
+    if (!index[id]) {
+      throw new Error(`missing metadata for fragment ${id}`);
+    }
+    delete index[id];
+    await writeAtomic(indexFile(ownerId), JSON.stringify(index));
+
+    logger.info('deleteFragment: Fragment deleted successfully', {
+      ownerId,
+      id
+    });
+  }).catch((err) => {
+    logger.error('deleteFragment: Error deleting fragment', {
+      ownerId,
+      id,
+      error: err.message
+    });
+    throw err;
+  });
+}
+
+// Stores an idempotency key's record, unless the owner already has a record for
+// the key that hasn't expired. Returns a Promise with the existing record, or
+// undefined if the key was claimed.
+function claimIdempotencyKey(ownerId, key, record) {
+  logger.debug('claimIdempotencyKey: Claiming idempotency key on filesystem', { ownerId, key });
+
+  return withLock(ownerId, async () => {
+    const now = Math.floor(Date.now() / 1000);
+    const keys = await readObject(idempotencyFile(ownerId));
+    for (const [existingKey, existing] of Object.entries(keys)) {
+      if (existing.expires <= now) {
+        delete keys[existingKey];
+      }
+    }
+
+    if (keys[key]) {
+      return keys[key];
+    }
+    keys[key] = record;
+    await writeAtomic(idempotencyFile(ownerId), JSON.stringify(keys));
+    return undefined;
+  });
+}
+
+// Replaces an idempotency key's record (e.g., once the request is complete). Returns a Promise
+function writeIdempotencyKey(ownerId, key, record) {
+  logger.debug('writeIdempotencyKey: Writing idempotency key to filesystem', { ownerId, key });
+
+  return withLock(ownerId, async () => {
+    const keys = await readObject(idempotencyFile(ownerId));
+    keys[key] = record;
+    await writeAtomic(idempotencyFile(ownerId), JSON.stringify(keys));
+  });
+}
+
+// Forgets an idempotency key (e.g., if the request failed). Returns a Promise
+function deleteIdempotencyKey(ownerId, key) {
+  logger.debug('deleteIdempotencyKey: Deleting idempotency key from filesystem', { ownerId, key });
+
+  return withLock(ownerId, async () => {
+    const keys = await readObject(idempotencyFile(ownerId));
+    if (keys[key]) {
+      delete keys[key];
+      await writeAtomic(idempotencyFile(ownerId), JSON.stringify(keys));
+    }
+  });
+}
+
+// Remove everything we've stored (useful for testing). Only runs if FRAGMENTS_FS_DIR is
+// set, so we never delete ./data just because it's the default, and never in production
+function reset() {
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('refusing to reset filesystem storage in production');
+  }
+  if (!process.env.FRAGMENTS_FS_DIR) {
+    throw new Error('refusing to reset filesystem storage without FRAGMENTS_FS_DIR');
+  }
+  rmSync(root(), { recursive: true, force: true });
+}
+
+module.exports.listFragments = listFragments;
+module.exports.listFragmentsPage = listFragmentsPage;
+module.exports.listOwners = listOwners;
+module.exports.writeFragment = writeFragment;
+module.exports.readFragment = readFragment;
+module.exports.writeFragmentData = writeFragmentData;
+module.exports.readFragmentData = readFragmentData;
+module.exports.deleteFragment = deleteFragment;
+module.exports.archiveFragmentData = archiveFragmentData;
+module.exports.readFragmentVersionData = readFragmentVersionData;
+module.exports.deleteFragmentVersionData = deleteFragmentVersionData;
+module.exports.claimIdempotencyKey = claimIdempotencyKey;
+module.exports.writeIdempotencyKey = writeIdempotencyKey;
+module.exports.deleteIdempotencyKey = deleteIdempotencyKey;
+module.exports.reset = reset;
@@ -1,5 +1,7 @@
 // src/model/data/index.js
 
-// If the environment sets an AWS Region, we'll use AWS backend
-// services (S3, DynamoDB); otherwise, we'll use an in-memory db.
-module.exports = process.env.AWS_REGION ? require('./aws') : require('./memory');
+// Use the storage backend chosen with FRAGMENTS_BACKEND (memory, fs, sqlite or aws),
+// or the in-memory db if it isn't set. See ./backends.js
+const { selectBackend, loadBackend } = require('./backends');
+
+module.exports = loadBackend(selectBackend());
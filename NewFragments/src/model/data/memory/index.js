@@ -1,12 +1,44 @@
+const fs = require('fs');
+const path = require('path');
 const MemoryDB = require('./memory-db');
 const logger = require('../../../logger');
+const { paginate, isVisible, isUnchanged } = require('../query');
+
+// Everything is lost when the process stops, unless FRAGMENTS_MEMORY_SNAPSHOT_DIR is
+// set. Then each db keeps a snapshot (written every FRAGMENTS_MEMORY_SNAPSHOT_INTERVAL
+// seconds, 60 by default) and a journal of changes since, in that directory.
+function persistence(name) {
+  const dir = process.env.FRAGMENTS_MEMORY_SNAPSHOT_DIR;
+  if (!dir) {
+    return {};
+  }
+
+  const seconds = Number(process.env.FRAGMENTS_MEMORY_SNAPSHOT_INTERVAL || 60);
+  if (!(seconds > 0)) {
+    throw new Error(
+      `FRAGMENTS_MEMORY_SNAPSHOT_INTERVAL must be a positive number of seconds, got '${process.env.FRAGMENTS_MEMORY_SNAPSHOT_INTERVAL}'`
+    );
+  }
+
+  fs.mkdirSync(dir, { recursive: true });
+  return { file: path.join(path.resolve(dir), `${name}.json`), interval: seconds * 1000 };
+}
 
 // Create two in-memory databases: one for fragment metadata and the other for raw data
-const data = new MemoryDB();
-const metadata = new MemoryDB();
+const data = new MemoryDB(persistence('data'));
+const metadata = new MemoryDB(persistence('metadata'));
+// Prior versions of fragment data, keyed by `${ownerId}/${id}` and then version number
+const versionData = new MemoryDB(persistence('versions'));
+// Idempotency keys (see src/model/idempotency.js), keyed by ownerId and then key
+const idempotencyKeys = new MemoryDB(persistence('idempotency'));
+
+// The primaryKey we use for a fragment's versions in the versionData db
+const versionsKey = (ownerId, id) => `${ownerId}/${id}`;
 
-// Write a fragment's metadata to memory db. Returns a Promise<void>
-function writeFragment(fragment) {
+// Write a fragment's metadata to memory db. If `expected` (the metadata as it was
+// read) is given, only write it if the fragment hasn't changed since (see
+// isUnchanged() in ../query.js). Returns a Promise<void>
+function writeFragment(fragment, expected) {
   logger.debug('writeFragment: Writing fragment metadata', {
     ownerId: fragment.ownerId,
     id: fragment.id,
@@ -14,6 +46,18 @@ function writeFragment(fragment) {
     size: fragment.size
   });
 
+  // Compare and write without waiting in between, so nothing can change it meanwhile
+  if (expected) {
+    const stored = metadata.db[fragment.ownerId]?.[fragment.id];
+    if (!isUnchanged(typeof stored === 'string' ? JSON.parse(stored) : stored, expected)) {
+      logger.warn('writeFragment: Fragment changed since it was read', {
+        ownerId: fragment.ownerId,
+        id: fragment.id
+      });
+      return Promise.reject(new Error(`Fragment changed: ${fragment.id}`));
+    }
+  }
+
   // Simulate db/network serialization of the value, storing only JSON representation.
   // This is important because it's how things will work later with AWS data stores.
   const serialized = JSON.stringify(fragment);
@@ -90,14 +134,19 @@ function writeFragmentData(ownerId, id, buffer) {
   });
 }
 
-// Read a fragment's data from memory db. Returns a Promise
-function readFragmentData(ownerId, id) {
+// Read a fragment's data from memory db, optionally only the (inclusive) byte
+// range { start, end }. Returns a Promise
+function readFragmentData(ownerId, id, range) {
   logger.debug('readFragmentData: Reading fragment data', {
     ownerId,
-    id
+    id,
+    range
   });
 
   return data.get(ownerId, id).then(buffer => {
+    if (buffer && range) {
+      buffer = buffer.subarray(range.start, range.end + 1);
+    }
     logger.debug('readFragmentData: Fragment data read', {
       ownerId,
       id,
@@ -114,6 +163,56 @@ function readFragmentData(ownerId, id) {
   });
 }
 
+// Copy a fragment's current data into the given version slot. Returns a Promise
+async function archiveFragmentData(ownerId, id, version) {
+  logger.debug('archiveFragmentData: Archiving fragment data', {
+    ownerId,
+    id,
+    version
+  });
+
+  const buffer = await data.get(ownerId, id);
+  if (!buffer) {
+    throw new Error(`missing data for fragment ${id}, unable to archive version ${version}`);
+  }
+
+  await versionData.put(versionsKey(ownerId, id), String(version), buffer);
+}
+
+// Read a prior version of a fragment's data from memory db. Returns a Promise<Buffer|undefined>
+function readFragmentVersionData(ownerId, id, version) {
+  logger.debug('readFragmentVersionData: Reading fragment version data', {
+    ownerId,
+    id,
+    version
+  });
+
+  return versionData.get(versionsKey(ownerId, id), String(version));
+}
+
+// Delete a prior version of a fragment's data from memory db. Like the other
+// backends, it's fine if there's nothing to delete. Returns a Promise
+async function deleteFragmentVersionData(ownerId, id, version) {
+  logger.debug('deleteFragmentVersionData: Deleting fragment version data', {
+    ownerId,
+    id,
+    version
+  });
+
+  if ((await versionData.get(versionsKey(ownerId, id), String(version))) !== undefined) {
+    await versionData.del(versionsKey(ownerId, id), String(version));
+  }
+}
+
+// Get the ids of every owner with fragments in memory db, sorted. Returns a Promise
+async function listOwners() {
+  logger.debug('listOwners: Listing owners');
+
+  return Object.keys(metadata.db)
+    .filter((ownerId) => Object.keys(metadata.db[ownerId]).length > 0)
+    .sort();
+}
+
 // Get a list of fragment ids/objects for the given user from memory db. Returns a Promise
 async function listFragments(ownerId, expand = false) {
   logger.debug('listFragments: Listing fragments for user', {
@@ -121,7 +220,10 @@ async function listFragments(ownerId, expand = false) {
     expand
   });
 
-  const fragments = await metadata.query(ownerId);
+  // Leave out fragments that are half written or deleted (see ../query.js)
+  const fragments = (await metadata.query(ownerId))
+    .map((fragment) => (typeof fragment === 'string' ? JSON.parse(fragment) : fragment))
+    .filter(isVisible);
 
   // If we don't get anything back, return empty array
   if (!fragments || fragments.length === 0) {
@@ -137,23 +239,17 @@ async function listFragments(ownerId, expand = false) {
     expand
   });
 
-  // If we're supposed to give expanded fragments, parse them and return
+  // If we're supposed to give expanded fragments, return them
   if (expand) {
-    const expandedFragments = fragments.map((fragment) => 
-      typeof fragment === 'string' ? JSON.parse(fragment) : fragment
-    );
     logger.debug('listFragments: Returning expanded fragments', {
       ownerId,
-      count: expandedFragments.length
+      count: fragments.length
     });
-    return expandedFragments;
+    return fragments;
   }
 
-  // Otherwise, parse fragments and map to only send back the ids
-  const fragmentIds = fragments.map((fragment) => {
-    const parsed = typeof fragment === 'string' ? JSON.parse(fragment) : fragment;
-    return parsed.id;
-  });
+  // Otherwise, map to only send back the ids
+  const fragmentIds = fragments.map((fragment) => fragment.id);
 
   logger.debug('listFragments: Returning fragment IDs', {
     ownerId,
@@ -163,43 +259,120 @@ async function listFragments(ownerId, expand = false) {
   return fragmentIds;
 }
 
-// Delete a fragment's metadata and data from memory db. Returns a Promise
-function deleteFragment(ownerId, id) {
+// Get one page of a user's fragments, filtered and sorted according to `options`
+// (see ../query.js). Returns a Promise<{ fragments, next }>
+async function listFragmentsPage(ownerId, options = {}) {
+  logger.debug('listFragmentsPage: Listing a page of fragments for user', {
+    ownerId,
+    options
+  });
+
+  const fragments = (await metadata.query(ownerId)).map((fragment) =>
+    typeof fragment === 'string' ? JSON.parse(fragment) : fragment
+  );
+
+  const page = paginate(fragments, options);
+
+  logger.debug('listFragmentsPage: Returning page of fragments', {
+    ownerId,
+    count: page.fragments.length,
+    hasNext: !!page.next
+  });
+
+  return {
+    fragments: options.expand ? page.fragments : page.fragments.map((fragment) => fragment.id),
+    next: page.next,
+  };
+}
+
+// Delete a fragment's metadata and data from memory db. The metadata goes last, so
+// if anything fails, it's still there to tell us about the rest. Returns a Promise
+async function deleteFragment(ownerId, id) {
   logger.debug('deleteFragment: Deleting fragment', {
     ownerId,
     id
   });
 
-  return Promise.all([
+  try {
+    // Delete any prior versions of the data
+    await versionData.delAll(versionsKey(ownerId, id));
+    // Delete data, if it was ever written
+    if (await data.get(ownerId, id)) {
+      await data.del(ownerId, id);
+    }
     // Delete metadata
-    metadata.del(ownerId, id),
-    // Delete data
-    data.del(ownerId, id),
-  ]).then(() => {
+    await metadata.del(ownerId, id);
     logger.info('deleteFragment: Fragment deleted successfully', {
       ownerId,
       id
     });
-  }).catch(err => {
+  } catch (err) {
     logger.error('deleteFragment: Error deleting fragment', {
       ownerId,
       id,
       error: err.message
     });
     throw err;
-  });
+  }
+}
+
+// Stores an idempotency key's record, unless the owner already has a record for
+// the key that hasn't expired. Returns a Promise with the existing record, or
+// undefined if the key was claimed.
+async function claimIdempotencyKey(ownerId, key, record) {
+  logger.debug('claimIdempotencyKey: Claiming idempotency key', { ownerId, key });
+
+  // Check and claim the key in one step, so concurrent requests can't both claim it.
+  // MemoryDB makes each change as soon as it's called, so we only wait at the end.
+  const now = Math.floor(Date.now() / 1000);
+  const keys = idempotencyKeys.db[ownerId] || {};
+  const changes = [];
+  // Like fragments, records are stored serialized (see writeFragment)
+  for (const [existingKey, serialized] of Object.entries(keys)) {
+    if (JSON.parse(serialized).expires <= now) {
+      changes.push(idempotencyKeys.del(ownerId, existingKey));
+    }
+  }
+
+  const existing = keys[key];
+  if (!existing) {
+    changes.push(idempotencyKeys.put(ownerId, key, JSON.stringify(record)));
+  }
+  await Promise.all(changes);
+  return existing ? JSON.parse(existing) : undefined;
+}
+
+// Replaces an idempotency key's record (e.g., once the request is complete). Returns a Promise
+function writeIdempotencyKey(ownerId, key, record) {
+  logger.debug('writeIdempotencyKey: Writing idempotency key', { ownerId, key });
+  return idempotencyKeys.put(ownerId, key, JSON.stringify(record));
+}
+
+// Forgets an idempotency key (e.g., if the request failed). Returns a Promise
+async function deleteIdempotencyKey(ownerId, key) {
+  logger.debug('deleteIdempotencyKey: Deleting idempotency key', { ownerId, key });
+  if (await idempotencyKeys.get(ownerId, key)) {
+    await idempotencyKeys.del(ownerId, key);
+  }
 }
 
-// Reset both databases (useful for testing)
+// Reset all databases (useful for testing)
 function reset() {
-  data.db = {};
-  metadata.db = {};
+  return Promise.all([data, metadata, versionData, idempotencyKeys].map((db) => db.clear()));
 }
 
 module.exports.listFragments = listFragments;
+module.exports.listFragmentsPage = listFragmentsPage;
+module.exports.listOwners = listOwners;
 module.exports.writeFragment = writeFragment;
 module.exports.readFragment = readFragment;
 module.exports.writeFragmentData = writeFragmentData;
 module.exports.readFragmentData = readFragmentData;
 module.exports.deleteFragment = deleteFragment;
+module.exports.archiveFragmentData = archiveFragmentData;
+module.exports.readFragmentVersionData = readFragmentVersionData;
+module.exports.deleteFragmentVersionData = deleteFragmentVersionData;
+module.exports.claimIdempotencyKey = claimIdempotencyKey;
+module.exports.writeIdempotencyKey = writeIdempotencyKey;
+module.exports.deleteIdempotencyKey = deleteIdempotencyKey;
 module.exports.reset = reset;
@@ -1,9 +1,207 @@
+const fs = require('fs');
+const logger = require('../../../logger');
+
 const validateKey = (key) => typeof key === 'string';
 
+// What we write at the top of a snapshot, so we know what we're reading later
+const SNAPSHOT_VERSION = 1;
+
+// How often (in ms) we write a snapshot, by default
+const DEFAULT_INTERVAL = 60 * 1000;
+
+// JSON can't hold Buffers, so we write them as base64 strings tagged with `$buffer`.
+// Buffer's toJSON() runs before the replacer sees the value, so we check the original.
+function replacer(key, value) {
+  const original = this[key];
+  return Buffer.isBuffer(original) ? { $buffer: original.toString('base64') } : value;
+}
+
+function reviver(key, value) {
+  if (
+    value &&
+    typeof value === 'object' &&
+    typeof value.$buffer === 'string' &&
+    Object.keys(value).length === 1
+  ) {
+    return Buffer.from(value.$buffer, 'base64');
+  }
+  return value;
+}
+
+const serialize = (value) => JSON.stringify(value, replacer);
+const deserialize = (text) => JSON.parse(text, reviver);
+
+// Keys come from users (e.g., a fragment id of `constructor` or `__proto__`), so we
+// keep values in objects with no prototype for them to collide with
+const table = (entries = {}) => Object.assign(Object.create(null), entries);
+
+// Apply a change from the journal: ['put', primaryKey, secondaryKey, value],
+// ['del', primaryKey, secondaryKey], ['delAll', primaryKey] or ['clear'].
+// Replaying a change that's already in the snapshot leaves things as they were.
+function applyChange(db, [op, primaryKey, secondaryKey, value]) {
+  switch (op) {
+    case 'put':
+      db[primaryKey] = db[primaryKey] || table();
+      db[primaryKey][secondaryKey] = value;
+      break;
+    case 'del':
+      if (db[primaryKey]) {
+        delete db[primaryKey][secondaryKey];
+      }
+      break;
+    case 'delAll':
+      delete db[primaryKey];
+      break;
+    case 'clear':
+      for (const key of Object.keys(db)) {
+        delete db[key];
+      }
+      break;
+    default:
+      throw new Error(`unknown journal operation: ${op}`);
+  }
+}
+
 class MemoryDB {
-  constructor() {
+  /**
+   * By default everything is lost when the process stops. To keep it, pass a `file`:
+   * the db is loaded from it, and written back to it (a snapshot) every `interval` ms.
+   * Every change is also appended to a journal (`<file>.journal`) before it's made,
+   * so changes since the last snapshot survive a crash. Only one process should use
+   * a file at a time.
+   * @param {Object} options
+   * @param {string} [options.file] where to keep the snapshot
+   * @param {number} [options.interval] how often to write a snapshot, in ms
+   */
+  constructor(options = {}) {
     /** @type {Record<string, any>} */
-    this.db = {};
+    this.db = table();
+
+    if (options.file) {
+      this.file = options.file;
+      this.journalFile = `${options.file}.journal`;
+      this.load();
+
+      const interval = options.interval || DEFAULT_INTERVAL;
+      this.timer = setInterval(() => {
+        try {
+          this.snapshot();
+        } catch (err) {
+          logger.error({ err, file: this.file }, 'MemoryDB: Unable to write snapshot');
+        }
+      }, interval);
+      // Don't keep the process alive just to write snapshots
+      this.timer.unref();
+    }
+  }
+
+  /**
+   * Loads the snapshot and replays the journal on top of it, then writes a new
+   * snapshot so we start with an empty journal. A change that was only partly
+   * written to the journal (i.e., we crashed while writing it) is ignored.
+   */
+  load() {
+    if (fs.existsSync(this.file)) {
+      let snapshot;
+      try {
+        snapshot = deserialize(fs.readFileSync(this.file, 'utf8'));
+      } catch (err) {
+        throw new Error(`unable to read MemoryDB snapshot ${this.file}: ${err.message}`);
+      }
+      if (snapshot.version !== SNAPSHOT_VERSION) {
+        throw new Error(
+          `MemoryDB snapshot ${this.file} is version ${snapshot.version}, expected ${SNAPSHOT_VERSION}`
+        );
+      }
+      this.db = table();
+      for (const [primaryKey, values] of Object.entries(snapshot.db)) {
+        this.db[primaryKey] = table(values);
+      }
+    }
+
+    let replayed = 0;
+    let partial;
+    if (fs.existsSync(this.journalFile)) {
+      const lines = fs.readFileSync(this.journalFile, 'utf8').split('\n');
+      // Every complete change ends with a newline, so the last line is either empty or partial
+      partial = lines.pop();
+      if (partial) {
+        logger.warn({ file: this.journalFile }, 'MemoryDB: Ignoring incomplete journal entry');
+      }
+      lines.forEach((line, index) => {
+        try {
+          applyChange(this.db, deserialize(line));
+        } catch (err) {
+          throw new Error(
+            `unable to replay MemoryDB journal ${this.journalFile} at line ${index + 1}: ${err.message}`
+          );
+        }
+      });
+      replayed = lines.length;
+    }
+
+    this.journalFd = fs.openSync(this.journalFile, 'a');
+    this.changes = replayed;
+    this.snapshot();
+    // Even with nothing to replay, the partial entry has to go, or the next change
+    // would be appended to it
+    if (partial) {
+      fs.ftruncateSync(this.journalFd, 0);
+    }
+
+    logger.info(
+      { file: this.file, keys: Object.keys(this.db).length, replayed },
+      'MemoryDB: Loaded snapshot'
+    );
+  }
+
+  /**
+   * Writes everything to the snapshot file (if we're keeping one), then empties the
+   * journal. The snapshot is written to a temporary file and renamed into place, so a
+   * crash leaves either the old snapshot and journal, or the new snapshot.
+   */
+  snapshot() {
+    if (!this.file || this.changes === 0) {
+      return;
+    }
+
+    const temp = `${this.file}.tmp`;
+    const fd = fs.openSync(temp, 'w');
+    try {
+      fs.writeSync(fd, serialize({ version: SNAPSHOT_VERSION, db: this.db }));
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+    fs.renameSync(temp, this.file);
+    fs.ftruncateSync(this.journalFd, 0);
+    this.changes = 0;
+
+    logger.debug({ file: this.file }, 'MemoryDB: Wrote snapshot');
+  }
+
+  /**
+   * Writes a final snapshot and stops writing them. The db can still be used, but
+   * nothing else is saved.
+   */
+  close() {
+    if (!this.file) {
+      return;
+    }
+    clearInterval(this.timer);
+    this.snapshot();
+    fs.closeSync(this.journalFd);
+    this.file = undefined;
+  }
+
+  // Append a change to the journal (if we're keeping one), before we make it
+  record(...change) {
+    if (!this.file) {
+      return;
+    }
+    fs.writeSync(this.journalFd, `${serialize(change)}\n`);
+    fs.fdatasyncSync(this.journalFd);
+    this.changes++;
   }
 
   /**
@@ -37,9 +235,15 @@ class MemoryDB {
       );
     }
 
+    try {
+      this.record('put', primaryKey, secondaryKey, value);
+    } catch (err) {
+      return Promise.reject(err);
+    }
+
     const db = this.db;
     // Make sure the `primaryKey` exists, or create
-    db[primaryKey] = db[primaryKey] || {};
+    db[primaryKey] = db[primaryKey] || table();
     // Add the `value` to the `secondaryKey`
     db[primaryKey][secondaryKey] = value;
     return Promise.resolve();
@@ -63,7 +267,8 @@ class MemoryDB {
   }
 
   /**
-   * Deletes the value with the given primaryKey and secondaryKey
+   * Deletes the value with the given primaryKey and secondaryKey. The value is gone
+   * as soon as this is called (before the Promise resolves).
    * @param {string} primaryKey
    * @param {string} secondaryKey
    * @returns {Promise<void>}
@@ -75,16 +280,41 @@ class MemoryDB {
       );
     }
 
+    const db = this.db;
     // Throw if trying to delete a key that doesn't exist
-    if (!(await this.get(primaryKey, secondaryKey))) {
+    if (!(db[primaryKey] && db[primaryKey][secondaryKey])) {
       throw new Error(
         `missing entry for primaryKey=${primaryKey} and secondaryKey=${secondaryKey}`
       );
     }
 
-    const db = this.db;
+    this.record('del', primaryKey, secondaryKey);
     delete db[primaryKey][secondaryKey];
-    return Promise.resolve();
+  }
+
+  /**
+   * Deletes every value for the given primaryKey (if there are any)
+   * @param {string} primaryKey
+   * @returns {Promise<void>}
+   */
+  async delAll(primaryKey) {
+    if (!validateKey(primaryKey)) {
+      throw new Error(`primaryKey string is required, got primaryKey=${primaryKey}`);
+    }
+
+    if (this.db[primaryKey]) {
+      this.record('delAll', primaryKey);
+      delete this.db[primaryKey];
+    }
+  }
+
+  /**
+   * Deletes everything
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    this.record('clear');
+    this.db = table();
   }
 }
 
@@ -0,0 +1,254 @@
+// src/model/data/query.js
+
+// Shared helpers for filtering, sorting and paginating a user's fragments.
+// Every backend uses these so that GET /v1/fragments behaves the same way
+// no matter where the metadata is stored.
+const contentType = require('content-type');
+
+// The fields we know how to sort on. `id` is the natural (default) order.
+const SORT_FIELDS = ['id', 'created', 'updated', 'size'];
+
+/**
+ * Returns the mime type (without parameters) for a stored fragment type,
+ * or the raw value if it can't be parsed.
+ * @param {string} type a Content-Type value
+ * @returns {string}
+ */
+function baseType(type) {
+  try {
+    return contentType.parse(type).type;
+  } catch {
+    return type;
+  }
+}
+
+/**
+ * Returns true if the given type matches one of the patterns. Patterns can be
+ * exact mime types (`text/plain`) or wildcards (`image/*`, `*\/*`).
+ * @param {string} type the fragment's type
+ * @param {Array<string>} patterns list of type patterns
+ * @returns {boolean}
+ */
+function typeMatches(type, patterns) {
+  const mimeType = baseType(type);
+  return patterns.some((pattern) => {
+    if (pattern === '*/*') {
+      return true;
+    }
+    if (pattern.endsWith('/*')) {
+      return mimeType.startsWith(pattern.slice(0, -1));
+    }
+    return mimeType === pattern;
+  });
+}
+
+/**
+ * Returns true if the fragment is new, and its first write hasn't been committed.
+ * Fragments stored before we kept versions are at version 0 too, but a write to one
+ * lists its existing data as version 0 first (see Fragment.setData()).
+ * @param {Object} fragment fragment metadata
+ * @returns {boolean}
+ */
+const isNew = (fragment) =>
+  fragment.state === 'pending' && !(fragment.version > 0) && !fragment.versions?.length;
+
+/**
+ * Returns true if readers should see the fragment. A fragment's data and metadata
+ * are stored separately, so its metadata has a state saying how far a write got:
+ *  - `pending`: its data is being written. The metadata still describes the
+ *    current version (whose data is archived), or for a new fragment, nothing yet.
+ *  - `committed`: its data and metadata agree (as do fragments without a state,
+ *    which were stored before we kept one)
+ *  - `deleting`: it's being deleted
+ * New fragments that haven't been committed, and ones being deleted, are hidden.
+ * @param {Object} fragment fragment metadata
+ * @returns {boolean}
+ */
+function isVisible(fragment) {
+  if (fragment.state === 'deleting') {
+    return false;
+  }
+  return !isNew(fragment);
+}
+
+// The metadata fields a conditional write compares: they change whenever a fragment's
+// data is written, or a write or delete of it starts
+const CONDITION_FIELDS = ['etag', 'version', 'state', 'stateSince'];
+
+/**
+ * Returns true if stored metadata is still what a conditional write expects (see
+ * writeFragment() in the backends), i.e., nobody has written the fragment's data, or
+ * started to write or delete it, since it was read.
+ * @param {Object|undefined} stored the fragment's metadata now
+ * @param {Object} expected the fragment's metadata when it was read
+ * @returns {boolean}
+ */
+function isUnchanged(stored, expected) {
+  if (!stored) {
+    return false;
+  }
+  // Fragments stored before we kept a state are committed
+  const state = (fragment) => fragment.state || 'committed';
+  return (
+    state(stored) === state(expected) &&
+    CONDITION_FIELDS.every((field) => field === 'state' || stored[field] === expected[field])
+  );
+}
+
+/**
+ * Returns true if the fragment passes all of the filters in options
+ * @param {Object} fragment fragment metadata
+ * @param {Object} options listing options (types, createdAfter, updatedBefore)
+ * @returns {boolean}
+ */
+function matchesFilters(fragment, options = {}) {
+  const { types, createdAfter, updatedBefore } = options;
+
+  if (types && types.length && !typeMatches(fragment.type, types)) {
+    return false;
+  }
+  if (createdAfter && !(Date.parse(fragment.created) > Date.parse(createdAfter))) {
+    return false;
+  }
+  if (updatedBefore && !(Date.parse(fragment.updated) < Date.parse(updatedBefore))) {
+    return false;
+  }
+  return true;
+}
+
+// Get the value we sort on for a fragment, normalized so it compares correctly
+function sortValue(fragment, sort) {
+  if (sort === 'created' || sort === 'updated') {
+    return Date.parse(fragment[sort]);
+  }
+  return fragment[sort];
+}
+
+// Compare two (value, id) pairs. Ties on the sort value are broken by id so
+// that the order (and therefore the cursor position) is always stable.
+function comparePosition(aValue, aId, bValue, bId) {
+  if (aValue < bValue) return -1;
+  if (aValue > bValue) return 1;
+  if (aId < bId) return -1;
+  if (aId > bId) return 1;
+  return 0;
+}
+
+/**
+ * Sorts fragments in place by the given field (then by id)
+ * @param {Array<Object>} fragments fragment metadata
+ * @param {string} sort one of SORT_FIELDS
+ * @returns {Array<Object>} the sorted array
+ */
+function sortFragments(fragments, sort = 'id') {
+  return fragments.sort((a, b) =>
+    comparePosition(sortValue(a, sort), a.id, sortValue(b, sort), b.id)
+  );
+}
+
+/**
+ * Creates an opaque cursor pointing just after the given fragment
+ * @param {Object} fragment the last fragment on the current page
+ * @param {string} sort the sort field in use
+ * @returns {string} a url-safe cursor string
+ */
+function encodeCursor(fragment, sort = 'id') {
+  const position = { s: sort, v: sortValue(fragment, sort), id: fragment.id };
+  return Buffer.from(JSON.stringify(position), 'utf8').toString('base64url');
+}
+
+// Whether a cursor's value could have come from sortValue(). Dates are kept as
+// times, which have to be valid for the backends to turn back into dates.
+function isSortValue(value, sort) {
+  if (sort === 'id') {
+    return typeof value === 'string';
+  }
+  if (sort === 'created' || sort === 'updated') {
+    return Number.isFinite(value) && !isNaN(new Date(value).getTime());
+  }
+  return Number.isFinite(value);
+}
+
+/**
+ * Decodes a cursor created by encodeCursor(). Throws if the cursor is invalid.
+ * @param {string} cursor the cursor string
+ * @returns {{ sort: string, value: any, id: string }}
+ */
+function decodeCursor(cursor) {
+  let position;
+  try {
+    position = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch {
+    throw new Error('invalid cursor');
+  }
+
+  if (
+    !position ||
+    typeof position.id !== 'string' ||
+    !SORT_FIELDS.includes(position.s) ||
+    !isSortValue(position.v, position.s)
+  ) {
+    throw new Error('invalid cursor');
+  }
+
+  return { sort: position.s, value: position.v, id: position.id };
+}
+
+/**
+ * Returns true if the fragment sorts after the cursor's position
+ * @param {Object} fragment fragment metadata
+ * @param {Object} cursor a decoded cursor
+ * @returns {boolean}
+ */
+function isAfterCursor(fragment, cursor) {
+  return (
+    comparePosition(sortValue(fragment, cursor.sort), fragment.id, cursor.value, cursor.id) > 0
+  );
+}
+
+/**
+ * Filters, sorts and pages a complete list of fragment metadata, leaving out
+ * fragments readers shouldn't see (see isVisible()).
+ * @param {Array<Object>} fragments all of a user's fragment metadata
+ * @param {Object} options listing options
+ * @param {number} [options.limit] max number of fragments to return
+ * @param {Object} [options.cursor] a decoded cursor to start after
+ * @param {Array<string>} [options.types] type patterns to include
+ * @param {string} [options.createdAfter] ISO date string
+ * @param {string} [options.updatedBefore] ISO date string
+ * @param {string} [options.sort] one of SORT_FIELDS (defaults to `id`)
+ * @returns {{ fragments: Array<Object>, next: string|null }}
+ */
+function paginate(fragments, options = {}) {
+  const { limit, cursor, sort = 'id' } = options;
+
+  let results = sortFragments(
+    fragments.filter((fragment) => isVisible(fragment) && matchesFilters(fragment, options)),
+    sort
+  );
+
+  if (cursor) {
+    results = results.filter((fragment) => isAfterCursor(fragment, cursor));
+  }
+
+  if (!limit || results.length <= limit) {
+    return { fragments: results, next: null };
+  }
+
+  const page = results.slice(0, limit);
+  return { fragments: page, next: encodeCursor(page[page.length - 1], sort) };
+}
+
+module.exports.SORT_FIELDS = SORT_FIELDS;
+module.exports.baseType = baseType;
+module.exports.typeMatches = typeMatches;
+module.exports.isNew = isNew;
+module.exports.isVisible = isVisible;
+module.exports.CONDITION_FIELDS = CONDITION_FIELDS;
+module.exports.isUnchanged = isUnchanged;
+module.exports.matchesFilters = matchesFilters;
+module.exports.sortFragments = sortFragments;
+module.exports.encodeCursor = encodeCursor;
+module.exports.decodeCursor = decodeCursor;
+module.exports.isAfterCursor = isAfterCursor;
+module.exports.paginate = paginate;
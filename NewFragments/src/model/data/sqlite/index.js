@@ -0,0 +1,399 @@
+// src/model/data/sqlite/index.js
+
+// Stores fragments in a single SQLite database file (FRAGMENTS_SQLITE_FILE, which
+// defaults to ./data/fragments.db), for small deployments that want durable storage
+// and real queries without running any other services. Metadata goes in an indexed
+// table, so listings are filtered, sorted and paged by SQLite instead of reading
+// every fragment, and data is stored as blobs. The schema is migrated (see
+// ./migrations.js) when the database is opened.
+//
+// We use better-sqlite3, which is synchronous. Our functions still return Promises,
+// like every other backend.
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const logger = require('../../../logger');
+const { encodeCursor, baseType, isUnchanged } = require('../query');
+const migrations = require('./migrations');
+
+/**
+ * Brings a database's schema up to date, running any migrations it hasn't had yet
+ * @param {Database} db an open database
+ */
+function migrate(db) {
+  const current = db.pragma('user_version', { simple: true });
+  if (current > migrations.length) {
+    throw new Error(
+      `database schema version ${current} is newer than this server knows (${migrations.length})`
+    );
+  }
+
+  migrations.slice(current).forEach((sql, index) => {
+    const version = current + index + 1;
+    logger.info('sqlite: Migrating database schema', { version });
+    db.transaction(() => {
+      db.exec(sql);
+      db.pragma(`user_version = ${version}`);
+    })();
+  });
+}
+
+/**
+ * Opens (creating it if necessary) and migrates the database
+ * @param {string} file the database file, or `:memory:`
+ * @returns {Database}
+ */
+function open(file) {
+  if (file !== ':memory:') {
+    fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+  }
+
+  const db = new Database(file);
+  // Let readers carry on while we write, and wait a little for locks instead of failing
+  db.pragma('journal_mode = WAL');
+  db.pragma('busy_timeout = 5000');
+  migrate(db);
+
+  logger.debug('sqlite: Database ready', { file });
+  return db;
+}
+
+const db = open(process.env.FRAGMENTS_SQLITE_FILE || path.join('data', 'fragments.db'));
+
+// Only fragments readers should see, i.e., not new ones that haven't been committed,
+// or ones being deleted (see isVisible() in ../query.js)
+const VISIBLE = `(state IS NULL OR state = 'committed' OR (state = 'pending' AND (
+  version > 0 OR json_array_length(metadata, '$.versions') > 0)))`;
+
+// The columns for each of the sort fields we support (see SORT_FIELDS in ../query.js)
+const SORT_COLUMNS = { id: 'id', created: 'created', updated: 'updated', size: 'size' };
+
+const statements = {
+  writeFragment: db.prepare(`
+    INSERT OR REPLACE INTO fragments
+      (owner_id, id, mime_type, size, created, updated, version, state, metadata)
+    VALUES
+      (@ownerId, @id, @mimeType, @size, @created, @updated, @version, @state, @metadata)
+  `),
+  readFragment: db.prepare('SELECT metadata FROM fragments WHERE owner_id = ? AND id = ?'),
+  listFragments: db.prepare(
+    `SELECT id, metadata FROM fragments WHERE owner_id = ? AND ${VISIBLE} ORDER BY id`
+  ),
+  listOwners: db.prepare('SELECT DISTINCT owner_id FROM fragments ORDER BY owner_id'),
+  deleteMetadata: db.prepare('DELETE FROM fragments WHERE owner_id = ? AND id = ?'),
+  writeData: db.prepare(
+    'INSERT OR REPLACE INTO fragment_data (owner_id, id, data) VALUES (?, ?, ?)'
+  ),
+  readData: db.prepare('SELECT data FROM fragment_data WHERE owner_id = ? AND id = ?'),
+  // substr() on a blob counts bytes, from 1
+  readDataRange: db.prepare(
+    'SELECT substr(data, ?, ?) AS data FROM fragment_data WHERE owner_id = ? AND id = ?'
+  ),
+  deleteData: db.prepare('DELETE FROM fragment_data WHERE owner_id = ? AND id = ?'),
+  archiveData: db.prepare(`
+    INSERT OR REPLACE INTO fragment_versions (owner_id, id, version, data)
+    SELECT owner_id, id, ?, data FROM fragment_data WHERE owner_id = ? AND id = ?
+  `),
+  readVersion: db.prepare(
+    'SELECT data FROM fragment_versions WHERE owner_id = ? AND id = ? AND version = ?'
+  ),
+  deleteVersion: db.prepare(
+    'DELETE FROM fragment_versions WHERE owner_id = ? AND id = ? AND version = ?'
+  ),
+  deleteVersions: db.prepare('DELETE FROM fragment_versions WHERE owner_id = ? AND id = ?'),
+  deleteExpiredKeys: db.prepare('DELETE FROM idempotency_keys WHERE owner_id = ? AND expires <= ?'),
+  readKey: db.prepare('SELECT record FROM idempotency_keys WHERE owner_id = ? AND key = ?'),
+  writeKey: db.prepare(
+    'INSERT OR REPLACE INTO idempotency_keys (owner_id, key, expires, record) VALUES (?, ?, ?, ?)'
+  ),
+  deleteKey: db.prepare('DELETE FROM idempotency_keys WHERE owner_id = ? AND key = ?'),
+};
+
+// Write a fragment's metadata. If `expected` (the metadata as it was read) is given,
+// only write it if the fragment hasn't changed since (see isUnchanged() in ../query.js).
+// Returns a Promise<void>
+async function writeFragment(fragment, expected) {
+  logger.debug('writeFragment: Writing fragment metadata to SQLite', {
+    ownerId: fragment.ownerId,
+    id: fragment.id,
+    type: fragment.type,
+    size: fragment.size
+  });
+
+  const values = {
+    ownerId: fragment.ownerId,
+    id: fragment.id,
+    mimeType: baseType(fragment.type),
+    size: fragment.size ?? 0,
+    created: fragment.created,
+    updated: fragment.updated,
+    version: fragment.version ?? 0,
+    state: fragment.state ?? null,
+    // Like the other backends, we only store the JSON representation
+    metadata: JSON.stringify(fragment),
+  };
+
+  if (!expected) {
+    statements.writeFragment.run(values);
+    return;
+  }
+
+  // Compare and write in one transaction, taking the write lock before we read so
+  // another connection can't write in between
+  db.transaction(() => {
+    const row = statements.readFragment.get(fragment.ownerId, fragment.id);
+    if (!isUnchanged(row && JSON.parse(row.metadata), expected)) {
+      throw new Error(`Fragment changed: ${fragment.id}`);
+    }
+    statements.writeFragment.run(values);
+  }).immediate();
+}
+
+// Read a fragment's metadata. Returns a Promise<Object|undefined>
+async function readFragment(ownerId, id) {
+  logger.debug('readFragment: Reading fragment metadata from SQLite', {
+    ownerId,
+    id
+  });
+
+  const row = statements.readFragment.get(ownerId, id);
+  return row ? JSON.parse(row.metadata) : undefined;
+}
+
+// Write a fragment's data. Returns a Promise
+async function writeFragmentData(ownerId, id, buffer) {
+  logger.debug('writeFragmentData: Writing fragment data to SQLite', {
+    ownerId,
+    id,
+    bufferSize: buffer.length
+  });
+
+  statements.writeData.run(ownerId, id, buffer);
+}
+
+// Read a fragment's data, optionally only the (inclusive) byte range { start, end }.
+// Returns a Promise<Buffer|undefined>
+async function readFragmentData(ownerId, id, range) {
+  logger.debug('readFragmentData: Reading fragment data from SQLite', {
+    ownerId,
+    id,
+    range
+  });
+
+  const row = range
+    ? statements.readDataRange.get(range.start + 1, range.end - range.start + 1, ownerId, id)
+    : statements.readData.get(ownerId, id);
+  return row?.data;
+}
+
+// Copy a fragment's current data into the given version slot. Returns a Promise
+async function archiveFragmentData(ownerId, id, version) {
+  logger.debug('archiveFragmentData: Archiving fragment data in SQLite', {
+    ownerId,
+    id,
+    version
+  });
+
+  const { changes } = statements.archiveData.run(version, ownerId, id);
+  if (!changes) {
+    throw new Error(`missing data for fragment ${id}, unable to archive version ${version}`);
+  }
+}
+
+// Read a prior version of a fragment's data. Returns a Promise<Buffer|undefined>
+async function readFragmentVersionData(ownerId, id, version) {
+  logger.debug('readFragmentVersionData: Reading fragment version data from SQLite', {
+    ownerId,
+    id,
+    version
+  });
+
+  return statements.readVersion.get(ownerId, id, version)?.data;
+}
+
+// Delete a prior version of a fragment's data. Returns a Promise
+async function deleteFragmentVersionData(ownerId, id, version) {
+  logger.debug('deleteFragmentVersionData: Deleting fragment version data from SQLite', {
+    ownerId,
+    id,
+    version
+  });
+
+  statements.deleteVersion.run(ownerId, id, version);
+}
+
+// Get the ids of every owner with fragments in SQLite, sorted. Returns a Promise
+async function listOwners() {
+  logger.debug('listOwners: Listing owners from SQLite');
+  return statements.listOwners.all().map((row) => row.owner_id);
+}
+
+// Get a list of fragment ids/objects for the given user. Returns a Promise
+async function listFragments(ownerId, expand = false) {
+  logger.debug('listFragments: Listing fragments for user from SQLite', {
+    ownerId,
+    expand
+  });
+
+  const rows = statements.listFragments.all(ownerId);
+  return expand ? rows.map((row) => JSON.parse(row.metadata)) : rows.map((row) => row.id);
+}
+
+// Dates are stored as ISO strings, which sort in date order
+const toISOString = (date) => new Date(date).toISOString();
+
+// Get one page of a user's fragments, filtered and sorted according to `options`
+// (see ../query.js), all in SQL. Returns a Promise<{ fragments, next }>
+async function listFragmentsPage(ownerId, options = {}) {
+  logger.debug('listFragmentsPage: Listing a page of fragments for user from SQLite', {
+    ownerId,
+    options
+  });
+
+  const { limit, cursor, types, createdAfter, updatedBefore, sort = 'id' } = options;
+  const column = SORT_COLUMNS[sort];
+  const where = ['owner_id = @ownerId', VISIBLE];
+  const params = { ownerId };
+
+  // Exact types (`text/plain`) or wildcards (`image/*`, `*/*`)
+  if (types && types.length && !types.includes('*/*')) {
+    const matches = types.map((pattern, index) => {
+      const name = `type${index}`;
+      if (pattern.endsWith('/*')) {
+        params[name] = pattern.slice(0, -1);
+        return `substr(mime_type, 1, length(@${name})) = @${name}`;
+      }
+      params[name] = pattern;
+      return `mime_type = @${name}`;
+    });
+    where.push(`(${matches.join(' OR ')})`);
+  }
+  if (createdAfter) {
+    where.push('created > @createdAfter');
+    params.createdAfter = toISOString(createdAfter);
+  }
+  if (updatedBefore) {
+    where.push('updated < @updatedBefore');
+    params.updatedBefore = toISOString(updatedBefore);
+  }
+
+  // Continue after the cursor's position, breaking ties on the sort value by id
+  // (the same order as sortFragments() in ../query.js)
+  if (cursor) {
+    params.cursorId = cursor.id;
+    if (column === 'id') {
+      where.push('id > @cursorId');
+    } else {
+      params.cursorValue = sort === 'size' ? cursor.value : toISOString(cursor.value);
+      where.push(`(${column} > @cursorValue OR (${column} = @cursorValue AND id > @cursorId))`);
+    }
+  }
+
+  // Ask for one more than we need, to know whether there's a next page
+  let sql = `SELECT metadata FROM fragments WHERE ${where.join(' AND ')} ORDER BY ${
+    column === 'id' ? 'id' : `${column}, id`
+  }`;
+  if (limit) {
+    sql += ' LIMIT @limit';
+    params.limit = limit + 1;
+  }
+
+  const rows = db.prepare(sql).all(params).map((row) => JSON.parse(row.metadata));
+  const page = limit ? rows.slice(0, limit) : rows;
+  const next = limit && rows.length > limit ? encodeCursor(page[page.length - 1], sort) : null;
+
+  logger.debug('listFragmentsPage: Returning page of fragments from SQLite', {
+    ownerId,
+    count: page.length,
+    hasNext: !!next
+  });
+
+  return {
+    fragments: options.expand ? page : page.map((fragment) => fragment.id),
+    next,
+  };
+}
+
+// Delete a fragment's data, prior versions and metadata, all in one transaction. Returns a Promise
+async function deleteFragment(ownerId, id) {
+  logger.debug('deleteFragment: Deleting fragment from SQLite', {
+    ownerId,
+    id
+  });
+
+  const deleted = db.transaction(() => {
+    statements.deleteVersions.run(ownerId, id);
+    statements.deleteData.run(ownerId, id);
+    return statements.deleteMetadata.run(ownerId, id).changes;
+  })();
+
+  if (!deleted) {
+    throw new Error(`missing metadata for fragment ${id}`);
+  }
+  logger.info('deleteFragment: Fragment deleted successfully', {
+    ownerId,
+    id
+  });
+}
+
+// Stores an idempotency key's record, unless the owner already has a record for
+// the key that hasn't expired. Returns a Promise with the existing record, or
+// undefined if the key was claimed.
+async function claimIdempotencyKey(ownerId, key, record) {
+  logger.debug('claimIdempotencyKey: Claiming idempotency key in SQLite', { ownerId, key });
+
+  return db.transaction(() => {
+    statements.deleteExpiredKeys.run(ownerId, Math.floor(Date.now() / 1000));
+    const existing = statements.readKey.get(ownerId, key);
+    if (existing) {
+      return JSON.parse(existing.record);
+    }
+    statements.writeKey.run(ownerId, key, record.expires, JSON.stringify(record));
+    return undefined;
+  })();
+}
+
+// Replaces an idempotency key's record (e.g., once the request is complete). Returns a Promise
+async function writeIdempotencyKey(ownerId, key, record) {
+  logger.debug('writeIdempotencyKey: Writing idempotency key to SQLite', { ownerId, key });
+  statements.writeKey.run(ownerId, key, record.expires, JSON.stringify(record));
+}
+
+// Forgets an idempotency key (e.g., if the request failed). Returns a Promise
+async function deleteIdempotencyKey(ownerId, key) {
+  logger.debug('deleteIdempotencyKey: Deleting idempotency key from SQLite', { ownerId, key });
+  statements.deleteKey.run(ownerId, key);
+}
+
+// Remove everything we've stored, keeping the schema (useful for testing). Only runs if
+// FRAGMENTS_SQLITE_FILE is set, so we never empty ./data/fragments.db just because it's
+// the default, and never in production
+function reset() {
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('refusing to reset SQLite storage in production');
+  }
+  if (!process.env.FRAGMENTS_SQLITE_FILE) {
+    throw new Error('refusing to reset SQLite storage without FRAGMENTS_SQLITE_FILE');
+  }
+  db.transaction(() => {
+    for (const table of ['fragments', 'fragment_data', 'fragment_versions', 'idempotency_keys']) {
+      db.prepare(`DELETE FROM ${table}`).run();
+    }
+  })();
+}
+
+module.exports.listFragments = listFragments;
+module.exports.listFragmentsPage = listFragmentsPage;
+module.exports.listOwners = listOwners;
+module.exports.writeFragment = writeFragment;
+module.exports.readFragment = readFragment;
+module.exports.writeFragmentData = writeFragmentData;
+module.exports.readFragmentData = readFragmentData;
+module.exports.deleteFragment = deleteFragment;
+module.exports.archiveFragmentData = archiveFragmentData;
+module.exports.readFragmentVersionData = readFragmentVersionData;
+module.exports.deleteFragmentVersionData = deleteFragmentVersionData;
+module.exports.claimIdempotencyKey = claimIdempotencyKey;
+module.exports.writeIdempotencyKey = writeIdempotencyKey;
+module.exports.deleteIdempotencyKey = deleteIdempotencyKey;
+module.exports.reset = reset;
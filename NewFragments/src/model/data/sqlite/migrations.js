@@ -0,0 +1,52 @@
+// src/model/data/sqlite/migrations.js
+
+// Schema changes for the SQLite backend, in order. The database remembers how many
+// it has run (in PRAGMA user_version), and any new ones run when it's opened.
+// Never change a migration once it's released; add another one instead.
+module.exports = [
+  // 1: fragment metadata, data, prior versions and idempotency keys
+  `
+  -- The full metadata is kept as JSON, with the fields we filter and sort on
+  -- copied into columns (and indexed) so listings don't read every fragment
+  CREATE TABLE fragments (
+    owner_id TEXT NOT NULL,
+    id TEXT NOT NULL,
+    mime_type TEXT NOT NULL,
+    size INTEGER NOT NULL,
+    created TEXT NOT NULL,
+    updated TEXT NOT NULL,
+    version INTEGER NOT NULL,
+    state TEXT,
+    metadata TEXT NOT NULL,
+    PRIMARY KEY (owner_id, id)
+  ) WITHOUT ROWID;
+
+  CREATE INDEX fragments_by_created ON fragments (owner_id, created, id);
+  CREATE INDEX fragments_by_updated ON fragments (owner_id, updated, id);
+  CREATE INDEX fragments_by_size ON fragments (owner_id, size, id);
+  CREATE INDEX fragments_by_type ON fragments (owner_id, mime_type);
+
+  CREATE TABLE fragment_data (
+    owner_id TEXT NOT NULL,
+    id TEXT NOT NULL,
+    data BLOB NOT NULL,
+    PRIMARY KEY (owner_id, id)
+  );
+
+  CREATE TABLE fragment_versions (
+    owner_id TEXT NOT NULL,
+    id TEXT NOT NULL,
+    version INTEGER NOT NULL,
+    data BLOB NOT NULL,
+    PRIMARY KEY (owner_id, id, version)
+  );
+
+  CREATE TABLE idempotency_keys (
+    owner_id TEXT NOT NULL,
+    key TEXT NOT NULL,
+    expires INTEGER NOT NULL,
+    record TEXT NOT NULL,
+    PRIMARY KEY (owner_id, key)
+  ) WITHOUT ROWID;
+  `,
+];
@@ -4,6 +4,12 @@ const { randomUUID } = require('crypto');
 // Use https://www.npmjs.com/package/content-type to create/parse Content-Type headers
 const contentType = require('content-type');
 const logger = require('../logger');
+const { createETag } = require('../etag');
+const { sanitize, sanitizeOnWrite, sanitizeSvg } = require('../sanitize');
+const { readImageMetadata } = require('./image-metadata');
+const { processImageUpload } = require('./image-upload');
+// The conversions we can do between types (see src/model/converters)
+const converters = require('./converters');
 
 // Functions for working with fragment metadata/data using our DB
 const {
@@ -12,11 +18,62 @@ const {
   readFragmentData,
   writeFragmentData,
   listFragments,
+  listFragmentsPage,
   deleteFragment,
+  archiveFragmentData,
+  readFragmentVersionData,
+  deleteFragmentVersionData,
 } = require('./data');
+const { isNew, isVisible } = require('./data/query');
+
+/**
+ * The maximum number of prior versions we keep for each fragment. Older versions
+ * are pruned as new ones are written. Set FRAGMENT_MAX_VERSIONS=0 to disable history.
+ * @returns {number}
+ */
+const maxVersions = () => {
+  const max = parseInt(process.env.FRAGMENT_MAX_VERSIONS ?? '10', 10);
+  return Number.isNaN(max) || max < 0 ? 10 : max;
+};
+
+// The types of fragment data we know how to work with
+const supportedTypes = [
+  'text/plain',
+  'text/markdown',
+  'text/html',
+  'text/csv',
+  'application/json',
+  'application/yaml',
+  'image/png',
+  'image/jpeg',
+  'image/webp',
+  'image/gif',
+  'image/avif',
+  'image/tiff',
+  'image/svg+xml',
+];
+
+// The types a fragment can change between with PUT (see canChangeType()). Images
+// are a family of their own.
+const textFamily = ['text/plain', 'text/markdown', 'text/html'];
+const family = (type) => (type.startsWith('image/') ? 'image' : textFamily.includes(type) && 'text');
 
 class Fragment {
-  constructor({ id, ownerId, created, updated, type, size = 0 }) {
+  constructor({
+    id,
+    ownerId,
+    created,
+    updated,
+    type,
+    size = 0,
+    etag,
+    version = 0,
+    versions = [],
+    image,
+    source,
+    state,
+    stateSince,
+  }) {
     logger.debug('Fragment: Creating new fragment', {
       id: id || 'auto-generated',
       ownerId,
@@ -56,6 +113,37 @@ class Fragment {
     this.type = type;
     this.size = size;
 
+    // A strong ETag for the fragment's data (see src/etag.js), set along with the data
+    if (etag) {
+      this.etag = etag;
+    }
+
+    // The current version number of the data (0 until data is first set), and
+    // the history of every version we still have: [{ version, type, size, etag, created }],
+    // along with the previousType for versions that changed the type
+    this.version = version;
+    this.versions = versions;
+
+    // For images, the metadata we read when the data was set (see src/model/image-metadata.js)
+    if (image) {
+      this.image = image;
+    }
+
+    // For fragments made by converting another one, where the data came from: { id, version, type }
+    if (source) {
+      this.source = source;
+    }
+
+    // How far a write or delete of the fragment got: pending, committed or deleting
+    // (see isVisible() in src/model/data/query.js). New fragments are pending until
+    // their data is set. Stored fragments without a state are from before we kept
+    // track of it, and are committed.
+    this.state = state || (id ? 'committed' : 'pending');
+    // When the write or delete in progress started (see setData()), if there is one
+    if (stateSince) {
+      this.stateSince = stateSince;
+    }
+
     // Set timestamps
     const now = new Date().toISOString();
     this.created = created || now;
@@ -100,6 +188,39 @@ class Fragment {
     return fragments;
   }
 
+  /**
+   * Get one page of fragments (id or full) for the given user
+   * @param {string} ownerId user's hashed email
+   * @param {Object} options listing options (see src/model/data/query.js)
+   * @param {boolean} [options.expand] whether to expand ids to full fragments
+   * @param {number} [options.limit] max number of fragments to return
+   * @param {Object} [options.cursor] decoded cursor to continue from
+   * @param {Array<string>} [options.types] type patterns to include (e.g., `image/*`)
+   * @param {string} [options.createdAfter] only include fragments created after this date
+   * @param {string} [options.updatedBefore] only include fragments updated before this date
+   * @param {string} [options.sort] `created`, `updated` or `size` (defaults to id order)
+   * @returns Promise<{ fragments: Array<Fragment>|Array<string>, next: string|null }>
+   */
+  static async byUserPage(ownerId, options = {}) {
+    logger.debug('Fragment.byUserPage: Retrieving page of fragments for user', {
+      ownerId,
+      options
+    });
+
+    const { fragments, next } = await listFragmentsPage(ownerId, options);
+
+    logger.debug('Fragment.byUserPage: Returning page of fragments', {
+      ownerId,
+      count: fragments.length,
+      hasNext: !!next
+    });
+
+    return {
+      fragments: options.expand ? fragments.map((fragment) => new Fragment(fragment)) : fragments,
+      next,
+    };
+  }
+
   /**
    * Gets a fragment for the user by the given id.
    * @param {string} ownerId user's hashed email
@@ -114,7 +235,8 @@ class Fragment {
 
     const fragment = await readFragment(ownerId, id);
     
-    if (!fragment) {
+    // Half-created or half-deleted fragments don't exist as far as readers are concerned
+    if (!fragment || !isVisible(fragment)) {
       logger.warn('Fragment.byId: Fragment not found', {
         ownerId,
         id
@@ -134,30 +256,46 @@ class Fragment {
   }
 
   /**
-   * Delete the user's fragment data and metadata for the given id
+   * Delete the user's fragment data and metadata for the given id. The fragment is
+   * marked as deleting first, so if we fail part way through, readers won't see
+   * what's left of it.
    * @param {string} ownerId user's hashed email
    * @param {string} id fragment's id
+   * @param {Object} [options]
+   * @param {Fragment} [options.ifUnchanged] only delete the fragment if nobody has written
+   * it (or started to) since this copy of it was read. Throws `Fragment changed` otherwise.
    * @returns Promise<void>
    */
-  static delete(ownerId, id) {
+  static async delete(ownerId, id, { ifUnchanged } = {}) {
     logger.debug('Fragment.delete: Deleting fragment', {
       ownerId,
       id
     });
 
-    return deleteFragment(ownerId, id).then(() => {
+    try {
+      const fragment = await readFragment(ownerId, id);
+      if (!fragment) {
+        throw new Error(`Fragment not found: ${id}`);
+      }
+
+      await writeFragment(
+        { ...fragment, state: 'deleting', stateSince: new Date().toISOString() },
+        ifUnchanged
+      );
+      await deleteFragment(ownerId, id);
+
       logger.info('Fragment.delete: Fragment deleted successfully', {
         ownerId,
         id
       });
-    }).catch(err => {
+    } catch (err) {
       logger.error('Fragment.delete: Error deleting fragment', {
         ownerId,
         id,
         error: err.message
       });
       throw err;
-    });
+    }
   }
 
   /**
@@ -186,38 +324,71 @@ class Fragment {
   }
 
   /**
-   * Gets the fragment's data from the database
+   * Gets the fragment's data from the database. While new data is being written
+   * (i.e., the fragment is pending), this is the archived copy of the current version.
+   * @param {{ start: number, end: number }} [range] only get these (inclusive) bytes
    * @returns Promise<Buffer>
    */
-  getData() {
+  async getData(range) {
     logger.debug('Fragment.getData: Retrieving fragment data', {
       id: this.id,
-      ownerId: this.ownerId
+      ownerId: this.ownerId,
+      state: this.state,
+      range
     });
 
-    return readFragmentData(this.ownerId, this.id).then(data => {
+    try {
+      let data;
+      if (this.state === 'pending' && !isNew(this)) {
+        data = await readFragmentVersionData(this.ownerId, this.id, this.version);
+        if (data && range) {
+          data = data.subarray(range.start, range.end + 1);
+        }
+      } else {
+        data = await readFragmentData(this.ownerId, this.id, range);
+      }
+
       logger.debug('Fragment.getData: Fragment data retrieved', {
         id: this.id,
         ownerId: this.ownerId,
         dataSize: data ? data.length : 0
       });
       return data;
-    }).catch(err => {
+    } catch (err) {
       logger.error('Fragment.getData: Error retrieving fragment data', {
         id: this.id,
         ownerId: this.ownerId,
         error: err.message
       });
       throw err;
-    });
+    }
+  }
+
+  /**
+   * Gets the ETag for the fragment's current data. Fragments stored before we kept
+   * ETags need theirs computed from the data.
+   * @returns Promise<string>
+   */
+  async getETag() {
+    return this.etag || createETag(await this.getData());
   }
 
   /**
-   * Set's the fragment's data in the database
+   * Set's the fragment's data in the database. The data being replaced is kept
+   * as an immutable prior version (see versions, getVersionData()). The fragment
+   * is pending until both its data and metadata are saved, and if either can't be,
+   * the write is rolled back (see rollback()) and the error rethrown. SVG is always
+   * sanitized first, and HTML if HTML_SANITIZE_ON_WRITE=true (see src/sanitize.js).
+   * Raster images are rotated to match their EXIF orientation and have their metadata
+   * stripped (see src/model/image-upload.js), unless options.processImages is false.
    * @param {Buffer} data
+   * @param {Object} [options]
+   * @param {boolean} [options.processImages=true] whether to process images before storing them
+   * @param {boolean} [options.ifUnchanged=false] only write the data if nobody has written the
+   * fragment (or started to) since it was read. Throws `Fragment changed` otherwise.
    * @returns Promise<void>
    */
-  async setData(data) {
+  async setData(data, { processImages = true, ifUnchanged = false } = {}) {
     logger.debug('Fragment.setData: Setting fragment data', {
       id: this.id,
       ownerId: this.ownerId,
@@ -232,21 +403,174 @@ class Fragment {
       });
       throw new Error('data must be a Buffer');
     }
-    
-    // Update size and timestamp
-    this.size = data.length;
-    this.updated = new Date().toISOString();
-    
-    logger.debug('Fragment.setData: Updated fragment metadata', {
+
+    const uploaded = data;
+    try {
+      // If we've been asked to, only ever store safe HTML
+      if (this.mimeType === 'text/html' && sanitizeOnWrite()) {
+        data = Buffer.from(sanitize(data.toString('utf8')), 'utf8');
+      }
+
+      // SVG can contain scripts, so we never store it as-is
+      if (this.mimeType === 'image/svg+xml') {
+        data = Buffer.from(sanitizeSvg(data.toString('utf8')), 'utf8');
+      }
+
+      // Don't keep photos' GPS coordinates, etc., unless we've been asked to
+      if (processImages) {
+        data = await processImageUpload(data, this.mimeType);
+      }
+    } catch (err) {
+      // We can't store this data (e.g., it isn't a valid image). A new fragment
+      // would never get any, so it's removed.
+      if (isNew(this)) {
+        await this.rollback();
+      }
+      throw err;
+    }
+
+    // Fragments stored before we kept versions have data, but no version entry for it.
+    // We list their data as version 0, so it's archived (and kept) like any other. PUT
+    // may already have changed the type, so the data's type comes from what's stored.
+    if (!this.versions.length && this.state !== 'pending') {
+      const original = await readFragmentData(this.ownerId, this.id);
+      if (original) {
+        const stored = await readFragment(this.ownerId, this.id);
+        this.versions = [
+          {
+            version: this.version,
+            type: stored ? stored.type : this.type,
+            size: original.length,
+            etag: this.etag || createETag(original),
+            created: this.updated,
+          },
+        ];
+      }
+    }
+
+    const max = maxVersions();
+    const current = this.versions.find(({ version }) => version === this.version);
+
+    // What the metadata goes back to if we fail. The type may already have been
+    // changed for the new data (e.g., by PUT), so it comes from the current version.
+    const previous = { ...this, type: current ? current.type : this.type, state: 'committed' };
+    delete previous.stateSince;
+
+    // For a conditional write, claim the fragment before we touch anything, by noting
+    // when we started. That only succeeds if nobody has changed the fragment since we
+    // read it, and makes any other conditional write that read it before then fail.
+    let claimed;
+    if (ifUnchanged) {
+      const expected = {
+        etag: this.etag,
+        version: this.version,
+        state: this.state,
+        stateSince: this.stateSince,
+      };
+      claimed = { ...expected, stateSince: new Date().toISOString() };
+      await writeFragment({ ...previous, state: this.state, stateSince: claimed.stateSince }, expected);
+      this.stateSince = claimed.stateSince;
+    }
+
+    // Keep a copy of the data we're about to overwrite as a prior version. We need
+    // it to roll back even if history is disabled. If an earlier write never
+    // committed, the copy is already there and the current data may be the
+    // uncommitted data, so we leave the copy alone.
+    if (current && this.state !== 'pending') {
+      await archiveFragmentData(this.ownerId, this.id, current.version);
+    }
+
+    // Keep the image's dimensions, etc., so we don't have to read it again to show them.
+    // Processing strips the EXIF data, so we read that from the image as uploaded, but
+    // leave out its GPS coordinates, as they're what stripping is there to remove.
+    const image = this.mimeType.startsWith('image/')
+      ? await readImageMetadata(data, { exifFrom: uploaded, gps: !processImages })
+      : undefined;
+
+    // The metadata for the new data, which we only keep once it's all saved
+    const updated = new Date().toISOString();
+    const entry = {
+      version: this.version + 1,
+      type: this.type,
+      size: data.length,
+      etag: createETag(data),
+      created: updated,
+    };
+    // Note when the data's type changed (e.g., from text/markdown to text/html)
+    if (current && contentType.parse(current.type).type !== this.mimeType) {
+      entry.previousType = current.type;
+    }
+    const versions = [...this.versions, entry];
+    // Forget about any prior versions beyond the ones we're allowed to keep
+    const pruned = versions.splice(0, Math.max(0, versions.length - 1 - max));
+    const next = {
+      ...this,
+      size: entry.size,
+      etag: entry.etag,
+      updated,
+      version: entry.version,
+      versions,
+      image,
+      state: 'committed',
+    };
+    if (!image) {
+      delete next.image;
+    }
+    delete next.stateSince;
+
+    logger.debug('Fragment.setData: Writing fragment data', {
       id: this.id,
       ownerId: this.ownerId,
-      newSize: this.size,
-      updated: this.updated
+      newSize: next.size,
+      etag: next.etag,
+      version: next.version,
+      pruned: pruned.map(({ version }) => version),
+      updated
     });
-    
-    // Save data and update metadata
-    await writeFragmentData(this.ownerId, this.id, data);
-    await this.save();
+
+    // Mark the fragment pending while we overwrite its data, so readers keep using
+    // the archived copy (or don't see a new fragment at all), then commit the new
+    // metadata. If either write fails, put things back the way they were. The marker
+    // keeps the old updated time, so stateSince says when the write started (see
+    // src/model/data/aws/consistency.js).
+    let dataWritten = false;
+    try {
+      await writeFragment({ ...previous, state: 'pending', stateSince: updated }, claimed);
+      await writeFragmentData(this.ownerId, this.id, data);
+      dataWritten = true;
+      await writeFragment(next);
+    } catch (err) {
+      logger.error('Fragment.setData: Unable to save fragment data, rolling back', {
+        id: this.id,
+        ownerId: this.ownerId,
+        version: next.version,
+        error: err.message
+      });
+      // If an earlier write never committed, the current data can't be trusted either
+      await this.rollback(previous, current, dataWritten || this.state === 'pending');
+      throw err;
+    }
+
+    Object.assign(this, next);
+    if (!image) {
+      delete this.image;
+    }
+    delete this.stateSince;
+
+    // Now that the metadata no longer refers to them, remove pruned versions' data
+    await Promise.all(
+      pruned.map(({ version }) =>
+        deleteFragmentVersionData(this.ownerId, this.id, version).catch((err) => {
+          // Not fatal, the new data is already saved; we'll just leak the old version
+          logger.warn('Fragment.setData: Unable to delete pruned version data', {
+            id: this.id,
+            ownerId: this.ownerId,
+            version,
+            error: err.message
+          });
+        })
+      )
+    );
     
     logger.debug('Fragment.setData: Fragment data saved successfully', {
       id: this.id,
@@ -255,6 +579,98 @@ class Fragment {
     });
   }
 
+  /**
+   * Undoes a failed setData(). A new fragment (one with no version entry for its
+   * current data, see setData()) is deleted; otherwise the data is
+   * restored from its archived copy and the previous metadata is committed again.
+   * If this fails too, the fragment stays pending and readers keep using the
+   * archived copy (see getData()).
+   * @param {Object} [previous] the metadata to go back to (not needed for a new fragment)
+   * @param {Object} [current] the version entry for the data being replaced, if any
+   * @param {boolean} [restoreData] whether the data needs restoring from the archived copy
+   * @returns Promise<void>
+   */
+  async rollback(previous, current, restoreData) {
+    try {
+      if (!current) {
+        await deleteFragment(this.ownerId, this.id);
+        return;
+      }
+
+      if (restoreData) {
+        const data = await readFragmentVersionData(this.ownerId, this.id, current.version);
+        await writeFragmentData(this.ownerId, this.id, data);
+      }
+      await writeFragment(previous);
+      this.state = 'committed';
+      delete this.stateSince;
+    } catch (err) {
+      logger.error('Fragment.rollback: Unable to roll back fragment', {
+        id: this.id,
+        ownerId: this.ownerId,
+        error: err.message
+      });
+    }
+  }
+
+  /**
+   * Gets the data for one of the fragment's versions (current or prior)
+   * @param {number} version the version number
+   * @returns Promise<Buffer>
+   */
+  async getVersionData(version) {
+    logger.debug('Fragment.getVersionData: Retrieving fragment version data', {
+      id: this.id,
+      ownerId: this.ownerId,
+      version
+    });
+
+    if (version === this.version) {
+      return this.getData();
+    }
+
+    if (!this.versions.some((entry) => entry.version === version)) {
+      throw new Error(`Fragment version not found: ${version}`);
+    }
+
+    return readFragmentVersionData(this.ownerId, this.id, version);
+  }
+
+  /**
+   * Makes a prior version the current one, by writing its data (and type) as a
+   * new version. The version being replaced is kept, like any other update.
+   * @param {number} version the version number to restore
+   * @returns Promise<void>
+   */
+  async restoreVersion(version) {
+    logger.debug('Fragment.restoreVersion: Restoring fragment version', {
+      id: this.id,
+      ownerId: this.ownerId,
+      version
+    });
+
+    const entry = this.versions.find((entry) => entry.version === version);
+    if (!entry) {
+      throw new Error(`Fragment version not found: ${version}`);
+    }
+
+    const data = await this.getVersionData(version);
+    if (!data) {
+      throw new Error(`Fragment version data not found: ${version}`);
+    }
+    this.type = entry.type;
+    // The version was processed (or deliberately not) when it was first stored, so
+    // we restore it exactly as it was
+    await this.setData(data, { processImages: false });
+
+    logger.info('Fragment.restoreVersion: Fragment version restored', {
+      id: this.id,
+      ownerId: this.ownerId,
+      restored: version,
+      version: this.version
+    });
+  }
+
   /**
    * Returns the mime type (e.g., without encoding) for the fragment's type:
    * "text/html; charset=utf-8" -> "text/html"
@@ -278,8 +694,43 @@ class Fragment {
    * @returns {Array<string>} list of supported mime types
    */
   get formats() {
-    // For now, only return the same type (no conversions supported yet)
-    return [this.mimeType];
+    return Fragment.formatsFor(this.type);
+  }
+
+  /**
+   * Returns the formats into which data of the given type can be converted,
+   * starting with the type itself (i.e., no conversion)
+   * @param {string} value a Content-Type value (e.g., 'text/plain; charset=utf-8')
+   * @returns {Array<string>} list of supported mime types
+   */
+  static formatsFor(value) {
+    const { type } = contentType.parse(value);
+    return [type, ...converters.targetsFor(type)];
+  }
+
+  /**
+   * Returns true if data of one type can be converted to (or sent as) another
+   * @param {string} from a Content-Type value
+   * @param {string} to a mime type
+   * @returns {boolean}
+   */
+  static canConvert(from, to) {
+    return converters.canConvert(contentType.parse(from).type, to);
+  }
+
+  /**
+   * Returns true if a fragment's type can change from one type to another (e.g., with
+   * PUT and X-Allow-Type-Change). The types have to be in the same family (text and
+   * markup, or images), and one converter has to convert between them directly, so
+   * the new type really is the same kind of data (e.g., JSON can't become HTML just
+   * because both convert to plain text).
+   * @param {string} from a Content-Type value
+   * @param {string} to a mime type
+   * @returns {boolean}
+   */
+  static canChangeType(from, to) {
+    const { type } = contentType.parse(from);
+    return !!family(type) && family(type) === family(to) && converters.canConvertDirectly(type, to);
   }
 
   /**
@@ -290,21 +741,6 @@ class Fragment {
   static isSupportedType(value) {
     try {
       const { type } = contentType.parse(value);
-      
-      // For Assignment 2: support all text/* types and application/json
-      const supportedTypes = [
-        'text/plain',
-        'text/markdown',
-        'text/html',
-        'text/csv',
-        'application/json',
-        'application/yaml',
-        'image/png',
-        'image/jpeg',
-        'image/webp',
-        'image/gif',
-      ];
-      
       return supportedTypes.includes(type);
     } catch {
       return false;
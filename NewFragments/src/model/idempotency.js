@@ -0,0 +1,135 @@
+// src/model/idempotency.js
+
+// Idempotency keys let clients safely retry a request (e.g., POST /fragments on a
+// flaky network) without creating duplicates. The first request with a key claims
+// it; once that request completes we remember its response, and a retry with the
+// same key and body gets the same response back. See:
+// https://datatracker.ietf.org/doc/draft-ietf-httpapi-idempotency-key-header/
+//
+// Keys are remembered per owner for IDEMPOTENCY_KEY_TTL seconds (24 hours by default).
+const crypto = require('crypto');
+const logger = require('../logger');
+const {
+  claimIdempotencyKey,
+  writeIdempotencyKey,
+  deleteIdempotencyKey,
+} = require('./data');
+
+const DEFAULT_TTL = 24 * 60 * 60;
+
+// How many times we try to remember a response, and how long (in ms) we wait
+// before trying again (longer each time)
+const COMPLETE_ATTEMPTS = 3;
+const COMPLETE_RETRY_DELAY = 100;
+
+/**
+ * How long to remember keys, in seconds
+ * @returns {number}
+ */
+function ttl() {
+  const value = Number(process.env.IDEMPOTENCY_KEY_TTL);
+  return Number.isInteger(value) && value > 0 ? value : DEFAULT_TTL;
+}
+
+/**
+ * Returns true if the key is acceptable: 1-255 visible ASCII characters
+ * @param {string} key the Idempotency-Key header value
+ * @returns {boolean}
+ */
+const isValidKey = (key) => typeof key === 'string' && /^[\x21-\x7e]{1,255}$/.test(key);
+
+/**
+ * A fingerprint of a request, so we can tell if a key is reused for a different one
+ * @param {string} type the request's Content-Type
+ * @param {Buffer} body the request's body
+ * @returns {string}
+ */
+const fingerprint = (type, body) =>
+  crypto.createHash('sha256').update(type).update('\n').update(body).digest('base64url');
+
+/**
+ * Claims a key for a request. Returns what to do with it:
+ *  - { status: 'new' }: the key is ours, go ahead (and call complete() or release())
+ *  - { status: 'replay', response }: the request already completed, send its response again
+ *  - { status: 'mismatch' }: the key was used for a different request
+ *  - { status: 'in-progress' }: a request with the key hasn't finished yet
+ * @param {string} ownerId user's hashed email
+ * @param {string} key the Idempotency-Key
+ * @param {string} requestFingerprint see fingerprint()
+ * @returns {Promise<{ status: string, response?: Object }>}
+ */
+async function begin(ownerId, key, requestFingerprint) {
+  const existing = await claimIdempotencyKey(ownerId, key, {
+    fingerprint: requestFingerprint,
+    status: 'pending',
+    expires: Math.floor(Date.now() / 1000) + ttl(),
+  });
+
+  if (!existing) {
+    return { status: 'new' };
+  }
+
+  logger.debug('idempotency: Key already used', { ownerId, key, status: existing.status });
+  if (existing.fingerprint !== requestFingerprint) {
+    return { status: 'mismatch' };
+  }
+  if (existing.status !== 'complete') {
+    return { status: 'in-progress' };
+  }
+  return { status: 'replay', response: existing.response };
+}
+
+/**
+ * Remembers the response to a request, for replaying to retries. By now the request
+ * has done its work, so we try a few times before giving up.
+ * @param {string} ownerId user's hashed email
+ * @param {string} key the Idempotency-Key
+ * @param {string} requestFingerprint see fingerprint()
+ * @param {Object} response what we need to send the response again (e.g., headers and body)
+ * @returns {Promise<void>}
+ */
+async function complete(ownerId, key, requestFingerprint, response) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await writeIdempotencyKey(ownerId, key, {
+        fingerprint: requestFingerprint,
+        status: 'complete',
+        response,
+        expires: Math.floor(Date.now() / 1000) + ttl(),
+      });
+    } catch (err) {
+      if (attempt === COMPLETE_ATTEMPTS) {
+        throw err;
+      }
+      logger.warn('idempotency: Unable to complete key, retrying', {
+        ownerId,
+        key,
+        attempt,
+        error: err.message,
+      });
+      await new Promise((resolve) => setTimeout(resolve, COMPLETE_RETRY_DELAY * attempt));
+    }
+  }
+}
+
+/**
+ * Forgets a key whose request failed, so it can be retried. Only for requests that
+ * didn't change anything: a retry would do it all again.
+ * @param {string} ownerId user's hashed email
+ * @param {string} key the Idempotency-Key
+ * @returns {Promise<void>}
+ */
+async function release(ownerId, key) {
+  try {
+    await deleteIdempotencyKey(ownerId, key);
+  } catch (err) {
+    // It will expire anyway
+    logger.warn('idempotency: Unable to release key', { ownerId, key, error: err.message });
+  }
+}
+
+module.exports.isValidKey = isValidKey;
+module.exports.fingerprint = fingerprint;
+module.exports.begin = begin;
+module.exports.complete = complete;
+module.exports.release = release;
@@ -0,0 +1,110 @@
+// src/model/image-metadata.js
+
+// Reads the metadata we keep for image fragments (dimensions, colour info and a
+// few EXIF fields), so it can be shown without reading the image data again.
+const sharp = require('sharp');
+const exifReader = require('exif-reader');
+const logger = require('../logger');
+
+/**
+ * @typedef {Object} ImageMetadata
+ * @property {number} width width in pixels, as stored (see orientation)
+ * @property {number} height height in pixels, as stored
+ * @property {number} [orientation] EXIF orientation (1-8), if there is one
+ * @property {string} colorSpace e.g., `srgb`, `cmyk` or `b-w`
+ * @property {boolean} hasAlpha whether there's an alpha (transparency) channel
+ * @property {number} frames number of frames (more than 1 if it's animated)
+ * @property {Object} [exif] selected EXIF fields, if there are any:
+ * `{ make, model, taken, gps: { latitude, longitude, altitude } }`
+ */
+
+// Removes undefined values (DynamoDB won't store them), and returns undefined if nothing is left
+const compact = (object) => {
+  const entries = Object.entries(object).filter(([, value]) => value !== undefined);
+  return entries.length ? Object.fromEntries(entries) : undefined;
+};
+
+// Converts EXIF degrees, minutes and seconds (e.g., [43, 39, 30] and 'N') to decimal degrees
+const toDegrees = (dms, ref) => {
+  if (!Array.isArray(dms) || dms.length !== 3 || !dms.every(Number.isFinite)) {
+    return undefined;
+  }
+  const degrees = dms[0] + dms[1] / 60 + dms[2] / 3600;
+  return Number((/^[SW]$/i.test(ref) ? -degrees : degrees).toFixed(6));
+};
+
+const trim = (value) => (typeof value === 'string' && value.trim() ? value.trim() : undefined);
+
+/**
+ * Picks the EXIF fields we keep out of sharp's raw EXIF data
+ * @param {Buffer} [raw] the EXIF block
+ * @returns {Object|undefined}
+ */
+function readExif(raw) {
+  if (!raw) {
+    return undefined;
+  }
+
+  const { Image = {}, Photo = {}, GPSInfo = {} } = exifReader(raw);
+  const taken = Photo.DateTimeOriginal || Photo.DateTimeDigitized || Image.DateTime;
+  const altitude = Number.isFinite(GPSInfo.GPSAltitude)
+    ? // An altitude ref of 1 means below sea level
+      GPSInfo.GPSAltitudeRef === 1
+      ? -GPSInfo.GPSAltitude
+      : GPSInfo.GPSAltitude
+    : undefined;
+
+  return compact({
+    make: trim(Image.Make),
+    model: trim(Image.Model),
+    taken: taken instanceof Date && !isNaN(taken.getTime()) ? taken.toISOString() : undefined,
+    gps: compact({
+      latitude: toDegrees(GPSInfo.GPSLatitude, GPSInfo.GPSLatitudeRef),
+      longitude: toDegrees(GPSInfo.GPSLongitude, GPSInfo.GPSLongitudeRef),
+      altitude,
+    }),
+  });
+}
+
+/**
+ * Reads an image's metadata. Returns undefined if the data can't be read as an
+ * image, rather than throwing, since the metadata is only informational.
+ * @param {Buffer} data the image
+ * @param {Object} [options]
+ * @param {Buffer} [options.exifFrom=data] the image to read the EXIF fields from, e.g., the
+ * image as uploaded, before its metadata was stripped (see src/model/image-upload.js)
+ * @param {boolean} [options.gps=true] whether to keep the EXIF GPS coordinates
+ * @returns {Promise<ImageMetadata|undefined>}
+ */
+async function readImageMetadata(data, { exifFrom = data, gps = true } = {}) {
+  try {
+    const metadata = await sharp(data).metadata();
+
+    let exif;
+    try {
+      const raw = exifFrom === data ? metadata.exif : (await sharp(exifFrom).metadata()).exif;
+      exif = readExif(raw);
+    } catch (err) {
+      // A corrupt EXIF block doesn't stop us using the rest
+      logger.warn('readImageMetadata: Unable to read EXIF data', { error: err.message });
+    }
+    if (exif && !gps) {
+      exif = compact({ ...exif, gps: undefined });
+    }
+
+    return compact({
+      width: metadata.width,
+      height: metadata.height,
+      orientation: metadata.orientation,
+      colorSpace: metadata.space,
+      hasAlpha: metadata.hasAlpha,
+      frames: metadata.pages || 1,
+      exif,
+    });
+  } catch (err) {
+    logger.warn('readImageMetadata: Unable to read image metadata', { error: err.message });
+    return undefined;
+  }
+}
+
+module.exports.readImageMetadata = readImageMetadata;
@@ -0,0 +1,66 @@
+// src/model/image-upload.js
+
+// Prepares uploaded images for storage. Photos (e.g., from phones) often carry
+// EXIF data with GPS coordinates and camera serial numbers, and rely on an EXIF
+// orientation tag to display the right way up. We rotate the pixels to match the
+// orientation and drop the metadata, keeping only the colour profile.
+const sharp = require('sharp');
+const logger = require('../logger');
+const { LIMITS, formats } = require('./converters/image');
+
+// Re-encoding lossy formats loses a little quality, so we use a high setting
+// (other formats are lossless, and for PNG a quality would mean using a palette)
+const LOSSY_TYPES = ['image/jpeg', 'image/webp', 'image/avif'];
+const QUALITY = 90;
+
+/**
+ * Applies the image's EXIF orientation and strips its metadata. Images with
+ * nothing to strip or rotate are returned unchanged, so we don't re-encode them
+ * needlessly. Data we can't read as an image is rejected, since we can't tell
+ * what it might be carrying.
+ * @param {Buffer} data the uploaded image
+ * @param {string} type the image's mime type
+ * @returns {Promise<Buffer>} the image to store
+ * @throws {Error} `Invalid image data` if the data can't be processed as the given type
+ */
+async function processImageUpload(data, type) {
+  // SVG isn't a raster image, and is sanitized instead
+  if (!formats[type]) {
+    return data;
+  }
+
+  try {
+    const options = { animated: true, limitInputPixels: LIMITS.maxInputPixels };
+    const metadata = await sharp(data, options).metadata();
+    const hasMetadata = !!(metadata.exif || metadata.xmp || metadata.iptc);
+    const isRotated = (metadata.orientation || 1) !== 1;
+
+    if (!hasMetadata && !isRotated) {
+      return data;
+    }
+
+    // sharp only writes metadata we ask for, so this keeps just the ICC profile
+    const processed = await sharp(data, options)
+      .rotate()
+      .keepIccProfile()
+      .toFormat(formats[type], LOSSY_TYPES.includes(type) ? { quality: QUALITY } : {})
+      .toBuffer();
+
+    logger.debug('processImageUpload: Processed image', {
+      type,
+      orientation: metadata.orientation,
+      hasMetadata,
+      originalSize: data.length,
+      size: processed.length
+    });
+    return processed;
+  } catch (err) {
+    logger.warn('processImageUpload: Unable to process image', {
+      type,
+      error: err.message
+    });
+    throw new Error(`Invalid image data for ${type}: ${err.message}`);
+  }
+}
+
+module.exports.processImageUpload = processImageUpload;
@@ -0,0 +1,161 @@
+// src/routes/api/conversion.js
+
+// Helpers for converting fragment data between types, shared by the routes
+// that send fragment data back to the client (e.g., GET /fragments/:id).
+// The converters themselves live in the model (see src/model/converters).
+const { extensionToMimeType, convert, needsConversion } = require('../../model/converters');
+const { LIMITS: IMAGE_LIMITS, FITS } = require('../../model/converters/image');
+
+// Names we accept for ?delimiter= besides the character itself
+const DELIMITER_NAMES = { comma: ',', semicolon: ';', tab: '\t', pipe: '|' };
+
+// Values we accept for boolean query parameters
+const BOOLEAN_VALUES = { 1: true, true: true, 0: false, false: false };
+
+// Boolean query parameters, and the conversion options they set
+const BOOLEAN_PARAMS = {
+  header: 'header',
+  infer: 'inferTypes',
+  tables: 'tables',
+  tasklists: 'taskLists',
+  footnotes: 'footnotes',
+  anchors: 'anchors',
+  toc: 'toc',
+  highlight: 'highlight',
+  grayscale: 'grayscale',
+};
+
+// Values we accept for ?flip=, and the conversion option they set
+const FLIPS = { h: 'horizontal', horizontal: 'horizontal', v: 'vertical', vertical: 'vertical', both: 'both' };
+
+/**
+ * Parses an integer query parameter, throwing if it's not a whole number between min and max
+ */
+function parseInteger(param, value, min, max) {
+  const number = Number(value);
+  if (!/^-?\d+$/.test(String(value)) || number < min || number > max) {
+    throw new Error(`${param} must be a whole number from ${min} to ${max}`);
+  }
+  return number;
+}
+
+/**
+ * Parses the image transform query parameters (see src/model/converters/image.js)
+ */
+function parseImageOptions(query, options) {
+  const { maxDimension, maxBlur } = IMAGE_LIMITS;
+
+  if (query.w !== undefined) {
+    options.width = parseInteger('w', query.w, 1, maxDimension);
+  }
+  if (query.h !== undefined) {
+    options.height = parseInteger('h', query.h, 1, maxDimension);
+  }
+  if (query.fit !== undefined) {
+    const fit = String(query.fit).toLowerCase();
+    if (!FITS.includes(fit)) {
+      throw new Error(`fit must be one of: ${FITS.join(', ')}`);
+    }
+    options.fit = fit;
+  }
+  if (query.crop !== undefined) {
+    // left,top,width,height
+    const values = String(query.crop).split(',');
+    if (values.length !== 4) {
+      throw new Error('crop must be left,top,width,height');
+    }
+    const [left, top, width, height] = values.map((value, i) =>
+      parseInteger('crop', value.trim(), i < 2 ? 0 : 1, maxDimension)
+    );
+    options.crop = { left, top, width, height };
+  }
+  if (query.rotate !== undefined) {
+    options.rotate = parseInteger('rotate', query.rotate, -360, 360);
+  }
+  if (query.flip !== undefined) {
+    const flip = FLIPS[String(query.flip).toLowerCase()];
+    if (!flip) {
+      throw new Error('flip must be h, v or both');
+    }
+    options.flip = flip;
+  }
+  if (query.quality !== undefined) {
+    options.quality = parseInteger('quality', query.quality, 1, 100);
+  }
+  if (query.blur !== undefined) {
+    const blur = Number(query.blur);
+    // sharp's smallest sigma is 0.3
+    if (String(query.blur).trim() === '' || !(blur >= 0.3 && blur <= maxBlur)) {
+      throw new Error(`blur must be a number from 0.3 to ${maxBlur}`);
+    }
+    options.blur = blur;
+  }
+}
+
+/**
+ * Parses the query parameters that control conversions into options for the
+ * converters. Only the parameters that were given are included.
+ * Throws an Error with a message suitable for a 400 response if anything is invalid.
+ *  - delimiter: CSV field separator, e.g., `;`, `tab` or `%09`
+ *  - header: `false` if the CSV has (or should have) no header row
+ *  - infer: `true` to turn CSV numbers and booleans into JSON numbers and booleans
+ *  - tables, tasklists, footnotes, anchors, toc, highlight: turn Markdown
+ *    features on or off (see src/model/converters/markdown.js)
+ *  - w, h, fit, crop, rotate, flip, quality, blur, grayscale: transform an
+ *    image, with or without changing its type (see src/model/converters/image.js)
+ * @param {Object} query the request's query parameters
+ * @returns {Object} conversion options
+ */
+function parseConversionOptions(query) {
+  const options = {};
+
+  if (query.delimiter !== undefined) {
+    const value = String(query.delimiter);
+    const delimiter = DELIMITER_NAMES[value.toLowerCase()] ?? value;
+    if (delimiter.length !== 1 || /["\r\n]/.test(delimiter)) {
+      throw new Error(
+        `delimiter must be one character (not a quote or line break) or one of: ${Object.keys(DELIMITER_NAMES).join(', ')}`
+      );
+    }
+    options.delimiter = delimiter;
+  }
+
+  for (const [param, option] of Object.entries(BOOLEAN_PARAMS)) {
+    if (query[param] !== undefined) {
+      const value = BOOLEAN_VALUES[String(query[param]).toLowerCase()];
+      if (value === undefined) {
+        throw new Error(`${param} must be true or false`);
+      }
+      options[option] = value;
+    }
+  }
+
+  parseImageOptions(query, options);
+
+  return options;
+}
+
+/***
+ * Parses the fragment ID and extension from the URL parameter
+ * Returns {id, extension} where extension is null if not present
+ */
+function parseFragmentId(idParam) {
+  // check if ID has an extension (eg., "abc-123.html")
+  const lastDot = idParam.lastIndexOf('.');
+
+  //if not dot, or dot is at the start/end, no extension
+  if (lastDot === -1 || lastDot === 0 || lastDot === idParam.length - 1) {
+    return { id: idParam, extension: null };
+  }
+
+  // Extract extension (without the dot)
+  const extension = idParam.substring(lastDot + 1);
+  const id = idParam.substring(0, lastDot);
+  return { id, extension };
+}
+
+module.exports.extensionToMimeType = extensionToMimeType;
+module.exports.convertFragmentData = convert;
+module.exports.needsConversion = needsConversion;
+module.exports.parseFragmentId = parseFragmentId;
+module.exports.parseConversionOptions = parseConversionOptions;
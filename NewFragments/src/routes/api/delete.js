@@ -2,6 +2,7 @@
 const { Fragment } = require('../../model/fragment');
 const { createSuccessResponse, createErrorResponse } = require('../../response');
 const logger = require('../../logger');
+const { ifMatch } = require('../../etag');
 
 /**
  * DELETE /fragments/:id
@@ -53,8 +54,25 @@ module.exports = async (req, res, next) => {
       return res.status(404).json(createErrorResponse(404, 'Fragment not found'));
     }
 
-    // Delete the fragment (both metadata and data)
-    await Fragment.delete(ownerId, fragmentId);
+    // Only delete the version of the fragment the client expects, if it says which
+    const ifMatchHeader = req.get('If-Match');
+    // Fragments saved before we kept ETags don't have one stored, so we work it out
+    const etag = ifMatchHeader ? await fragment.getETag() : undefined;
+    if (ifMatchHeader && !ifMatch(ifMatchHeader, etag)) {
+      logger.warn('DELETE /fragments/:id: If-Match precondition failed', {
+        ownerId,
+        fragmentId,
+        ifMatch: ifMatchHeader,
+        etag
+      });
+      return res.status(412).json(createErrorResponse(412, 'Precondition Failed'));
+    }
+
+    // Delete the fragment (both metadata and data), making sure nobody changes it
+    // between our If-Match check and the delete
+    await Fragment.delete(ownerId, fragmentId, {
+      ifUnchanged: ifMatchHeader ? fragment : undefined
+    });
 
     logger.info('DELETE /fragments/:id: Fragment deleted successfully', {
       ownerId,
@@ -67,6 +85,15 @@ module.exports = async (req, res, next) => {
     }));
 
   } catch (err) {
+    // Someone else changed the fragment between our If-Match check and our write
+    if (err.message.includes('Fragment changed')) {
+      logger.warn('DELETE /fragments/:id: Fragment changed during conditional request', {
+        ownerId: req.user,
+        fragmentId: req.params.id
+      });
+      return res.status(412).json(createErrorResponse(412, 'Precondition Failed'));
+    }
+
     if (err.message.includes('Fragment not found')) {
       logger.warn('DELETE /fragments/:id: Fragment not found', {
         ownerId: req.user,
@@ -2,6 +2,7 @@
 const { Fragment } = require('../../model/fragment');
 const { createSuccessResponse, createErrorResponse } = require('../../response');
 const logger = require('../../logger');
+const { ifNoneMatch, metadataETag } = require('../../etag');
 
 /**
  * GET /fragments/:id/info
@@ -50,17 +51,35 @@ module.exports = async (req, res, next) => {
       });
 
 
+      const metadata = {
+        id: fragment.id,
+        ownerId: fragment.ownerId,
+        created: fragment.created,
+        updated: fragment.updated,
+        type: fragment.type,
+        size: fragment.size,
+        etag: fragment.etag,
+        version: fragment.version,
+        formats: fragment.formats,
+        image: fragment.image,
+        source: fragment.source
+      };
+
+      // The metadata has its own ETag, since it can change when the data doesn't
+      const etag = metadataETag(metadata);
+      res.setHeader('ETag', etag);
+
+      if (req.get('If-None-Match') && ifNoneMatch(req.get('If-None-Match'), etag)) {
+        logger.debug('GET /fragments/:id/info: Not modified', {
+          ownerId,
+          fragmentId,
+          etag
+        });
+        return res.status(304).end();
+      }
+
       // Return the fragment metadata
-    res.status(200).json(createSuccessResponse({
-        fragment: {
-          id: fragment.id,
-          ownerId: fragment.ownerId,
-          created: fragment.created,
-          updated: fragment.updated,
-          type: fragment.type,
-          size: fragment.size
-        }
-      }));
+      res.status(200).json(createSuccessResponse({ fragment: metadata }));
     } catch (err){
         if (err.message.includes('Fragment not found')) {
             logger.warn('GET /fragments/:id/info: Fragment not found', {
@@ -1,331 +1,45 @@
 const { Fragment } = require('../../model/fragment');
 const { createErrorResponse } = require('../../response');
 const logger = require('../../logger');
-const MarkdownIt = require('markdown-it');
-const sharp = require('sharp');
-const yaml = require('js-yaml');
-
-//Initialize markdown-it
-const md = new MarkdownIt();
-
-/**
- * Maps file extensions to MIME types
- */
-const extensionToMimeType = {
-  '.txt': 'text/plain',
-  '.md': 'text/markdown',
-  '.html': 'text/html',
-  '.json': 'application/json',
-  '.csv': 'text/csv',
-  '.yaml': 'application/yaml',
-  '.yml': 'application/yaml',
-  '.png': 'image/png',
-  '.jpg': 'image/jpeg',
-  '.jpeg': 'image/jpeg',
-  '.webp': 'image/webp',
-  '.gif': 'image/gif',
-  '.avif': 'image/avif',
-};
-/**
- * Checks if a conversion from sourceType to targetType is supported
- * Supports:
- * - All text-to-text conversions (text/plain, text/markdown, text/html, text/csv, application/json, application/yaml)
- * - All image-to-image conversions (image/png, image/jpeg, image/webp, image/gif)
- * - Same type (no conversion needed)
- */
-function isConversionSupported(sourceType, targetType) {
-  // Same type is always supported
-  if (sourceType === targetType) {
-    return true;
-  }
-
-  // Define type categories
-  const textTypes = [
-    'text/plain',
-    'text/markdown',
-    'text/html',
-    'text/csv',
-    'application/json',
-    'application/yaml',
-  ];
-
-  const imageTypes = [
-    'image/png',
-    'image/jpeg',
-    'image/webp',
-    'image/gif',
-  ];
-
-  const sourceIsText = textTypes.includes(sourceType);
-  const sourceIsImage = imageTypes.includes(sourceType);
-  const targetIsText = textTypes.includes(targetType);
-  const targetIsImage = imageTypes.includes(targetType);
-
-  // Text-to-text conversions are supported
-  if (sourceIsText && targetIsText) {
-    return true;
-  }
-
-  // Image-to-image conversions are supported (using sharp)
-  if (sourceIsImage && targetIsImage) {
-    return true;
-  }
-
-  // Cross-type conversions (text to image or image to text) are not supported
-  return false;
-}
-
-/**
- * Convert fragment data from sourceType to targetType
- * Supports text-to-text and image-to-image conversions
- * @param {Buffer} data - The source data
- * @param {string} sourceType - The source MIME type
- * @param {string} targetType - The target MIME type
- * @returns {Promise<Buffer>} - The converted data
- */
-async function convertFragmentData(data, sourceType, targetType) {
-  // Same type - no conversion needed
-  if (sourceType === targetType) {
-    return data;
-  }
-
-  // Define type categories
-  const textTypes = [
-    'text/plain',
-    'text/markdown',
-    'text/html',
-    'text/csv',
-    'application/json',
-    'application/yaml',
-  ];
-
-  const imageTypes = [
-    'image/png',
-    'image/jpeg',
-    'image/webp',
-    'image/gif',
-  ];
-
-  const sourceIsText = textTypes.includes(sourceType);
-  const sourceIsImage = imageTypes.includes(sourceType);
-  const targetIsText = textTypes.includes(targetType);
-  const targetIsImage = imageTypes.includes(targetType);
-
-  // Handle text-to-text conversions
-  if (sourceIsText && targetIsText) {
-    return convertTextToText(data, sourceType, targetType);
-  }
-
-  // Handle image-to-image conversions using sharp
-  if (sourceIsImage && targetIsImage) {
-    return convertImageToImage(data, sourceType, targetType);
-  }
-
-  // Unsupported conversion
-  throw new Error(`Conversion from ${sourceType} to ${targetType} is not supported`);
-}
+const { createETag, variantETag, ifNoneMatch } = require('../../etag');
+const { getRequestedRange, sendRange, sendRangeNotSatisfiable } = require('./range');
+const { setHtmlPolicy } = require('./html-policy');
+const {
+  extensionToMimeType,
+  convertFragmentData,
+  needsConversion,
+  parseFragmentId,
+  parseConversionOptions,
+} = require('./conversion');
 
 /**
- * Convert text data from one text format to another
+ * Looks up a fragment whose id may contain dots. If there's a fragment with the
+ * whole id we use it as-is, otherwise the part after the last dot is an extension.
+ * @param {string} ownerId user's hashed email
+ * @param {string} idParam the :id URL parameter
+ * @returns {Promise<{ fragment: Fragment, extension: string|null }>}
  */
-function convertTextToText(data, sourceType, targetType) {
-  const text = data.toString('utf8');
-
-  // Markdown to HTML
-  if (sourceType === 'text/markdown' && targetType === 'text/html') {
-    const html = md.render(text);
-    return Buffer.from(html, 'utf8');
-  }
-
-  // HTML to Markdown (simple conversion - just return as plain text)
-  if (sourceType === 'text/html' && targetType === 'text/markdown') {
-    // Simple HTML to markdown - strip tags and return as markdown
-    // This is a basic implementation
-    const plainText = text.replace(/<[^>]*>/g, '');
-    return Buffer.from(plainText, 'utf8');
-  }
+async function findFragment(ownerId, idParam) {
+  const { id, extension } = parseFragmentId(idParam);
 
-  // JSON to YAML
-  if (sourceType === 'application/json' && targetType === 'application/yaml') {
+  if (extension) {
     try {
-      const json = JSON.parse(text);
-      // Simple JSON to YAML conversion
-      const yaml = convertJsonToYaml(json);
-      return Buffer.from(yaml, 'utf8');
+      return { fragment: await Fragment.byId(ownerId, idParam), extension: null };
     } catch (err) {
-      throw new Error(`Invalid JSON: ${err.message}`);
-    }
-  }
-
-  // YAML to JSON
-  if (sourceType === 'application/yaml' && targetType === 'application/json') {
-    try {
-      // Parse YAML to JSON
-      const json = yaml.load(text);
-      return Buffer.from(JSON.stringify(json, null, 2), 'utf8');
-    } catch {
-      // Fallback: treat as plain text and wrap in JSON
-      return Buffer.from(JSON.stringify({ content: text }, null, 2), 'utf8');
-    }
-  }
-
-  // CSV to JSON
-  if (sourceType === 'text/csv' && targetType === 'application/json') {
-    const lines = text.split('\n').filter(line => line.trim());
-    if (lines.length === 0) {
-      return Buffer.from('[]', 'utf8');
-    }
-    const headers = lines[0].split(',').map(h => h.trim());
-    const rows = lines.slice(1).map(line => {
-      const values = line.split(',').map(v => v.trim());
-      const obj = {};
-      headers.forEach((header, i) => {
-        obj[header] = values[i] || '';
-      });
-      return obj;
-    });
-    return Buffer.from(JSON.stringify(rows, null, 2), 'utf8');
-  }
-
-  // JSON to CSV
-  if (sourceType === 'application/json' && targetType === 'text/csv') {
-    try {
-      const json = JSON.parse(text);
-      const array = Array.isArray(json) ? json : [json];
-      if (array.length === 0) {
-        return Buffer.from('', 'utf8');
+      if (!err.message.includes('Fragment not found')) {
+        throw err;
       }
-      const headers = Object.keys(array[0]);
-      const csvLines = [headers.join(',')];
-      array.forEach(obj => {
-        const values = headers.map(header => String(obj[header] || ''));
-        csvLines.push(values.join(','));
-      });
-      return Buffer.from(csvLines.join('\n'), 'utf8');
-    } catch (err) {
-      throw new Error(`Invalid JSON: ${err.message}`);
-    }
-  }
-
-  // For other text conversions, return as plain text
-  // This handles: text/plain <-> text/html, text/markdown, etc.
-  return Buffer.from(text, 'utf8');
-}
-
-/**
- * Simple JSON to YAML converter (basic implementation)
- */
-function convertJsonToYaml(obj, indent = 0) {
-  const indentStr = '  '.repeat(indent);
-  let yaml = '';
-
-  if (Array.isArray(obj)) {
-    obj.forEach(item => {
-      if (typeof item === 'object' && item !== null) {
-        yaml += `${indentStr}- `;
-        const keys = Object.keys(item);
-        keys.forEach((key, i) => {
-          const value = item[key];
-          if (i === 0) {
-            yaml += `${key}: ${formatYamlValue(value, indent + 1)}\n`;
-          } else {
-            yaml += `${indentStr}  ${key}: ${formatYamlValue(value, indent + 1)}\n`;
-          }
-        });
-      } else {
-        yaml += `${indentStr}- ${formatYamlValue(item, indent)}\n`;
-      }
-    });
-  } else if (typeof obj === 'object' && obj !== null) {
-    Object.keys(obj).forEach(key => {
-      const value = obj[key];
-      yaml += `${indentStr}${key}: ${formatYamlValue(value, indent)}\n`;
-    });
-  } else {
-    yaml += `${indentStr}${formatYamlValue(obj, indent)}\n`;
-  }
-
-  return yaml;
-}
-
-function formatYamlValue(value, indent) {
-  if (value === null) {
-    return 'null';
-  }
-  if (typeof value === 'string') {
-    // Escape special characters if needed
-    if (value.includes('\n') || value.includes(':') || value.includes('#')) {
-      return `"${value.replace(/"/g, '\\"')}"`;
-    }
-    return value;
-  }
-  if (typeof value === 'object') {
-    return '\n' + convertJsonToYaml(value, indent + 1);
-  }
-  return String(value);
-}
-
-/**
- * Convert image data from one image format to another using sharp
- */
-async function convertImageToImage(data, sourceType, targetType) {
-  try {
-    let sharpInstance = sharp(data);
-
-    // Determine output format based on target type
-    let outputFormat;
-    switch (targetType) {
-      case 'image/png':
-        outputFormat = 'png';
-        break;
-      case 'image/jpeg':
-        outputFormat = 'jpeg';
-        break;
-      case 'image/webp':
-        outputFormat = 'webp';
-        break;
-      case 'image/gif':
-        outputFormat = 'gif';
-        break;
-      default:
-        throw new Error(`Unsupported target image format: ${targetType}`);
     }
-
-    // Convert the image
-    const convertedBuffer = await sharpInstance.toFormat(outputFormat).toBuffer();
-    return convertedBuffer;
-  } catch (err) {
-    logger.error('convertImageToImage: Conversion failed', {
-      sourceType,
-      targetType,
-      error: err.message
-    });
-    throw new Error(`Image conversion failed: ${err.message}`);
-  }
-}
-/***
- * Parses the fragment ID and extension from the URL parameter
- * Returns {id, extension} where extension is null if not present
- */
-function parseFragmentId(idParam) {
-  // check if ID has an extension (eg., "abc-123.html")
-  const lastDot = idParam.lastIndexOf('.');
-
-  //if not dot, or dot is at the start/end, no extension
-  if (lastDot === -1 || lastDot === 0 || lastDot === idParam.length - 1) {
-    return { id: idParam, extension: null };
   }
 
-  // Extract extension (without the dot)
-  const extension = idParam.substring(lastDot + 1);
-  const id = idParam.substring(0, lastDot);
-  return { id, extension };
+  return { fragment: await Fragment.byId(ownerId, id), extension };
 }
 
 /**
  * GET /fragments/:id
  * Gets an authenticated user's fragment data (raw binary data) with the given id.
  * If an extension is provided (e.g., .html), attempts to convert the fragment.
+ * Otherwise, the Accept header can be used to ask for a converted type.
  */
 module.exports = async (req, res, next) => {
   try {
@@ -348,7 +62,7 @@ module.exports = async (req, res, next) => {
     }
 
     // Parse ID and extension from the URL parameter
-    const {id: fragmentId, extension} = parseFragmentId(req.params.id);
+    let {id: fragmentId, extension} = parseFragmentId(req.params.id);
 
     if (!fragmentId) {
       logger.warn('GET /fragments/:id: No fragment ID provided', {
@@ -358,6 +72,19 @@ module.exports = async (req, res, next) => {
       return res.status(400).json(createErrorResponse(400, 'Fragment ID required'));
     }
 
+    // Options for the conversion, if there is one (e.g., ?delimiter=; for CSV)
+    let conversionOptions;
+    try {
+      conversionOptions = parseConversionOptions(req.query);
+    } catch (err) {
+      logger.warn('GET /fragments/:id: Invalid conversion options', {
+        ownerId,
+        queryParams: req.query,
+        error: err.message
+      });
+      return res.status(400).json(createErrorResponse(400, err.message));
+    }
+
     logger.debug('GET /fragments/:id: Looking up fragment', {
       ownerId,
       fragmentId,
@@ -365,13 +92,14 @@ module.exports = async (req, res, next) => {
     });
 
     // Get the fragment metadata
-    const fragment = await Fragment.byId(ownerId, fragmentId);
-
-    // Get the fragment's actual data
-    const data = await fragment.getData();
+    const found = await findFragment(ownerId, req.params.id);
+    const fragment = found.fragment;
+    fragmentId = fragment.id;
+    extension = found.extension;
 
     //Determine target content type
     let targetType = fragment.type; //Default to original type
+    let isConverted = false;
 
     if (extension) {
       // Map extension to MIME type
@@ -388,7 +116,7 @@ module.exports = async (req, res, next) => {
       }
 
       //Check if conversion is supported
-      if (!isConversionSupported(fragment.mimeType, targetMimeType)) {
+      if (!fragment.formats.includes(targetMimeType)) {
         logger.warn('GET /fragments/:id: Unsupported conversion', {
           ownerId,
           fragmentId,
@@ -399,19 +127,123 @@ module.exports = async (req, res, next) => {
       }
 
       targetType = targetMimeType;
+      isConverted = fragment.mimeType !== targetType;
+    } else {
+      // Without an extension, the representation we send depends on the Accept header
+      res.vary('Accept');
+
+      // The fragment's own type is listed first, so wildcards (e.g., */*, text/*)
+      // don't cause an unnecessary conversion
+      const formats = fragment.formats;
+      const accepted = req.accepts(formats);
+
+      if (!accepted) {
+        logger.warn('GET /fragments/:id: No acceptable type', {
+          ownerId,
+          fragmentId,
+          accept: req.get('Accept'),
+          formats
+        });
+        return res.status(406).json({
+          ...createErrorResponse(406, `Not Acceptable, available types: ${formats.join(', ')}`),
+          formats,
+        });
+      }
+
+      if (accepted !== fragment.mimeType) {
+        targetType = accepted;
+        isConverted = true;
+      }
+    }
+
+    // Options can change the data without changing its type (e.g., ?w=100 to resize an image)
+    if (!isConverted && needsConversion(fragment.mimeType, fragment.mimeType, conversionOptions)) {
+      targetType = fragment.mimeType;
+      isConverted = true;
     }
+
+    // HTML is user content, so limit what a browser can do with it
+    if ((isConverted ? targetType : fragment.mimeType) === 'text/html') {
+      setHtmlPolicy(res, `${fragment.id}.html`);
+    }
+
+    // A conversion is a different representation of the data, with its own ETag
+    const etagFor = (etag) =>
+      isConverted ? variantETag(etag, targetType, conversionOptions) : etag;
+
+    // If the client already has this representation, we don't need to read the data
+    const notModified = (etag) => {
+      logger.debug('GET /fragments/:id: Not modified', { ownerId, fragmentId, etag });
+      res.setHeader('ETag', etag);
+      return res.status(304).end();
+    };
+    const conditional = req.get('If-None-Match');
+
+    if (fragment.etag && conditional && ifNoneMatch(conditional, etagFor(fragment.etag))) {
+      return notModified(etagFor(fragment.etag));
+    }
+
+    // Let clients know they can ask for part of the data (e.g., to resume a download)
+    res.setHeader('Accept-Ranges', 'bytes');
+
+    // When we're sending the data as-is, we know its size from the metadata and
+    // only need to read the bytes that were asked for
+    if (!isConverted && fragment.etag) {
+      const range = getRequestedRange(req, fragment.size, fragment.etag);
+
+      if (range === -1) {
+        logger.warn('GET /fragments/:id: Range not satisfiable', {
+          ownerId,
+          fragmentId,
+          range: req.get('Range'),
+          size: fragment.size
+        });
+        return sendRangeNotSatisfiable(res, fragment.size);
+      }
+
+      if (range) {
+        const partialData = await fragment.getData(range);
+
+        logger.info('GET /fragments/:id: Fragment range retrieved successfully', {
+          ownerId,
+          fragmentId,
+          range,
+          size: fragment.size
+        });
+
+        res.setHeader('Content-Type', targetType);
+        res.setHeader('ETag', fragment.etag);
+        return sendRange(res, partialData, range, fragment.size);
+      }
+    }
+
+    // Get the fragment's actual data
+    const data = await fragment.getData();
+
+    // Fragments written before we stored ETags need theirs computed from the data
+    const etag = etagFor(fragment.etag || createETag(data));
+    if (!fragment.etag && conditional && ifNoneMatch(conditional, etag)) {
+      return notModified(etag);
+    }
+
     // Convert data if needed
     let responseData = data;
-    if (extension && fragment.mimeType !== targetType) {
+    if (isConverted) {
       logger.debug('GET /fragments/:id: Converting fragment data', {
         ownerId,
         fragmentId,
         sourceType: fragment.mimeType,
-        targetType
+        targetType,
+        conversionOptions
       });
 
       try {
-        responseData = await convertFragmentData(data, fragment.mimeType, targetType);
+        responseData = await convertFragmentData(
+          data,
+          fragment.mimeType,
+          targetType,
+          conversionOptions
+        );
       } catch (err) {
         logger.error('GET /fragment/:id: Conversion failed', {
           ownerId,
@@ -421,16 +253,35 @@ module.exports = async (req, res, next) => {
         return res.status(415).json(createErrorResponse(415, err.message));
       }
     }
+
+    // Converted data only has a size once we've converted it
+    const range = getRequestedRange(req, responseData.length, etag);
+    if (range === -1) {
+      logger.warn('GET /fragments/:id: Range not satisfiable', {
+        ownerId,
+        fragmentId,
+        range: req.get('Range'),
+        size: responseData.length
+      });
+      return sendRangeNotSatisfiable(res, responseData.length);
+    }
+
     logger.info('GET /fragments/:id: Fragment retrieved successfully', {
       ownerId,
       fragmentId,
       originalType: fragment.type,
       targetType,
+      range,
       size: responseData.length
     });
 
      // Set the Content-Type header to the target type
      res.setHeader('Content-Type', targetType);
+     res.setHeader('ETag', etag);
+
+     if (range) {
+       return sendRange(res, responseData.subarray(range.start, range.end + 1), range, responseData.length);
+     }
     
      // Return the raw fragment data (Express will handle the Buffer)
      res.status(200).send(responseData);
@@ -0,0 +1,59 @@
+// src/routes/api/get-export.js
+const data = require('../../model/data');
+const { exportArchive } = require('../../model/archive');
+const { createErrorResponse } = require('../../response');
+const logger = require('../../logger');
+
+/**
+ * GET /fragments/export
+ * Downloads an archive (see src/model/archive) of all the authenticated user's
+ * fragments, including prior versions. It can be imported into any storage backend
+ * with `npm run fragments:archive -- import`, which is the only way to get fragments
+ * out of the in-memory backend.
+ */
+module.exports = async (req, res, next) => {
+  logger.debug('GET /fragments/export: Request received', {
+    userAgent: req.get('User-Agent'),
+    ip: req.ip
+  });
+
+  // Get the user's hashed email from the request (set by auth middleware)
+  const ownerId = req.user;
+
+  if (!ownerId) {
+    logger.warn('GET /fragments/export: No authenticated user', {
+      hasAuthHeader: !!req.get('Authorization'),
+      ip: req.ip
+    });
+    return res.status(401).json(createErrorResponse(401, 'Authentication required'));
+  }
+
+  res.status(200);
+  res.set('Content-Type', 'application/gzip');
+  res.set('Content-Disposition', 'attachment; filename="fragments.tar.gz"');
+
+  try {
+    const report = await exportArchive(data, res, { ownerIds: [ownerId] });
+
+    logger.info('GET /fragments/export: Fragments exported successfully', {
+      ownerId,
+      fragments: report.fragments,
+      versions: report.versions,
+      warnings: report.warnings.length
+    });
+  } catch (err) {
+    logger.error('GET /fragments/export: Error exporting fragments', {
+      error: err.message,
+      stack: err.stack,
+      ownerId
+    });
+
+    // Once we've started sending the archive, all we can do is cut it short
+    if (res.headersSent) {
+      res.destroy(err);
+      return;
+    }
+    res.removeHeader('Content-Disposition');
+    next(err);
+  }
+};
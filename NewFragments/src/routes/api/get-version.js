@@ -0,0 +1,184 @@
+// src/routes/api/get-version.js
+const contentType = require('content-type');
+const { Fragment } = require('../../model/fragment');
+const { createErrorResponse } = require('../../response');
+const logger = require('../../logger');
+const { variantETag } = require('../../etag');
+const { setHtmlPolicy } = require('./html-policy');
+const {
+  extensionToMimeType,
+  convertFragmentData,
+  needsConversion,
+  parseFragmentId,
+  parseConversionOptions,
+} = require('./conversion');
+
+/**
+ * GET /fragments/:id/versions/:version
+ * Gets the data for one version of an authenticated user's fragment. Like
+ * GET /fragments/:id, an extension (e.g., /versions/2.html) converts the data.
+ */
+module.exports = async (req, res, next) => {
+  try {
+    logger.debug('GET /fragments/:id/versions/:version: Request received', {
+      fragmentId: req.params.id,
+      versionParam: req.params.version,
+      userAgent: req.get('User-Agent'),
+      ip: req.ip
+    });
+
+    // Get the user's hashed email from the request (set by auth middleware)
+    const ownerId = req.user;
+    const fragmentId = req.params.id;
+
+    if (!ownerId) {
+      logger.warn('GET /fragments/:id/versions/:version: No authenticated user', {
+        fragmentId,
+        hasAuthHeader: !!req.get('Authorization'),
+        ip: req.ip
+      });
+      return res.status(401).json(createErrorResponse(401, 'Authentication required'));
+    }
+
+    // Parse the version number and extension from the URL parameter
+    const { id: versionParam, extension } = parseFragmentId(req.params.version);
+    const version = Number(versionParam);
+
+    if (!Number.isInteger(version) || version < 0) {
+      logger.warn('GET /fragments/:id/versions/:version: Invalid version', {
+        ownerId,
+        fragmentId,
+        versionParam
+      });
+      return res.status(400).json(createErrorResponse(400, 'Version must be a non-negative integer'));
+    }
+
+    let conversionOptions;
+    try {
+      conversionOptions = parseConversionOptions(req.query);
+    } catch (err) {
+      logger.warn('GET /fragments/:id/versions/:version: Invalid conversion options', {
+        ownerId,
+        fragmentId,
+        queryParams: req.query,
+        error: err.message
+      });
+      return res.status(400).json(createErrorResponse(400, err.message));
+    }
+
+    const fragment = await Fragment.byId(ownerId, fragmentId);
+    const entry = fragment.versions.find((entry) => entry.version === version);
+
+    if (!entry) {
+      logger.warn('GET /fragments/:id/versions/:version: Version not found', {
+        ownerId,
+        fragmentId,
+        version
+      });
+      return res.status(404).json(createErrorResponse(404, 'Fragment version not found'));
+    }
+
+    const data = await fragment.getVersionData(version);
+
+    // The version is listed, but its data is gone (e.g., removed by hand)
+    if (!data) {
+      logger.warn('GET /fragments/:id/versions/:version: Version data not found', {
+        ownerId,
+        fragmentId,
+        version
+      });
+      return res.status(404).json(createErrorResponse(404, 'Fragment version not found'));
+    }
+
+    // Determine target content type, defaulting to the version's own type
+    const sourceType = contentType.parse(entry.type).type;
+    let targetType = entry.type;
+
+    if (extension) {
+      const targetMimeType = extensionToMimeType[`.${extension.toLowerCase()}`];
+
+      if (!targetMimeType) {
+        logger.warn('GET /fragments/:id/versions/:version: Unknown extension', {
+          ownerId,
+          fragmentId,
+          version,
+          extension
+        });
+        return res.status(415).json(createErrorResponse(415, `Unknown or unsupported type: ${extension}`));
+      }
+
+      if (!Fragment.canConvert(entry.type, targetMimeType)) {
+        logger.warn('GET /fragments/:id/versions/:version: Unsupported conversion', {
+          ownerId,
+          fragmentId,
+          version,
+          sourceType,
+          targetType: targetMimeType
+        });
+        return res.status(415).json(createErrorResponse(415, `Cannot convert ${sourceType} to ${targetMimeType}`));
+      }
+
+      targetType = targetMimeType;
+    }
+
+    // Options can change the data without changing its type (e.g., ?w=100 to resize an image)
+    const isConverted = needsConversion(
+      sourceType,
+      contentType.parse(targetType).type,
+      conversionOptions
+    );
+
+    let responseData = data;
+    if (isConverted) {
+      try {
+        targetType = contentType.parse(targetType).type;
+        responseData = await convertFragmentData(data, sourceType, targetType, conversionOptions);
+      } catch (err) {
+        logger.error('GET /fragments/:id/versions/:version: Conversion failed', {
+          ownerId,
+          fragmentId,
+          version,
+          error: err.message
+        });
+        return res.status(415).json(createErrorResponse(415, err.message));
+      }
+    }
+
+    logger.info('GET /fragments/:id/versions/:version: Fragment version retrieved successfully', {
+      ownerId,
+      fragmentId,
+      version,
+      targetType,
+      size: responseData.length
+    });
+
+    res.setHeader('Content-Type', targetType);
+    if (contentType.parse(targetType).type === 'text/html') {
+      setHtmlPolicy(res, `${fragment.id}-v${version}.html`);
+    }
+    if (entry.etag) {
+      res.setHeader(
+        'ETag',
+        isConverted ? variantETag(entry.etag, targetType, conversionOptions) : entry.etag
+      );
+    }
+    res.status(200).send(responseData);
+  } catch (err) {
+    if (err.message.includes('Fragment not found')) {
+      logger.warn('GET /fragments/:id/versions/:version: Fragment not found', {
+        ownerId: req.user,
+        fragmentId: req.params.id
+      });
+      return res.status(404).json(createErrorResponse(404, 'Fragment not found'));
+    }
+
+    logger.error('GET /fragments/:id/versions/:version: Error retrieving fragment version', {
+      error: err.message,
+      stack: err.stack,
+      ownerId: req.user,
+      fragmentId: req.params.id,
+      versionParam: req.params.version
+    });
+    next(err);
+  }
+};
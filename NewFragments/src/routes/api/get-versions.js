@@ -0,0 +1,61 @@
+// src/routes/api/get-versions.js
+const { Fragment } = require('../../model/fragment');
+const { createSuccessResponse, createErrorResponse } = require('../../response');
+const logger = require('../../logger');
+
+/**
+ * GET /fragments/:id/versions
+ * Lists the versions we have of an authenticated user's fragment data, newest first
+ */
+module.exports = async (req, res, next) => {
+  try {
+    logger.debug('GET /fragments/:id/versions: Request received', {
+      fragmentId: req.params.id,
+      userAgent: req.get('User-Agent'),
+      ip: req.ip
+    });
+
+    // Get the user's hashed email from the request (set by auth middleware)
+    const ownerId = req.user;
+    const fragmentId = req.params.id;
+
+    if (!ownerId) {
+      logger.warn('GET /fragments/:id/versions: No authenticated user', {
+        fragmentId,
+        hasAuthHeader: !!req.get('Authorization'),
+        ip: req.ip
+      });
+      return res.status(401).json(createErrorResponse(401, 'Authentication required'));
+    }
+
+    const fragment = await Fragment.byId(ownerId, fragmentId);
+
+    const versions = fragment.versions
+      .map((entry) => ({ ...entry, current: entry.version === fragment.version }))
+      .reverse();
+
+    logger.info('GET /fragments/:id/versions: Versions retrieved successfully', {
+      ownerId,
+      fragmentId,
+      count: versions.length
+    });
+
+    res.status(200).json(createSuccessResponse({ versions }));
+  } catch (err) {
+    if (err.message.includes('Fragment not found')) {
+      logger.warn('GET /fragments/:id/versions: Fragment not found', {
+        ownerId: req.user,
+        fragmentId: req.params.id
+      });
+      return res.status(404).json(createErrorResponse(404, 'Fragment not found'));
+    }
+
+    logger.error('GET /fragments/:id/versions: Error retrieving fragment versions', {
+      error: err.message,
+      stack: err.stack,
+      ownerId: req.user,
+      fragmentId: req.params.id
+    });
+    next(err);
+  }
+};
@@ -5,8 +5,78 @@
  */
 const { Fragment } = require('../../model/fragment');
 const { createSuccessResponse, createErrorResponse } = require('../../response');
+const { decodeCursor } = require('../../model/data/query');
 const logger = require('../../logger');
 
+// Largest page a client can ask for with ?limit=
+const MAX_LIMIT = 1000;
+
+// The values we accept for ?sort=
+const SORT_VALUES = ['created', 'updated', 'size'];
+
+// A type filter is either a mime type (text/plain) or a wildcard (image/*, */*)
+const TYPE_PATTERN = /^(\*\/\*|[\w.+-]+\/(\*|[\w.+-]+))$/;
+
+/**
+ * Parses the listing query parameters into options for Fragment.byUserPage().
+ * Throws an Error with a message suitable for a 400 response if anything is invalid.
+ * @param {Object} query the request's query parameters
+ * @returns {Object} listing options
+ */
+function parseListOptions(query) {
+  const options = {
+    // Check for expand query parameter
+    expand: query.expand === '1' || query.expand === 'true',
+  };
+
+  if (query.limit !== undefined) {
+    const limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+      throw new Error(`limit must be an integer between 1 and ${MAX_LIMIT}`);
+    }
+    options.limit = limit;
+  }
+
+  if (query.sort !== undefined) {
+    if (!SORT_VALUES.includes(query.sort)) {
+      throw new Error(`sort must be one of ${SORT_VALUES.join(', ')}`);
+    }
+    options.sort = query.sort;
+  }
+
+  if (query.type !== undefined) {
+    const types = String(query.type)
+      .split(',')
+      .map((type) => type.trim().toLowerCase())
+      .filter(Boolean);
+    if (!types.length || !types.every((type) => TYPE_PATTERN.test(type))) {
+      throw new Error('type must be a mime type (e.g., text/plain) or wildcard (e.g., image/*)');
+    }
+    options.types = types;
+  }
+
+  for (const name of ['createdAfter', 'updatedBefore']) {
+    if (query[name] !== undefined) {
+      const date = new Date(String(query[name]));
+      if (isNaN(date.getTime())) {
+        throw new Error(`${name} must be a valid date`);
+      }
+      options[name] = date.toISOString();
+    }
+  }
+
+  if (query.cursor !== undefined) {
+    const cursor = decodeCursor(String(query.cursor));
+    // A cursor only makes sense for the order it was created with
+    if (cursor.sort !== (options.sort || 'id')) {
+      throw new Error('cursor does not match sort order');
+    }
+    options.cursor = cursor;
+  }
+
+  return options;
+}
+
 module.exports = async (req, res) => {
   try {
     logger.debug('GET /fragments: Request received', {
@@ -27,24 +97,41 @@ module.exports = async (req, res) => {
 
     logger.debug('GET /fragments: Authenticated user', { ownerId });
 
-    // Check for expand query parameter
-    const expand = req.query.expand === '1' || req.query.expand === 'true';
-    
-    logger.debug('GET /fragments: Expand parameter', { 
-      ownerId, 
-      expand,
-      queryParams: req.query 
+    // Parse expand, paging, filtering and sorting options from the query string
+    let options;
+    try {
+      options = parseListOptions(req.query);
+    } catch (err) {
+      logger.warn('GET /fragments: Invalid query parameters', {
+        ownerId,
+        queryParams: req.query,
+        error: err.message
+      });
+      return res.status(400).json(createErrorResponse(400, err.message));
+    }
+
+    logger.debug('GET /fragments: Listing options', {
+      ownerId,
+      options,
+      queryParams: req.query
     });
 
-    // Get fragments for the user (with or without expansion based on query param)
-    const fragments = await Fragment.byUser(ownerId, expand);
+    // Get a page of fragments for the user (with or without expansion based on query param)
+    const { fragments, next } = await Fragment.byUserPage(ownerId, options);
 
     logger.info('GET /fragments: Fragments retrieved successfully', {
       ownerId,
-      count: fragments.length
+      count: fragments.length,
+      hasNext: !!next
     });
     
-    res.status(200).json(createSuccessResponse({ fragments }));
+    // Expanded fragments also include the formats each one can be converted to
+    res.status(200).json(createSuccessResponse({
+      fragments: options.expand
+        ? fragments.map((fragment) => ({ ...fragment, formats: fragment.formats }))
+        : fragments,
+      next
+    }));
   } catch (error) {
     logger.error('GET /fragments: Error retrieving fragments', { 
       error: error.message,
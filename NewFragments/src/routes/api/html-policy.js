@@ -0,0 +1,41 @@
+// src/routes/api/html-policy.js
+
+// Headers for responses that send HTML (text/html fragments, or conversions to
+// HTML). Fragment HTML is user content, so even after sanitizing we don't let a
+// browser run scripts, load anything but images and inline styles, or frame it.
+
+// See https://developer.mozilla.org/en-US/docs/Web/HTTP/Headers/Content-Security-Policy
+const HTML_CSP = [
+  "default-src 'none'",
+  'img-src https: data:',
+  "style-src 'unsafe-inline'",
+  "base-uri 'none'",
+  "form-action 'none'",
+  "frame-ancestors 'none'",
+  'sandbox',
+].join('; ');
+
+/**
+ * Returns the Content-Disposition type for HTML: `attachment` (the default) so
+ * browsers download it rather than showing it on our origin, or `inline` if
+ * HTML_CONTENT_DISPOSITION=inline
+ * @returns {'attachment'|'inline'}
+ */
+const dispositionType = () =>
+  process.env.HTML_CONTENT_DISPOSITION === 'inline' ? 'inline' : 'attachment';
+
+/**
+ * Sets the Content-Security-Policy and Content-Disposition headers for an HTML response
+ * @param {import('express').Response} res the response
+ * @param {string} filename the name to suggest for the file (e.g., `<id>.html`)
+ */
+function setHtmlPolicy(res, filename) {
+  res.setHeader('Content-Security-Policy', HTML_CSP);
+  res.setHeader(
+    'Content-Disposition',
+    `${dispositionType()}; filename="${filename.replace(/[^\w.-]/g, '_')}"`
+  );
+}
+
+module.exports.HTML_CSP = HTML_CSP;
+module.exports.setHtmlPolicy = setHtmlPolicy;
@@ -40,7 +40,12 @@ const rawBody = () =>
 // Note: More specific routes should come before more general ones
 // PUT and DELETE should come before GET to avoid conflicts
 router.get('/fragments', require('./get'));
+router.get('/fragments/export', require('./get-export'));
 router.get('/fragments/:id/info', require('./get-by-id-info'));
+router.get('/fragments/:id/versions', require('./get-versions'));
+router.get('/fragments/:id/versions/:version', require('./get-version'));
+router.post('/fragments/:id/versions/:version/restore', require('./post-restore'));
+router.post('/fragments/:id/convert', express.json(), require('./post-convert'));
 router.post('/fragments', rawBody(), require('./post'));
 router.put('/fragments/:id', rawBody(), require('./put'));
 router.delete('/fragments/:id', require('./delete'));
@@ -0,0 +1,153 @@
+// src/routes/api/post-convert.js
+const contentType = require('content-type');
+const { Fragment } = require('../../model/fragment');
+const { createErrorResponse } = require('../../response');
+const logger = require('../../logger');
+const { convertFragmentData, parseConversionOptions } = require('./conversion');
+
+/**
+ * POST /fragments/:id/convert
+ * Converts an authenticated user's fragment to another type, and saves the result
+ * as a new fragment. The target type is given in a JSON body, e.g., { "type": "image/webp" },
+ * and conversion options in the query string, as with GET /fragments/:id.
+ */
+module.exports = async (req, res, next) => {
+  try {
+    logger.debug('POST /fragments/:id/convert: Request received', {
+      fragmentId: req.params.id,
+      userAgent: req.get('User-Agent'),
+      ip: req.ip
+    });
+
+    // Get the user's hashed email from the request (set by auth middleware)
+    const ownerId = req.user;
+    const fragmentId = req.params.id;
+
+    if (!ownerId) {
+      logger.warn('POST /fragments/:id/convert: No authenticated user', {
+        fragmentId,
+        hasAuthHeader: !!req.get('Authorization'),
+        ip: req.ip
+      });
+      return res.status(401).json(createErrorResponse(401, 'Authentication required'));
+    }
+
+    let targetType;
+    try {
+      targetType = contentType.parse(String(req.body?.type ?? '')).type;
+    } catch {
+      logger.warn('POST /fragments/:id/convert: Missing or invalid target type', {
+        ownerId,
+        fragmentId,
+        body: req.body
+      });
+      return res
+        .status(400)
+        .json(createErrorResponse(400, 'Body must be JSON with the type to convert to, e.g., { "type": "text/html" }'));
+    }
+
+    if (!Fragment.isSupportedType(targetType)) {
+      logger.warn('POST /fragments/:id/convert: Unsupported target type', {
+        ownerId,
+        fragmentId,
+        targetType
+      });
+      return res.status(415).json(createErrorResponse(415, `Unknown or unsupported type: ${targetType}`));
+    }
+
+    let conversionOptions;
+    try {
+      conversionOptions = parseConversionOptions(req.query);
+    } catch (err) {
+      logger.warn('POST /fragments/:id/convert: Invalid conversion options', {
+        ownerId,
+        fragmentId,
+        query: req.query,
+        error: err.message
+      });
+      return res.status(400).json(createErrorResponse(400, err.message));
+    }
+
+    const fragment = await Fragment.byId(ownerId, fragmentId);
+
+    if (!fragment.formats.includes(targetType)) {
+      logger.warn('POST /fragments/:id/convert: Unsupported conversion', {
+        ownerId,
+        fragmentId,
+        sourceType: fragment.mimeType,
+        targetType
+      });
+      return res
+        .status(415)
+        .json(createErrorResponse(415, `Cannot convert ${fragment.mimeType} to ${targetType}`));
+    }
+
+    let data;
+    try {
+      data = await convertFragmentData(
+        await fragment.getData(),
+        fragment.mimeType,
+        targetType,
+        conversionOptions
+      );
+    } catch (err) {
+      logger.error('POST /fragments/:id/convert: Conversion failed', {
+        ownerId,
+        fragmentId,
+        error: err.message
+      });
+      return res.status(415).json(createErrorResponse(415, err.message));
+    }
+
+    // Save the result as a new fragment, remembering where it came from
+    const converted = new Fragment({
+      ownerId,
+      type: targetType,
+      source: { id: fragment.id, version: fragment.version, type: fragment.type },
+    });
+    await converted.save();
+    await converted.setData(data);
+
+    logger.info('POST /fragments/:id/convert: Fragment converted and saved', {
+      ownerId,
+      fragmentId,
+      convertedId: converted.id,
+      sourceType: fragment.mimeType,
+      targetType,
+      size: converted.size
+    });
+
+    const baseUrl = process.env.API_URL || `${req.secure ? 'https' : 'http'}://${req.get('host')}`;
+    res.setHeader('Location', `${baseUrl}/v1/fragments/${converted.id}`);
+    res.setHeader('ETag', converted.etag);
+    res.status(201).json({
+      status: 'ok',
+      fragment: {
+        id: converted.id,
+        ownerId: converted.ownerId,
+        created: converted.created,
+        updated: converted.updated,
+        type: converted.type,
+        size: converted.size,
+        etag: converted.etag,
+        source: converted.source
+      }
+    });
+  } catch (err) {
+    if (err.message.includes('Fragment not found')) {
+      logger.warn('POST /fragments/:id/convert: Fragment not found', {
+        ownerId: req.user,
+        fragmentId: req.params.id
+      });
+      return res.status(404).json(createErrorResponse(404, 'Fragment not found'));
+    }
+
+    logger.error('POST /fragments/:id/convert: Error converting fragment', {
+      error: err.message,
+      stack: err.stack,
+      ownerId: req.user,
+      fragmentId: req.params.id
+    });
+    next(err);
+  }
+};
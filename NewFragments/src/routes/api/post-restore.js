@@ -0,0 +1,114 @@
+// src/routes/api/post-restore.js
+const { Fragment } = require('../../model/fragment');
+const { createSuccessResponse, createErrorResponse } = require('../../response');
+const logger = require('../../logger');
+
+/**
+ * POST /fragments/:id/versions/:version/restore
+ * Makes a prior version of an authenticated user's fragment the current one.
+ * The data being replaced is kept as a version, so a restore can be undone.
+ */
+module.exports = async (req, res, next) => {
+  try {
+    logger.debug('POST /fragments/:id/versions/:version/restore: Request received', {
+      fragmentId: req.params.id,
+      versionParam: req.params.version,
+      userAgent: req.get('User-Agent'),
+      ip: req.ip
+    });
+
+    // Get the user's hashed email from the request (set by auth middleware)
+    const ownerId = req.user;
+    const fragmentId = req.params.id;
+
+    if (!ownerId) {
+      logger.warn('POST /fragments/:id/versions/:version/restore: No authenticated user', {
+        fragmentId,
+        hasAuthHeader: !!req.get('Authorization'),
+        ip: req.ip
+      });
+      return res.status(401).json(createErrorResponse(401, 'Authentication required'));
+    }
+
+    const version = Number(req.params.version);
+
+    if (!Number.isInteger(version) || version < 0) {
+      logger.warn('POST /fragments/:id/versions/:version/restore: Invalid version', {
+        ownerId,
+        fragmentId,
+        versionParam: req.params.version
+      });
+      return res.status(400).json(createErrorResponse(400, 'Version must be a non-negative integer'));
+    }
+
+    const fragment = await Fragment.byId(ownerId, fragmentId);
+
+    if (!fragment.versions.some((entry) => entry.version === version)) {
+      logger.warn('POST /fragments/:id/versions/:version/restore: Version not found', {
+        ownerId,
+        fragmentId,
+        version
+      });
+      return res.status(404).json(createErrorResponse(404, 'Fragment version not found'));
+    }
+
+    if (version === fragment.version) {
+      logger.warn('POST /fragments/:id/versions/:version/restore: Version is already current', {
+        ownerId,
+        fragmentId,
+        version
+      });
+      return res
+        .status(400)
+        .json(createErrorResponse(400, `Version ${version} is already the current version`));
+    }
+
+    await fragment.restoreVersion(version);
+
+    logger.info('POST /fragments/:id/versions/:version/restore: Fragment version restored', {
+      ownerId,
+      fragmentId,
+      restored: version,
+      version: fragment.version
+    });
+
+    res.status(200).json(createSuccessResponse({
+      fragment: {
+        id: fragment.id,
+        ownerId: fragment.ownerId,
+        created: fragment.created,
+        updated: fragment.updated,
+        type: fragment.type,
+        size: fragment.size,
+        version: fragment.version
+      }
+    }));
+  } catch (err) {
+    if (err.message.includes('Fragment not found')) {
+      logger.warn('POST /fragments/:id/versions/:version/restore: Fragment not found', {
+        ownerId: req.user,
+        fragmentId: req.params.id
+      });
+      return res.status(404).json(createErrorResponse(404, 'Fragment not found'));
+    }
+
+    // The version is listed, but its data is gone (e.g., removed by hand)
+    if (err.message.includes('Fragment version data not found')) {
+      logger.warn('POST /fragments/:id/versions/:version/restore: Version data not found', {
+        ownerId: req.user,
+        fragmentId: req.params.id,
+        versionParam: req.params.version
+      });
+      return res.status(404).json(createErrorResponse(404, 'Fragment version not found'));
+    }
+
+    logger.error('POST /fragments/:id/versions/:version/restore: Error restoring fragment version', {
+      error: err.message,
+      stack: err.stack,
+      ownerId: req.user,
+      fragmentId: req.params.id,
+      versionParam: req.params.version
+    });
+    next(err);
+  }
+};
@@ -1,12 +1,16 @@
 const { Fragment } = require('../../model/fragment');
 const contentType = require('content-type');
 const logger = require('../../logger');
+const idempotency = require('../../model/idempotency');
 
 /**
  * POST /fragments
  * Creates a new fragment for the authenticated user
  */
 module.exports = async (req, res, next) => {
+  // The Idempotency-Key we've claimed for this request, if any
+  let claimed;
+
   try {
     logger.debug('POST /fragments: Request received', {
       contentType: req.get('Content-Type'),
@@ -149,6 +153,65 @@ module.exports = async (req, res, next) => {
       contentType: req.get('Content-Type')
     });
 
+    // If the client sent an Idempotency-Key, a retry gets the original response
+    // instead of creating another fragment
+    const idempotencyKey = req.get('Idempotency-Key');
+    let requestFingerprint;
+    if (idempotencyKey !== undefined) {
+      if (!idempotency.isValidKey(idempotencyKey)) {
+        logger.warn('POST /fragments: Invalid Idempotency-Key', { ownerId, idempotencyKey });
+        return res.status(400).json({
+          status: 'error',
+          error: {
+            code: 400,
+            message: 'Idempotency-Key must be 1-255 visible ASCII characters'
+          }
+        });
+      }
+
+      requestFingerprint = idempotency.fingerprint(req.get('Content-Type'), bodyData);
+      const { status, response } = await idempotency.begin(ownerId, idempotencyKey, requestFingerprint);
+
+      if (status === 'replay') {
+        logger.info('POST /fragments: Replaying response for Idempotency-Key', {
+          ownerId,
+          idempotencyKey,
+          fragmentId: response.body.fragment.id
+        });
+        res.setHeader('Location', response.location);
+        res.setHeader('ETag', response.etag);
+        res.setHeader('Idempotent-Replayed', 'true');
+        return res.status(201).json(response.body);
+      }
+      if (status === 'mismatch') {
+        logger.warn('POST /fragments: Idempotency-Key reused for a different request', {
+          ownerId,
+          idempotencyKey
+        });
+        return res.status(422).json({
+          status: 'error',
+          error: {
+            code: 422,
+            message: 'Idempotency-Key has already been used for a different request'
+          }
+        });
+      }
+      if (status === 'in-progress') {
+        logger.warn('POST /fragments: Request with Idempotency-Key still in progress', {
+          ownerId,
+          idempotencyKey
+        });
+        return res.status(409).json({
+          status: 'error',
+          error: {
+            code: 409,
+            message: 'A request with this Idempotency-Key is still being processed'
+          }
+        });
+      }
+      claimed = idempotencyKey;
+    }
+
     // Create the fragment
     logger.debug('POST /fragments: Creating fragment', {
       ownerId,
@@ -176,12 +239,15 @@ module.exports = async (req, res, next) => {
       fragmentId: fragment.id
     });
     
-    // Save the fragment data
-    await fragment.setData(bodyData);
+    // Save the fragment data. Images are normalized and stripped of metadata,
+    // unless the client asks us to store them exactly as uploaded.
+    await fragment.setData(bodyData, {
+      processImages: req.get('X-Image-Processing')?.toLowerCase() !== 'none'
+    });
     logger.debug('POST /fragments: Fragment data saved', {
       ownerId,
       fragmentId: fragment.id,
-      dataSize: bodyData.length
+      dataSize: fragment.size
     });
 
     // Build the Location header URL
@@ -215,9 +281,7 @@ module.exports = async (req, res, next) => {
       size: fragment.size
     });
 
-    // Return the fragment metadata with Location header
-    res.setHeader('Location', locationUrl);
-    res.status(201).json({
+    const body = {
       status: 'ok',
       fragment: {
         id: fragment.id,
@@ -225,17 +289,66 @@ module.exports = async (req, res, next) => {
         created: fragment.created,
         updated: fragment.updated,
         type: fragment.type,
-        size: fragment.size
+        size: fragment.size,
+        etag: fragment.etag
       }
-    });
+    };
+
+    // Remember the response, for retries with the same Idempotency-Key. The fragment
+    // exists now, so if we can't, we keep the key claimed rather than release it: a
+    // retry gets a 409 until the key expires, instead of creating another fragment.
+    if (claimed) {
+      const key = claimed;
+      claimed = undefined;
+      try {
+        await idempotency.complete(ownerId, key, requestFingerprint, {
+          location: locationUrl,
+          etag: fragment.etag,
+          body
+        });
+      } catch (err) {
+        logger.error('POST /fragments: Unable to remember response for Idempotency-Key', {
+          ownerId,
+          idempotencyKey: key,
+          fragmentId: fragment.id,
+          error: err.message
+        });
+      }
+    }
+
+    // Return the fragment metadata with Location and ETag headers
+    res.setHeader('Location', locationUrl);
+    res.setHeader('ETag', fragment.etag);
+    res.status(201).json(body);
 
   } catch (err) {
+    // Let the client retry with the same key
+    if (claimed) {
+      await idempotency.release(req.user, claimed);
+    }
+
+    // We can't strip the metadata from an image we can't read, so we don't keep it
+    if (err.message.includes('Invalid image data')) {
+      logger.warn('POST /fragments: Invalid image data', {
+        ownerId: req.user,
+        contentType: req.get('Content-Type'),
+        error: err.message
+      });
+      return res.status(415).json({
+        status: 'error',
+        error: {
+          code: 415,
+          message: 'Invalid image data'
+        }
+      });
+    }
+
     logger.error('POST /fragments: Error creating fragment', { 
       error: err.message,
       stack: err.stack,
       ownerId: req.user
     });
-    
+
     next(err);
   }
 };
@@ -3,6 +3,7 @@ const { Fragment } = require('../../model/fragment');
 const contentType = require('content-type');
 const { createSuccessResponse, createErrorResponse } = require('../../response');
 const logger = require('../../logger');
+const { ifMatch } = require('../../etag');
 
 /**
  * PUT /fragments/:id
@@ -129,12 +130,32 @@ module.exports = async (req, res, next) => {
       return res.status(404).json(createErrorResponse(404, 'Fragment not found'));
     }
 
+    // If the client only wants to update the version it has, make sure nobody
+    // else has changed the fragment in the meantime
+    const ifMatchHeader = req.get('If-Match');
+    // Fragments saved before we kept ETags don't have one stored, so we work it out
+    const etag = ifMatchHeader ? await fragment.getETag() : undefined;
+    if (ifMatchHeader && !ifMatch(ifMatchHeader, etag)) {
+      logger.warn('PUT /fragments/:id: If-Match precondition failed', {
+        ownerId,
+        fragmentId,
+        ifMatch: ifMatchHeader,
+        etag
+      });
+      return res.status(412).json(createErrorResponse(412, 'Precondition Failed'));
+    }
+
     // Check if Content-Type matches the existing fragment's type
     // Compare the base mime type (without charset/parameters)
     const existingMimeType = fragment.mimeType;
     const requestMimeType = parsedType.type;
 
-    if (existingMimeType !== requestMimeType) {
+    // The type can only change if the client asks for it (keeping the fragment's id),
+    // and only to a similar type the existing data converts to directly (e.g., Markdown
+    // to HTML, see Fragment.canChangeType())
+    const allowTypeChange = req.get('X-Allow-Type-Change')?.toLowerCase() === 'true';
+
+    if (existingMimeType !== requestMimeType && !allowTypeChange) {
       logger.warn('PUT /fragments/:id: Content-Type mismatch', {
         ownerId,
         fragmentId,
@@ -145,6 +166,18 @@ module.exports = async (req, res, next) => {
       return res.status(400).json(createErrorResponse(400, 'Content-Type does not match existing fragment type'));
     }
 
+    if (existingMimeType !== requestMimeType && !Fragment.canChangeType(existingMimeType, requestMimeType)) {
+      logger.warn('PUT /fragments/:id: Incompatible type change', {
+        ownerId,
+        fragmentId,
+        existingMimeType,
+        requestMimeType
+      });
+      return res
+        .status(400)
+        .json(createErrorResponse(400, `Cannot change type from ${existingMimeType} to ${requestMimeType}`));
+    }
+
     logger.debug('PUT /fragments/:id: Updating fragment data', {
       ownerId,
       fragmentId,
@@ -153,13 +186,19 @@ module.exports = async (req, res, next) => {
       existingSize: fragment.size
     });
 
-    // Update the fragment type if Content-Type includes charset/parameters
+    // Update the fragment type if it's changing, or if Content-Type includes charset/parameters.
+    // The version history records the type of each version.
     if (contentTypeHeader !== fragment.type) {
       fragment.type = contentTypeHeader;
     }
 
-    // Update the fragment data (this will also update the size and updated timestamp)
-    await fragment.setData(req.body);
+    // Update the fragment data (this will also update the size and updated timestamp).
+    // As with POST, X-Image-Processing: none stores an image exactly as uploaded.
+    await fragment.setData(req.body, {
+      processImages: req.get('X-Image-Processing')?.toLowerCase() !== 'none',
+      // Make sure nobody changes the fragment between our If-Match check and the write
+      ifUnchanged: !!ifMatchHeader
+    });
 
     logger.info('PUT /fragments/:id: Fragment updated successfully', {
       ownerId,
@@ -169,6 +208,7 @@ module.exports = async (req, res, next) => {
     });
 
     // Return the updated fragment metadata
+    res.setHeader('ETag', fragment.etag);
     res.status(200).json(createSuccessResponse({
       fragment: {
         id: fragment.id,
@@ -176,11 +216,32 @@ module.exports = async (req, res, next) => {
         created: fragment.created,
         updated: fragment.updated,
         type: fragment.type,
-        size: fragment.size
+        size: fragment.size,
+        etag: fragment.etag,
+        version: fragment.version
       }
     }));
 
   } catch (err) {
+    // Someone else changed the fragment between our If-Match check and our write
+    if (err.message.includes('Fragment changed')) {
+      logger.warn('PUT /fragments/:id: Fragment changed during conditional request', {
+        ownerId: req.user,
+        fragmentId: req.params.id
+      });
+      return res.status(412).json(createErrorResponse(412, 'Precondition Failed'));
+    }
+
+    // We can't strip the metadata from an image we can't read, so we don't keep it
+    if (err.message.includes('Invalid image data')) {
+      logger.warn('PUT /fragments/:id: Invalid image data', {
+        ownerId: req.user,
+        fragmentId: req.params.id,
+        error: err.message
+      });
+      return res.status(415).json(createErrorResponse(415, 'Invalid image data'));
+    }
+
     if (err.message.includes('Fragment not found')) {
       logger.warn('PUT /fragments/:id: Fragment not found', {
         ownerId: req.user,
@@ -0,0 +1,67 @@
+// src/routes/api/range.js
+
+// Helpers for answering HTTP Range requests (206 Partial Content), see:
+// https://httpwg.org/specs/rfc9110.html#field.range
+const { createErrorResponse } = require('../../response');
+
+/**
+ * Works out which bytes of a representation the client asked for in its Range
+ * header. We only serve a single byte range: requests for several ranges get the
+ * whole representation instead, which the spec allows.
+ * @param {import('express').Request} req the request
+ * @param {number} size the length of the full representation in bytes
+ * @param {string} etag the representation's ETag, checked against If-Range
+ * @returns {null|-1|{ start: number, end: number }} null to send everything,
+ * -1 if the range can't be satisfied, otherwise the (inclusive) byte range
+ */
+function getRequestedRange(req, size, etag) {
+  if (!req.get('Range')) {
+    return null;
+  }
+
+  // If-Range means "only send part of it if it hasn't changed". Our validators
+  // are ETags, which have to match exactly (i.e., a strong comparison).
+  const ifRange = req.get('If-Range');
+  if (ifRange && ifRange !== etag) {
+    return null;
+  }
+
+  // Express parses the header for us, merging overlapping ranges
+  const ranges = req.range(size, { combine: true });
+
+  if (ranges === -1) {
+    return -1;
+  }
+  if (!Array.isArray(ranges) || ranges.type !== 'bytes' || ranges.length !== 1) {
+    return null;
+  }
+
+  const [{ start, end }] = ranges;
+  return { start, end };
+}
+
+/**
+ * Sends part of a representation as 206 Partial Content
+ * @param {import('express').Response} res the response
+ * @param {Buffer} data the bytes in the range
+ * @param {{ start: number, end: number }} range the (inclusive) byte range
+ * @param {number} size the length of the full representation in bytes
+ */
+function sendRange(res, data, { start, end }, size) {
+  res.setHeader('Content-Range', `bytes ${start}-${end}/${size}`);
+  res.status(206).send(data);
+}
+
+/**
+ * Sends a 416 Range Not Satisfiable error
+ * @param {import('express').Response} res the response
+ * @param {number} size the length of the full representation in bytes
+ */
+function sendRangeNotSatisfiable(res, size) {
+  res.setHeader('Content-Range', `bytes */${size}`);
+  res.status(416).json(createErrorResponse(416, 'Range Not Satisfiable'));
+}
+
+module.exports.getRequestedRange = getRequestedRange;
+module.exports.sendRange = sendRange;
+module.exports.sendRangeNotSatisfiable = sendRangeNotSatisfiable;
@@ -0,0 +1,167 @@
+// src/sanitize.js
+
+/**
+ * An allow-list HTML sanitizer (using https://www.npmjs.com/package/sanitize-html),
+ * for HTML we send (e.g., Markdown rendered as HTML) or store. Anything that isn't
+ * allowed, such as scripts, event handler attributes and javascript: URLs, is removed.
+ *
+ * The default allow-list covers everything our Markdown renderer produces. It can be
+ * replaced with environment variables:
+ *
+ *   HTML_ALLOWED_TAGS=p,a,em,strong
+ *   HTML_ALLOWED_ATTRIBUTES=a:href,*:class
+ *
+ * SVG images are sanitized too (see sanitizeSvg()), with a fixed allow-list of
+ * drawing elements and attributes.
+ */
+
+const sanitizeHtml = require('sanitize-html');
+
+// Markdown tables use style="text-align: ..." for column alignment, which is the only style we keep
+const alignment = { 'text-align': [/^(left|right|center)$/] };
+
+const DEFAULT_TAGS = [
+  ...sanitizeHtml.defaults.allowedTags,
+  'del',
+  'details',
+  'img',
+  'input',
+  'summary',
+];
+
+const DEFAULT_ATTRIBUTES = {
+  '*': ['id', 'class', 'title', 'lang', 'dir'],
+  a: ['href', 'name', 'rel'],
+  img: ['src', 'alt', 'width', 'height'],
+  ol: ['start', 'type'],
+  input: ['type', 'checked', 'disabled'],
+  th: ['align', 'colspan', 'rowspan', 'scope', 'style'],
+  td: ['align', 'colspan', 'rowspan', 'style'],
+  h1: ['tabindex'],
+  h2: ['tabindex'],
+  h3: ['tabindex'],
+  h4: ['tabindex'],
+  h5: ['tabindex'],
+  h6: ['tabindex'],
+};
+
+// Parses a comma separated list from the environment, or returns undefined if it's not set
+const envList = (name) =>
+  process.env[name]
+    ?.split(',')
+    .map((value) => value.trim())
+    .filter(Boolean);
+
+/**
+ * Returns the allowed tags and attributes, from the environment or our defaults
+ * @returns {{ allowedTags: Array<string>, allowedAttributes: Object }}
+ */
+function allowList() {
+  const tags = envList('HTML_ALLOWED_TAGS');
+  const attributes = envList('HTML_ALLOWED_ATTRIBUTES');
+
+  return {
+    allowedTags: tags || DEFAULT_TAGS,
+    allowedAttributes: attributes
+      ? attributes.reduce((allowed, pair) => {
+          const [tag, attribute] = pair.split(':');
+          if (tag && attribute) {
+            allowed[tag] = [...(allowed[tag] || []), attribute];
+          }
+          return allowed;
+        }, {})
+      : DEFAULT_ATTRIBUTES,
+  };
+}
+
+/**
+ * Removes anything that isn't on the allow-list from the HTML
+ * @param {string} html untrusted HTML
+ * @returns {string} safe HTML
+ */
+module.exports.sanitize = (html) =>
+  sanitizeHtml(html, {
+    ...allowList(),
+    allowedStyles: { th: alignment, td: alignment },
+    allowedSchemes: ['http', 'https', 'mailto'],
+    allowedSchemesByTag: { img: ['http', 'https', 'data'] },
+    allowProtocolRelative: false,
+    // Inputs are only for task lists, so they're always disabled checkboxes
+    exclusiveFilter: (frame) => frame.tag === 'input' && frame.attribs.type !== 'checkbox',
+    transformTags: {
+      input: (tagName, attribs) => ({ tagName, attribs: { ...attribs, disabled: '' } }),
+    },
+  });
+
+/**
+ * Returns true if HTML fragments should be sanitized when they're written
+ * (i.e., POST/PUT), set with HTML_SANITIZE_ON_WRITE=true
+ * @returns {boolean}
+ */
+module.exports.sanitizeOnWrite = () => process.env.HTML_SANITIZE_ON_WRITE === 'true';
+
+// SVG elements that only draw (no scripts, links, foreignObject, animation or external content)
+const SVG_TAGS = [
+  'svg', 'g', 'defs', 'symbol', 'use', 'title', 'desc', 'path', 'rect', 'circle', 'ellipse',
+  'line', 'polyline', 'polygon', 'text', 'tspan', 'textPath', 'image', 'linearGradient',
+  'radialGradient', 'stop', 'pattern', 'clipPath', 'mask', 'marker', 'filter', 'feBlend',
+  'feColorMatrix', 'feComponentTransfer', 'feComposite', 'feDropShadow', 'feFlood',
+  'feFuncA', 'feFuncB', 'feFuncG', 'feFuncR', 'feGaussianBlur', 'feMerge', 'feMergeNode',
+  'feMorphology', 'feOffset',
+];
+
+// Geometry and presentation attributes (SVG attribute names are case sensitive)
+const SVG_ATTRIBUTES = [
+  'xmlns', 'xmlns:xlink', 'version', 'id', 'class', 'style', 'viewBox', 'preserveAspectRatio',
+  'width', 'height', 'x', 'y', 'x1', 'y1', 'x2', 'y2', 'cx', 'cy', 'r', 'rx', 'ry', 'fx', 'fy',
+  'd', 'points', 'pathLength', 'transform', 'href', 'xlink:href', 'dx', 'dy', 'rotate',
+  'textLength', 'lengthAdjust', 'startOffset', 'offset', 'gradientUnits', 'gradientTransform',
+  'spreadMethod', 'patternUnits', 'patternContentUnits', 'patternTransform', 'clipPathUnits',
+  'maskUnits', 'maskContentUnits', 'markerUnits', 'markerWidth', 'markerHeight', 'refX', 'refY',
+  'orient', 'filterUnits', 'primitiveUnits', 'in', 'in2', 'result', 'mode', 'operator', 'k1',
+  'k2', 'k3', 'k4', 'type', 'values', 'tableValues', 'slope', 'intercept', 'amplitude',
+  'exponent', 'stdDeviation', 'radius', 'fill', 'fill-opacity', 'fill-rule', 'stroke',
+  'stroke-width', 'stroke-opacity', 'stroke-linecap', 'stroke-linejoin', 'stroke-dasharray',
+  'stroke-dashoffset', 'stroke-miterlimit', 'opacity', 'color', 'stop-color', 'stop-opacity',
+  'flood-color', 'flood-opacity', 'clip-path', 'clip-rule', 'mask', 'filter', 'marker-start',
+  'marker-mid', 'marker-end', 'display', 'visibility', 'overflow', 'font-family', 'font-size',
+  'font-weight', 'font-style', 'text-anchor', 'dominant-baseline', 'letter-spacing',
+  'word-spacing', 'text-decoration', 'xml:space',
+];
+
+// References may only point within the document (e.g., url(#gradient)), or be inline images
+const isLocalReference = (value) => /^\s*(#|data:image\/(png|jpeg|gif|webp);)/i.test(value);
+const hasExternalUrl = (value) => /url\(\s*['"]?(?!#)/i.test(value);
+
+/**
+ * Removes anything that isn't a drawing from an SVG image, including scripts,
+ * event handlers, links and references to external resources
+ * @param {string} svg untrusted SVG
+ * @returns {string} safe SVG
+ */
+module.exports.sanitizeSvg = (svg) =>
+  sanitizeHtml(
+    // Drop the XML declaration and any DOCTYPE (with its entities) first
+    svg.replace(/<\?xml[\s\S]*?\?>/gi, '').replace(/<!DOCTYPE[^[>]*(\[[\s\S]*?\])?\s*>/gi, ''),
+    {
+      allowedTags: SVG_TAGS,
+      allowedAttributes: { '*': SVG_ATTRIBUTES },
+      // SVG is XML, so keep the case of names, and close every element (e.g., <path></path>)
+      parser: { xmlMode: true },
+      selfClosing: [],
+      allowedSchemes: ['data'],
+      nonTextTags: ['script', 'style', 'foreignObject'],
+      transformTags: {
+        '*': (tagName, attribs) => ({
+          tagName,
+          attribs: Object.fromEntries(
+            Object.entries(attribs).filter(
+              ([name, value]) =>
+                !hasExternalUrl(value) &&
+                (!['href', 'xlink:href'].includes(name) || isLocalReference(value))
+            )
+          ),
+        }),
+      },
+    }
+  );
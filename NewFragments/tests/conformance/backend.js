@@ -0,0 +1,612 @@
+// tests/conformance/backend.js
+
+// The tests every storage backend in src/model/data has to pass, so they all behave
+// the same way no matter which one FRAGMENTS_BACKEND picks. Run them for a backend with:
+//
+//   describeBackend('memory', () => require('../../src/model/data/memory'));
+//
+// Each test starts from an empty store (using the backend's reset()), so only run
+// them against storage you don't mind losing.
+const { paginate, decodeCursor } = require('../../src/model/data/query');
+
+/**
+ * Defines the conformance tests for a backend
+ * @param {string} name the backend's name, used in the test names
+ * @param {Function} load returns the backend's module (called once, when the tests are defined)
+ */
+function describeBackend(name, load) {
+  describe(`${name} backend conformance`, () => {
+    const {
+      readFragment,
+      writeFragment,
+      readFragmentData,
+      writeFragmentData,
+      listFragments,
+      listFragmentsPage,
+      listOwners,
+      deleteFragment,
+      archiveFragmentData,
+      readFragmentVersionData,
+      deleteFragmentVersionData,
+      claimIdempotencyKey,
+      writeIdempotencyKey,
+      deleteIdempotencyKey,
+      reset,
+    } = load();
+
+    // Sample fragment object for testing
+    const sampleFragment = {
+      id: 'test-fragment-1',
+      ownerId: 'user123',
+      type: 'text/plain',
+      size: 15,
+      created: '2023-01-01T00:00:00.000Z',
+      updated: '2023-01-01T00:00:00.000Z',
+    };
+
+    const sampleBuffer = Buffer.from('Hello, World!', 'utf8');
+
+    beforeEach(async () => {
+      // Start from an empty store
+      await reset();
+    });
+
+    describe('writeFragment', () => {
+      test('should return a Promise', async () => {
+        const result = writeFragment(sampleFragment);
+        expect(result).toBeInstanceOf(Promise);
+        await result;
+      });
+
+      test('should successfully write fragment metadata', async () => {
+        await expect(writeFragment(sampleFragment)).resolves.toBeUndefined();
+      });
+
+      test('should serialize fragment as JSON', async () => {
+        await writeFragment(sampleFragment);
+        const retrieved = await readFragment(sampleFragment.ownerId, sampleFragment.id);
+        expect(retrieved).toEqual(sampleFragment);
+      });
+
+      test('should only store the JSON representation', async () => {
+        class Fragment {
+          constructor() {
+            Object.assign(this, sampleFragment);
+          }
+          get mimeType() {
+            return 'text/plain';
+          }
+        }
+        await writeFragment(new Fragment());
+        const retrieved = await readFragment(sampleFragment.ownerId, sampleFragment.id);
+        expect(retrieved).toEqual(sampleFragment);
+        expect(retrieved).not.toBeInstanceOf(Fragment);
+      });
+
+      test('should handle different fragment types', async () => {
+        const jsonFragment = { ...sampleFragment, type: 'application/json' };
+        await writeFragment(jsonFragment);
+        const retrieved = await readFragment(jsonFragment.ownerId, jsonFragment.id);
+        expect(retrieved.type).toBe('application/json');
+      });
+
+      test('should replace existing metadata', async () => {
+        await writeFragment(sampleFragment);
+        await writeFragment({ ...sampleFragment, size: 99, version: 2 });
+        expect(await readFragment(sampleFragment.ownerId, sampleFragment.id)).toEqual({
+          ...sampleFragment,
+          size: 99,
+          version: 2,
+        });
+      });
+    });
+
+    describe('writeFragment with expected metadata', () => {
+      const committed = { ...sampleFragment, etag: '"one"', version: 1, state: 'committed' };
+
+      test('writes if the fragment is unchanged', async () => {
+        await writeFragment(committed);
+        const marker = { ...committed, state: 'pending', stateSince: '2024-01-01T00:00:00.000Z' };
+        await writeFragment(marker, committed);
+        expect(await readFragment(sampleFragment.ownerId, sampleFragment.id)).toEqual(marker);
+
+        // And from a marker to the next version
+        const next = { ...committed, etag: '"two"', version: 2 };
+        await writeFragment(next, marker);
+        expect(await readFragment(sampleFragment.ownerId, sampleFragment.id)).toEqual(next);
+      });
+
+      test('fragments stored without a state are committed', async () => {
+        const legacy = { ...sampleFragment, version: 1 };
+        await writeFragment(legacy);
+        await writeFragment({ ...legacy, size: 1 }, { ...legacy, state: 'committed' });
+        expect((await readFragment(sampleFragment.ownerId, sampleFragment.id)).size).toBe(1);
+      });
+
+      test('fails if the fragment changed, or is gone', async () => {
+        await writeFragment(committed);
+        const update = { ...committed, size: 1 };
+        for (const expected of [
+          { ...committed, etag: '"other"' },
+          { ...committed, version: 2 },
+          { ...committed, state: 'pending' },
+          { ...committed, stateSince: '2024-01-01T00:00:00.000Z' },
+        ]) {
+          await expect(writeFragment(update, expected)).rejects.toThrow(
+            `Fragment changed: ${sampleFragment.id}`
+          );
+        }
+        expect(await readFragment(sampleFragment.ownerId, sampleFragment.id)).toEqual(committed);
+
+        await expect(
+          writeFragment({ ...committed, id: 'missing' }, { ...committed, id: 'missing' })
+        ).rejects.toThrow('Fragment changed: missing');
+      });
+
+      test('only one of two writers expecting the same metadata succeeds', async () => {
+        await writeFragment(committed);
+        const results = await Promise.allSettled([
+          writeFragment({ ...committed, state: 'pending', stateSince: 'a' }, committed),
+          writeFragment({ ...committed, state: 'pending', stateSince: 'b' }, committed),
+        ]);
+        expect(results.map(({ status }) => status).sort()).toEqual(['fulfilled', 'rejected']);
+      });
+    });
+
+    describe('readFragment', () => {
+      test('should return a Promise', async () => {
+        const result = readFragment('user123', 'test-id');
+        expect(result).toBeInstanceOf(Promise);
+        await result;
+      });
+
+      test('should return undefined for non-existent fragment', async () => {
+        expect(await readFragment('nonexistent', 'nonexistent')).toBeUndefined();
+      });
+
+      test("should not return another owner's fragment", async () => {
+        await writeFragment(sampleFragment);
+        expect(await readFragment('someone-else', sampleFragment.id)).toBeUndefined();
+      });
+
+      test('should treat ids that are also property names like any other', async () => {
+        await writeFragment(sampleFragment);
+        for (const id of ['constructor', '__proto__', 'toString', 'hasOwnProperty']) {
+          expect(await readFragment(sampleFragment.ownerId, id)).toBeUndefined();
+          await writeFragment({ ...sampleFragment, id });
+          expect(await readFragment(sampleFragment.ownerId, id)).toEqual({ ...sampleFragment, id });
+        }
+        expect((await listFragments(sampleFragment.ownerId)).sort()).toEqual(
+          ['__proto__', 'constructor', 'hasOwnProperty', sampleFragment.id, 'toString'].sort()
+        );
+        await deleteFragment(sampleFragment.ownerId, '__proto__');
+        expect(await readFragment(sampleFragment.ownerId, '__proto__')).toBeUndefined();
+      });
+    });
+
+    describe('writeFragmentData and readFragmentData', () => {
+      test('should return Promises', async () => {
+        const write = writeFragmentData('user123', 'test-id', sampleBuffer);
+        expect(write).toBeInstanceOf(Promise);
+        await expect(write).resolves.toBeUndefined();
+
+        const read = readFragmentData('user123', 'test-id');
+        expect(read).toBeInstanceOf(Promise);
+        await read;
+      });
+
+      test('should read back the same Buffer', async () => {
+        await writeFragmentData(sampleFragment.ownerId, sampleFragment.id, sampleBuffer);
+        const retrieved = await readFragmentData(sampleFragment.ownerId, sampleFragment.id);
+        expect(Buffer.isBuffer(retrieved)).toBe(true);
+        expect(retrieved).toEqual(sampleBuffer);
+      });
+
+      test('should handle different buffer sizes', async () => {
+        await writeFragmentData('user123', 'empty', Buffer.alloc(0));
+        await writeFragmentData('user123', 'large', Buffer.alloc(64 * 1024, 'A'));
+        expect((await readFragmentData('user123', 'empty')).length).toBe(0);
+        expect((await readFragmentData('user123', 'large')).length).toBe(64 * 1024);
+      });
+
+      test('should preserve binary data byte for byte', async () => {
+        const binary = Buffer.from([0, 255, 0, 1, 128, 10, 13]);
+        await writeFragmentData('user123', 'binary', binary);
+        expect(await readFragmentData('user123', 'binary')).toEqual(binary);
+      });
+
+      test('should replace existing data', async () => {
+        await writeFragmentData('user123', 'abc', Buffer.from('one'));
+        await writeFragmentData('user123', 'abc', Buffer.from('two'));
+        expect(await readFragmentData('user123', 'abc')).toEqual(Buffer.from('two'));
+      });
+
+      test('should return undefined for non-existent fragment data', async () => {
+        expect(await readFragmentData('nonexistent', 'nonexistent')).toBeUndefined();
+      });
+
+      test('should read only the requested (inclusive) byte range', async () => {
+        await writeFragmentData(sampleFragment.ownerId, sampleFragment.id, sampleBuffer);
+        const read = (start, end) =>
+          readFragmentData(sampleFragment.ownerId, sampleFragment.id, { start, end });
+
+        expect(await read(7, 11)).toEqual(Buffer.from('World'));
+        expect(await read(0, 0)).toEqual(Buffer.from('H'));
+        // Ranges past the end stop at the end
+        expect(await read(7, 100)).toEqual(Buffer.from('World!'));
+      });
+    });
+
+    describe('prior versions', () => {
+      test('should archive, read and delete prior versions of the data', async () => {
+        await writeFragmentData('user123', 'abc', Buffer.from('one'));
+        await archiveFragmentData('user123', 'abc', 1);
+        await writeFragmentData('user123', 'abc', Buffer.from('two'));
+        await archiveFragmentData('user123', 'abc', 2);
+        await writeFragmentData('user123', 'abc', Buffer.from('three'));
+
+        expect(await readFragmentVersionData('user123', 'abc', 1)).toEqual(Buffer.from('one'));
+        expect(await readFragmentVersionData('user123', 'abc', 2)).toEqual(Buffer.from('two'));
+        expect(await readFragmentData('user123', 'abc')).toEqual(Buffer.from('three'));
+
+        await deleteFragmentVersionData('user123', 'abc', 1);
+        expect(await readFragmentVersionData('user123', 'abc', 1)).toBeUndefined();
+        expect(await readFragmentVersionData('user123', 'abc', 2)).toEqual(Buffer.from('two'));
+      });
+
+      test('should return undefined for a version that was never archived', async () => {
+        expect(await readFragmentVersionData('user123', 'abc', 1)).toBeUndefined();
+      });
+
+      test('should not mind deleting a version that was never archived', async () => {
+        await expect(deleteFragmentVersionData('user123', 'abc', 1)).resolves.not.toThrow();
+      });
+
+      test('should fail to archive missing data', async () => {
+        await expect(archiveFragmentData('user123', 'missing', 1)).rejects.toThrow();
+      });
+    });
+
+    describe('listFragments', () => {
+      test('should return a Promise', async () => {
+        const result = listFragments('user123');
+        expect(result).toBeInstanceOf(Promise);
+        await result;
+      });
+
+      test('should return empty array for user with no fragments', async () => {
+        expect(await listFragments('empty-user')).toEqual([]);
+      });
+
+      test('should return fragment IDs when expand=false', async () => {
+        await writeFragment(sampleFragment);
+        await writeFragment({ ...sampleFragment, id: 'fragment-2' });
+
+        const result = await listFragments(sampleFragment.ownerId, false);
+        expect(result.sort()).toEqual(['fragment-2', sampleFragment.id]);
+      });
+
+      test('should return full fragments when expand=true', async () => {
+        await writeFragment(sampleFragment);
+        expect(await listFragments(sampleFragment.ownerId, true)).toEqual([sampleFragment]);
+      });
+
+      test('should leave out uncommitted and deleting fragments', async () => {
+        await writeFragment(sampleFragment);
+        await writeFragment({ ...sampleFragment, id: 'new', state: 'pending', version: 0 });
+        await writeFragment({ ...sampleFragment, id: 'updating', state: 'pending', version: 2 });
+        await writeFragment({ ...sampleFragment, id: 'deleting', state: 'deleting', version: 1 });
+
+        expect((await listFragments(sampleFragment.ownerId)).sort()).toEqual([
+          sampleFragment.id,
+          'updating',
+        ]);
+        const { fragments } = await listFragmentsPage(sampleFragment.ownerId);
+        expect(fragments).toEqual([sampleFragment.id, 'updating']);
+      });
+
+      test('should handle multiple users independently', async () => {
+        await writeFragment({ ...sampleFragment, ownerId: 'user1' });
+        await writeFragment({ ...sampleFragment, ownerId: 'user2', id: 'fragment-user2' });
+
+        expect(await listFragments('user1')).toEqual([sampleFragment.id]);
+        expect(await listFragments('user2')).toEqual(['fragment-user2']);
+      });
+    });
+
+    describe('listOwners', () => {
+      test('should return an empty array with no fragments', async () => {
+        expect(await listOwners()).toEqual([]);
+      });
+
+      test('should return each owner with fragments once, sorted', async () => {
+        await writeFragment({ ...sampleFragment, ownerId: 'user2' });
+        await writeFragment({ ...sampleFragment, ownerId: 'user1' });
+        await writeFragment({ ...sampleFragment, ownerId: 'user1', id: 'fragment-2' });
+        // Idempotency keys aren't fragments
+        await claimIdempotencyKey('user3', 'key', { expires: Math.floor(Date.now() / 1000) + 60 });
+
+        expect(await listOwners()).toEqual(['user1', 'user2']);
+      });
+
+      test('should leave out owners whose fragments were all deleted', async () => {
+        await writeFragment({ ...sampleFragment, ownerId: 'user1' });
+        await writeFragment({ ...sampleFragment, ownerId: 'user2' });
+        await deleteFragment('user1', sampleFragment.id);
+
+        expect(await listOwners()).toEqual(['user2']);
+      });
+    });
+
+    describe('listFragmentsPage', () => {
+      const fragments = [
+        { ...sampleFragment, id: 'a', type: 'text/plain', size: 30, created: '2023-01-03T00:00:00.000Z' },
+        { ...sampleFragment, id: 'b', type: 'image/png', size: 10, created: '2023-01-01T00:00:00.000Z' },
+        { ...sampleFragment, id: 'c', type: 'text/markdown', size: 20, created: '2023-01-02T00:00:00.000Z' },
+      ];
+
+      beforeEach(async () => {
+        for (const fragment of fragments) {
+          await writeFragment(fragment);
+        }
+      });
+
+      test('should return every id in id order with no options', async () => {
+        expect(await listFragmentsPage(sampleFragment.ownerId)).toEqual({
+          fragments: ['a', 'b', 'c'],
+          next: null,
+        });
+      });
+
+      test('should return full fragments when expand is set', async () => {
+        const { fragments: result } = await listFragmentsPage(sampleFragment.ownerId, {
+          expand: true,
+          types: ['text/*'],
+        });
+        expect(result).toEqual([fragments[0], fragments[2]]);
+      });
+
+      test('should sort and page using the returned cursor', async () => {
+        const first = await listFragmentsPage(sampleFragment.ownerId, { sort: 'size', limit: 2 });
+        expect(first.fragments).toEqual(['b', 'c']);
+        expect(typeof first.next).toBe('string');
+
+        const second = await listFragmentsPage(sampleFragment.ownerId, {
+          sort: 'size',
+          limit: 2,
+          cursor: decodeCursor(first.next),
+        });
+        expect(second).toEqual({ fragments: ['a'], next: null });
+      });
+
+      test('should filter by created date', async () => {
+        const { fragments: result } = await listFragmentsPage(sampleFragment.ownerId, {
+          createdAfter: '2023-01-01T12:00:00.000Z',
+          sort: 'created',
+        });
+        expect(result).toEqual(['c', 'a']);
+      });
+    });
+
+    describe('listFragmentsPage matches paginate()', () => {
+      // A mix of types, sizes and dates, with some ties to break by id
+      const fragments = Array.from({ length: 12 }, (_, i) => ({
+        ...sampleFragment,
+        id: `fragment-${String.fromCharCode(108 - i)}`,
+        type: ['text/plain', 'text/markdown; charset=utf-8', 'image/png', 'application/json'][i % 4],
+        size: (i * 7) % 5,
+        created: new Date(Date.UTC(2023, 0, 1 + (i % 6))).toISOString(),
+        updated: new Date(Date.UTC(2023, 1, 1 + ((i * 5) % 7))).toISOString(),
+        ...(i === 3 && { state: 'pending', version: 0 }),
+        ...(i === 4 && { state: 'pending', version: 2 }),
+        ...(i === 5 && { state: 'deleting', version: 1 }),
+      }));
+
+      beforeEach(async () => {
+        for (const fragment of fragments) {
+          await writeFragment(fragment);
+        }
+        await writeFragment({ ...sampleFragment, ownerId: 'someone-else' });
+      });
+
+      // Read every page, following the cursors
+      const readAll = async (options) => {
+        const ids = [];
+        let cursor;
+        do {
+          const page = await listFragmentsPage(sampleFragment.ownerId, { ...options, cursor });
+          ids.push(...page.fragments);
+          cursor = page.next && decodeCursor(page.next);
+        } while (cursor);
+        return ids;
+      };
+
+      test.each([
+        [{}],
+        [{ sort: 'size' }],
+        [{ sort: 'created', limit: 3 }],
+        [{ sort: 'updated', limit: 2 }],
+        [{ limit: 5 }],
+        [{ sort: 'size', limit: 4, types: ['text/*'] }],
+        [{ types: ['text/markdown', 'image/png'], limit: 1 }],
+        [{ types: ['*/*'], createdAfter: '2023-01-03T00:00:00.000Z', sort: 'created' }],
+        [{ updatedBefore: '2023-02-04T12:00:00.000Z', sort: 'updated', limit: 2 }],
+      ])('should page through the same fragments for %j', async (options) => {
+        // paginate() sorts in place, so give it a copy
+        const expected = paginate([...fragments], { ...options, limit: undefined });
+        expect(await readAll(options)).toEqual(expected.fragments.map(({ id }) => id));
+      });
+
+      test('should return the same cursor', async () => {
+        const options = { sort: 'created', limit: 4 };
+        const { next } = await listFragmentsPage(sampleFragment.ownerId, options);
+        expect(next).toEqual(paginate([...fragments], options).next);
+      });
+    });
+
+    describe('deleteFragment', () => {
+      test('should return a Promise', async () => {
+        const result = deleteFragment('user123', 'test-id');
+        expect(result).toBeInstanceOf(Promise);
+        // There's nothing to delete, so we expect it to fail
+        await result.catch(() => {});
+      });
+
+      test('should delete metadata, data and prior versions', async () => {
+        await writeFragment(sampleFragment);
+        await writeFragmentData(sampleFragment.ownerId, sampleFragment.id, sampleBuffer);
+        await archiveFragmentData(sampleFragment.ownerId, sampleFragment.id, 1);
+
+        await expect(
+          deleteFragment(sampleFragment.ownerId, sampleFragment.id)
+        ).resolves.toBeUndefined();
+
+        expect(await readFragment(sampleFragment.ownerId, sampleFragment.id)).toBeUndefined();
+        expect(await readFragmentData(sampleFragment.ownerId, sampleFragment.id)).toBeUndefined();
+        expect(
+          await readFragmentVersionData(sampleFragment.ownerId, sampleFragment.id, 1)
+        ).toBeUndefined();
+      });
+
+      test('should throw error when trying to delete non-existent fragment', async () => {
+        await expect(deleteFragment('nonexistent', 'nonexistent')).rejects.toThrow();
+      });
+
+      test('should delete metadata without data', async () => {
+        // e.g., a fragment whose data was never written
+        await writeFragment(sampleFragment);
+
+        await expect(
+          deleteFragment(sampleFragment.ownerId, sampleFragment.id)
+        ).resolves.toBeUndefined();
+        expect(await readFragment(sampleFragment.ownerId, sampleFragment.id)).toBeUndefined();
+      });
+
+      test('should leave other fragments alone', async () => {
+        await writeFragment(sampleFragment);
+        await writeFragment({ ...sampleFragment, id: 'other' });
+        await writeFragmentData(sampleFragment.ownerId, 'other', sampleBuffer);
+
+        await deleteFragment(sampleFragment.ownerId, sampleFragment.id);
+        expect(await listFragments(sampleFragment.ownerId)).toEqual(['other']);
+        expect(await readFragmentData(sampleFragment.ownerId, 'other')).toEqual(sampleBuffer);
+      });
+    });
+
+    describe('idempotency keys', () => {
+      const record = { fingerprint: 'abc', status: 'pending', expires: Math.floor(Date.now() / 1000) + 60 };
+
+      test('should only let a key be claimed once', async () => {
+        const results = await Promise.all([
+          claimIdempotencyKey('user123', 'key', record),
+          claimIdempotencyKey('user123', 'key', { ...record, fingerprint: 'def' }),
+        ]);
+        expect(results.filter((result) => result === undefined)).toHaveLength(1);
+        expect(results.find((result) => result !== undefined)).toMatchObject({ status: 'pending' });
+      });
+
+      test('should keep keys separate for each owner', async () => {
+        await claimIdempotencyKey('user123', 'key', record);
+        expect(await claimIdempotencyKey('user456', 'key', record)).toBeUndefined();
+      });
+
+      test('should let keys be updated and deleted', async () => {
+        await claimIdempotencyKey('user123', 'key', record);
+        await writeIdempotencyKey('user123', 'key', { ...record, status: 'complete' });
+        expect(await claimIdempotencyKey('user123', 'key', record)).toMatchObject({
+          fingerprint: 'abc',
+          status: 'complete',
+        });
+
+        await deleteIdempotencyKey('user123', 'key');
+        expect(await claimIdempotencyKey('user123', 'key', record)).toBeUndefined();
+      });
+
+      test('should let expired keys be claimed again', async () => {
+        await claimIdempotencyKey('user123', 'key', { ...record, expires: 1 });
+        expect(await claimIdempotencyKey('user123', 'key', record)).toBeUndefined();
+      });
+
+      test('should treat keys that are also property names like any other', async () => {
+        await claimIdempotencyKey('user123', 'other', record);
+        for (const key of ['constructor', '__proto__', 'toString']) {
+          expect(await claimIdempotencyKey('user123', key, record)).toBeUndefined();
+          expect(await claimIdempotencyKey('user123', key, record)).toMatchObject(record);
+        }
+      });
+
+      test('should never list keys as fragments', async () => {
+        await claimIdempotencyKey(sampleFragment.ownerId, 'key', record);
+        expect(await listFragments(sampleFragment.ownerId)).toEqual([]);
+      });
+    });
+
+    describe('reset', () => {
+      test('should remove everything', async () => {
+        await writeFragment(sampleFragment);
+        await writeFragmentData(sampleFragment.ownerId, sampleFragment.id, sampleBuffer);
+        await archiveFragmentData(sampleFragment.ownerId, sampleFragment.id, 1);
+        await claimIdempotencyKey(sampleFragment.ownerId, 'key', {
+          expires: Math.floor(Date.now() / 1000) + 60,
+        });
+
+        await reset();
+
+        expect(await readFragment(sampleFragment.ownerId, sampleFragment.id)).toBeUndefined();
+        expect(await readFragmentData(sampleFragment.ownerId, sampleFragment.id)).toBeUndefined();
+        expect(
+          await readFragmentVersionData(sampleFragment.ownerId, sampleFragment.id, 1)
+        ).toBeUndefined();
+        expect(await listFragments(sampleFragment.ownerId)).toEqual([]);
+        expect(
+          await claimIdempotencyKey(sampleFragment.ownerId, 'key', { expires: 1e10 })
+        ).toBeUndefined();
+      });
+    });
+
+    describe('integration tests', () => {
+      test('should handle complete fragment lifecycle', async () => {
+        // Create fragment
+        await writeFragment(sampleFragment);
+        await writeFragmentData(sampleFragment.ownerId, sampleFragment.id, sampleBuffer);
+
+        // Verify creation
+        expect(await readFragment(sampleFragment.ownerId, sampleFragment.id)).toEqual(
+          sampleFragment
+        );
+        expect(await readFragmentData(sampleFragment.ownerId, sampleFragment.id)).toEqual(
+          sampleBuffer
+        );
+        expect(await listFragments(sampleFragment.ownerId)).toContain(sampleFragment.id);
+
+        // Delete fragment
+        await deleteFragment(sampleFragment.ownerId, sampleFragment.id);
+
+        // Verify deletion
+        expect(await readFragment(sampleFragment.ownerId, sampleFragment.id)).toBeUndefined();
+        expect(await readFragmentData(sampleFragment.ownerId, sampleFragment.id)).toBeUndefined();
+      });
+
+      test('should handle concurrent operations', async () => {
+        const ids = Array.from({ length: 5 }, (_, i) => `fragment-${i}`);
+
+        // Create multiple fragments concurrently
+        await Promise.all(
+          ids.flatMap((id) => [
+            writeFragment({ ...sampleFragment, id }),
+            writeFragmentData(sampleFragment.ownerId, id, sampleBuffer),
+          ])
+        );
+
+        // Verify all fragments exist, and each can be read
+        expect((await listFragments(sampleFragment.ownerId)).sort()).toEqual(ids);
+        for (const id of ids) {
+          expect((await readFragment(sampleFragment.ownerId, id)).id).toBe(id);
+          expect(await readFragmentData(sampleFragment.ownerId, id)).toEqual(sampleBuffer);
+        }
+      });
+    });
+  });
+}
+
+module.exports.describeBackend = describeBackend;
@@ -0,0 +1,348 @@
+// Tests for exporting fragments to an archive and importing them again. We export
+// from the in-memory backend (which the Fragment model uses in tests), and import
+// into the filesystem backend.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const zlib = require('zlib');
+const request = require('supertest');
+const sharp = require('sharp');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fragments-archive-'));
+process.env.FRAGMENTS_FS_DIR = path.join(dir, 'fs');
+
+const memory = require('../../src/model/data/memory');
+const target = require('../../src/model/data/fs');
+const { Fragment } = require('../../src/model/fragment');
+const { exportArchive, importArchive, verifyArchive } = require('../../src/model/archive');
+const { TarWriter, readTar } = require('../../src/model/archive/tar');
+const hash = require('../../src/hash');
+const app = require('../../src/app');
+
+// Create a fragment with the given versions of its data
+async function createFragment(ownerId, type, ...versions) {
+  const fragment = new Fragment({ ownerId, type });
+  for (const data of versions) {
+    await fragment.setData(Buffer.from(data));
+  }
+  return fragment;
+}
+
+// Write an archive of the memory backend (with any options) to a file, returning its path
+async function exportToFile(options) {
+  const file = path.join(dir, `export-${Date.now()}-${Math.random()}.tar.gz`);
+  const report = await exportArchive(memory, fs.createWriteStream(file), options);
+  return { file, report };
+}
+
+const open = (file) => () => fs.createReadStream(file);
+
+// Every file in an archive, by name
+async function readFiles(input) {
+  const files = {};
+  for await (const { name, data } of readTar(input)) {
+    files[name] = data;
+  }
+  return files;
+}
+
+// Write an archive with exactly these files
+async function writeArchive(files) {
+  const file = path.join(dir, `custom-${Date.now()}-${Math.random()}.tar.gz`);
+  const writer = new TarWriter(fs.createWriteStream(file));
+  for (const [name, data] of Object.entries(files)) {
+    await writer.addFile(name, Buffer.isBuffer(data) ? data : Buffer.from(data));
+  }
+  await writer.finish();
+  return file;
+}
+
+describe('fragment archives', () => {
+  let notes;
+  let image;
+  let other;
+
+  beforeEach(async () => {
+    memory.reset();
+    target.reset();
+    notes = await createFragment('owner1', 'text/markdown', '# one', '# two', '# three');
+    image = await createFragment(
+      'owner1',
+      'image/png',
+      await sharp({ create: { width: 1, height: 1, channels: 3, background: 'red' } })
+        .png()
+        .toBuffer()
+    );
+    other = await createFragment('owner2', 'text/plain', 'hello');
+  });
+
+  afterAll(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe('tar', () => {
+    test('files round-trip, in order', async () => {
+      const big = Buffer.alloc(100000, 7);
+      const file = await writeArchive({ a: 'first', 'b/c': big, empty: '' });
+      const names = [];
+      for await (const { name, data } of readTar(fs.createReadStream(file))) {
+        names.push([name, data.length]);
+      }
+      expect(names).toEqual([
+        ['a', 5],
+        ['b/c', big.length],
+        ['empty', 0],
+      ]);
+    });
+
+    test('a truncated archive is an error', async () => {
+      const file = await writeArchive({ a: Buffer.alloc(2000, 1) });
+      const gzipped = zlib.gunzipSync(fs.readFileSync(file)).subarray(0, 1024);
+      await expect(readFiles(Readable.from([zlib.gzipSync(gzipped)]))).rejects.toThrow(
+        'unexpected end of tar archive'
+      );
+    });
+
+    test('a corrupt header is an error', async () => {
+      const file = await writeArchive({ a: 'first' });
+      const tar = zlib.gunzipSync(fs.readFileSync(file));
+      tar[0] = 'b'.charCodeAt(0);
+      await expect(readFiles(Readable.from([zlib.gzipSync(tar)]))).rejects.toThrow(
+        'invalid tar header checksum'
+      );
+    });
+
+    test('names that are too long are refused', async () => {
+      await expect(writeArchive({ ['x'.repeat(101)]: 'data' })).rejects.toThrow(
+        'tar entry name is too long'
+      );
+    });
+  });
+
+  describe('exportArchive', () => {
+    test('exports every owner, with the manifest last', async () => {
+      const { file, report } = await exportToFile();
+      expect(report).toEqual({ owners: 2, fragments: 3, versions: 2, warnings: [] });
+
+      const names = [];
+      for await (const { name } of readTar(fs.createReadStream(file))) {
+        names.push(name);
+      }
+      expect(names[names.length - 1]).toBe('manifest.json');
+      expect(names).toHaveLength(3 + 2 + 1);
+    });
+
+    test('the manifest has each fragment with checksums of its files', async () => {
+      const { file } = await exportToFile();
+      const manifest = await verifyArchive(fs.createReadStream(file));
+
+      expect(manifest).toMatchObject({ format: 'fragments-archive', version: 1 });
+      const entry = manifest.fragments.find(({ metadata }) => metadata.id === notes.id);
+      expect(entry.metadata).toEqual(JSON.parse(JSON.stringify(notes)));
+      expect(entry.data).toEqual({
+        file: expect.stringMatching(/^fragments\/\d+\/data$/),
+        size: 7,
+        sha256: expect.stringMatching(/^[0-9a-f]{64}$/),
+      });
+      expect(entry.versions.map(({ version }) => version)).toEqual([1, 2]);
+    });
+
+    test('only exports the given owners', async () => {
+      const { file, report } = await exportToFile({ ownerIds: ['owner2'] });
+      expect(report.fragments).toBe(1);
+      const manifest = await verifyArchive(fs.createReadStream(file));
+      expect(manifest.fragments.map(({ metadata }) => metadata.id)).toEqual([other.id]);
+    });
+
+    test('exports the committed data of a fragment with a pending write', async () => {
+      // A write that got as far as the new data, but not the metadata
+      await memory.writeFragment({ ...JSON.parse(JSON.stringify(notes)), state: 'pending' });
+      await memory.archiveFragmentData('owner1', notes.id, 3);
+      await memory.writeFragmentData('owner1', notes.id, Buffer.from('uncommitted'));
+
+      const { file } = await exportToFile({ ownerIds: ['owner1'] });
+      const files = await readFiles(fs.createReadStream(file));
+      const manifest = JSON.parse(files['manifest.json']);
+      const entry = manifest.fragments.find(({ metadata }) => metadata.id === notes.id);
+
+      expect(entry.metadata.state).toBe('committed');
+      expect(files[entry.data.file].toString()).toBe('# three');
+    });
+
+    test('leaves out fragments with no data, with a warning', async () => {
+      await memory.writeFragment({ ...JSON.parse(JSON.stringify(other)), id: 'no-data' });
+      const { report } = await exportToFile({ ownerIds: ['owner2'] });
+      expect(report.fragments).toBe(1);
+      expect(report.warnings).toEqual(['owner2/no-data: no data, not exported']);
+    });
+  });
+
+  describe('importArchive', () => {
+    // Everything about a fragment in a backend
+    const snapshot = async (backend, fragment) => {
+      const metadata = await backend.readFragment(fragment.ownerId, fragment.id);
+      const versions = {};
+      for (const { version } of metadata.versions) {
+        versions[version] =
+          version === metadata.version
+            ? await backend.readFragmentData(fragment.ownerId, fragment.id)
+            : await backend.readFragmentVersionData(fragment.ownerId, fragment.id, version);
+      }
+      return { metadata, versions };
+    };
+
+    test('copies every fragment, with its prior versions, into another backend', async () => {
+      const { file } = await exportToFile();
+      const report = await importArchive(target, open(file));
+
+      expect(report).toMatchObject({
+        fragments: 3,
+        imported: 3,
+        skipped: 0,
+        overwritten: 0,
+        conflicts: 0,
+        dryRun: false,
+      });
+      for (const fragment of [notes, image, other]) {
+        expect(await snapshot(target, fragment)).toEqual(await snapshot(memory, fragment));
+      }
+      expect((await snapshot(target, notes)).versions[1].toString()).toBe('# one');
+      expect(await target.listOwners()).toEqual(['owner1', 'owner2']);
+    });
+
+    test('a dry run checks the archive and reports, without writing anything', async () => {
+      const { file } = await exportToFile();
+      const report = await importArchive(target, open(file), { dryRun: true });
+
+      expect(report).toMatchObject({ fragments: 3, imported: 3, dryRun: true });
+      expect(report.results).toContainEqual({ ownerId: 'owner1', id: notes.id, action: 'import' });
+      expect(await target.listOwners()).toEqual([]);
+    });
+
+    test('only imports the given owners', async () => {
+      const { file } = await exportToFile();
+      const report = await importArchive(target, open(file), { ownerIds: ['owner2'] });
+      expect(report.imported).toBe(1);
+      expect(await target.listOwners()).toEqual(['owner2']);
+    });
+
+    test('an interrupted import finishes when it is run again', async () => {
+      const { file } = await exportToFile();
+
+      // Fail part way through, writing the last fragment's data
+      const { writeFragmentData } = target;
+      const spy = jest
+        .spyOn(target, 'writeFragmentData')
+        .mockImplementation((ownerId, id, data) =>
+          id === other.id ? Promise.reject(new Error('disk full')) : writeFragmentData(ownerId, id, data)
+        );
+      try {
+        await expect(importArchive(target, open(file))).rejects.toThrow('disk full');
+      } finally {
+        spy.mockRestore();
+      }
+      // The half imported fragment isn't visible
+      expect(await target.readFragment('owner2', other.id)).toMatchObject({ state: 'pending' });
+      expect(await target.listFragments('owner2')).toEqual([]);
+
+      const report = await importArchive(target, open(file));
+      expect(report).toMatchObject({ imported: 1, skipped: 2 });
+      for (const fragment of [notes, image, other]) {
+        expect(await snapshot(target, fragment)).toEqual(await snapshot(memory, fragment));
+      }
+    });
+
+    test('importing the same archive again changes nothing', async () => {
+      const { file } = await exportToFile();
+      await importArchive(target, open(file));
+      const report = await importArchive(target, open(file));
+      expect(report).toMatchObject({ imported: 0, skipped: 3 });
+    });
+
+    test('leaves different fragments with the same id alone, unless asked to overwrite', async () => {
+      const { file } = await exportToFile({ ownerIds: ['owner2'] });
+      const changed = { ...JSON.parse(JSON.stringify(other)), size: 99 };
+      await target.writeFragment(changed);
+      await target.writeFragmentData('owner2', other.id, Buffer.from('changed'));
+
+      const report = await importArchive(target, open(file));
+      expect(report).toMatchObject({ imported: 0, conflicts: 1 });
+      expect(report.results).toEqual([{ ownerId: 'owner2', id: other.id, action: 'conflict' }]);
+      expect(await target.readFragment('owner2', other.id)).toEqual(changed);
+
+      const overwritten = await importArchive(target, open(file), { overwrite: true });
+      expect(overwritten).toMatchObject({ overwritten: 1, conflicts: 0 });
+      expect(await snapshot(target, other)).toEqual(await snapshot(memory, other));
+    });
+
+    test('refuses an archive whose files do not match the manifest', async () => {
+      const { file } = await exportToFile();
+      const files = await readFiles(fs.createReadStream(file));
+      const manifest = JSON.parse(files['manifest.json']);
+      files[manifest.fragments[1].data.file] = Buffer.from('tampered');
+      const tampered = await writeArchive(files);
+
+      await expect(importArchive(target, open(tampered))).rejects.toThrow(
+        `invalid archive: checksum mismatch for ${manifest.fragments[1].data.file}`
+      );
+      // Nothing was written, not even the fragments before it
+      expect(await target.listOwners()).toEqual([]);
+    });
+
+    test('refuses an archive with missing files', async () => {
+      const { file } = await exportToFile();
+      const files = await readFiles(fs.createReadStream(file));
+      const manifest = JSON.parse(files['manifest.json']);
+      const entry = manifest.fragments.find(({ metadata }) => metadata.id === notes.id);
+      delete files[entry.versions[0].file];
+
+      await expect(importArchive(target, open(await writeArchive(files)))).rejects.toThrow(
+        `invalid archive: ${entry.versions[0].file} is missing`
+      );
+    });
+
+    test('refuses archives without a manifest, or in another format', async () => {
+      await expect(importArchive(target, open(await writeArchive({ a: 'b' })))).rejects.toThrow(
+        'invalid archive: no manifest.json'
+      );
+      const other = await writeArchive({
+        'manifest.json': JSON.stringify({ format: 'something-else', version: 1, fragments: [] }),
+      });
+      await expect(importArchive(target, open(other))).rejects.toThrow(
+        'invalid archive: expected fragments-archive version 1'
+      );
+    });
+  });
+
+  describe('GET /v1/fragments/export', () => {
+    // Collect the binary response body
+    const binary = (res, callback) => {
+      const chunks = [];
+      res.on('data', (chunk) => chunks.push(chunk));
+      res.on('end', () => callback(null, Buffer.concat(chunks)));
+    };
+
+    test('unauthenticated requests are denied', () =>
+      request(app).get('/v1/fragments/export').expect(401));
+
+    test("downloads an archive of the user's fragments", async () => {
+      const ownerId = hash('user1@email.com');
+      const mine = await createFragment(ownerId, 'text/plain', 'mine', 'still mine');
+
+      const res = await request(app)
+        .get('/v1/fragments/export')
+        .auth('user1@email.com', 'password1')
+        .buffer(true)
+        .parse(binary);
+
+      expect(res.status).toBe(200);
+      expect(res.headers['content-type']).toBe('application/gzip');
+      expect(res.headers['content-disposition']).toBe('attachment; filename="fragments.tar.gz"');
+
+      const manifest = await verifyArchive(Readable.from([res.body]));
+      expect(manifest.fragments.map(({ metadata }) => metadata.id)).toEqual([mine.id]);
+      expect(manifest.fragments[0].versions).toHaveLength(1);
+    });
+  });
+});
@@ -0,0 +1,237 @@
+// Tests for the parts of the AWS backend that other backends do differently, with
+// the S3 and DynamoDB clients replaced by mocks. The whole backend can be tested
+// against LocalStack and DynamoDB Local with `npm run test:conformance:aws`.
+jest.mock('../../src/model/data/aws/s3Client', () => ({ send: jest.fn() }));
+jest.mock('../../src/model/data/aws/ddbDocClient', () => ({ send: jest.fn() }));
+
+process.env.AWS_S3_BUCKET_NAME = 'fragments';
+process.env.AWS_DYNAMODB_TABLE_NAME = 'fragments';
+
+const s3Client = require('../../src/model/data/aws/s3Client');
+const ddbDocClient = require('../../src/model/data/aws/ddbDocClient');
+const {
+  readFragmentData,
+  readFragmentVersionData,
+  writeFragment,
+  deleteFragment,
+  reset,
+} = require('../../src/model/data/aws');
+
+// An error like the ones the AWS SDK throws
+const awsError = (name) => Object.assign(new Error(name), { name });
+
+// The names of the commands sent to a mocked client
+const sent = (client) => client.send.mock.calls.map(([command]) => command.constructor.name);
+
+describe('aws backend', () => {
+  beforeEach(() => {
+    s3Client.send.mockReset();
+    ddbDocClient.send.mockReset();
+  });
+
+  describe('reading data', () => {
+    test('missing data is undefined', async () => {
+      s3Client.send.mockRejectedValue(awsError('NoSuchKey'));
+      expect(await readFragmentData('owner', 'missing')).toBeUndefined();
+      expect(await readFragmentVersionData('owner', 'missing', 1)).toBeUndefined();
+    });
+
+    test('other errors are still thrown', async () => {
+      s3Client.send.mockRejectedValue(awsError('AccessDenied'));
+      await expect(readFragmentData('owner', 'id')).rejects.toThrow('unable to read fragment data');
+      await expect(readFragmentVersionData('owner', 'id', 1)).rejects.toThrow(
+        'unable to read fragment version data'
+      );
+    });
+  });
+
+  describe('writeFragment', () => {
+    const fragment = { ownerId: 'owner', id: 'id', etag: '"new"', version: 2 };
+    const expected = { etag: '"old"', version: 1, state: 'committed' };
+
+    test('only writes unchanged fragments when given the expected metadata', async () => {
+      ddbDocClient.send.mockResolvedValue({});
+
+      await writeFragment(fragment, expected);
+      const [[command]] = ddbDocClient.send.mock.calls;
+      expect(command.input.ConditionExpression).toBe(
+        'attribute_exists(id) AND #c0 = :c0 AND #c1 = :c1 AND ' +
+          '(attribute_not_exists(#c2) OR #c2 = :c2) AND attribute_not_exists(#c3)'
+      );
+      expect(command.input.ExpressionAttributeNames).toEqual({
+        '#c0': 'etag',
+        '#c1': 'version',
+        '#c2': 'state',
+        '#c3': 'stateSince',
+      });
+      expect(command.input.ExpressionAttributeValues).toEqual({
+        ':c0': '"old"',
+        ':c1': 1,
+        ':c2': 'committed',
+      });
+    });
+
+    test('writes unconditionally otherwise', async () => {
+      ddbDocClient.send.mockResolvedValue({});
+
+      await writeFragment(fragment);
+      const [[command]] = ddbDocClient.send.mock.calls;
+      expect(command.input.ConditionExpression).toBeUndefined();
+    });
+
+    test('throws if the fragment changed', async () => {
+      ddbDocClient.send.mockRejectedValue(awsError('ConditionalCheckFailedException'));
+      await expect(writeFragment(fragment, expected)).rejects.toThrow('Fragment changed: id');
+    });
+  });
+
+  describe('deleteFragment', () => {
+    test('only deletes metadata that exists', async () => {
+      s3Client.send.mockResolvedValue({ Contents: [] });
+      ddbDocClient.send.mockResolvedValue({});
+
+      await deleteFragment('owner', 'id');
+      const [[command]] = ddbDocClient.send.mock.calls;
+      expect(command.input).toMatchObject({
+        Key: { ownerId: 'owner', id: 'id' },
+        ConditionExpression: 'attribute_exists(id)',
+      });
+    });
+
+    test('throws for unknown fragments', async () => {
+      s3Client.send.mockResolvedValue({ Contents: [] });
+      ddbDocClient.send.mockRejectedValue(awsError('ConditionalCheckFailedException'));
+
+      await expect(deleteFragment('owner', 'missing')).rejects.toThrow(
+        'missing metadata for fragment missing'
+      );
+    });
+  });
+
+  describe('reset', () => {
+    const settings = [
+      'NODE_ENV',
+      'AWS_S3_ENDPOINT_URL',
+      'AWS_DYNAMODB_ENDPOINT_URL',
+      'FRAGMENTS_ALLOW_AWS_RESET',
+    ];
+    let previous;
+
+    beforeEach(() => {
+      previous = Object.fromEntries(settings.map((name) => [name, process.env[name]]));
+      process.env.AWS_S3_ENDPOINT_URL = 'http://localhost:4566';
+      process.env.AWS_DYNAMODB_ENDPOINT_URL = 'http://localhost:8000';
+    });
+
+    afterEach(() => {
+      settings.forEach((name) => {
+        if (previous[name] === undefined) {
+          delete process.env[name];
+        } else {
+          process.env[name] = previous[name];
+        }
+      });
+    });
+
+    test('deletes every object and item, a page at a time', async () => {
+      const keys = (count, prefix) => Array.from({ length: count }, (_, i) => `${prefix}${i}`);
+
+      s3Client.send
+        .mockResolvedValueOnce({
+          Contents: keys(3, 'owner/').map((Key) => ({ Key })),
+          IsTruncated: true,
+          NextContinuationToken: 'more',
+        })
+        .mockResolvedValueOnce({})
+        .mockResolvedValueOnce({ Contents: [{ Key: 'owner/3' }], IsTruncated: false })
+        .mockResolvedValueOnce({});
+
+      // 30 items over two pages, and one the first batch doesn't get to
+      const items = keys(30, 'id-').map((id) => ({ ownerId: 'owner', id }));
+      ddbDocClient.send
+        .mockResolvedValueOnce({ Items: items.slice(0, 20), LastEvaluatedKey: items[19] })
+        .mockResolvedValueOnce({
+          UnprocessedItems: { fragments: [{ DeleteRequest: { Key: items[0] } }] },
+        })
+        .mockResolvedValueOnce({})
+        .mockResolvedValueOnce({ Items: items.slice(20) })
+        .mockResolvedValueOnce({});
+
+      await reset();
+
+      expect(sent(s3Client)).toEqual([
+        'ListObjectsV2Command',
+        'DeleteObjectsCommand',
+        'ListObjectsV2Command',
+        'DeleteObjectsCommand',
+      ]);
+      expect(s3Client.send.mock.calls[3][0].input.Delete.Objects).toEqual([{ Key: 'owner/3' }]);
+
+      expect(sent(ddbDocClient)).toEqual([
+        'ScanCommand',
+        'BatchWriteCommand',
+        'BatchWriteCommand',
+        'ScanCommand',
+        'BatchWriteCommand',
+      ]);
+      const deleted = ddbDocClient.send.mock.calls
+        .filter(([command]) => command.constructor.name === 'BatchWriteCommand')
+        .map(([command]) => command.input.RequestItems.fragments.map((r) => r.DeleteRequest.Key));
+      expect(deleted).toEqual([items.slice(0, 20), [items[0]], items.slice(20)]);
+    });
+
+    test('refuses to run in production', async () => {
+      process.env.NODE_ENV = 'production';
+      await expect(reset()).rejects.toThrow('refusing to reset AWS storage in production');
+      expect(s3Client.send).not.toHaveBeenCalled();
+      expect(ddbDocClient.send).not.toHaveBeenCalled();
+    });
+
+    test('refuses to run without local endpoints for both S3 and DynamoDB', async () => {
+      delete process.env.AWS_DYNAMODB_ENDPOINT_URL;
+      await expect(reset()).rejects.toThrow('refusing to reset AWS storage without');
+      delete process.env.AWS_S3_ENDPOINT_URL;
+      await expect(reset()).rejects.toThrow('refusing to reset AWS storage without');
+      expect(s3Client.send).not.toHaveBeenCalled();
+      expect(ddbDocClient.send).not.toHaveBeenCalled();
+    });
+
+    test.each([
+      'https://s3.us-east-1.amazonaws.com',
+      'https://localstack.example.com',
+      'http://10.0.0.5:4566',
+      'not a url',
+    ])('refuses to run against %s', async (endpoint) => {
+      process.env.AWS_S3_ENDPOINT_URL = endpoint;
+      await expect(reset()).rejects.toThrow('refusing to reset AWS storage without');
+      expect(s3Client.send).not.toHaveBeenCalled();
+      expect(ddbDocClient.send).not.toHaveBeenCalled();
+    });
+
+    test.each([
+      ['http://localhost:4566', 'http://127.0.0.1:8000'],
+      ['http://localstack:4566', 'http://dynamodb-local:8000'],
+      ['http://[::1]:4566', 'http://s3.localhost:8000'],
+    ])('runs against %s and %s', async (s3, dynamodb) => {
+      process.env.AWS_S3_ENDPOINT_URL = s3;
+      process.env.AWS_DYNAMODB_ENDPOINT_URL = dynamodb;
+      s3Client.send.mockResolvedValue({ Contents: [] });
+      ddbDocClient.send.mockResolvedValue({ Items: [] });
+
+      await reset();
+      expect(sent(s3Client)).toEqual(['ListObjectsV2Command']);
+    });
+
+    test('runs against other endpoints if FRAGMENTS_ALLOW_AWS_RESET=1', async () => {
+      delete process.env.AWS_S3_ENDPOINT_URL;
+      delete process.env.AWS_DYNAMODB_ENDPOINT_URL;
+      process.env.FRAGMENTS_ALLOW_AWS_RESET = '1';
+      s3Client.send.mockResolvedValue({ Contents: [] });
+      ddbDocClient.send.mockResolvedValue({ Items: [] });
+
+      await reset();
+      expect(sent(s3Client)).toEqual(['ListObjectsV2Command']);
+      expect(sent(ddbDocClient)).toEqual(['ScanCommand']);
+    });
+  });
+});
@@ -0,0 +1,133 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { describeBackend } = require('../conformance/backend');
+const {
+  DEFAULT_BACKEND,
+  backendNames,
+  selectBackend,
+  loadBackend,
+} = require('../../src/model/data/backends');
+
+// Backends that keep their data somewhere use a temporary directory
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fragments-backends-'));
+process.env.FRAGMENTS_FS_DIR = path.join(dir, 'fs');
+process.env.FRAGMENTS_SQLITE_FILE = path.join(dir, 'fragments.db');
+
+afterAll(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describeBackend('memory', () => require('../../src/model/data/memory'));
+// A second copy of the memory backend, saving everything to disk
+describeBackend('memory with snapshots', () => {
+  process.env.FRAGMENTS_MEMORY_SNAPSHOT_DIR = path.join(dir, 'memory');
+  let backend;
+  jest.isolateModules(() => {
+    backend = require('../../src/model/data/memory');
+  });
+  delete process.env.FRAGMENTS_MEMORY_SNAPSHOT_DIR;
+  return backend;
+});
+describeBackend('fs', () => require('../../src/model/data/fs'));
+describeBackend('sqlite', () => require('../../src/model/data/sqlite'));
+
+// The AWS backend needs S3 and DynamoDB, so it only runs when asked to, e.g., against
+// LocalStack and DynamoDB Local (see `npm run test:conformance:aws`)
+if (process.env.FRAGMENTS_CONFORMANCE_AWS === '1') {
+  describeBackend('aws', () => require('../../src/model/data/aws'));
+}
+
+describe('backend selection', () => {
+  const awsSettings = {
+    AWS_REGION: 'us-east-1',
+    AWS_S3_BUCKET_NAME: 'fragments',
+    AWS_DYNAMODB_TABLE_NAME: 'fragments',
+  };
+
+  test('every backend is registered', () => {
+    expect(backendNames().sort()).toEqual(['aws', 'fs', 'memory', 'sqlite']);
+  });
+
+  test('uses the in-memory backend if FRAGMENTS_BACKEND is not set', () => {
+    expect(DEFAULT_BACKEND).toBe('memory');
+    expect(selectBackend({})).toBe('memory');
+    expect(selectBackend({ FRAGMENTS_BACKEND: '' })).toBe('memory');
+  });
+
+  test('does not pick AWS just because a region is set', () => {
+    expect(selectBackend({ AWS_REGION: 'us-east-1' })).toBe('memory');
+    expect(selectBackend({ ...awsSettings })).toBe('memory');
+  });
+
+  test('refuses to guess in production if a region is set', () => {
+    expect(() => selectBackend({ ...awsSettings, NODE_ENV: 'production' })).toThrow(
+      'FRAGMENTS_BACKEND is not set, but AWS_REGION is'
+    );
+    expect(selectBackend({ NODE_ENV: 'production' })).toBe('memory');
+    expect(selectBackend({ ...awsSettings, NODE_ENV: 'production', FRAGMENTS_BACKEND: 'aws' })).toBe(
+      'aws'
+    );
+  });
+
+  test('uses the backend named in FRAGMENTS_BACKEND', () => {
+    expect(selectBackend({ FRAGMENTS_BACKEND: 'fs' })).toBe('fs');
+    expect(selectBackend({ FRAGMENTS_BACKEND: ' SQLite ' })).toBe('sqlite');
+    expect(selectBackend({ FRAGMENTS_BACKEND: 'aws', ...awsSettings })).toBe('aws');
+  });
+
+  test('rejects unknown backends', () => {
+    expect(() => selectBackend({ FRAGMENTS_BACKEND: 'dynamo' })).toThrow(
+      "unknown FRAGMENTS_BACKEND 'dynamo', expected one of: memory, fs, sqlite, aws"
+    );
+    // Not everything on an object is a backend
+    expect(() => selectBackend({ FRAGMENTS_BACKEND: 'constructor' })).toThrow(
+      'unknown FRAGMENTS_BACKEND'
+    );
+    expect(() => loadBackend('toString')).toThrow("unknown storage backend 'toString'");
+  });
+
+  test('rejects backends without the settings they need', () => {
+    expect(() =>
+      selectBackend({ FRAGMENTS_BACKEND: 'aws', AWS_REGION: 'us-east-1' })
+    ).toThrow('FRAGMENTS_BACKEND=aws requires AWS_S3_BUCKET_NAME, AWS_DYNAMODB_TABLE_NAME to be set');
+  });
+
+  test('loads backends by name', () => {
+    expect(loadBackend('memory')).toBe(require('../../src/model/data/memory'));
+    expect(loadBackend('fs')).toBe(require('../../src/model/data/fs'));
+  });
+
+  describe('src/model/data', () => {
+    let previous;
+
+    beforeEach(() => {
+      previous = { ...process.env };
+    });
+
+    afterEach(() => {
+      process.env = previous;
+    });
+
+    const load = () => {
+      let data;
+      jest.isolateModules(() => {
+        data = require('../../src/model/data');
+      });
+      return data;
+    };
+
+    test('is the in-memory backend by default, even with an AWS region', () => {
+      delete process.env.FRAGMENTS_BACKEND;
+      process.env.AWS_REGION = 'us-east-1';
+      jest.isolateModules(() => {
+        expect(require('../../src/model/data')).toBe(require('../../src/model/data/memory'));
+      });
+    });
+
+    test('fails to load with an unknown FRAGMENTS_BACKEND', () => {
+      process.env.FRAGMENTS_BACKEND = 'nope';
+      expect(load).toThrow("unknown FRAGMENTS_BACKEND 'nope'");
+    });
+  });
+});
@@ -0,0 +1,384 @@
+// Tests for the AWS storage consistency check. The S3 and DynamoDB clients are
+// replaced with fakes that keep the table and bucket in memory.
+const { Readable } = require('stream');
+
+jest.mock('../../src/model/data/aws/s3Client', () => ({ send: jest.fn() }));
+jest.mock('../../src/model/data/aws/ddbDocClient', () => ({ send: jest.fn() }));
+
+process.env.AWS_S3_BUCKET_NAME = 'fragments';
+process.env.AWS_DYNAMODB_TABLE_NAME = 'fragments';
+
+const s3Client = require('../../src/model/data/aws/s3Client');
+const ddbDocClient = require('../../src/model/data/aws/ddbDocClient');
+const { createETag } = require('../../src/etag');
+const { checkConsistency, parseKey, ISSUES } = require('../../src/model/data/aws/consistency');
+
+const ownerId = 'owner';
+const old = '2020-01-01T00:00:00.000Z';
+
+// The fake table (`${ownerId}/${id}` -> item) and bucket (Key -> { Body, LastModified })
+let table;
+let bucket;
+
+const conditionFailed = () =>
+  Object.assign(new Error('The conditional request failed'), {
+    name: 'ConditionalCheckFailedException',
+  });
+
+// Only the conditions consistency.js uses: matching version, updated, state and stateSince
+function checkCondition({ Item, ConditionExpression, ExpressionAttributeValues: values }) {
+  if (!ConditionExpression) {
+    return;
+  }
+  const existing = table.get(`${Item.ownerId}/${Item.id}`);
+  if (
+    !existing ||
+    existing.version !== values[':version'] ||
+    existing.updated !== values[':updated'] ||
+    existing.state !== values[':state'] ||
+    existing.stateSince !== values[':stateSince']
+  ) {
+    throw conditionFailed();
+  }
+}
+
+function ddbSend(command) {
+  const { input } = command;
+  switch (command.constructor.name) {
+    case 'ScanCommand':
+      return Promise.resolve({ Items: [...table.values()].map((item) => structuredClone(item)) });
+    case 'PutCommand':
+      checkCondition(input);
+      table.set(`${input.Item.ownerId}/${input.Item.id}`, structuredClone(input.Item));
+      return Promise.resolve({});
+    case 'DeleteCommand':
+      table.delete(`${input.Key.ownerId}/${input.Key.id}`);
+      return Promise.resolve({});
+    default:
+      throw new Error(`Unexpected DynamoDB command ${command.constructor.name}`);
+  }
+}
+
+function s3Send(command) {
+  const { input } = command;
+  switch (command.constructor.name) {
+    case 'ListObjectsV2Command':
+      return Promise.resolve({
+        Contents: [...bucket]
+          .filter(([Key]) => Key.startsWith(input.Prefix || ''))
+          .map(([Key, { Body, LastModified }]) => ({ Key, Size: Body.length, LastModified })),
+        IsTruncated: false,
+      });
+    case 'GetObjectCommand':
+      if (!bucket.has(input.Key)) {
+        return Promise.reject(Object.assign(new Error('NoSuchKey'), { name: 'NoSuchKey' }));
+      }
+      return Promise.resolve({ Body: Readable.from([bucket.get(input.Key).Body]) });
+    case 'PutObjectCommand':
+      bucket.set(input.Key, { Body: input.Body, LastModified: new Date() });
+      return Promise.resolve({});
+    case 'DeleteObjectCommand':
+      bucket.delete(input.Key);
+      return Promise.resolve({});
+    case 'DeleteObjectsCommand':
+      input.Delete.Objects.forEach(({ Key }) => bucket.delete(Key));
+      return Promise.resolve({});
+    default:
+      throw new Error(`Unexpected S3 command ${command.constructor.name}`);
+  }
+}
+
+// Store a fragment's data (and prior versions), and metadata that agrees with it
+function addFragment(id, value, { priorVersions = [], ...props } = {}) {
+  const data = Buffer.from(value);
+  const version = priorVersions.length + 1;
+  const entry = (v, buffer) => ({
+    version: v,
+    type: 'text/plain',
+    size: buffer.length,
+    etag: createETag(buffer),
+    created: old,
+  });
+
+  priorVersions.forEach((prior, index) => {
+    addObject(`${ownerId}/${id}/versions/${index + 1}`, prior);
+  });
+  addObject(`${ownerId}/${id}`, value);
+
+  const item = {
+    ownerId,
+    id,
+    type: 'text/plain',
+    size: data.length,
+    etag: createETag(data),
+    version,
+    versions: [...priorVersions.map((prior, index) => entry(index + 1, Buffer.from(prior))), entry(version, data)],
+    created: old,
+    updated: old,
+    state: 'committed',
+    ...props,
+  };
+  table.set(`${ownerId}/${id}`, item);
+  return item;
+}
+
+function addObject(Key, value, LastModified = new Date(old)) {
+  bucket.set(Key, { Body: Buffer.from(value), LastModified });
+}
+
+// Just the parts of the issues we want to compare
+const summarize = (issues) =>
+  issues
+    .map(({ type, id, version, repaired }) => ({ type, id, version, repaired }))
+    .sort((a, b) => `${a.id}${a.type}`.localeCompare(`${b.id}${b.type}`));
+
+describe('storage consistency check', () => {
+  beforeEach(() => {
+    table = new Map();
+    bucket = new Map();
+    ddbDocClient.send.mockReset().mockImplementation(ddbSend);
+    s3Client.send.mockReset().mockImplementation(s3Send);
+  });
+
+  test('parseKey() recognizes current and prior version data', () => {
+    expect(parseKey('owner/abc')).toEqual({ ownerId: 'owner', id: 'abc' });
+    expect(parseKey('owner/abc/versions/2')).toEqual({ ownerId: 'owner', id: 'abc', version: 2 });
+    expect(parseKey('owner')).toBeUndefined();
+    expect(parseKey('owner/abc/other')).toBeUndefined();
+    expect(parseKey('owner/abc/versions/latest')).toBeUndefined();
+  });
+
+  test('consistent storage has no issues', async () => {
+    addFragment('a', 'hello', { priorVersions: ['hi'] });
+    // Fragments from before we kept a state
+    const legacy = addFragment('b', 'world');
+    delete legacy.state;
+    // Idempotency keys aren't fragments
+    table.set('idempotency#owner/key', { ownerId: 'idempotency#owner', id: 'key', expires: 1 });
+
+    expect(await checkConsistency()).toEqual({ fragments: 2, objects: 3, issues: [] });
+  });
+
+  test('reports problems without changing anything', async () => {
+    addFragment('ok', 'hello');
+    addObject(`${ownerId}/orphan`, 'orphan');
+    addObject(`${ownerId}/orphan/versions/1`, 'orphan');
+    addObject(`${ownerId}/ok/versions/7`, 'leaked');
+    addFragment('missing', 'gone');
+    bucket.delete(`${ownerId}/missing`);
+    addFragment('size', 'hello', { size: 3 });
+    addFragment('history', 'two', { priorVersions: ['one'] });
+    bucket.delete(`${ownerId}/history/versions/1`);
+    addFragment('new', 'half', { state: 'pending', version: 0, versions: [] });
+    addFragment('deleting', 'bye', { state: 'deleting' });
+
+    const before = { table: structuredClone(table), bucket: new Map(bucket) };
+    const { issues } = await checkConsistency();
+
+    expect(summarize(issues)).toEqual([
+      { type: ISSUES.INCOMPLETE, id: 'deleting', version: undefined, repaired: false },
+      { type: ISSUES.MISSING_VERSION, id: 'history', version: 1, repaired: false },
+      { type: ISSUES.MISSING_DATA, id: 'missing', version: undefined, repaired: false },
+      { type: ISSUES.INCOMPLETE, id: 'new', version: undefined, repaired: false },
+      { type: ISSUES.ORPHANED_VERSION, id: 'ok', version: 7, repaired: false },
+      { type: ISSUES.ORPHANED_DATA, id: 'orphan', version: undefined, repaired: false },
+      { type: ISSUES.ORPHANED_VERSION, id: 'orphan', version: 1, repaired: false },
+      { type: ISSUES.SIZE_MISMATCH, id: 'size', version: undefined, repaired: false },
+    ]);
+    expect(issues.find(({ id }) => id === 'size').message).toBe('metadata size is 3, data is 5 bytes');
+    expect(table).toEqual(before.table);
+    expect(bucket).toEqual(before.bucket);
+  });
+
+  test('repairs problems', async () => {
+    addObject(`${ownerId}/orphan`, 'orphan');
+    addFragment('missing', 'gone', { priorVersions: ['older'] });
+    bucket.delete(`${ownerId}/missing`);
+    addFragment('size', 'hello', { size: 3, etag: 'wrong' });
+    addFragment('history', 'three', { priorVersions: ['one', 'two'] });
+    bucket.delete(`${ownerId}/history/versions/1`);
+    // A new fragment whose data never got written
+    addFragment('new', 'half', { state: 'pending', version: 0, versions: [] });
+    bucket.delete(`${ownerId}/new`);
+    addFragment('deleting', 'bye', { state: 'deleting', priorVersions: ['hi'] });
+    // An update that wrote its data, but never committed it
+    addFragment('updating', 'committed', { priorVersions: ['first'] });
+    addObject(`${ownerId}/updating/versions/2`, 'committed');
+    addObject(`${ownerId}/updating`, 'uncommitted');
+    table.get(`${ownerId}/updating`).state = 'pending';
+
+    const { issues } = await checkConsistency({ repair: true });
+    expect(issues).toHaveLength(7);
+    expect(issues.every(({ repaired }) => repaired)).toBe(true);
+
+    expect([...table.keys()].sort()).toEqual([
+      `${ownerId}/history`,
+      `${ownerId}/missing`,
+      `${ownerId}/size`,
+      `${ownerId}/updating`,
+    ]);
+    expect([...bucket.keys()].sort()).toEqual([
+      `${ownerId}/history`,
+      `${ownerId}/history/versions/2`,
+      `${ownerId}/missing`,
+      `${ownerId}/missing/versions/1`,
+      `${ownerId}/size`,
+      `${ownerId}/updating`,
+      `${ownerId}/updating/versions/1`,
+      `${ownerId}/updating/versions/2`,
+    ]);
+
+    const size = table.get(`${ownerId}/size`);
+    expect(size.size).toBe(5);
+    expect(size.etag).toBe(createETag(Buffer.from('hello')));
+    expect(size.versions[0]).toMatchObject({ size: 5, etag: size.etag });
+
+    expect(table.get(`${ownerId}/history`).versions.map(({ version }) => version)).toEqual([2, 3]);
+
+    // The lost data is restored from the newest prior version
+    const missing = table.get(`${ownerId}/missing`);
+    expect(missing).toMatchObject({ version: 1, size: 5, state: 'committed' });
+    expect(missing.versions.map(({ version }) => version)).toEqual([1]);
+    expect(missing).not.toHaveProperty('stateSince');
+    expect(bucket.get(`${ownerId}/missing`).Body).toEqual(Buffer.from('older'));
+
+    expect(table.get(`${ownerId}/updating`).state).toBe('committed');
+    expect(bucket.get(`${ownerId}/updating`).Body).toEqual(Buffer.from('committed'));
+
+    // Everything is consistent now
+    expect((await checkConsistency()).issues).toEqual([]);
+  });
+
+  test('leaves recently changed fragments and objects alone', async () => {
+    const now = Date.now();
+    addFragment('new', 'half', { state: 'pending', version: 0, updated: new Date(now).toISOString() });
+    addObject(`${ownerId}/orphan`, 'orphan', new Date(now));
+
+    expect((await checkConsistency({ repair: true, now })).issues).toEqual([]);
+    expect(table.size).toBe(1);
+    expect(bucket.size).toBe(2);
+
+    // Once the grace period is over, they're fair game
+    const { issues } = await checkConsistency({ now: now + 1000, grace: 0 });
+    expect(summarize(issues).map(({ type }) => type)).toEqual([
+      ISSUES.INCOMPLETE,
+      ISSUES.ORPHANED_DATA,
+    ]);
+  });
+
+  test('leaves data with no prior version to restore it from for manual repair', async () => {
+    addFragment('missing', 'gone');
+    bucket.delete(`${ownerId}/missing`);
+
+    const { issues } = await checkConsistency({ repair: true });
+    expect(issues).toEqual([
+      expect.objectContaining({
+        type: ISSUES.MISSING_DATA,
+        repaired: false,
+        message: 'no data for the fragment, and no prior version to restore (repair it manually)',
+      }),
+    ]);
+    expect(table.has(`${ownerId}/missing`)).toBe(true);
+  });
+
+  test('rolls back an update of a fragment stored before we kept versions', async () => {
+    // Its data was listed as version 0 and archived before the update started
+    const original = Buffer.from('original');
+    const entry = { version: 0, type: 'text/plain', size: 8, etag: createETag(original), created: old };
+    addFragment('legacy', 'uncommitted', {
+      state: 'pending',
+      version: 0,
+      versions: [entry],
+      size: 8,
+      etag: entry.etag,
+    });
+    addObject(`${ownerId}/legacy/versions/0`, 'original');
+
+    const { issues } = await checkConsistency({ repair: true });
+    expect(summarize(issues)).toEqual([
+      { type: ISSUES.INCOMPLETE, id: 'legacy', version: undefined, repaired: true },
+    ]);
+    expect(table.get(`${ownerId}/legacy`)).toMatchObject({ state: 'committed', version: 0 });
+    expect(bucket.get(`${ownerId}/legacy`).Body).toEqual(original);
+  });
+
+  test('leaves an unfinished new fragment with data for manual repair', async () => {
+    // It may be an update of a fragment stored before we kept versions, whose
+    // existing data was never archived
+    addFragment('unknown', 'data', { state: 'pending', version: 0, versions: [] });
+
+    const { issues } = await checkConsistency({ repair: true });
+    expect(issues).toEqual([
+      expect.objectContaining({
+        type: ISSUES.INCOMPLETE,
+        repaired: false,
+        message: 'write never finished, and it may have replaced existing data (repair it manually)',
+      }),
+    ]);
+    expect(table.has(`${ownerId}/unknown`)).toBe(true);
+    expect(bucket.has(`${ownerId}/unknown`)).toBe(true);
+  });
+
+  test('leaves writes that started recently alone, even if the fragment was updated long ago', async () => {
+    const now = Date.now();
+    addFragment('updating', 'committed', {
+      state: 'pending',
+      stateSince: new Date(now).toISOString(),
+    });
+
+    expect((await checkConsistency({ repair: true, now })).issues).toEqual([]);
+    expect(table.get(`${ownerId}/updating`).state).toBe('pending');
+  });
+
+  test("doesn't touch the data of a write that started during the scan", async () => {
+    addFragment('updating', 'committed', { priorVersions: ['first'] });
+    addObject(`${ownerId}/updating/versions/2`, 'committed');
+    table.get(`${ownerId}/updating`).state = 'pending';
+    // Another write starts after we read the fragment, and writes its data
+    ddbDocClient.send.mockImplementationOnce(async (command) => {
+      const result = await ddbSend(command);
+      table.get(`${ownerId}/updating`).stateSince = new Date().toISOString();
+      addObject(`${ownerId}/updating`, 'new data');
+      return result;
+    });
+
+    const { issues } = await checkConsistency({ repair: true });
+    expect(issues).toEqual([
+      expect.objectContaining({ type: ISSUES.INCOMPLETE, repaired: false }),
+    ]);
+    expect(bucket.get(`${ownerId}/updating`).Body).toEqual(Buffer.from('new data'));
+  });
+
+  test("doesn't repair metadata that changed during the scan", async () => {
+    addFragment('size', 'hello', { size: 3 });
+    // The fragment is updated after we read it
+    ddbDocClient.send.mockImplementationOnce(async (command) => {
+      const result = await ddbSend(command);
+      table.get(`${ownerId}/size`).updated = new Date().toISOString();
+      return result;
+    });
+
+    const { issues } = await checkConsistency({ repair: true });
+    expect(issues).toHaveLength(1);
+    expect(issues[0]).toMatchObject({
+      type: ISSUES.SIZE_MISMATCH,
+      repaired: false,
+      error: 'the fragment changed during the scan',
+    });
+    expect(table.get(`${ownerId}/size`).size).toBe(3);
+  });
+
+  test('reports repairs that fail', async () => {
+    addObject(`${ownerId}/orphan`, 'orphan');
+    s3Client.send.mockImplementation((command) =>
+      command.constructor.name === 'DeleteObjectCommand'
+        ? Promise.reject(new Error('access denied'))
+        : s3Send(command)
+    );
+
+    const { issues } = await checkConsistency({ repair: true });
+    expect(issues).toEqual([
+      expect.objectContaining({ type: ISSUES.ORPHANED_DATA, repaired: false, error: 'access denied' }),
+    ]);
+  });
+});
@@ -0,0 +1,159 @@
+// tests/unit/converters.test.js
+const converters = require('../../src/model/converters');
+
+describe('converter registry', () => {
+  test('findPath() returns no steps for the same type', () => {
+    expect(converters.findPath('text/plain', 'text/plain')).toEqual([]);
+  });
+
+  test('findPath() uses a single converter when one handles the pair', () => {
+    const path = converters.findPath('text/markdown', 'text/html');
+    expect(path).toHaveLength(1);
+    expect(path[0].converter.name).toBe('markdown');
+  });
+
+  test('findPath() chains converters through the shortest path', () => {
+    const path = converters.findPath('text/csv', 'application/yaml');
+    expect(path.map(({ from, to }) => [from, to])).toEqual([
+      ['text/csv', 'application/json'],
+      ['application/json', 'application/yaml'],
+    ]);
+  });
+
+  test('findPath() returns null when there is no way to convert', () => {
+    expect(converters.findPath('text/plain', 'image/png')).toBeNull();
+    expect(converters.findPath('image/png', 'application/json')).toBeNull();
+  });
+
+  test('targetsFor() lists every reachable type', () => {
+    const targets = converters.targetsFor('text/csv');
+    expect(targets).toEqual(expect.arrayContaining(['application/json', 'application/yaml']));
+    expect(targets).not.toContain('text/csv');
+    expect(targets).not.toContain('image/png');
+  });
+
+  test('convert() chains conversions', async () => {
+    const yaml = await converters.convert(
+      Buffer.from('name,age\nJohn,30'),
+      'text/csv',
+      'application/yaml'
+    );
+    expect(yaml.toString()).toContain('name: John');
+  });
+
+  test('convert() throws for unsupported conversions instead of returning the input', async () => {
+    await expect(
+      converters.convert(Buffer.from('Hello'), 'text/plain', 'image/png')
+    ).rejects.toThrow('Conversion from text/plain to image/png is not supported');
+  });
+
+  test('convert() rejects when a converter fails', async () => {
+    await expect(
+      converters.convert(Buffer.from('{ nope'), 'application/json', 'application/yaml')
+    ).rejects.toThrow('Invalid JSON');
+  });
+
+  test('plain text is escaped when converted to HTML', async () => {
+    const html = await converters.convert(Buffer.from('1 < 2 & "3"'), 'text/plain', 'text/html');
+    expect(html.toString()).toBe('1 &lt; 2 &amp; "3"');
+  });
+
+  test('HTML entities are decoded when converted to text', async () => {
+    const text = await converters.convert(
+      Buffer.from('<p>Fish &amp; chips &#8364;5</p>'),
+      'text/html',
+      'text/plain'
+    );
+    expect(text.toString()).toBe('Fish & chips €5');
+  });
+
+  test('needsConversion() is true for a type change or a transform of the same type', () => {
+    expect(converters.needsConversion('text/markdown', 'text/html')).toBe(true);
+    expect(converters.needsConversion('image/png', 'image/png')).toBe(false);
+    expect(converters.needsConversion('image/png', 'image/png', { width: 10 })).toBe(true);
+    expect(converters.needsConversion('image/png', 'image/png', { grayscale: false })).toBe(false);
+    // Image options don't transform other types
+    expect(converters.needsConversion('text/plain', 'text/plain', { width: 10 })).toBe(false);
+  });
+
+  test('convert() transforms images without changing their type', async () => {
+    const sharp = require('sharp');
+    const png = await sharp({
+      create: { width: 40, height: 20, channels: 3, background: { r: 255, g: 0, b: 0 } },
+    })
+      .png()
+      .toBuffer();
+
+    const result = await converters.convert(png, 'image/png', 'image/png', {
+      crop: { left: 0, top: 0, width: 20, height: 20 },
+      width: 10,
+      rotate: 90,
+      grayscale: true,
+    });
+    const metadata = await sharp(result).metadata();
+    expect(metadata.format).toBe('png');
+    expect(metadata.width).toBe(10);
+    expect(metadata.height).toBe(10);
+    // Red becomes a shade of grey
+    const { channels } = await sharp(result).stats();
+    expect(new Set(channels.slice(0, 3).map((channel) => channel.mean)).size).toBe(1);
+  });
+
+  test('convert() only transforms SVG once, whatever it is rasterized to', async () => {
+    const sharp = require('sharp');
+    const svg = Buffer.from(
+      '<svg xmlns="http://www.w3.org/2000/svg" width="40" height="20"><rect width="40" height="20" fill="red"/></svg>'
+    );
+
+    for (const to of ['image/gif', 'image/tiff', 'image/png']) {
+      const result = await converters.convert(svg, 'image/svg+xml', to, {
+        crop: { left: 0, top: 0, width: 30, height: 20 },
+        rotate: 90,
+      });
+      const { width, height } = await sharp(result).metadata();
+      expect({ to, width, height }).toEqual({ to, width: 20, height: 30 });
+    }
+  });
+
+  test('convert() only passes transform options to the last step of a chain', async () => {
+    const seen = [];
+    const step = (from, to) => ({
+      name: `test-${to}`,
+      from: [from],
+      to: [to],
+      transformOptions: ['shout'],
+      convert: (data, stepFrom, stepTo, options) => {
+        seen.push(options);
+        return options.shout ? Buffer.from(data.toString().toUpperCase()) : data;
+      },
+    });
+    converters.register(step('application/x-first', 'application/x-second'));
+    converters.register(step('application/x-second', 'application/x-third'));
+
+    const result = await converters.convert(
+      Buffer.from('abc'),
+      'application/x-first',
+      'application/x-third',
+      { shout: true, other: 1 }
+    );
+    expect(result.toString()).toBe('ABC');
+    expect(seen).toEqual([{ other: 1 }, { shout: true, other: 1 }]);
+  });
+
+  test('register() adds new formats without any other changes', async () => {
+    converters.register({
+      name: 'test-reverse',
+      from: ['text/plain'],
+      to: ['application/x-reversed'],
+      convert: (data) => Buffer.from(data.toString().split('').reverse().join('')),
+    });
+
+    expect(converters.targetsFor('text/markdown')).toContain('application/x-reversed');
+    const result = await converters.convert(Buffer.from('abc'), 'text/plain', 'application/x-reversed');
+    expect(result.toString()).toBe('cba');
+  });
+
+  test('register() rejects invalid converters', () => {
+    expect(() => converters.register({ name: 'broken', from: ['text/plain'] })).toThrow();
+  });
+});
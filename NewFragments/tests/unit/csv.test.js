@@ -0,0 +1,174 @@
+// tests/unit/csv.test.js
+const { parse, stringify, flatten, inferType } = require('../../src/model/converters/csv-format');
+const converters = require('../../src/model/converters');
+
+describe('CSV format', () => {
+  describe('parse()', () => {
+    test('splits records and fields', () => {
+      expect(parse('a,b\n1,2')).toEqual([
+        ['a', 'b'],
+        ['1', '2'],
+      ]);
+    });
+
+    test('supports quoted fields with commas, quotes and line breaks', () => {
+      expect(parse('"x,1","he said ""hi""","two\nlines"')).toEqual([
+        ['x,1', 'he said "hi"', 'two\nlines'],
+      ]);
+    });
+
+    test('supports CRLF, LF and CR line endings', () => {
+      expect(parse('a\r\nb\nc\rd')).toEqual([['a'], ['b'], ['c'], ['d']]);
+    });
+
+    test('ignores a byte order mark and blank lines', () => {
+      expect(parse('﻿a,b\r\n\r\n1,2\r\n')).toEqual([
+        ['a', 'b'],
+        ['1', '2'],
+      ]);
+    });
+
+    test('keeps empty fields, including quoted empty records', () => {
+      expect(parse('a,,c\n""')).toEqual([['a', '', 'c'], ['']]);
+    });
+
+    test('keeps spaces, as they are part of the field', () => {
+      expect(parse('a, b ')).toEqual([['a', ' b ']]);
+    });
+
+    test('supports other delimiters', () => {
+      expect(parse('a;b\n"1;2";3', { delimiter: ';' })).toEqual([
+        ['a', 'b'],
+        ['1;2', '3'],
+      ]);
+      expect(parse('a\tb', { delimiter: '\t' })).toEqual([['a', 'b']]);
+    });
+
+    test('throws on an unterminated quoted field', () => {
+      expect(() => parse('a,"b')).toThrow('unterminated quoted field');
+    });
+
+    test('throws on text after a closing quote', () => {
+      expect(() => parse('"a"b,c')).toThrow('Invalid CSV');
+    });
+  });
+
+  describe('stringify()', () => {
+    test('joins records with CRLF, quoting only where needed', () => {
+      expect(
+        stringify([
+          ['a', 'b,c', 'd"e'],
+          ['1', 'two\nlines', ''],
+        ])
+      ).toBe('a,"b,c","d""e"\r\n1,"two\nlines",');
+    });
+
+    test('quotes fields containing a custom delimiter', () => {
+      expect(stringify([['a;b', 'c,d']], { delimiter: ';' })).toBe('"a;b";c,d');
+    });
+
+    test('round trips through parse()', () => {
+      const records = [
+        ['name', 'quote'],
+        ['Jane', 'She said, "hello"\r\nthen left'],
+      ];
+      expect(parse(stringify(records))).toEqual(records);
+    });
+  });
+
+  test('flatten() uses dotted names for nested objects', () => {
+    expect(flatten({ a: 1, b: { c: 2, d: { e: 3 } }, f: [1, 2], g: {} })).toEqual({
+      a: 1,
+      'b.c': 2,
+      'b.d.e': 3,
+      f: [1, 2],
+      g: {},
+    });
+  });
+
+  test('inferType() finds numbers and booleans', () => {
+    expect(inferType('30')).toBe(30);
+    expect(inferType('-1.5e3')).toBe(-1500);
+    expect(inferType('0')).toBe(0);
+    expect(inferType('true')).toBe(true);
+    expect(inferType('false')).toBe(false);
+    expect(inferType('007')).toBe('007');
+    expect(inferType('')).toBe('');
+    expect(inferType('TRUE')).toBe('TRUE');
+  });
+});
+
+describe('CSV converters', () => {
+  const toJson = async (csv, options) =>
+    JSON.parse(
+      (await converters.convert(Buffer.from(csv), 'text/csv', 'application/json', options)).toString()
+    );
+  const toCsv = async (json, options) =>
+    (
+      await converters.convert(
+        Buffer.from(JSON.stringify(json)),
+        'application/json',
+        'text/csv',
+        options
+      )
+    ).toString();
+
+  test('CSV rows become objects keyed by the header row', async () => {
+    expect(await toJson('name,city\r\nJane,"Toronto, ON"')).toEqual([
+      { name: 'Jane', city: 'Toronto, ON' },
+    ]);
+  });
+
+  test('blank and repeated header names are filled in', async () => {
+    expect(await toJson('name,,name\n1,2,3,4')).toEqual([
+      { name: '1', column2: '2', name_2: '3', column4: '4' },
+    ]);
+  });
+
+  test('converts files with many rows', async () => {
+    const csv = `n\n${Array.from({ length: 300000 }, (_, i) => i).join('\n')}`;
+    const rows = await toJson(csv);
+    expect(rows).toHaveLength(300000);
+    expect(rows[299999]).toEqual({ n: '299999' });
+  });
+
+  test('values stay strings unless types are inferred', async () => {
+    expect(await toJson('n,b\n30,true')).toEqual([{ n: '30', b: 'true' }]);
+    expect(await toJson('n,b\n30,true', { inferTypes: true })).toEqual([{ n: 30, b: true }]);
+  });
+
+  test('without a header, records become arrays', async () => {
+    expect(await toJson('1,2\n3,4', { header: false, inferTypes: true })).toEqual([
+      [1, 2],
+      [3, 4],
+    ]);
+  });
+
+  test('JSON values are quoted and falsy values are kept', async () => {
+    expect(await toCsv([{ a: 'x,y', b: 0, c: false, d: null, e: 'say "hi"' }])).toBe(
+      'a,b,c,d,e\r\n"x,y",0,false,,"say ""hi"""'
+    );
+  });
+
+  test('nested objects are flattened and every key becomes a column', async () => {
+    expect(
+      await toCsv([
+        { name: 'Jane', address: { city: 'Toronto' } },
+        { name: 'John', tags: ['a', 'b'] },
+      ])
+    ).toBe('name,address.city,tags\r\nJane,Toronto,\r\nJohn,,"[""a"",""b""]"');
+  });
+
+  test('delimiter and header options apply to JSON to CSV', async () => {
+    expect(await toCsv([{ a: 1, b: 2 }], { delimiter: '\t', header: false })).toBe('1\t2');
+  });
+
+  test('arrays of arrays are written as records', async () => {
+    expect(
+      await toCsv([
+        ['a', 'b'],
+        [1, 2],
+      ])
+    ).toBe('a,b\r\n1,2');
+  });
+});
@@ -1,5 +1,8 @@
 const request = require('supertest');
 const app = require('../../src/app');
+const hash = require('../../src/hash');
+const data = require('../../src/model/data');
+const { Fragment } = require('../../src/model/fragment');
 
 describe('DELETE /v1/fragments/:id', () => {
   const testUser = 'user1@email.com';
@@ -290,5 +293,69 @@ describe('DELETE /v1/fragments/:id', () => {
       expect(deleteResponse.status).toBe(200);
     });
   });
-});
 
+  describe('Conditional deletes', () => {
+    test('returns 412 when If-Match does not match', async () => {
+      const response = await request(app)
+        .delete(`/v1/fragments/${fragmentId}`)
+        .auth(testUser, testPassword)
+        .set('If-Match', '"not-the-current-etag"');
+
+      expect(response.status).toBe(412);
+
+      const info = await request(app)
+        .get(`/v1/fragments/${fragmentId}/info`)
+        .auth(testUser, testPassword);
+      expect(info.status).toBe(200);
+    });
+
+    // The ETag of the fragment's data
+    const getETag = async () =>
+      (await request(app).get(`/v1/fragments/${fragmentId}`).auth(testUser, testPassword))
+        .headers.etag;
+
+    test('deletes when If-Match matches', async () => {
+      const response = await request(app)
+        .delete(`/v1/fragments/${fragmentId}`)
+        .auth(testUser, testPassword)
+        .set('If-Match', await getETag());
+
+      expect(response.status).toBe(200);
+    });
+
+    test('returns 412 when the fragment changes between the If-Match check and the delete', async () => {
+      const remove = jest
+        .spyOn(Fragment, 'delete')
+        .mockRejectedValueOnce(new Error(`Fragment changed: ${fragmentId}`));
+      try {
+        const response = await request(app)
+          .delete(`/v1/fragments/${fragmentId}`)
+          .auth(testUser, testPassword)
+          .set('If-Match', await getETag());
+
+        expect(response.status).toBe(412);
+        expect(remove).toHaveBeenCalledWith(
+          expect.any(String),
+          fragmentId,
+          expect.objectContaining({ ifUnchanged: expect.objectContaining({ id: fragmentId }) })
+        );
+      } finally {
+        remove.mockRestore();
+      }
+    });
+
+    test('works for fragments stored before we kept ETags', async () => {
+      const ownerId = hash(testUser);
+      const stored = await data.readFragment(ownerId, fragmentId);
+      delete stored.etag;
+      await data.writeFragment(stored);
+
+      const response = await request(app)
+        .delete(`/v1/fragments/${fragmentId}`)
+        .auth(testUser, testPassword)
+        .set('If-Match', await getETag());
+
+      expect(response.status).toBe(200);
+    });
+  });
+});
@@ -0,0 +1,54 @@
+const { createETag, variantETag, metadataETag, ifNoneMatch, ifMatch } = require('../../src/etag');
+
+describe('etag', () => {
+  const etag = createETag(Buffer.from('Hello, World!'));
+
+  test('createETag() returns a quoted, stable value for the same data', () => {
+    expect(etag).toMatch(/^"[A-Za-z0-9_-]+"$/);
+    expect(createETag(Buffer.from('Hello, World!'))).toBe(etag);
+    expect(createETag(Buffer.from('Hello, World?'))).not.toBe(etag);
+  });
+
+  test('variantETag() returns a different quoted ETag per type', () => {
+    const html = variantETag(etag, 'text/html');
+    expect(html).toMatch(/^".+"$/);
+    expect(html).not.toBe(etag);
+    expect(html).not.toBe(variantETag(etag, 'text/plain'));
+  });
+
+  test('variantETag() includes conversion options', () => {
+    const csv = variantETag(etag, 'text/csv', { delimiter: '\t' });
+    expect(csv).toMatch(/^"[^"\s]+"$/);
+    expect(csv).not.toBe(variantETag(etag, 'text/csv'));
+    expect(csv).not.toBe(variantETag(etag, 'text/csv', { delimiter: ';' }));
+    expect(variantETag(etag, 'text/csv', {})).toBe(variantETag(etag, 'text/csv'));
+  });
+
+  test('ifNoneMatch() uses weak comparison', () => {
+    expect(ifNoneMatch(etag, etag)).toBe(true);
+    expect(ifNoneMatch(`W/${etag}`, etag)).toBe(true);
+    expect(ifNoneMatch(`"other", ${etag}`, etag)).toBe(true);
+    expect(ifNoneMatch('*', etag)).toBe(true);
+    expect(ifNoneMatch('"other"', etag)).toBe(false);
+    expect(ifNoneMatch('*', undefined)).toBe(false);
+  });
+
+  test('ifMatch() uses strong comparison', () => {
+    expect(ifMatch(etag, etag)).toBe(true);
+    expect(ifMatch(`"other", ${etag}`, etag)).toBe(true);
+    expect(ifMatch('*', etag)).toBe(true);
+    expect(ifMatch(`W/${etag}`, etag)).toBe(false);
+    expect(ifMatch('"other"', etag)).toBe(false);
+    expect(ifMatch(etag, undefined)).toBe(false);
+  });
+
+  test('metadataETag() changes with any of the metadata', () => {
+    const metadata = { id: 'a', type: 'text/plain', etag };
+    expect(metadataETag(metadata)).toMatch(/^"[A-Za-z0-9_-]+"$/);
+    expect(metadataETag({ ...metadata })).toBe(metadataETag(metadata));
+    expect(metadataETag({ ...metadata, type: 'text/plain; charset=utf-8' })).not.toBe(
+      metadataETag(metadata)
+    );
+    expect(metadataETag(metadata)).not.toBe(etag);
+  });
+});
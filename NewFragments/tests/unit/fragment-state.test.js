@@ -0,0 +1,303 @@
+// Tests for keeping fragments consistent when a write or delete fails part way
+// through. The data functions pass through to the real (memory) backend, so we
+// can make individual calls fail.
+jest.mock('../../src/model/data', () => {
+  const actual = jest.requireActual('../../src/model/data');
+  return {
+    ...actual,
+    writeFragment: jest.fn(actual.writeFragment),
+    writeFragmentData: jest.fn(actual.writeFragmentData),
+    deleteFragment: jest.fn(actual.deleteFragment),
+  };
+});
+
+const data = require('../../src/model/data');
+const actual = jest.requireActual('../../src/model/data');
+const { Fragment } = require('../../src/model/fragment');
+
+const ownerId = 'state-owner';
+const failure = () => Promise.reject(new Error('network error'));
+
+// Creates a fragment with the given data, the way POST does
+async function createFragment(value, type = 'text/plain') {
+  const fragment = new Fragment({ ownerId, type });
+  await fragment.save();
+  await fragment.setData(Buffer.from(value));
+  return fragment;
+}
+
+// Stores a fragment the way we did before we kept versions: version 0, no
+// version entries, no state and no ETag
+async function storeLegacyFragment(value, type = 'text/plain') {
+  const created = new Date().toISOString();
+  const fragment = { id: 'legacy', ownerId, type, size: value.length, created, updated: created };
+  await actual.writeFragment(fragment);
+  await actual.writeFragmentData(ownerId, fragment.id, Buffer.from(value));
+  return Fragment.byId(ownerId, fragment.id);
+}
+
+// Starts updating a fragment's data, but fails to commit it or roll it back,
+// as if we'd crashed after writing the data
+async function interruptUpdate(fragment, value) {
+  data.writeFragment.mockImplementationOnce(actual.writeFragment).mockImplementationOnce(failure);
+  data.writeFragmentData
+    .mockImplementationOnce(actual.writeFragmentData)
+    .mockImplementationOnce(failure);
+  await expect(fragment.setData(Buffer.from(value))).rejects.toThrow('network error');
+}
+
+describe('Fragment write and delete consistency', () => {
+  beforeEach(() => {
+    data.reset();
+    jest.clearAllMocks();
+  });
+
+  test('new fragments are hidden until their data is set', async () => {
+    const fragment = new Fragment({ ownerId, type: 'text/plain' });
+    expect(fragment.state).toBe('pending');
+    await fragment.save();
+
+    await expect(Fragment.byId(ownerId, fragment.id)).rejects.toThrow('Fragment not found');
+    expect(await Fragment.byUser(ownerId)).toEqual([]);
+    expect((await Fragment.byUserPage(ownerId)).fragments).toEqual([]);
+
+    await fragment.setData(Buffer.from('hello'));
+    expect(fragment.state).toBe('committed');
+    expect((await Fragment.byId(ownerId, fragment.id)).state).toBe('committed');
+    expect(await Fragment.byUser(ownerId)).toEqual([fragment.id]);
+  });
+
+  test('stored fragments without a state are committed', async () => {
+    const fragment = new Fragment({ id: 'legacy', ownerId, type: 'text/plain', version: 1 });
+    expect(fragment.state).toBe('committed');
+  });
+
+  test('a new fragment is removed if its data cannot be written', async () => {
+    const fragment = new Fragment({ ownerId, type: 'text/plain' });
+    await fragment.save();
+    data.writeFragmentData.mockImplementationOnce(failure);
+
+    await expect(fragment.setData(Buffer.from('hello'))).rejects.toThrow('network error');
+    expect(await data.readFragment(ownerId, fragment.id)).toBeUndefined();
+  });
+
+  test('a new fragment is removed if its metadata cannot be committed', async () => {
+    const fragment = new Fragment({ ownerId, type: 'text/plain' });
+    await fragment.save();
+    data.writeFragment.mockImplementationOnce(actual.writeFragment);
+    data.writeFragment.mockImplementationOnce(failure);
+
+    await expect(fragment.setData(Buffer.from('hello'))).rejects.toThrow('network error');
+    expect(await data.readFragment(ownerId, fragment.id)).toBeUndefined();
+    expect(await data.readFragmentData(ownerId, fragment.id)).toBeUndefined();
+  });
+
+  test('an update is rolled back if the data cannot be written', async () => {
+    const fragment = await createFragment('one');
+    data.writeFragmentData.mockImplementationOnce(failure);
+
+    await expect(fragment.setData(Buffer.from('two'))).rejects.toThrow('network error');
+    expect(fragment.version).toBe(1);
+
+    const stored = await Fragment.byId(ownerId, fragment.id);
+    expect(stored.state).toBe('committed');
+    expect(stored.version).toBe(1);
+    expect(stored.etag).toBe(fragment.etag);
+    expect(await stored.getData()).toEqual(Buffer.from('one'));
+  });
+
+  test('an update is rolled back if the metadata cannot be committed', async () => {
+    const fragment = await createFragment('# one', 'text/markdown');
+    // e.g., PUT changing the type
+    fragment.type = 'text/plain';
+    data.writeFragment.mockImplementationOnce(actual.writeFragment);
+    data.writeFragment.mockImplementationOnce(failure);
+
+    await expect(fragment.setData(Buffer.from('two'))).rejects.toThrow('network error');
+
+    const stored = await Fragment.byId(ownerId, fragment.id);
+    expect(stored.state).toBe('committed');
+    expect(stored.type).toBe('text/markdown');
+    expect(stored.version).toBe(1);
+    expect(await stored.getData()).toEqual(Buffer.from('# one'));
+  });
+
+  test('readers use the archived data while an update is pending', async () => {
+    const fragment = await createFragment('one');
+    // Fail the commit and the rollback, as if we'd crashed after writing the data
+    await interruptUpdate(fragment, 'two');
+
+    // The new data was written, but not committed
+    expect(await data.readFragmentData(ownerId, fragment.id)).toEqual(Buffer.from('two'));
+
+    // The marker keeps the committed metadata's updated time, and notes when the write started
+    const marker = await data.readFragment(ownerId, fragment.id);
+    expect(marker.updated).toBe(fragment.updated);
+    expect(new Date(marker.stateSince).getTime()).toBeGreaterThanOrEqual(
+      new Date(fragment.updated).getTime()
+    );
+
+    const stored = await Fragment.byId(ownerId, fragment.id);
+    expect(stored.state).toBe('pending');
+    expect(stored.version).toBe(1);
+    expect(await stored.getData()).toEqual(Buffer.from('one'));
+    expect(await stored.getData({ start: 1, end: 2 })).toEqual(Buffer.from('ne'));
+    expect(await Fragment.byUser(ownerId)).toEqual([fragment.id]);
+
+    // The next update commits, and keeps the committed data as the prior version
+    await stored.setData(Buffer.from('three'));
+    const updated = await Fragment.byId(ownerId, fragment.id);
+    expect(updated.state).toBe('committed');
+    expect(await data.readFragment(ownerId, fragment.id)).not.toHaveProperty('stateSince');
+    expect(updated.version).toBe(2);
+    expect(await updated.getData()).toEqual(Buffer.from('three'));
+    expect(await updated.getVersionData(1)).toEqual(Buffer.from('one'));
+  });
+
+  test('rolling back a pending update restores the committed data', async () => {
+    const fragment = await createFragment('one');
+    await interruptUpdate(fragment, 'two');
+
+    // This fails before writing any data, but the data left by the last attempt is replaced
+    const stored = await Fragment.byId(ownerId, fragment.id);
+    data.writeFragment.mockImplementationOnce(failure);
+    await expect(stored.setData(Buffer.from('three'))).rejects.toThrow('network error');
+
+    expect(await data.readFragmentData(ownerId, fragment.id)).toEqual(Buffer.from('one'));
+    expect((await Fragment.byId(ownerId, fragment.id)).state).toBe('committed');
+  });
+
+  test('the data being replaced is removed after a commit if history is disabled', async () => {
+    const previous = process.env.FRAGMENT_MAX_VERSIONS;
+    process.env.FRAGMENT_MAX_VERSIONS = '0';
+    try {
+      const fragment = await createFragment('one');
+      await fragment.setData(Buffer.from('two'));
+
+      expect(fragment.versions.map(({ version }) => version)).toEqual([2]);
+      expect(await data.readFragmentVersionData(ownerId, fragment.id, 1)).toBeUndefined();
+    } finally {
+      if (previous === undefined) {
+        delete process.env.FRAGMENT_MAX_VERSIONS;
+      } else {
+        process.env.FRAGMENT_MAX_VERSIONS = previous;
+      }
+    }
+  });
+
+  test('a fragment is hidden as soon as its deletion starts', async () => {
+    const fragment = await createFragment('one');
+    data.deleteFragment.mockImplementationOnce(failure);
+
+    await expect(Fragment.delete(ownerId, fragment.id)).rejects.toThrow('network error');
+    expect(await data.readFragment(ownerId, fragment.id)).toMatchObject({
+      state: 'deleting',
+      stateSince: expect.any(String),
+    });
+    await expect(Fragment.byId(ownerId, fragment.id)).rejects.toThrow('Fragment not found');
+    expect(await Fragment.byUser(ownerId)).toEqual([]);
+
+    // Deleting it again finishes the job
+    await Fragment.delete(ownerId, fragment.id);
+    expect(await data.readFragment(ownerId, fragment.id)).toBeUndefined();
+  });
+
+  test('deleting an unknown fragment is an error', async () => {
+    await expect(Fragment.delete(ownerId, 'unknown')).rejects.toThrow('Fragment not found');
+  });
+
+  test('only one of two conditional updates of the same version succeeds', async () => {
+    const fragment = await createFragment('one');
+    const first = await Fragment.byId(ownerId, fragment.id);
+    const second = await Fragment.byId(ownerId, fragment.id);
+
+    await first.setData(Buffer.from('two'), { ifUnchanged: true });
+    await expect(second.setData(Buffer.from('three'), { ifUnchanged: true })).rejects.toThrow(
+      'Fragment changed'
+    );
+
+    // The losing write didn't touch the data or the history
+    const stored = await Fragment.byId(ownerId, fragment.id);
+    expect(stored.state).toBe('committed');
+    expect(stored.version).toBe(2);
+    expect(await stored.getData()).toEqual(Buffer.from('two'));
+    expect(await stored.getVersionData(1)).toEqual(Buffer.from('one'));
+
+    // Once it has read the new version, a conditional update works
+    await stored.setData(Buffer.from('three'), { ifUnchanged: true });
+    expect(await (await Fragment.byId(ownerId, fragment.id)).getData()).toEqual(
+      Buffer.from('three')
+    );
+  });
+
+  test('a conditional delete fails if the fragment changed', async () => {
+    const fragment = await createFragment('one');
+    const stale = await Fragment.byId(ownerId, fragment.id);
+    await fragment.setData(Buffer.from('two'));
+
+    await expect(Fragment.delete(ownerId, fragment.id, { ifUnchanged: stale })).rejects.toThrow(
+      'Fragment changed'
+    );
+    expect((await Fragment.byId(ownerId, fragment.id)).state).toBe('committed');
+
+    await Fragment.delete(ownerId, fragment.id, {
+      ifUnchanged: await Fragment.byId(ownerId, fragment.id),
+    });
+    expect(await data.readFragment(ownerId, fragment.id)).toBeUndefined();
+  });
+
+  test('updating a fragment stored before we kept versions keeps its data as version 0', async () => {
+    const fragment = await storeLegacyFragment('# one', 'text/markdown');
+    expect(fragment.version).toBe(0);
+    expect(fragment.versions).toEqual([]);
+
+    fragment.type = 'text/plain';
+    await fragment.setData(Buffer.from('two'));
+
+    const stored = await Fragment.byId(ownerId, fragment.id);
+    expect(stored.versions.map(({ version, type }) => ({ version, type }))).toEqual([
+      { version: 0, type: 'text/markdown' },
+      { version: 1, type: 'text/plain' },
+    ]);
+    expect(await stored.getVersionData(0)).toEqual(Buffer.from('# one'));
+    expect(await stored.getData()).toEqual(Buffer.from('two'));
+  });
+
+  test('a failed update of a fragment stored before we kept versions is rolled back', async () => {
+    const fragment = await storeLegacyFragment('one');
+    data.writeFragmentData.mockImplementationOnce(failure);
+
+    await expect(fragment.setData(Buffer.from('two'))).rejects.toThrow('network error');
+
+    const stored = await Fragment.byId(ownerId, fragment.id);
+    expect(stored.state).toBe('committed');
+    expect(stored.version).toBe(0);
+    expect(await stored.getData()).toEqual(Buffer.from('one'));
+  });
+
+  test('readers use the original data while an update of a fragment stored before we kept versions is pending', async () => {
+    const fragment = await storeLegacyFragment('one');
+    await interruptUpdate(fragment, 'two');
+
+    const stored = await Fragment.byId(ownerId, fragment.id);
+    expect(stored.state).toBe('pending');
+    expect(await stored.getData()).toEqual(Buffer.from('one'));
+    expect(await Fragment.byUser(ownerId)).toEqual([fragment.id]);
+  });
+
+  test('fragments stored without an ETag get one from their data', async () => {
+    const fragment = await createFragment('one');
+    const etag = fragment.etag;
+    const stored = await data.readFragment(ownerId, fragment.id);
+    delete stored.etag;
+    await data.writeFragment(stored);
+
+    const legacy = await Fragment.byId(ownerId, fragment.id);
+    expect(legacy.etag).toBeUndefined();
+    expect(await legacy.getETag()).toBe(etag);
+
+    // Conditional writes still work for them
+    await legacy.setData(Buffer.from('two'), { ifUnchanged: true });
+    expect(legacy.etag).toBeDefined();
+  });
+});
@@ -14,7 +14,9 @@ const validTypes = [
   `image/jpeg`,
   `image/webp`,
   `image/gif`,
-  
+  `image/avif`,
+  `image/tiff`,
+  `image/svg+xml`,
 ];
 
 describe('Fragment class', () => {
@@ -164,7 +166,55 @@ describe('Fragment class', () => {
         type: 'text/plain; charset=utf-8',
         size: 0,
       });
-      expect(fragment.formats).toEqual(['text/plain']);
+      expect(fragment.formats).toEqual(['text/plain', 'text/html', 'text/markdown']);
+    });
+
+    test('formats lists the fragment type first', () => {
+      const fragment = new Fragment({ ownerId: '1234', type: 'application/json', size: 0 });
+      expect(fragment.formats[0]).toBe('application/json');
+      expect(fragment.formats).toContain('text/plain');
+    });
+
+    test('image formats only include other image types', () => {
+      const fragment = new Fragment({ ownerId: '1234', type: 'image/png', size: 0 });
+      expect(fragment.formats).toEqual([
+        'image/png',
+        'image/jpeg',
+        'image/webp',
+        'image/gif',
+        'image/avif',
+        'image/tiff',
+      ]);
+    });
+
+    test('SVG can be rasterized, but nothing converts to SVG', () => {
+      const fragment = new Fragment({ ownerId: '1234', type: 'image/svg+xml', size: 0 });
+      expect(fragment.formats.slice(0, 4)).toEqual([
+        'image/svg+xml',
+        'image/png',
+        'image/jpeg',
+        'image/webp',
+      ]);
+      expect(Fragment.canConvert('image/png', 'image/svg+xml')).toBe(false);
+    });
+
+    test('canConvert() checks the conversion matrix', () => {
+      expect(Fragment.canConvert('text/markdown; charset=utf-8', 'text/html')).toBe(true);
+      expect(Fragment.canConvert('image/gif', 'image/webp')).toBe(true);
+      expect(Fragment.canConvert('text/plain', 'image/png')).toBe(false);
+      expect(Fragment.canConvert('image/png', 'application/json')).toBe(false);
+    });
+
+    test('canChangeType() only allows direct conversions within a family', () => {
+      expect(Fragment.canChangeType('text/markdown; charset=utf-8', 'text/html')).toBe(true);
+      expect(Fragment.canChangeType('text/html', 'text/plain')).toBe(true);
+      expect(Fragment.canChangeType('image/png', 'image/webp')).toBe(true);
+      expect(Fragment.canChangeType('image/svg+xml', 'image/png')).toBe(true);
+      // application/json -> text/plain -> text/html
+      expect(Fragment.canChangeType('application/json', 'text/html')).toBe(false);
+      // Direct, but from data to text
+      expect(Fragment.canChangeType('text/csv', 'text/plain')).toBe(false);
+      expect(Fragment.canChangeType('text/csv', 'application/json')).toBe(false);
     });
   });
 
@@ -187,6 +237,8 @@ describe('Fragment class', () => {
     test('save() updates the updated date/time of a fragment', async () => {
       const ownerId = '7777';
       const fragment = new Fragment({ ownerId, type: 'text/plain', size: 0 });
+      // Fragments aren't visible until their data is set
+      await fragment.setData(Buffer.from('hello'));
       const modified1 = fragment.updated;
       await wait();
       await fragment.save();
@@ -243,6 +295,64 @@ describe('Fragment class', () => {
       expect(size).toBe(2);
     });
 
+    test('setData() keeps the replaced data as a prior version', async () => {
+      const fragment = new Fragment({ ownerId: '1234', type: 'text/plain', size: 0 });
+      await fragment.save();
+      await fragment.setData(Buffer.from('one'));
+      await fragment.setData(Buffer.from('two'));
+
+      expect(fragment.version).toBe(2);
+      expect(fragment.versions.map(({ version, size }) => ({ version, size }))).toEqual([
+        { version: 1, size: 3 },
+        { version: 2, size: 3 },
+      ]);
+      expect(await fragment.getVersionData(1)).toEqual(Buffer.from('one'));
+      expect(await fragment.getVersionData(2)).toEqual(Buffer.from('two'));
+    });
+
+    test('restoreVersion() makes a prior version current again', async () => {
+      const fragment = new Fragment({ ownerId: '1234', type: 'text/plain', size: 0 });
+      await fragment.save();
+      await fragment.setData(Buffer.from('one'));
+      await fragment.setData(Buffer.from('second'));
+      await fragment.restoreVersion(1);
+
+      const fragment2 = await Fragment.byId('1234', fragment.id);
+      expect(fragment2.version).toBe(3);
+      expect(fragment2.size).toBe(3);
+      expect(await fragment2.getData()).toEqual(Buffer.from('one'));
+      expect(await fragment2.getVersionData(2)).toEqual(Buffer.from('second'));
+    });
+
+    test('getVersionData() rejects for unknown versions', async () => {
+      const fragment = new Fragment({ ownerId: '1234', type: 'text/plain', size: 0 });
+      await fragment.save();
+      await fragment.setData(Buffer.from('one'));
+      await expect(fragment.getVersionData(5)).rejects.toThrow();
+    });
+
+    test('only FRAGMENT_MAX_VERSIONS prior versions are kept', async () => {
+      const previous = process.env.FRAGMENT_MAX_VERSIONS;
+      process.env.FRAGMENT_MAX_VERSIONS = '2';
+      try {
+        const fragment = new Fragment({ ownerId: '1234', type: 'text/plain', size: 0 });
+        await fragment.save();
+        for (const value of ['1', '2', '3', '4', '5']) {
+          await fragment.setData(Buffer.from(value));
+        }
+
+        expect(fragment.versions.map(({ version }) => version)).toEqual([3, 4, 5]);
+        expect(await fragment.getVersionData(3)).toEqual(Buffer.from('3'));
+        await expect(fragment.getVersionData(2)).rejects.toThrow();
+      } finally {
+        if (previous === undefined) {
+          delete process.env.FRAGMENT_MAX_VERSIONS;
+        } else {
+          process.env.FRAGMENT_MAX_VERSIONS = previous;
+        }
+      }
+    });
+
     test('a fragment can be deleted', async () => {
       const fragment = new Fragment({ ownerId: '1234', type: 'text/plain', size: 0 });
       await fragment.save();
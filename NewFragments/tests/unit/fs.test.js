@@ -0,0 +1,346 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Keep everything in a temporary directory
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fragments-fs-'));
+process.env.FRAGMENTS_FS_DIR = dir;
+
+const {
+  readFragment,
+  writeFragment,
+  readFragmentData,
+  writeFragmentData,
+  listFragments,
+  listFragmentsPage,
+  deleteFragment,
+  archiveFragmentData,
+  readFragmentVersionData,
+  deleteFragmentVersionData,
+  claimIdempotencyKey,
+  writeIdempotencyKey,
+  deleteIdempotencyKey,
+  reset,
+} = require('../../src/model/data/fs');
+
+// Every file under dir, relative to it
+const listFiles = (from = dir) =>
+  fs
+    .readdirSync(from, { withFileTypes: true })
+    .flatMap((entry) =>
+      entry.isDirectory()
+        ? listFiles(path.join(from, entry.name))
+        : [path.relative(dir, path.join(from, entry.name))]
+    )
+    .sort();
+
+describe('filesystem fragment operations', () => {
+  const sampleFragment = {
+    id: 'test-fragment-1',
+    ownerId: 'user123',
+    type: 'text/plain',
+    size: 13,
+    created: '2023-01-01T00:00:00.000Z',
+    updated: '2023-01-01T00:00:00.000Z',
+  };
+  const sampleBuffer = Buffer.from('Hello, World!', 'utf8');
+
+  beforeEach(() => {
+    reset();
+  });
+
+  afterAll(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe('metadata', () => {
+    test('fragments can be written and read back', async () => {
+      await writeFragment(sampleFragment);
+      expect(await readFragment(sampleFragment.ownerId, sampleFragment.id)).toEqual(sampleFragment);
+    });
+
+    test('only the JSON representation is stored', async () => {
+      class Fragment {
+        constructor() {
+          Object.assign(this, sampleFragment);
+        }
+        get mimeType() {
+          return 'text/plain';
+        }
+      }
+      await writeFragment(new Fragment());
+      const result = await readFragment(sampleFragment.ownerId, sampleFragment.id);
+      expect(result).toEqual(sampleFragment);
+      expect(result).not.toBeInstanceOf(Fragment);
+    });
+
+    test('unknown fragments are undefined', async () => {
+      expect(await readFragment('nobody', 'nothing')).toBeUndefined();
+    });
+
+    test('metadata is kept in an index per owner', async () => {
+      await writeFragment(sampleFragment);
+      await writeFragment({ ...sampleFragment, id: 'fragment-2' });
+      await writeFragment({ ...sampleFragment, ownerId: 'user456' });
+
+      expect(listFiles()).toEqual([
+        path.join('user123', 'index.json'),
+        path.join('user456', 'index.json'),
+      ]);
+      const index = JSON.parse(fs.readFileSync(path.join(dir, 'user123', 'index.json'), 'utf8'));
+      expect(Object.keys(index).sort()).toEqual(['fragment-2', 'test-fragment-1']);
+    });
+
+    test('concurrent writes for an owner are all kept', async () => {
+      const ids = Array.from({ length: 20 }, (_, i) => `fragment-${i}`);
+      await Promise.all(ids.map((id) => writeFragment({ ...sampleFragment, id })));
+
+      expect((await listFragments(sampleFragment.ownerId)).sort()).toEqual(ids.sort());
+    });
+
+    test('a failed write leaves the index as it was', async () => {
+      await writeFragment(sampleFragment);
+      const spy = jest.spyOn(fs.promises, 'rename').mockRejectedValueOnce(new Error('disk full'));
+      try {
+        await expect(writeFragment({ ...sampleFragment, size: 99 })).rejects.toThrow('disk full');
+      } finally {
+        spy.mockRestore();
+      }
+
+      expect(await readFragment(sampleFragment.ownerId, sampleFragment.id)).toEqual(sampleFragment);
+      // No temporary files are left behind
+      expect(listFiles()).toEqual([path.join('user123', 'index.json')]);
+    });
+  });
+
+  describe('data', () => {
+    test('data can be written and read back', async () => {
+      await writeFragmentData('user123', 'abc', sampleBuffer);
+      expect(await readFragmentData('user123', 'abc')).toEqual(sampleBuffer);
+    });
+
+    test('a range of the data can be read', async () => {
+      await writeFragmentData('user123', 'abc', sampleBuffer);
+      expect(await readFragmentData('user123', 'abc', { start: 7, end: 11 })).toEqual(
+        Buffer.from('World')
+      );
+      // Ranges past the end stop at the end
+      expect(await readFragmentData('user123', 'abc', { start: 7, end: 100 })).toEqual(
+        Buffer.from('World!')
+      );
+    });
+
+    test('missing data is undefined', async () => {
+      expect(await readFragmentData('user123', 'missing')).toBeUndefined();
+      expect(await readFragmentData('user123', 'missing', { start: 0, end: 1 })).toBeUndefined();
+    });
+
+    test('ids are safe to use as file names', async () => {
+      for (const id of ['..', 'notes.v2', '../escape', 'a%2Fb']) {
+        await writeFragmentData('user123', id, Buffer.from(id));
+        expect(await readFragmentData('user123', id)).toEqual(Buffer.from(id));
+      }
+      expect(listFiles().every((file) => file.startsWith(`user123${path.sep}data${path.sep}`))).toBe(
+        true
+      );
+      expect(listFiles()).toHaveLength(4);
+    });
+
+    test('prior versions can be archived, read and deleted', async () => {
+      await writeFragmentData('user123', 'abc', Buffer.from('one'));
+      await archiveFragmentData('user123', 'abc', 1);
+      await writeFragmentData('user123', 'abc', Buffer.from('two'));
+
+      expect(await readFragmentVersionData('user123', 'abc', 1)).toEqual(Buffer.from('one'));
+      expect(await readFragmentData('user123', 'abc')).toEqual(Buffer.from('two'));
+
+      await deleteFragmentVersionData('user123', 'abc', 1);
+      expect(await readFragmentVersionData('user123', 'abc', 1)).toBeUndefined();
+    });
+
+    test('archiving missing data is an error', async () => {
+      await expect(archiveFragmentData('user123', 'missing', 1)).rejects.toThrow(
+        'missing data for fragment missing'
+      );
+    });
+  });
+
+  describe('listing', () => {
+    test('fragments can be listed as ids or in full', async () => {
+      await writeFragment(sampleFragment);
+      expect(await listFragments(sampleFragment.ownerId)).toEqual([sampleFragment.id]);
+      expect(await listFragments(sampleFragment.ownerId, true)).toEqual([sampleFragment]);
+      expect(await listFragments('nobody')).toEqual([]);
+    });
+
+    test('uncommitted and deleting fragments are left out', async () => {
+      await writeFragment(sampleFragment);
+      await writeFragment({ ...sampleFragment, id: 'new', state: 'pending', version: 0 });
+      await writeFragment({ ...sampleFragment, id: 'gone', state: 'deleting', version: 1 });
+
+      expect(await listFragments(sampleFragment.ownerId)).toEqual([sampleFragment.id]);
+      expect((await listFragmentsPage(sampleFragment.ownerId)).fragments).toEqual([
+        sampleFragment.id,
+      ]);
+    });
+
+    test('pages can be filtered and sorted', async () => {
+      await writeFragment({ ...sampleFragment, id: 'a', size: 3 });
+      await writeFragment({ ...sampleFragment, id: 'b', size: 1, type: 'text/markdown' });
+      await writeFragment({ ...sampleFragment, id: 'c', size: 2 });
+
+      const first = await listFragmentsPage(sampleFragment.ownerId, { sort: 'size', limit: 2 });
+      expect(first.fragments).toEqual(['b', 'c']);
+      expect(first.next).toEqual(expect.any(String));
+
+      const { fragments } = await listFragmentsPage(sampleFragment.ownerId, {
+        types: ['text/plain'],
+        expand: true,
+      });
+      expect(fragments.map(({ id }) => id)).toEqual(['a', 'c']);
+    });
+  });
+
+  describe('deleteFragment', () => {
+    test('deletes data, prior versions and metadata', async () => {
+      await writeFragment(sampleFragment);
+      await writeFragmentData(sampleFragment.ownerId, sampleFragment.id, sampleBuffer);
+      await archiveFragmentData(sampleFragment.ownerId, sampleFragment.id, 1);
+
+      await deleteFragment(sampleFragment.ownerId, sampleFragment.id);
+
+      expect(await readFragment(sampleFragment.ownerId, sampleFragment.id)).toBeUndefined();
+      expect(await readFragmentData(sampleFragment.ownerId, sampleFragment.id)).toBeUndefined();
+      expect(
+        await readFragmentVersionData(sampleFragment.ownerId, sampleFragment.id, 1)
+      ).toBeUndefined();
+    });
+
+    test('deletes metadata without data', async () => {
+      await writeFragment(sampleFragment);
+      await deleteFragment(sampleFragment.ownerId, sampleFragment.id);
+      expect(await readFragment(sampleFragment.ownerId, sampleFragment.id)).toBeUndefined();
+    });
+
+    test('throws for unknown fragments', async () => {
+      await expect(deleteFragment('nobody', 'nothing')).rejects.toThrow(
+        'missing metadata for fragment nothing'
+      );
+    });
+  });
+
+  describe('idempotency keys', () => {
+    const record = { fingerprint: 'abc', status: 'pending', expires: Date.now() / 1000 + 60 };
+
+    test('a key can only be claimed once', async () => {
+      const results = await Promise.all([
+        claimIdempotencyKey('user123', 'key', record),
+        claimIdempotencyKey('user123', 'key', { ...record, fingerprint: 'def' }),
+      ]);
+      expect(results).toEqual([undefined, record]);
+    });
+
+    test('keys can be updated and deleted', async () => {
+      await claimIdempotencyKey('user123', 'key', record);
+      await writeIdempotencyKey('user123', 'key', { ...record, status: 'complete' });
+      expect(await claimIdempotencyKey('user123', 'key', record)).toMatchObject({
+        status: 'complete',
+      });
+
+      await deleteIdempotencyKey('user123', 'key');
+      expect(await claimIdempotencyKey('user123', 'key', record)).toBeUndefined();
+    });
+
+    test('expired keys can be claimed again', async () => {
+      await claimIdempotencyKey('user123', 'key', { ...record, expires: 1 });
+      expect(await claimIdempotencyKey('user123', 'key', record)).toBeUndefined();
+    });
+  });
+
+  describe('reset', () => {
+    const nodeEnv = process.env.NODE_ENV;
+
+    afterEach(() => {
+      process.env.FRAGMENTS_FS_DIR = dir;
+      process.env.NODE_ENV = nodeEnv;
+    });
+
+    test('refuses to run without FRAGMENTS_FS_DIR, instead of deleting ./data', async () => {
+      await writeFragment(sampleFragment);
+      delete process.env.FRAGMENTS_FS_DIR;
+      expect(() => reset()).toThrow('refusing to reset filesystem storage without FRAGMENTS_FS_DIR');
+
+      process.env.FRAGMENTS_FS_DIR = dir;
+      expect(await readFragment(sampleFragment.ownerId, sampleFragment.id)).toEqual(sampleFragment);
+    });
+
+    test('refuses to run in production', () => {
+      process.env.NODE_ENV = 'production';
+      expect(() => reset()).toThrow('refusing to reset filesystem storage in production');
+    });
+  });
+
+  test('fragments are still there after a restart', async () => {
+    await writeFragment(sampleFragment);
+    await writeFragmentData(sampleFragment.ownerId, sampleFragment.id, sampleBuffer);
+
+    // Load the backend again, as a new process would
+    let backend;
+    jest.isolateModules(() => {
+      backend = require('../../src/model/data/fs');
+    });
+    expect(await backend.readFragment(sampleFragment.ownerId, sampleFragment.id)).toEqual(
+      sampleFragment
+    );
+    expect(await backend.readFragmentData(sampleFragment.ownerId, sampleFragment.id)).toEqual(
+      sampleBuffer
+    );
+  });
+
+  describe('FRAGMENTS_BACKEND=fs', () => {
+    let previous;
+
+    beforeEach(() => {
+      previous = process.env.FRAGMENTS_BACKEND;
+      process.env.FRAGMENTS_BACKEND = 'fs';
+    });
+
+    afterEach(() => {
+      if (previous === undefined) {
+        delete process.env.FRAGMENTS_BACKEND;
+      } else {
+        process.env.FRAGMENTS_BACKEND = previous;
+      }
+    });
+
+    test('selects the filesystem backend', () => {
+      jest.isolateModules(() => {
+        expect(require('../../src/model/data')).toBe(require('../../src/model/data/fs'));
+      });
+    });
+
+    test('the API stores fragments on the filesystem', async () => {
+      const request = require('supertest');
+      let app;
+      jest.isolateModules(() => {
+        app = require('../../src/app');
+      });
+
+      const created = await request(app)
+        .post('/v1/fragments')
+        .auth('user1@email.com', 'password1')
+        .set('Content-Type', 'text/plain')
+        .send('stored on disk');
+      expect(created.statusCode).toBe(201);
+
+      const { id, ownerId } = created.body.fragment;
+      expect(fs.readFileSync(path.join(dir, ownerId, 'data', id), 'utf8')).toBe('stored on disk');
+
+      const res = await request(app)
+        .get(`/v1/fragments/${id}`)
+        .auth('user1@email.com', 'password1');
+      expect(res.statusCode).toBe(200);
+      expect(res.text).toBe('stored on disk');
+    });
+  });
+});
@@ -42,7 +42,46 @@ describe('GET /v1/fragments/:id/info', () => {
     expect(res.body.fragment.ownerId).toBe(testUserHashed);
     expect(res.body.fragment.type).toBe('text/plain');
     expect(res.body.fragment.size).toBe(Buffer.from(testData, 'utf8').length);
+    expect(res.body.fragment.formats).toEqual(expect.arrayContaining(['text/plain', 'text/html']));
+    expect(res.body.fragment.formats).not.toContain('image/png');
   });
+    test('includes image metadata for images, which is also in expanded lists', async () => {
+      const sharp = require('sharp');
+      const png = await sharp({
+        create: { width: 12, height: 8, channels: 3, background: { r: 0, g: 0, b: 255 } },
+      })
+        .png()
+        .toBuffer();
+      const createRes = await request(app)
+        .post('/v1/fragments')
+        .auth(testUser, testPassword)
+        .set('Content-Type', 'image/png')
+        .send(png);
+      const fragmentId = createRes.body.fragment.id;
+      const image = { width: 12, height: 8, colorSpace: 'srgb', hasAlpha: false, frames: 1 };
+
+      const res = await request(app)
+        .get(`/v1/fragments/${fragmentId}/info`)
+        .auth(testUser, testPassword);
+      expect(res.body.fragment.image).toEqual(image);
+
+      const list = await request(app).get('/v1/fragments?expand=1').auth(testUser, testPassword);
+      expect(list.body.fragments.find(({ id }) => id === fragmentId).image).toEqual(image);
+    });
+
+    test('text fragments have no image metadata', async () => {
+      const createRes = await request(app)
+        .post('/v1/fragments')
+        .auth(testUser, testPassword)
+        .set('Content-Type', 'text/plain')
+        .send(testData);
+
+      const res = await request(app)
+        .get(`/v1/fragments/${createRes.body.fragment.id}/info`)
+        .auth(testUser, testPassword);
+      expect(res.body.fragment.image).toBeUndefined();
+    });
+
     //404 case - fragment not found
     test('returns 404 for non-existent fragment', async () => {
       const nonExistentId = '00000000-0000-0000-0000-000000000000';
@@ -74,4 +113,57 @@ describe('GET /v1/fragments/:id/info', () => {
       expect(res.statusCode).toBe(404);
       expect(res.body.error.message).toBe('Fragment not found');
     });
+  
+    test('returns an ETag for the metadata, and 304 when If-None-Match matches', async () => {
+      const createRes = await request(app)
+        .post('/v1/fragments')
+        .auth(testUser, testPassword)
+        .set('Content-Type', 'text/plain')
+        .send(testData);
+      const fragmentId = createRes.body.fragment.id;
+
+      const res = await request(app)
+        .get(`/v1/fragments/${fragmentId}/info`)
+        .auth(testUser, testPassword);
+      expect(res.status).toBe(200);
+      expect(res.headers.etag).toBeDefined();
+      // The data has its own ETag
+      expect(res.headers.etag).not.toBe(createRes.headers.etag);
+      expect(res.body.fragment.etag).toBe(createRes.headers.etag);
+
+      const cached = await request(app)
+        .get(`/v1/fragments/${fragmentId}/info`)
+        .auth(testUser, testPassword)
+        .set('If-None-Match', res.headers.etag);
+      expect(cached.status).toBe(304);
+    });
+
+    test('does not return 304 when only the metadata has changed', async () => {
+      const createRes = await request(app)
+        .post('/v1/fragments')
+        .auth(testUser, testPassword)
+        .set('Content-Type', 'text/plain')
+        .send(testData);
+      const fragmentId = createRes.body.fragment.id;
+
+      const before = await request(app)
+        .get(`/v1/fragments/${fragmentId}/info`)
+        .auth(testUser, testPassword);
+
+      // Same data, new type
+      await request(app)
+        .put(`/v1/fragments/${fragmentId}`)
+        .auth(testUser, testPassword)
+        .set('Content-Type', 'text/plain; charset=utf-8')
+        .send(testData);
+
+      const res = await request(app)
+        .get(`/v1/fragments/${fragmentId}/info`)
+        .auth(testUser, testPassword)
+        .set('If-None-Match', before.headers.etag);
+      expect(res.status).toBe(200);
+      expect(res.body.fragment.type).toBe('text/plain; charset=utf-8');
+      expect(res.body.fragment.etag).toBe(createRes.headers.etag);
+      expect(res.headers.etag).not.toBe(before.headers.etag);
+    });
   });
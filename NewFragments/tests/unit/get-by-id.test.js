@@ -298,6 +298,239 @@ describe('GET /v1/fragments/:id', () => {
     expect(res.text).toBe(textContent);
   });
 
+  test('chains conversions, e.g. CSV to YAML through JSON', async () => {
+    const createRes = await request(app)
+      .post('/v1/fragments')
+      .auth(testUser, testPassword)
+      .set('Content-Type', 'text/csv')
+      .send('name,age\nJohn,30');
+
+    const res = await request(app)
+      .get(`/v1/fragments/${createRes.body.fragment.id}.yaml`)
+      .auth(testUser, testPassword);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.headers['content-type']).toBe('application/yaml');
+    expect(res.text).toContain('name: John');
+  });
+
+  test('unsupported conversions never echo the original data', async () => {
+    const createRes = await request(app)
+      .post('/v1/fragments')
+      .auth(testUser, testPassword)
+      .set('Content-Type', 'application/json')
+      .send('{"secret":"value"}');
+
+    const res = await request(app)
+      .get(`/v1/fragments/${createRes.body.fragment.id}.png`)
+      .auth(testUser, testPassword);
+
+    expect(res.statusCode).toBe(415);
+    expect(res.text).not.toContain('secret');
+  });
+
+  test('CSV conversions accept delimiter, header and infer query parameters', async () => {
+    const createRes = await request(app)
+      .post('/v1/fragments')
+      .auth(testUser, testPassword)
+      .set('Content-Type', 'text/csv')
+      .send('name;age;member\r\n"Doe; Jane";30;true');
+    const fragmentId = createRes.body.fragment.id;
+
+    const res = await request(app)
+      .get(`/v1/fragments/${fragmentId}.json?delimiter=;&infer=true`)
+      .auth(testUser, testPassword);
+
+    expect(res.statusCode).toBe(200);
+    expect(JSON.parse(res.text)).toEqual([{ name: 'Doe; Jane', age: 30, member: true }]);
+
+    // Options change the representation, so they change its ETag too
+    const other = await request(app)
+      .get(`/v1/fragments/${fragmentId}.json?delimiter=semicolon`)
+      .auth(testUser, testPassword);
+    expect(JSON.parse(other.text)[0].age).toBe('30');
+    expect(other.headers.etag).not.toBe(res.headers.etag);
+  });
+
+  test('JSON to CSV uses the delimiter query parameter', async () => {
+    const createRes = await request(app)
+      .post('/v1/fragments')
+      .auth(testUser, testPassword)
+      .set('Content-Type', 'application/json')
+      .send(JSON.stringify([{ a: 1, b: 0 }]));
+
+    const res = await request(app)
+      .get(`/v1/fragments/${createRes.body.fragment.id}.csv?delimiter=tab`)
+      .auth(testUser, testPassword);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.text).toBe('a\tb\r\n1\t0');
+  });
+
+  test('returns 400 for invalid conversion options', async () => {
+    const createRes = await request(app)
+      .post('/v1/fragments')
+      .auth(testUser, testPassword)
+      .set('Content-Type', 'text/csv')
+      .send('a,b');
+    const fragmentId = createRes.body.fragment.id;
+
+    for (const query of ['delimiter=ab', 'delimiter=%22', 'infer=maybe', 'header=']) {
+      const res = await request(app)
+        .get(`/v1/fragments/${fragmentId}.json?${query}`)
+        .auth(testUser, testPassword);
+      expect(res.statusCode).toBe(400);
+      expect(res.body.status).toBe('error');
+    }
+  });
+
+  test('returns 415 for malformed CSV', async () => {
+    const createRes = await request(app)
+      .post('/v1/fragments')
+      .auth(testUser, testPassword)
+      .set('Content-Type', 'text/csv')
+      .send('a,"b');
+
+    const res = await request(app)
+      .get(`/v1/fragments/${createRes.body.fragment.id}.json`)
+      .auth(testUser, testPassword);
+
+    expect(res.statusCode).toBe(415);
+    expect(res.body.error.message).toContain('Invalid CSV');
+  });
+
+  test('converts Markdown to plain text with .txt extension', async () => {
+    const createRes = await request(app)
+      .post('/v1/fragments')
+      .auth(testUser, testPassword)
+      .set('Content-Type', 'text/markdown')
+      .send('# Runbook\n\n- **Restart** the service');
+
+    const res = await request(app)
+      .get(`/v1/fragments/${createRes.body.fragment.id}.txt`)
+      .auth(testUser, testPassword);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.headers['content-type']).toBe('text/plain');
+    expect(res.text).toBe('Runbook\n\n- Restart the service');
+  });
+
+  test('Markdown features can be turned on with query parameters', async () => {
+    const createRes = await request(app)
+      .post('/v1/fragments')
+      .auth(testUser, testPassword)
+      .set('Content-Type', 'text/markdown')
+      .send('# Runbook\n\n- [x] Restart\n\n```js\nrestart();\n```');
+    const fragmentId = createRes.body.fragment.id;
+
+    const plain = await request(app)
+      .get(`/v1/fragments/${fragmentId}.html`)
+      .auth(testUser, testPassword);
+    expect(plain.text).not.toContain('table-of-contents');
+    expect(plain.text).not.toContain('checkbox');
+
+    const res = await request(app)
+      .get(`/v1/fragments/${fragmentId}.html?toc=true&tasklists=1&highlight=true`)
+      .auth(testUser, testPassword);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.text).toContain('<nav class="table-of-contents">');
+    expect(res.text).toContain('id="runbook"');
+    expect(res.text).toContain('type="checkbox"');
+    expect(res.text).toContain('hljs-title');
+    expect(res.headers.etag).not.toBe(plain.headers.etag);
+  });
+
+  describe('HTML', () => {
+    afterEach(() => {
+      delete process.env.HTML_CONTENT_DISPOSITION;
+      delete process.env.HTML_SANITIZE_ON_WRITE;
+    });
+
+    const createHtml = async (html) => {
+      const createRes = await request(app)
+        .post('/v1/fragments')
+        .auth(testUser, testPassword)
+        .set('Content-Type', 'text/html')
+        .send(html);
+      return createRes.body.fragment.id;
+    };
+
+    test('HTML is served with a strict CSP, as an attachment', async () => {
+      const fragmentId = await createHtml('<p>Hi</p>');
+      const res = await request(app)
+        .get(`/v1/fragments/${fragmentId}`)
+        .auth(testUser, testPassword);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.headers['content-security-policy']).toContain("default-src 'none'");
+      expect(res.headers['content-security-policy']).toContain('sandbox');
+      expect(res.headers['content-disposition']).toBe(`attachment; filename="${fragmentId}.html"`);
+    });
+
+    test('HTML can be served inline with HTML_CONTENT_DISPOSITION=inline', async () => {
+      process.env.HTML_CONTENT_DISPOSITION = 'inline';
+      const fragmentId = await createHtml('<p>Hi</p>');
+      const res = await request(app)
+        .get(`/v1/fragments/${fragmentId}`)
+        .auth(testUser, testPassword);
+
+      expect(res.headers['content-disposition']).toBe(`inline; filename="${fragmentId}.html"`);
+      expect(res.headers['content-security-policy']).toContain('sandbox');
+    });
+
+    test('conversions to HTML get the same policy, other types do not', async () => {
+      const createRes = await request(app)
+        .post('/v1/fragments')
+        .auth(testUser, testPassword)
+        .set('Content-Type', 'text/markdown')
+        .send('# Hi');
+      const fragmentId = createRes.body.fragment.id;
+
+      const html = await request(app)
+        .get(`/v1/fragments/${fragmentId}.html`)
+        .auth(testUser, testPassword);
+      expect(html.headers['content-disposition']).toMatch(/^attachment/);
+
+      const markdown = await request(app)
+        .get(`/v1/fragments/${fragmentId}`)
+        .auth(testUser, testPassword);
+      expect(markdown.headers['content-disposition']).toBeUndefined();
+    });
+
+    test('HTML is stored as-is by default', async () => {
+      const html = '<p onclick="steal()">Hi</p><script>steal()</script>';
+      const fragmentId = await createHtml(html);
+      const res = await request(app)
+        .get(`/v1/fragments/${fragmentId}`)
+        .auth(testUser, testPassword);
+
+      expect(res.text).toBe(html);
+    });
+
+    test('HTML is sanitized on POST and PUT with HTML_SANITIZE_ON_WRITE=true', async () => {
+      process.env.HTML_SANITIZE_ON_WRITE = 'true';
+      const fragmentId = await createHtml('<p onclick="steal()">Hi</p><script>steal()</script>');
+
+      const res = await request(app)
+        .get(`/v1/fragments/${fragmentId}`)
+        .auth(testUser, testPassword);
+      expect(res.text).toBe('<p>Hi</p>');
+
+      const putRes = await request(app)
+        .put(`/v1/fragments/${fragmentId}`)
+        .auth(testUser, testPassword)
+        .set('Content-Type', 'text/html')
+        .send('<a href="javascript:steal()">Bye</a>');
+      expect(putRes.body.fragment.size).toBe('<a>Bye</a>'.length);
+
+      const updated = await request(app)
+        .get(`/v1/fragments/${fragmentId}`)
+        .auth(testUser, testPassword);
+      expect(updated.text).toBe('<a>Bye</a>');
+    });
+  });
+
   // CSV with only headers to JSON conversion
   test('converts CSV fragment with only headers to empty JSON array', async () => {
     const csvContent = 'name,age';
@@ -539,4 +772,404 @@ describe('GET /v1/fragments/:id', () => {
     expect(res.headers['content-type']).toBe('image/jpeg');
     expect(Buffer.from(res.body).toString('hex', 0, 2)).toBe('ffd8');
   });
+
+  // Conditional requests
+  describe('ETag and If-None-Match', () => {
+    let fragmentId;
+    let etag;
+
+    beforeEach(async () => {
+      const createRes = await request(app)
+        .post('/v1/fragments')
+        .auth(testUser, testPassword)
+        .set('Content-Type', 'text/markdown')
+        .send('# Cache me');
+      fragmentId = createRes.body.fragment.id;
+      etag = createRes.headers.etag;
+    });
+
+    test('responses include the fragment ETag', async () => {
+      const res = await request(app).get(`/v1/fragments/${fragmentId}`).auth(testUser, testPassword);
+      expect(res.statusCode).toBe(200);
+      expect(res.headers.etag).toBe(etag);
+    });
+
+    test('returns 304 when If-None-Match matches', async () => {
+      const res = await request(app)
+        .get(`/v1/fragments/${fragmentId}`)
+        .auth(testUser, testPassword)
+        .set('If-None-Match', etag);
+      expect(res.statusCode).toBe(304);
+      expect(res.headers.etag).toBe(etag);
+      expect(res.text).toBeFalsy();
+    });
+
+    test('returns 200 when If-None-Match does not match', async () => {
+      const res = await request(app)
+        .get(`/v1/fragments/${fragmentId}`)
+        .auth(testUser, testPassword)
+        .set('If-None-Match', '"something-else"');
+      expect(res.statusCode).toBe(200);
+    });
+
+    test('conversions have their own ETag', async () => {
+      const res = await request(app)
+        .get(`/v1/fragments/${fragmentId}.html`)
+        .auth(testUser, testPassword);
+      expect(res.statusCode).toBe(200);
+      expect(res.headers.etag).toBeDefined();
+      expect(res.headers.etag).not.toBe(etag);
+
+      // The original ETag doesn't validate the converted representation
+      const stale = await request(app)
+        .get(`/v1/fragments/${fragmentId}.html`)
+        .auth(testUser, testPassword)
+        .set('If-None-Match', etag);
+      expect(stale.statusCode).toBe(200);
+
+      const cached = await request(app)
+        .get(`/v1/fragments/${fragmentId}.html`)
+        .auth(testUser, testPassword)
+        .set('If-None-Match', res.headers.etag);
+      expect(cached.statusCode).toBe(304);
+    });
+  });
+
+  // Range requests
+  describe('Range requests', () => {
+    const content = '0123456789abcdefghij';
+    let fragmentId;
+    let etag;
+
+    beforeEach(async () => {
+      const createRes = await request(app)
+        .post('/v1/fragments')
+        .auth(testUser, testPassword)
+        .set('Content-Type', 'text/plain')
+        .send(content);
+      fragmentId = createRes.body.fragment.id;
+      etag = createRes.headers.etag;
+    });
+
+    test('full responses advertise Accept-Ranges', async () => {
+      const res = await request(app).get(`/v1/fragments/${fragmentId}`).auth(testUser, testPassword);
+      expect(res.statusCode).toBe(200);
+      expect(res.headers['accept-ranges']).toBe('bytes');
+    });
+
+    test.each([
+      ['bytes=0-4', '01234', 'bytes 0-4/20'],
+      ['bytes=10-', 'abcdefghij', 'bytes 10-19/20'],
+      ['bytes=-3', 'hij', 'bytes 17-19/20'],
+      ['bytes=15-100', 'fghij', 'bytes 15-19/20'],
+    ])('Range: %s returns 206 with the requested bytes', async (range, body, contentRange) => {
+      const res = await request(app)
+        .get(`/v1/fragments/${fragmentId}`)
+        .auth(testUser, testPassword)
+        .set('Range', range);
+
+      expect(res.statusCode).toBe(206);
+      expect(res.text).toBe(body);
+      expect(res.headers['content-range']).toBe(contentRange);
+      expect(res.headers['content-length']).toBe(String(body.length));
+      expect(res.headers.etag).toBe(etag);
+    });
+
+    test('returns 416 for a range past the end of the data', async () => {
+      const res = await request(app)
+        .get(`/v1/fragments/${fragmentId}`)
+        .auth(testUser, testPassword)
+        .set('Range', 'bytes=50-60');
+
+      expect(res.statusCode).toBe(416);
+      expect(res.headers['content-range']).toBe('bytes */20');
+    });
+
+    test('ignores malformed and multiple ranges', async () => {
+      for (const range of ['lines=1-2', 'bytes=0-1,5-6']) {
+        const res = await request(app)
+          .get(`/v1/fragments/${fragmentId}`)
+          .auth(testUser, testPassword)
+          .set('Range', range);
+        expect(res.statusCode).toBe(200);
+        expect(res.text).toBe(content);
+      }
+    });
+
+    test('honours If-Range only when the ETag still matches', async () => {
+      const partial = await request(app)
+        .get(`/v1/fragments/${fragmentId}`)
+        .auth(testUser, testPassword)
+        .set('Range', 'bytes=0-1')
+        .set('If-Range', etag);
+      expect(partial.statusCode).toBe(206);
+
+      const full = await request(app)
+        .get(`/v1/fragments/${fragmentId}`)
+        .auth(testUser, testPassword)
+        .set('Range', 'bytes=0-1')
+        .set('If-Range', '"an-old-etag"');
+      expect(full.statusCode).toBe(200);
+      expect(full.text).toBe(content);
+    });
+
+    test('ranges apply to converted data', async () => {
+      const createRes = await request(app)
+        .post('/v1/fragments')
+        .auth(testUser, testPassword)
+        .set('Content-Type', 'text/markdown')
+        .send('# Title');
+      const id = createRes.body.fragment.id;
+
+      const full = await request(app).get(`/v1/fragments/${id}.html`).auth(testUser, testPassword);
+      const res = await request(app)
+        .get(`/v1/fragments/${id}.html`)
+        .auth(testUser, testPassword)
+        .set('Range', 'bytes=0-3');
+
+      expect(res.statusCode).toBe(206);
+      expect(res.text).toBe('<h1>');
+      expect(res.headers['content-range']).toBe(`bytes 0-3/${full.text.length}`);
+    });
+  });
+
+  // Content negotiation
+  describe('Accept header', () => {
+    const createFragment = async (type, body) => {
+      const createRes = await request(app)
+        .post('/v1/fragments')
+        .auth(testUser, testPassword)
+        .set('Content-Type', type)
+        .send(body);
+      return createRes.body.fragment.id;
+    };
+
+    test('converts to the type the client asks for', async () => {
+      const id = await createFragment('text/markdown', '# Hello');
+      const res = await request(app)
+        .get(`/v1/fragments/${id}`)
+        .auth(testUser, testPassword)
+        .set('Accept', 'text/html');
+
+      expect(res.statusCode).toBe(200);
+      expect(res.headers['content-type']).toBe('text/html');
+      expect(res.headers.vary).toMatch(/Accept/);
+      expect(res.text).toContain('<h1>Hello</h1>');
+    });
+
+    test('honours q-values', async () => {
+      const id = await createFragment('text/markdown', '# Hello');
+      const res = await request(app)
+        .get(`/v1/fragments/${id}`)
+        .auth(testUser, testPassword)
+        .set('Accept', 'text/markdown;q=0.5, text/html');
+
+      expect(res.headers['content-type']).toBe('text/html');
+    });
+
+    test('prefers the original type for wildcards', async () => {
+      const id = await createFragment('text/markdown', '# Hello');
+
+      for (const accept of ['*/*', 'text/*']) {
+        const res = await request(app)
+          .get(`/v1/fragments/${id}`)
+          .auth(testUser, testPassword)
+          .set('Accept', accept);
+        expect(res.headers['content-type']).toBe('text/markdown');
+        expect(res.text).toBe('# Hello');
+      }
+    });
+
+    test('supports wildcards for other types', async () => {
+      const id = await createFragment('application/json', '{"a":1}');
+      const res = await request(app)
+        .get(`/v1/fragments/${id}`)
+        .auth(testUser, testPassword)
+        .set('Accept', 'application/yaml;q=0.1, image/*;q=0.9');
+
+      // There's no image conversion for JSON, so YAML is the only match
+      expect(res.statusCode).toBe(200);
+      expect(res.headers['content-type']).toBe('application/yaml');
+      expect(res.text).toContain('a: 1');
+    });
+
+    test('returns 406 with the available types when nothing matches', async () => {
+      const id = await createFragment('text/plain', 'Hello');
+      const res = await request(app)
+        .get(`/v1/fragments/${id}`)
+        .auth(testUser, testPassword)
+        .set('Accept', 'image/png');
+
+      expect(res.statusCode).toBe(406);
+      expect(res.body.status).toBe('error');
+      expect(res.body.formats).toContain('text/plain');
+      expect(res.body.formats).toContain('text/html');
+      expect(res.body.formats).not.toContain('image/png');
+    });
+
+    test('an extension takes precedence over Accept', async () => {
+      const id = await createFragment('text/markdown', '# Hello');
+      const res = await request(app)
+        .get(`/v1/fragments/${id}.md`)
+        .auth(testUser, testPassword)
+        .set('Accept', 'text/html');
+
+      expect(res.headers['content-type']).toBe('text/markdown');
+    });
+
+    test('ids containing dots are not mistaken for extensions', async () => {
+      const { Fragment } = require('../../src/model/fragment');
+      const hash = require('../../src/hash');
+      const fragment = new Fragment({ id: 'notes.v2', ownerId: hash(testUser), type: 'text/markdown' });
+      await fragment.save();
+      await fragment.setData(Buffer.from('# Notes'));
+
+      const res = await request(app)
+        .get('/v1/fragments/notes.v2')
+        .auth(testUser, testPassword)
+        .set('Accept', 'text/html');
+
+      expect(res.statusCode).toBe(200);
+      expect(res.headers['content-type']).toBe('text/html');
+      expect(res.text).toContain('<h1>Notes</h1>');
+
+      const converted = await request(app)
+        .get('/v1/fragments/notes.v2.html')
+        .auth(testUser, testPassword);
+      expect(converted.statusCode).toBe(200);
+      expect(converted.headers['content-type']).toBe('text/html');
+    });
+  });
+
+  describe('image transforms', () => {
+    const sharp = require('sharp');
+    let id;
+
+    beforeAll(async () => {
+      const png = await sharp({
+        create: { width: 64, height: 32, channels: 3, background: { r: 0, g: 128, b: 255 } },
+      })
+        .png()
+        .toBuffer();
+      const createRes = await request(app)
+        .post('/v1/fragments')
+        .auth(testUser, testPassword)
+        .set('Content-Type', 'image/png')
+        .send(png);
+      id = createRes.body.fragment.id;
+    });
+
+    const get = (path) =>
+      request(app)
+        .get(path)
+        .auth(testUser, testPassword)
+        .buffer(true)
+        .parse((res, callback) => {
+          const chunks = [];
+          res.on('data', (chunk) => chunks.push(chunk));
+          res.on('end', () => callback(null, Buffer.concat(chunks)));
+        });
+
+    test('resizes without changing the type', async () => {
+      const res = await get(`/v1/fragments/${id}?w=16`);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.headers['content-type']).toBe('image/png');
+      const metadata = await sharp(res.body).metadata();
+      expect(metadata.format).toBe('png');
+      expect(metadata.width).toBe(16);
+      expect(metadata.height).toBe(8);
+    });
+
+    test('transforms while converting', async () => {
+      const res = await get(`/v1/fragments/${id}.jpg?w=10&h=10&fit=fill&quality=50&flip=h&blur=1`);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.headers['content-type']).toBe('image/jpeg');
+      const metadata = await sharp(res.body).metadata();
+      expect(metadata.format).toBe('jpeg');
+      expect(metadata.width).toBe(10);
+      expect(metadata.height).toBe(10);
+    });
+
+    test('crops and rotates', async () => {
+      const res = await get(`/v1/fragments/${id}?crop=0,0,30,20&rotate=90`);
+
+      const metadata = await sharp(res.body).metadata();
+      expect(metadata.width).toBe(20);
+      expect(metadata.height).toBe(30);
+    });
+
+    test('transformed images have their own ETag', async () => {
+      const original = await get(`/v1/fragments/${id}`);
+      const small = await get(`/v1/fragments/${id}?w=16`);
+      const smaller = await get(`/v1/fragments/${id}?w=8`);
+
+      expect(small.headers.etag).not.toBe(original.headers.etag);
+      expect(smaller.headers.etag).not.toBe(small.headers.etag);
+    });
+
+    test.each([
+      'w=0',
+      'w=5000',
+      'h=abc',
+      'w=1.5',
+      'fit=squash',
+      'crop=1,2,3',
+      'crop=0,0,0,10',
+      'rotate=720',
+      'flip=sideways',
+      'quality=101',
+      'blur=0.1',
+      'blur=500',
+      'grayscale=maybe',
+    ])('rejects out of range or invalid values (%s)', async (query) => {
+      const res = await get(`/v1/fragments/${id}?${query}`);
+      expect(res.statusCode).toBe(400);
+    });
+
+    test.each([
+      ['avif', 'image/avif', 'heif'],
+      ['tiff', 'image/tiff', 'tiff'],
+    ])('converts to and from .%s', async (extension, type, format) => {
+      const res = await get(`/v1/fragments/${id}.${extension}?w=8`);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.headers['content-type']).toBe(type);
+      expect((await sharp(res.body).metadata()).format).toBe(format);
+
+      const createRes = await request(app)
+        .post('/v1/fragments')
+        .auth(testUser, testPassword)
+        .set('Content-Type', type)
+        .send(res.body);
+      const png = await get(`/v1/fragments/${createRes.body.fragment.id}.png`);
+      expect(png.headers['content-type']).toBe('image/png');
+      expect((await sharp(png.body).metadata()).width).toBe(8);
+    });
+
+    test('rasterizes SVG', async () => {
+      const createRes = await request(app)
+        .post('/v1/fragments')
+        .auth(testUser, testPassword)
+        .set('Content-Type', 'image/svg+xml')
+        .send('<svg xmlns="http://www.w3.org/2000/svg" width="20" height="10"><rect width="20" height="10" fill="red"/></svg>');
+      const svgId = createRes.body.fragment.id;
+
+      const res = await get(`/v1/fragments/${svgId}.png`);
+      expect(res.statusCode).toBe(200);
+      expect(res.headers['content-type']).toBe('image/png');
+      const metadata = await sharp(res.body).metadata();
+      expect(metadata.width).toBe(20);
+      expect(metadata.height).toBe(10);
+
+      const resized = await get(`/v1/fragments/${svgId}.webp?w=40`);
+      expect((await sharp(resized.body).metadata()).width).toBe(40);
+    });
+
+    test('a crop outside the image fails the conversion', async () => {
+      const res = await get(`/v1/fragments/${id}?crop=60,0,30,30`);
+      expect(res.statusCode).toBe(415);
+    });
+  });
 });
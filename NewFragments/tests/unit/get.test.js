@@ -57,6 +57,19 @@ describe('GET /v1/fragments', () => {
     }
   });
 
+  test('GET /fragments with expand=1 includes the formats each fragment can be converted to', async () => {
+    await request(app)
+      .post('/v1/fragments')
+      .auth('user1@email.com', 'password1')
+      .set('Content-Type', 'text/markdown')
+      .send('# Hello');
+
+    const res = await request(app).get('/v1/fragments?expand=1').auth('user1@email.com', 'password1');
+    const fragment = res.body.fragments.find(({ type }) => type === 'text/markdown');
+    expect(fragment.formats[0]).toBe('text/markdown');
+    expect(fragment.formats).toContain('text/html');
+  });
+
   test('GET /fragments with expand=true also works', async () => {
     const res = await request(app).get('/v1/fragments?expand=true').auth('user1@email.com', 'password1');
     expect(res.statusCode).toBe(200);
@@ -71,5 +84,150 @@ describe('GET /v1/fragments', () => {
     expect(Array.isArray(res.body.fragments)).toBe(true);
   });
 
-  // TODO: we'll need to add tests to check the contents of the fragments array later
+  describe('pagination, filtering and sorting', () => {
+    const user = ['user2@email.com', 'password2'];
+    const created = [];
+
+    // Wait for a few ms so each fragment gets a distinct created/updated time
+    const wait = async (ms = 10) => new Promise((resolve) => setTimeout(resolve, ms));
+
+    const post = async (type, body) => {
+      const res = await request(app)
+        .post('/v1/fragments')
+        .auth(...user)
+        .set('Content-Type', type)
+        .send(body);
+      expect(res.statusCode).toBe(201);
+      created.push(res.body.fragment);
+      await wait();
+      return res.body.fragment;
+    };
+
+    beforeAll(async () => {
+      await post('text/plain', 'aaaa');
+      await post('text/markdown', '# a');
+      await post('application/json', '{"a":1,"b":2}');
+      await post(
+        'image/png',
+        Buffer.from(
+          'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNk+M9QDwADhgGAWjR9awAAAABJRU5ErkJggg==',
+          'base64'
+        )
+      );
+      await post('text/plain; charset=utf-8', 'aa');
+    });
+
+    test('responses include a null next cursor when there are no more results', async () => {
+      const res = await request(app).get('/v1/fragments').auth(...user);
+      expect(res.statusCode).toBe(200);
+      expect(res.body.fragments).toHaveLength(created.length);
+      expect(res.body.next).toBeNull();
+    });
+
+    test('limit and cursor page through every fragment exactly once', async () => {
+      const seen = [];
+      let next;
+      do {
+        const res = await request(app)
+          .get('/v1/fragments')
+          .query(next ? { limit: 2, cursor: next } : { limit: 2 })
+          .auth(...user);
+        expect(res.statusCode).toBe(200);
+        expect(res.body.fragments.length).toBeLessThanOrEqual(2);
+        seen.push(...res.body.fragments);
+        next = res.body.next;
+      } while (next);
+
+      expect(seen).toHaveLength(created.length);
+      expect([...seen].sort()).toEqual(created.map((fragment) => fragment.id).sort());
+    });
+
+    test('type filters match exact types, ignoring charset', async () => {
+      const res = await request(app).get('/v1/fragments?type=text/plain&expand=1').auth(...user);
+      expect(res.statusCode).toBe(200);
+      expect(res.body.fragments).toHaveLength(2);
+      res.body.fragments.forEach((fragment) => expect(fragment.type).toMatch(/^text\/plain/));
+    });
+
+    test('type filters support wildcards and lists', async () => {
+      const text = await request(app).get('/v1/fragments?type=text/*').auth(...user);
+      expect(text.body.fragments).toHaveLength(3);
+
+      const mixed = await request(app)
+        .get('/v1/fragments?type=image/*,application/json')
+        .auth(...user);
+      expect(mixed.body.fragments).toHaveLength(2);
+    });
+
+    test('createdAfter and updatedBefore filter by date', async () => {
+      const after = await request(app)
+        .get('/v1/fragments')
+        .query({ createdAfter: created[2].created })
+        .auth(...user);
+      expect(after.body.fragments).toEqual(created.slice(3).map((f) => f.id).sort());
+
+      const before = await request(app)
+        .get('/v1/fragments')
+        .query({ updatedBefore: created[2].updated })
+        .auth(...user);
+      expect(before.body.fragments.sort()).toEqual(created.slice(0, 2).map((f) => f.id).sort());
+    });
+
+    test('sort=size orders fragments by size', async () => {
+      const res = await request(app).get('/v1/fragments?sort=size&expand=1').auth(...user);
+      const sizes = res.body.fragments.map((fragment) => fragment.size);
+      expect(sizes).toEqual([...sizes].sort((a, b) => a - b));
+    });
+
+    test('sort=created pages in creation order', async () => {
+      const first = await request(app).get('/v1/fragments?sort=created&limit=3').auth(...user);
+      expect(first.body.fragments).toEqual(created.slice(0, 3).map((f) => f.id));
+
+      const second = await request(app)
+        .get('/v1/fragments')
+        .query({ sort: 'created', limit: 3, cursor: first.body.next })
+        .auth(...user);
+      expect(second.body.fragments).toEqual(created.slice(3).map((f) => f.id));
+      expect(second.body.next).toBeNull();
+    });
+
+    test.each([
+      ['limit=0'],
+      ['limit=abc'],
+      ['limit=1001'],
+      ['sort=name'],
+      ['type=plain'],
+      ['createdAfter=not-a-date'],
+      ['cursor=garbage'],
+    ])('invalid query %s returns 400', async (query) => {
+      const res = await request(app).get(`/v1/fragments?${query}`).auth(...user);
+      expect(res.statusCode).toBe(400);
+      expect(res.body.status).toBe('error');
+    });
+
+    // Cursors are opaque, but a client could still make one up
+    const cursor = (position) => Buffer.from(JSON.stringify(position)).toString('base64url');
+    test.each([
+      ['created', 'abc'],
+      ['created', 1e20],
+      ['updated', null],
+      ['size', '10'],
+      ['id', 1],
+    ])('a %s cursor with the value %p returns 400', async (sort, value) => {
+      const res = await request(app)
+        .get('/v1/fragments')
+        .query({ sort, cursor: cursor({ s: sort, v: value, id: 'a' }) })
+        .auth(...user);
+      expect(res.statusCode).toBe(400);
+    });
+
+    test('a cursor cannot be reused with a different sort order', async () => {
+      const first = await request(app).get('/v1/fragments?limit=1').auth(...user);
+      const res = await request(app)
+        .get('/v1/fragments')
+        .query({ sort: 'size', cursor: first.body.next })
+        .auth(...user);
+      expect(res.statusCode).toBe(400);
+    });
+  });
 });
\ No newline at end of file
@@ -0,0 +1,104 @@
+// tests/unit/html.test.js
+const MarkdownIt = require('markdown-it');
+const { htmlToMarkdown, htmlToText } = require('../../src/model/converters/html');
+
+const md = new MarkdownIt();
+
+describe('HTML to Markdown', () => {
+  test('keeps headings, emphasis, code and links', () => {
+    expect(
+      htmlToMarkdown(
+        '<h2>Title</h2><p>Some <strong>bold</strong>, <em>em</em>, <code>x()</code> and <a href="https://example.com">a link</a>.</p>'
+      )
+    ).toBe('## Title\n\nSome **bold**, *em*, `x()` and [a link](https://example.com).');
+  });
+
+  test('keeps nested and numbered lists', () => {
+    expect(
+      htmlToMarkdown('<ul><li>one<ul><li>nested</li></ul></li><li>two</li></ul><ol start="3"><li>three</li></ol>')
+    ).toBe('- one\n  - nested\n- two\n\n3. three');
+  });
+
+  test('keeps tables and code blocks', () => {
+    expect(
+      htmlToMarkdown(
+        '<table><tr><th>a</th><th>b</th></tr><tr><td>1</td><td>x | y</td></tr></table>' +
+          '<pre><code class="language-js">if (a &lt; b) {}\n</code></pre>'
+      )
+    ).toBe('| a | b |\n| --- | --- |\n| 1 | x \\| y |\n\n```js\nif (a < b) {}\n```');
+  });
+
+  test('decodes entities and escapes Markdown syntax in text', () => {
+    expect(htmlToMarkdown('<p>Fish &amp; chips *not em* &lt;tag&gt;</p><p># not a heading</p>')).toBe(
+      'Fish & chips \\*not em\\* \\<tag>\n\n\\# not a heading'
+    );
+  });
+
+  test('drops scripts, styles and the head', () => {
+    expect(
+      htmlToMarkdown('<html><head><title>T</title><style>p {}</style></head><body><p>Hi</p><script>alert(1)</script></body></html>')
+    ).toBe('Hi');
+  });
+
+  test('round trips with markdown-it', () => {
+    const source = [
+      '# Title *here*',
+      '',
+      'Some **bold** text with `code`, a [link](https://example.com "Example") & <stuff>.',
+      '',
+      '- one',
+      '- two',
+      '  - nested',
+      '',
+      '> quoted',
+      '>',
+      '> 1. in a quote',
+      '',
+      '```js',
+      'const a = 1 < 2;',
+      '```',
+      '',
+      '| a | b |',
+      '| --- | --- |',
+      '| 1 | 2 |',
+      '',
+      '---',
+      '',
+      'Line one\\',
+      'line two',
+      '',
+      '![alt text](img.png)',
+    ].join('\n');
+    const html = md.render(source);
+
+    expect(md.render(htmlToMarkdown(html))).toBe(html);
+  });
+});
+
+describe('HTML to text', () => {
+  test('keeps line breaks, paragraphs and list bullets', () => {
+    expect(
+      htmlToText('<h1>Title</h1><p>Line one<br>line two</p><ul><li>one</li><li>two<ol><li>sub</li></ol></li></ul>')
+    ).toBe('Title\n\nLine one\nline two\n\n- one\n- two\n  1. sub');
+  });
+
+  test('decodes entities and collapses whitespace', () => {
+    expect(htmlToText('<p>  Fish\n   &amp;&nbsp;chips  </p>')).toBe('Fish &\u00a0chips');
+  });
+
+  test('keeps where links go', () => {
+    expect(htmlToText('<p><a href="https://example.com">Example</a> <a href="/local">here</a></p>')).toBe(
+      'Example (https://example.com) here'
+    );
+  });
+
+  test('lines up table columns', () => {
+    expect(htmlToText('<table><tr><td>a</td><td>b</td></tr><tr><td>long</td><td>c</td></tr></table>')).toBe(
+      'a     b\nlong  c'
+    );
+  });
+
+  test('keeps preformatted text as-is', () => {
+    expect(htmlToText('<pre>  indented\n    more</pre>')).toBe('  indented\n    more');
+  });
+});
@@ -0,0 +1,84 @@
+// tests/unit/idempotency.test.js
+jest.mock('../../src/model/data', () => {
+  const actual = jest.requireActual('../../src/model/data');
+  return { ...actual, writeIdempotencyKey: jest.fn(actual.writeIdempotencyKey) };
+});
+
+const data = require('../../src/model/data');
+const idempotency = require('../../src/model/idempotency');
+
+describe('idempotency', () => {
+  const ownerId = 'owner';
+  let counter = 0;
+  const newKey = () => `unit-key-${counter++}`;
+
+  test('isValidKey() accepts 1-255 visible ASCII characters', () => {
+    expect(idempotency.isValidKey('abc-123_XYZ')).toBe(true);
+    expect(idempotency.isValidKey('')).toBe(false);
+    expect(idempotency.isValidKey('has space')).toBe(false);
+    expect(idempotency.isValidKey('é')).toBe(false);
+    expect(idempotency.isValidKey('x'.repeat(256))).toBe(false);
+  });
+
+  test('fingerprint() depends on the type and body', () => {
+    const body = Buffer.from('data');
+    expect(idempotency.fingerprint('text/plain', body)).toBe(idempotency.fingerprint('text/plain', body));
+    expect(idempotency.fingerprint('text/plain', body)).not.toBe(
+      idempotency.fingerprint('text/markdown', body)
+    );
+    expect(idempotency.fingerprint('text/plain', body)).not.toBe(
+      idempotency.fingerprint('text/plain', Buffer.from('other'))
+    );
+  });
+
+  test('a key goes from new, to in-progress, to replay', async () => {
+    const key = newKey();
+    expect(await idempotency.begin(ownerId, key, 'a')).toEqual({ status: 'new' });
+    expect(await idempotency.begin(ownerId, key, 'a')).toEqual({ status: 'in-progress' });
+    expect(await idempotency.begin(ownerId, key, 'b')).toEqual({ status: 'mismatch' });
+
+    await idempotency.complete(ownerId, key, 'a', { body: { ok: true } });
+    expect(await idempotency.begin(ownerId, key, 'a')).toEqual({
+      status: 'replay',
+      response: { body: { ok: true } },
+    });
+  });
+
+  test('concurrent requests cannot both claim a key', async () => {
+    const key = newKey();
+    const results = await Promise.all([
+      idempotency.begin(ownerId, key, 'a'),
+      idempotency.begin(ownerId, key, 'a'),
+    ]);
+    expect(results.map(({ status }) => status).sort()).toEqual(['in-progress', 'new']);
+  });
+
+  test('release() lets a key be claimed again', async () => {
+    const key = newKey();
+    await idempotency.begin(ownerId, key, 'a');
+    await idempotency.release(ownerId, key);
+    expect(await idempotency.begin(ownerId, key, 'b')).toEqual({ status: 'new' });
+  });
+
+  test('complete() retries before giving up', async () => {
+    const key = newKey();
+    await idempotency.begin(ownerId, key, 'a');
+    data.writeIdempotencyKey.mockClear();
+    data.writeIdempotencyKey.mockRejectedValueOnce(new Error('db error'));
+
+    await idempotency.complete(ownerId, key, 'a', { body: { ok: true } });
+    expect(data.writeIdempotencyKey).toHaveBeenCalledTimes(2);
+    expect((await idempotency.begin(ownerId, key, 'a')).status).toBe('replay');
+
+    data.writeIdempotencyKey.mockClear();
+    data.writeIdempotencyKey.mockRejectedValue(new Error('db error'));
+    try {
+      await expect(idempotency.complete(ownerId, newKey(), 'a', {})).rejects.toThrow('db error');
+      expect(data.writeIdempotencyKey).toHaveBeenCalledTimes(3);
+    } finally {
+      data.writeIdempotencyKey.mockImplementation(
+        jest.requireActual('../../src/model/data').writeIdempotencyKey
+      );
+    }
+  });
+});
@@ -0,0 +1,79 @@
+// tests/unit/image-metadata.test.js
+const sharp = require('sharp');
+const { readImageMetadata } = require('../../src/model/image-metadata');
+
+describe('readImageMetadata()', () => {
+  const create = (options = {}) =>
+    sharp({
+      create: { width: 30, height: 20, channels: 4, background: { r: 255, g: 0, b: 0, alpha: 0.5 } },
+      ...options,
+    });
+
+  test('reads dimensions and colour info', async () => {
+    const image = await readImageMetadata(await create().png().toBuffer());
+    expect(image).toEqual({ width: 30, height: 20, colorSpace: 'srgb', hasAlpha: true, frames: 1 });
+  });
+
+  test('reads the orientation and selected EXIF fields', async () => {
+    const jpeg = await create()
+      .withExif({
+        IFD0: { Make: 'Canon', Model: 'EOS 5D' },
+        IFD2: { DateTimeOriginal: '2024:05:06 07:08:09' },
+        IFD3: {
+          GPSLatitudeRef: 'N',
+          GPSLatitude: '43/1 39/1 3000/100',
+          GPSLongitudeRef: 'W',
+          GPSLongitude: '79/1 23/1 0/1',
+          GPSAltitude: '76/1',
+        },
+      })
+      .withMetadata({ orientation: 6 })
+      .jpeg()
+      .toBuffer();
+
+    const image = await readImageMetadata(jpeg);
+    expect(image.hasAlpha).toBe(false);
+    expect(image.orientation).toBe(6);
+    expect(image.exif).toEqual({
+      make: 'Canon',
+      model: 'EOS 5D',
+      taken: '2024-05-06T07:08:09.000Z',
+      gps: { latitude: 43.658333, longitude: -79.383333, altitude: 76 },
+    });
+  });
+
+  test('can read the EXIF fields from another copy of the image, leaving out GPS', async () => {
+    const original = await create()
+      .withExif({
+        IFD0: { Make: 'Canon' },
+        IFD3: { GPSLatitudeRef: 'N', GPSLatitude: '43/1 39/1 0/1' },
+      })
+      .jpeg()
+      .toBuffer();
+    const stripped = await sharp(original).jpeg().toBuffer();
+
+    expect((await readImageMetadata(stripped)).exif).toBeUndefined();
+    expect((await readImageMetadata(stripped, { exifFrom: original })).exif).toEqual({
+      make: 'Canon',
+      gps: { latitude: 43.65 },
+    });
+    expect((await readImageMetadata(stripped, { exifFrom: original, gps: false })).exif).toEqual({
+      make: 'Canon',
+    });
+  });
+
+  test('counts the frames of animated images', async () => {
+    const frames = await Promise.all(
+      ['red', 'green', 'blue'].map((background) =>
+        sharp({ create: { width: 30, height: 20, channels: 3, background } }).png().toBuffer()
+      )
+    );
+    const gif = await sharp(frames, { join: { animated: true } }).gif().toBuffer();
+
+    expect((await readImageMetadata(gif)).frames).toBe(3);
+  });
+
+  test('returns undefined for data that is not an image', async () => {
+    expect(await readImageMetadata(Buffer.from('not an image'))).toBeUndefined();
+  });
+});
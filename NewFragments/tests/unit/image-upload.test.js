@@ -0,0 +1,67 @@
+// tests/unit/image-upload.test.js
+const sharp = require('sharp');
+const exifReader = require('exif-reader');
+const { processImageUpload } = require('../../src/model/image-upload');
+
+// A 30x20 photo, stored sideways with an EXIF orientation of 6 (rotate 90 degrees to display)
+const photo = () =>
+  sharp({ create: { width: 30, height: 20, channels: 3, background: { r: 200, g: 100, b: 50 } } })
+    .withExif({
+      IFD0: { Make: 'Phone', Model: 'X', BodySerialNumber: '12345' },
+      IFD3: { GPSLatitudeRef: 'N', GPSLatitude: '43/1 39/1 0/1' },
+    })
+    .withMetadata({ orientation: 6 })
+    .jpeg()
+    .toBuffer();
+
+describe('processImageUpload()', () => {
+  test('applies the EXIF orientation and strips the metadata', async () => {
+    const processed = await processImageUpload(await photo(), 'image/jpeg');
+    const metadata = await sharp(processed).metadata();
+
+    expect(metadata.format).toBe('jpeg');
+    expect(metadata.width).toBe(20);
+    expect(metadata.height).toBe(30);
+    expect(metadata.orientation).toBeUndefined();
+    expect(metadata.exif).toBeUndefined();
+  });
+
+  test('leaves images without metadata unchanged', async () => {
+    const png = await sharp({
+      create: { width: 4, height: 4, channels: 4, background: { r: 0, g: 0, b: 0, alpha: 0 } },
+    })
+      .png()
+      .toBuffer();
+    expect(await processImageUpload(png, 'image/png')).toBe(png);
+  });
+
+  test('strips metadata without losing PNG colours', async () => {
+    const png = await sharp({
+      create: { width: 4, height: 4, channels: 3, background: { r: 1, g: 2, b: 3 } },
+    })
+      .withExif({ IFD0: { Make: 'Scanner' } })
+      .png()
+      .toBuffer();
+
+    const processed = await processImageUpload(png, 'image/png');
+    expect((await sharp(processed).metadata()).exif).toBeUndefined();
+    const { data } = await sharp(processed).raw().toBuffer({ resolveWithObject: true });
+    expect([...data.subarray(0, 3)]).toEqual([1, 2, 3]);
+  });
+
+  test('leaves SVG unchanged', async () => {
+    const svg = Buffer.from('<svg></svg>');
+    expect(await processImageUpload(svg, 'image/svg+xml')).toBe(svg);
+  });
+
+  test('rejects data it cannot read as an image', async () => {
+    await expect(processImageUpload(Buffer.from('not really an image'), 'image/png')).rejects.toThrow(
+      'Invalid image data for image/png'
+    );
+  });
+
+  test('the photo really has the metadata we strip', async () => {
+    const { exif } = await sharp(await photo()).metadata();
+    expect(exifReader(exif).Image.Make).toBe('Phone');
+  });
+});
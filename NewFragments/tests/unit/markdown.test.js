@@ -0,0 +1,60 @@
+// tests/unit/markdown.test.js
+const converters = require('../../src/model/converters');
+const { render } = require('../../src/model/converters/markdown');
+
+describe('Markdown converter', () => {
+  const toText = async (markdown, options) =>
+    (await converters.convert(Buffer.from(markdown), 'text/markdown', 'text/plain', options)).toString();
+
+  test('renders Markdown as plain text, not the raw source', async () => {
+    expect(
+      await toText('# Title\n\nSome **bold** and [a link](https://example.com).\n\n* one\n* two\n')
+    ).toBe('Title\n\nSome bold and a link (https://example.com).\n\n- one\n- two');
+  });
+
+  test('keeps code blocks as-is in plain text', async () => {
+    expect(await toText('```\n  indented **code**\n```')).toBe('  indented **code**');
+  });
+
+  test('renders tables by default, but they can be turned off', () => {
+    const table = '| a |\n| --- |\n| 1 |';
+    expect(render(table)).toContain('<table>');
+    expect(render(table, { tables: false })).not.toContain('<table>');
+  });
+
+  test('task lists are rendered as checkboxes when turned on', async () => {
+    const tasks = '- [ ] todo\n- [x] done';
+    expect(render(tasks)).not.toContain('checkbox');
+    expect(render(tasks, { taskLists: true })).toMatch(/<input[^>]*checked[^>]*type="checkbox">/);
+    expect(await toText(tasks, { taskLists: true })).toBe('- [ ] todo\n- [x] done');
+  });
+
+  test('footnotes are rendered when turned on', () => {
+    const note = 'Text[^1]\n\n[^1]: The note.';
+    expect(render(note)).not.toContain('footnote');
+    expect(render(note, { footnotes: true })).toContain('class="footnotes"');
+  });
+
+  test('headings get ids when anchors are turned on', () => {
+    expect(render('# Hello World')).toBe('<h1>Hello World</h1>\n');
+    expect(render('# Hello World', { anchors: true })).toContain('id="hello-world"');
+  });
+
+  test('a table of contents replaces [[toc]], or goes at the top', () => {
+    const withMarker = render('Intro\n\n[[toc]]\n\n# One\n\n## Two', { toc: true });
+    expect(withMarker.indexOf('<p>Intro</p>')).toBeLessThan(withMarker.indexOf('table-of-contents'));
+    expect(withMarker).toContain('<a href="#two">Two</a>');
+
+    const withoutMarker = render('# One', { toc: true });
+    expect(withoutMarker.startsWith('<nav class="table-of-contents">')).toBe(true);
+    expect(withoutMarker).toContain('id="one"');
+  });
+
+  test('fenced code blocks are highlighted when turned on', () => {
+    const code = '```js\nconst a = 1;\n```';
+    expect(render(code)).toBe('<pre><code class="language-js">const a = 1;\n</code></pre>\n');
+    expect(render(code, { highlight: true })).toContain('<span class="hljs-keyword">const</span>');
+    // Unknown languages are still escaped
+    expect(render('```nope\n<b>\n```', { highlight: true })).toContain('&lt;b&gt;');
+  });
+});
@@ -1,3 +1,6 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 // Fix this path to point to your project's `memory-db.js` source file
 const MemoryDB = require('../../src/model/data/memory/memory-db');
 
@@ -88,3 +91,132 @@ describe('memory-db', () => {
     expect(async () => await db.del(1, 1)).rejects.toThrow();
   });
 });
+
+describe('memory-db snapshots', () => {
+  let dir;
+  let file;
+  let db;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'memory-db-'));
+    file = path.join(dir, 'db.json');
+    db = new MemoryDB({ file });
+  });
+
+  afterEach(() => {
+    db.close();
+    jest.useRealTimers();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  // Load the file again, without closing the current db (i.e., as if we crashed)
+  const reopen = () => new MemoryDB({ file });
+
+  test('changes survive a crash, using the journal', async () => {
+    await db.put('a', 'a', { value: 1 });
+    await db.put('a', 'b', 'two');
+    await db.put('b', 'c', [3]);
+    await db.del('a', 'a');
+    await db.delAll('b');
+    expect(fs.readFileSync(`${file}.journal`, 'utf8').split('\n')).toHaveLength(6);
+
+    const reopened = reopen();
+    expect(reopened.db).toEqual({ a: { b: 'two' } });
+    reopened.close();
+  });
+
+  test('Buffers round-trip through the journal and the snapshot', async () => {
+    const data = Buffer.from([0, 1, 2, 254, 255]);
+    await db.put('a', 'b', data);
+    await db.put('a', 'c', { nested: Buffer.from('hello'), json: '{"$buffer":"aGk="}' });
+
+    const fromJournal = reopen();
+    expect(await fromJournal.get('a', 'b')).toEqual(data);
+    expect(Buffer.isBuffer(await fromJournal.get('a', 'b'))).toBe(true);
+    fromJournal.close();
+
+    // Reopening wrote a snapshot, and emptied the journal
+    expect(fs.readFileSync(`${file}.journal`, 'utf8')).toBe('');
+    const fromSnapshot = reopen();
+    expect(await fromSnapshot.get('a', 'b')).toEqual(data);
+    expect(await fromSnapshot.get('a', 'c')).toEqual({
+      nested: Buffer.from('hello'),
+      json: '{"$buffer":"aGk="}',
+    });
+    fromSnapshot.close();
+  });
+
+  test('snapshot() writes everything to the file and empties the journal', async () => {
+    await db.put('a', 'b', 1);
+    db.snapshot();
+
+    expect(fs.readFileSync(`${file}.journal`, 'utf8')).toBe('');
+    expect(JSON.parse(fs.readFileSync(file, 'utf8'))).toEqual({ version: 1, db: { a: { b: 1 } } });
+  });
+
+  test('snapshots are written periodically', async () => {
+    db.close();
+    jest.useFakeTimers();
+    db = new MemoryDB({ file, interval: 1000 });
+
+    await db.put('a', 'b', 1);
+    expect(fs.readFileSync(`${file}.journal`, 'utf8')).not.toBe('');
+    jest.advanceTimersByTime(1000);
+    expect(fs.readFileSync(`${file}.journal`, 'utf8')).toBe('');
+    expect(JSON.parse(fs.readFileSync(file, 'utf8')).db).toEqual({ a: { b: 1 } });
+  });
+
+  test('the journal is replayed on top of the snapshot', async () => {
+    await db.put('a', 'b', 1);
+    db.snapshot();
+    await db.put('a', 'b', 2);
+    await db.clear();
+    await db.put('c', 'd', 3);
+
+    const reopened = reopen();
+    expect(reopened.db).toEqual({ c: { d: 3 } });
+    reopened.close();
+  });
+
+  test('a partly written journal entry is ignored', async () => {
+    await db.put('a', 'b', 1);
+    fs.appendFileSync(`${file}.journal`, '["put","a","c"');
+
+    const reopened = reopen();
+    expect(reopened.db).toEqual({ a: { b: 1 } });
+    reopened.close();
+  });
+
+  test('a journal with only a partly written entry is emptied before the next change', async () => {
+    await db.put('a', 'b', 1);
+    db.snapshot();
+    fs.appendFileSync(`${file}.journal`, '["put","a","c"');
+
+    const reopened = reopen();
+    await reopened.put('a', 'd', 2);
+
+    const again = reopen();
+    expect(again.db).toEqual({ a: { b: 1, d: 2 } });
+    again.close();
+    reopened.close();
+  });
+
+  test('a corrupt snapshot is an error, rather than losing everything', async () => {
+    await db.put('a', 'b', 1);
+    db.snapshot();
+    fs.writeFileSync(file, '{"version":1,');
+
+    expect(reopen).toThrow(`unable to read MemoryDB snapshot ${file}`);
+  });
+
+  test('close() writes a snapshot, and stops saving changes', async () => {
+    await db.put('a', 'b', 1);
+    db.close();
+    await db.put('a', 'c', 2);
+
+    expect(fs.readFileSync(`${file}.journal`, 'utf8')).toBe('');
+    const reopened = reopen();
+    expect(reopened.db).toEqual({ a: { b: 1 } });
+    reopened.close();
+  });
+});
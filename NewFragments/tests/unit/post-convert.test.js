@@ -0,0 +1,107 @@
+// tests/unit/post-convert.test.js
+const request = require('supertest');
+const sharp = require('sharp');
+const app = require('../../src/app');
+const hash = require('../../src/hash');
+
+describe('POST /v1/fragments/:id/convert', () => {
+  const testUser = 'user1@email.com';
+  const testPassword = 'password1';
+
+  const createFragment = async (type, body) => {
+    const res = await request(app)
+      .post('/v1/fragments')
+      .auth(testUser, testPassword)
+      .set('Content-Type', type)
+      .send(body);
+    return res.body.fragment;
+  };
+
+  const convert = (id, body, query = '') =>
+    request(app).post(`/v1/fragments/${id}/convert${query}`).auth(testUser, testPassword).send(body);
+
+  test('unauthenticated requests are denied', () =>
+    request(app).post('/v1/fragments/some-id/convert').send({ type: 'text/html' }).expect(401));
+
+  test('saves the converted data as a new fragment', async () => {
+    const source = await createFragment('text/markdown', '# Hello');
+    const res = await convert(source.id, { type: 'text/html' });
+
+    expect(res.status).toBe(201);
+    expect(res.body.status).toBe('ok');
+    const { fragment } = res.body;
+    expect(fragment.id).not.toBe(source.id);
+    expect(fragment.ownerId).toBe(hash(testUser));
+    expect(fragment.type).toBe('text/html');
+    expect(fragment.source).toEqual({ id: source.id, version: 1, type: 'text/markdown' });
+    expect(res.headers.location).toMatch(new RegExp(`/v1/fragments/${fragment.id}$`));
+    expect(res.headers.etag).toBe(fragment.etag);
+
+    const data = await request(app).get(`/v1/fragments/${fragment.id}`).auth(testUser, testPassword);
+    expect(data.headers['content-type']).toContain('text/html');
+    expect(data.text).toBe('<h1>Hello</h1>\n');
+    expect(fragment.size).toBe(Buffer.byteLength(data.text));
+
+    // The source is recorded in the new fragment's metadata
+    const info = await request(app)
+      .get(`/v1/fragments/${fragment.id}/info`)
+      .auth(testUser, testPassword);
+    expect(info.body.fragment.source.id).toBe(source.id);
+
+    // and the original is unchanged
+    const original = await request(app).get(`/v1/fragments/${source.id}`).auth(testUser, testPassword);
+    expect(original.text).toBe('# Hello');
+  });
+
+  test('uses conversion options from the query string', async () => {
+    const png = await sharp({ create: { width: 40, height: 20, channels: 3, background: 'red' } })
+      .png()
+      .toBuffer();
+    const source = await createFragment('image/png', png);
+    const res = await convert(source.id, { type: 'image/webp' }, '?w=10');
+
+    expect(res.status).toBe(201);
+    expect(res.body.fragment.type).toBe('image/webp');
+    const info = await request(app)
+      .get(`/v1/fragments/${res.body.fragment.id}/info`)
+      .auth(testUser, testPassword);
+    expect(info.body.fragment.image.width).toBe(10);
+  });
+
+  test('requires a JSON body with the target type', async () => {
+    const source = await createFragment('text/plain', 'Hello');
+
+    expect((await convert(source.id, {})).status).toBe(400);
+    expect((await convert(source.id, 'text/html')).status).toBe(400);
+    expect((await convert(source.id, { type: 'not a type' })).status).toBe(400);
+  });
+
+  test('returns 400 for invalid conversion options', async () => {
+    const source = await createFragment('text/csv', 'a,b\n1,2');
+    const res = await convert(source.id, { type: 'application/json' }, '?delimiter=toolong');
+    expect(res.status).toBe(400);
+  });
+
+  test('returns 415 for unsupported types and conversions', async () => {
+    const source = await createFragment('text/plain', 'Hello');
+
+    const unsupported = await convert(source.id, { type: 'application/octet-stream' });
+    expect(unsupported.status).toBe(415);
+
+    const impossible = await convert(source.id, { type: 'image/png' });
+    expect(impossible.status).toBe(415);
+    expect(impossible.body.error.message).toBe('Cannot convert text/plain to image/png');
+  });
+
+  test('returns 404 for fragments that do not exist, or belong to someone else', async () => {
+    const res = await convert('no-such-fragment', { type: 'text/html' });
+    expect(res.status).toBe(404);
+
+    const source = await createFragment('text/plain', 'Hello');
+    const other = await request(app)
+      .post(`/v1/fragments/${source.id}/convert`)
+      .auth('user2@email.com', 'password2')
+      .send({ type: 'text/html' });
+    expect(other.status).toBe(404);
+  });
+});
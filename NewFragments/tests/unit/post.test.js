@@ -1,6 +1,13 @@
 const request = require('supertest');
 const app = require('../../src/app');
 const hash = require('../../src/hash');
+const sharp = require('sharp');
+
+// A small image in the given format (e.g., 'png')
+const image = (format) =>
+  sharp({ create: { width: 2, height: 2, channels: 3, background: 'blue' } })
+    .toFormat(format)
+    .toBuffer();
 
 describe('POST /v1/fragments', () => {
   const testUser = 'user1@email.com';
@@ -119,7 +126,7 @@ describe('POST /v1/fragments', () => {
     // NEW - test that image types are supported
     //Assignment 3
     test('image/png is supported', async() => {
-      const imageData = Buffer.from('Fake png image data');
+      const imageData = await image('png');
       const response = await request(app)
         .post('/v1/fragments')
         .auth(testUser, testPassword)
@@ -131,7 +138,7 @@ describe('POST /v1/fragments', () => {
       expect(response.body.fragment.size).toBe(imageData.length);
     });
     test('image/jpeg is supported', async () => {
-      const imageData = Buffer.from('fake jpeg image data');
+      const imageData = await image('jpeg');
       const response = await request(app)
         .post('/v1/fragments')
         .auth(testUser, testPassword)
@@ -144,7 +151,7 @@ describe('POST /v1/fragments', () => {
     });
     
     test('image/webp is supported', async () => {
-      const imageData = Buffer.from('fake webp image data');
+      const imageData = await image('webp');
       const response = await request(app)
         .post('/v1/fragments')
         .auth(testUser, testPassword)
@@ -157,7 +164,7 @@ describe('POST /v1/fragments', () => {
     });
 
     test('image/gif is supported', async () => {
-      const imageData = Buffer.from('fake gif image data');
+      const imageData = await image('gif');
       const response = await request(app)
         .post('/v1/fragments')
         .auth(testUser, testPassword)
@@ -169,6 +176,149 @@ describe('POST /v1/fragments', () => {
       expect(response.body.fragment.size).toBe(imageData.length);
     });
     
+    test.each(['image/avif', 'image/tiff'])('%s is supported', async (type) => {
+      const imageData = await image(type.split('/')[1]);
+      const response = await request(app)
+        .post('/v1/fragments')
+        .auth(testUser, testPassword)
+        .set('Content-Type', type)
+        .send(imageData);
+
+      expect(response.status).toBe(201);
+      expect(response.body.fragment.type).toBe(type);
+    });
+
+    test('image/svg+xml is supported, and sanitized', async () => {
+      const svg = '<svg xmlns="http://www.w3.org/2000/svg" onload="steal()"><script>steal()</script><circle r="1"/></svg>';
+      const response = await request(app)
+        .post('/v1/fragments')
+        .auth(testUser, testPassword)
+        .set('Content-Type', 'image/svg+xml')
+        .send(svg);
+
+      expect(response.status).toBe(201);
+      expect(response.body.fragment.type).toBe('image/svg+xml');
+
+      const data = await request(app)
+        .get(`/v1/fragments/${response.body.fragment.id}`)
+        .auth(testUser, testPassword)
+        .buffer(true)
+        .parse((res, callback) => {
+          let text = '';
+          res.on('data', (chunk) => (text += chunk));
+          res.on('end', () => callback(null, text));
+        });
+      const sanitized = '<svg xmlns="http://www.w3.org/2000/svg"><circle r="1"></circle></svg>';
+      expect(data.body).toBe(sanitized);
+      expect(response.body.fragment.size).toBe(sanitized.length);
+    });
+
+    describe('image processing', () => {
+      // Stored sideways, with an EXIF orientation saying to rotate it for display
+      const photo = () =>
+        sharp({ create: { width: 30, height: 20, channels: 3, background: 'red' } })
+          .withExif({ IFD3: { GPSLatitudeRef: 'N', GPSLatitude: '43/1 39/1 0/1' } })
+          .withMetadata({ orientation: 6 })
+          .jpeg()
+          .toBuffer();
+
+      const upload = async (data, headers = {}) => {
+        const response = await request(app)
+          .post('/v1/fragments')
+          .auth(testUser, testPassword)
+          .set('Content-Type', 'image/jpeg')
+          .set(headers)
+          .send(data);
+        const info = await request(app)
+          .get(`/v1/fragments/${response.body.fragment.id}/info`)
+          .auth(testUser, testPassword);
+        return { response, image: info.body.fragment.image };
+      };
+
+      test('images are rotated upright and stripped of metadata', async () => {
+        const data = await photo();
+        const { response, image } = await upload(data);
+
+        expect(response.status).toBe(201);
+        expect(response.body.fragment.size).not.toBe(data.length);
+        expect(image.width).toBe(20);
+        expect(image.height).toBe(30);
+        expect(image.orientation).toBeUndefined();
+        expect(image.exif).toBeUndefined();
+      });
+
+      test('the camera and date are kept from the uploaded EXIF data, but not its GPS coordinates', async () => {
+        const data = await sharp({ create: { width: 30, height: 20, channels: 3, background: 'red' } })
+          .withExif({
+            IFD0: { Make: 'Canon', Model: 'EOS 5D' },
+            IFD2: { DateTimeOriginal: '2024:05:06 07:08:09' },
+            IFD3: { GPSLatitudeRef: 'N', GPSLatitude: '43/1 39/1 0/1' },
+          })
+          .jpeg()
+          .toBuffer();
+        const { response, image } = await upload(data);
+
+        expect(response.status).toBe(201);
+        expect(image.exif).toEqual({
+          make: 'Canon',
+          model: 'EOS 5D',
+          taken: '2024-05-06T07:08:09.000Z',
+        });
+
+        // The stored image has none of it
+        const stored = await request(app)
+          .get(`/v1/fragments/${response.body.fragment.id}`)
+          .auth(testUser, testPassword)
+          .buffer(true)
+          .parse((res, callback) => {
+            const chunks = [];
+            res.on('data', (chunk) => chunks.push(chunk));
+            res.on('end', () => callback(null, Buffer.concat(chunks)));
+          });
+        expect((await sharp(stored.body).metadata()).exif).toBeUndefined();
+      });
+
+      test('images we cannot read are rejected, and nothing is stored', async () => {
+        const before = await request(app).get('/v1/fragments').auth(testUser, testPassword);
+        const response = await request(app)
+          .post('/v1/fragments')
+          .auth(testUser, testPassword)
+          .set('Content-Type', 'image/jpeg')
+          .send(Buffer.from('not really a jpeg'));
+
+        expect(response.status).toBe(415);
+        expect(response.body.error.message).toBe('Invalid image data');
+        const after = await request(app).get('/v1/fragments').auth(testUser, testPassword);
+        expect(after.body.fragments).toEqual(before.body.fragments);
+
+        // Not even as a fragment whose data was never set
+        const { Fragment } = require('../../src/model/fragment');
+        const data = require('../../src/model/data');
+        const save = jest.spyOn(Fragment.prototype, 'save');
+        try {
+          await request(app)
+            .post('/v1/fragments')
+            .auth(testUser, testPassword)
+            .set('Content-Type', 'image/png')
+            .send(Buffer.from('not really a png'));
+          const [created] = save.mock.contexts;
+          expect(await data.readFragment(testUserHashed, created.id)).toBeUndefined();
+        } finally {
+          save.mockRestore();
+        }
+      });
+
+      test('X-Image-Processing: none stores images as uploaded', async () => {
+        const data = await photo();
+        const { response, image } = await upload(data, { 'X-Image-Processing': 'none' });
+
+        expect(response.status).toBe(201);
+        expect(response.body.fragment.size).toBe(data.length);
+        expect(image.orientation).toBe(6);
+        expect(image.exif.gps.latitude).toBeCloseTo(43.65, 2);
+      });
+    });
+
     // Test that truly unsupported types are rejected
     test('unsupported content types are rejected', async () => {
       const response = await request(app)
@@ -450,4 +600,104 @@ describe('POST /v1/fragments', () => {
       expect(response2.body.fragment.ownerId).toBe(user2Hashed);
     });
   });
+
+  describe('Idempotency-Key', () => {
+    const { Fragment } = require('../../src/model/fragment');
+    const idempotency = require('../../src/model/idempotency');
+    let counter = 0;
+    const newKey = () => `key-${Date.now()}-${counter++}`;
+
+    const post = (key, body = testData, user = testUser, password = testPassword) =>
+      request(app)
+        .post('/v1/fragments')
+        .auth(user, password)
+        .set('Content-Type', 'text/plain')
+        .set('Idempotency-Key', key)
+        .send(body);
+
+    afterEach(() => {
+      delete process.env.IDEMPOTENCY_KEY_TTL;
+      jest.restoreAllMocks();
+    });
+
+    test('a retry with the same key and body returns the original response', async () => {
+      const key = newKey();
+      const first = await post(key);
+      const count = (await Fragment.byUser(testUserHashed)).length;
+      const retry = await post(key);
+
+      expect(first.status).toBe(201);
+      expect(retry.status).toBe(201);
+      expect(retry.body).toEqual(first.body);
+      expect(retry.headers.location).toBe(first.headers.location);
+      expect(retry.headers.etag).toBe(first.headers.etag);
+      expect(retry.headers['idempotent-replayed']).toBe('true');
+      expect(first.headers['idempotent-replayed']).toBeUndefined();
+
+      // The retry didn't create another fragment
+      expect(await Fragment.byUser(testUserHashed)).toHaveLength(count);
+    });
+
+    test('reusing a key with a different body returns 422', async () => {
+      const key = newKey();
+      await post(key, 'first body');
+      const response = await post(key, 'second body');
+
+      expect(response.status).toBe(422);
+      expect(response.body.status).toBe('error');
+    });
+
+    test('keys are per owner', async () => {
+      const key = newKey();
+      const first = await post(key);
+      const other = await post(key, testData, 'user2@email.com', 'password2');
+
+      expect(other.status).toBe(201);
+      expect(other.body.fragment.id).not.toBe(first.body.fragment.id);
+    });
+
+    test('keys are forgotten after IDEMPOTENCY_KEY_TTL seconds', async () => {
+      process.env.IDEMPOTENCY_KEY_TTL = '60';
+      const key = newKey();
+      const first = await post(key);
+
+      const now = Date.now();
+      jest.spyOn(Date, 'now').mockReturnValue(now + 61 * 1000);
+      const later = await post(key, 'a different body is fine now');
+
+      expect(later.status).toBe(201);
+      expect(later.body.fragment.id).not.toBe(first.body.fragment.id);
+    });
+
+    test('a failed request releases its key, so it can be retried', async () => {
+      const key = newKey();
+      jest.spyOn(Fragment.prototype, 'setData').mockRejectedValueOnce(new Error('db error'));
+      const failed = await post(key);
+      expect(failed.status).toBe(500);
+
+      const retry = await post(key);
+      expect(retry.status).toBe(201);
+    });
+
+    test('a key is kept if the fragment was created but its response was not saved', async () => {
+      const key = newKey();
+      jest.spyOn(idempotency, 'complete').mockRejectedValueOnce(new Error('db error'));
+      const before = await request(app).get('/v1/fragments').auth(testUser, testPassword);
+
+      const created = await post(key);
+      expect(created.status).toBe(201);
+
+      // A retry doesn't create another fragment
+      const retry = await post(key);
+      expect(retry.status).toBe(409);
+      const after = await request(app).get('/v1/fragments').auth(testUser, testPassword);
+      expect(after.body.fragments).toHaveLength(before.body.fragments.length + 1);
+      expect(after.body.fragments).toContain(created.body.fragment.id);
+    });
+
+    test('invalid keys are rejected', async () => {
+      expect((await post('')).status).toBe(400);
+      expect((await post('x'.repeat(256))).status).toBe(400);
+    });
+  });
 });
@@ -1,6 +1,8 @@
 const request = require('supertest');
 const app = require('../../src/app');
 const hash = require('../../src/hash');
+const data = require('../../src/model/data');
+const { Fragment } = require('../../src/model/fragment');
 
 describe('PUT /v1/fragments/:id', () => {
   const testUser = 'user1@email.com';
@@ -219,10 +221,15 @@ describe('PUT /v1/fragments/:id', () => {
   });
 
   describe('Image fragments', () => {
+    const sharp = require('sharp');
+    // A small PNG image, with nothing for us to strip
+    const png = (background = 'blue') =>
+      sharp({ create: { width: 2, height: 2, channels: 3, background } }).png().toBuffer();
+
     let imageFragmentId;
 
     beforeEach(async () => {
-      const imageData = Buffer.from('fake png image data');
+      const imageData = await png();
       const createResponse = await request(app)
         .post('/v1/fragments')
         .auth(testUser, testPassword)
@@ -234,7 +241,7 @@ describe('PUT /v1/fragments/:id', () => {
     });
 
     test('can update image fragment with same type', async () => {
-      const newImageData = Buffer.from('updated png image data');
+      const newImageData = await png('red');
       const response = await request(app)
         .put(`/v1/fragments/${imageFragmentId}`)
         .auth(testUser, testPassword)
@@ -246,6 +253,48 @@ describe('PUT /v1/fragments/:id', () => {
       expect(response.body.fragment.size).toBe(newImageData.length);
     });
 
+    test('images we cannot read are rejected, and the fragment is left alone', async () => {
+      const before = await request(app)
+        .get(`/v1/fragments/${imageFragmentId}/info`)
+        .auth(testUser, testPassword);
+
+      const response = await request(app)
+        .put(`/v1/fragments/${imageFragmentId}`)
+        .auth(testUser, testPassword)
+        .set('Content-Type', 'image/png')
+        .send(Buffer.from('not really a png'));
+      expect(response.status).toBe(415);
+      expect(response.body.error.message).toBe('Invalid image data');
+
+      const after = await request(app)
+        .get(`/v1/fragments/${imageFragmentId}/info`)
+        .auth(testUser, testPassword);
+      expect(after.body.fragment).toEqual(before.body.fragment);
+    });
+
+    test('updated images are stripped of metadata, unless X-Image-Processing: none', async () => {
+      const tagged = await sharp({ create: { width: 4, height: 4, channels: 3, background: 'blue' } })
+        .withExif({ IFD0: { Make: 'Camera' } })
+        .png()
+        .toBuffer();
+
+      const processed = await request(app)
+        .put(`/v1/fragments/${imageFragmentId}`)
+        .auth(testUser, testPassword)
+        .set('Content-Type', 'image/png')
+        .send(tagged);
+      expect(processed.status).toBe(200);
+      expect(processed.body.fragment.size).toBeLessThan(tagged.length);
+
+      const original = await request(app)
+        .put(`/v1/fragments/${imageFragmentId}`)
+        .auth(testUser, testPassword)
+        .set('Content-Type', 'image/png')
+        .set('X-Image-Processing', 'none')
+        .send(tagged);
+      expect(original.body.fragment.size).toBe(tagged.length);
+    });
+
     test('cannot change image fragment to different type', async () => {
       const response = await request(app)
         .put(`/v1/fragments/${imageFragmentId}`)
@@ -258,6 +307,110 @@ describe('PUT /v1/fragments/:id', () => {
     });
   });
 
+  describe('Type changes', () => {
+    const create = async (type, body) => {
+      const res = await request(app)
+        .post('/v1/fragments')
+        .auth(testUser, testPassword)
+        .set('Content-Type', type)
+        .send(body);
+      return res.body.fragment.id;
+    };
+
+    test('X-Allow-Type-Change lets a fragment change to a compatible type', async () => {
+      const id = await create('text/markdown', '# Hello');
+      const response = await request(app)
+        .put(`/v1/fragments/${id}`)
+        .auth(testUser, testPassword)
+        .set('Content-Type', 'text/html')
+        .set('X-Allow-Type-Change', 'true')
+        .send('<h1>Hello</h1>');
+
+      expect(response.status).toBe(200);
+      expect(response.body.fragment.id).toBe(id);
+      expect(response.body.fragment.type).toBe('text/html');
+
+      const data = await request(app).get(`/v1/fragments/${id}`).auth(testUser, testPassword);
+      expect(data.headers['content-type']).toContain('text/html');
+      expect(data.text).toBe('<h1>Hello</h1>');
+
+      // The history records the change
+      const versions = await request(app)
+        .get(`/v1/fragments/${id}/versions`)
+        .auth(testUser, testPassword);
+      expect(versions.body.versions[0]).toMatchObject({
+        version: 2,
+        type: 'text/html',
+        previousType: 'text/markdown',
+      });
+      expect(versions.body.versions[1].type).toBe('text/markdown');
+      expect(versions.body.versions[1].previousType).toBeUndefined();
+    });
+
+    test('image types can change too', async () => {
+      const sharp = require('sharp');
+      const png = await sharp({ create: { width: 2, height: 2, channels: 3, background: 'red' } })
+        .png()
+        .toBuffer();
+      const webp = await sharp(png).webp().toBuffer();
+      const id = await create('image/png', png);
+
+      const response = await request(app)
+        .put(`/v1/fragments/${id}`)
+        .auth(testUser, testPassword)
+        .set('Content-Type', 'image/webp')
+        .set('X-Allow-Type-Change', 'true')
+        .send(webp);
+
+      expect(response.status).toBe(200);
+      expect(response.body.fragment.type).toBe('image/webp');
+    });
+
+    test('incompatible type changes are rejected, even with X-Allow-Type-Change', async () => {
+      const id = await create('text/plain', 'Hello');
+      const response = await request(app)
+        .put(`/v1/fragments/${id}`)
+        .auth(testUser, testPassword)
+        .set('Content-Type', 'image/png')
+        .set('X-Allow-Type-Change', 'true')
+        .send(Buffer.from('png data'));
+
+      expect(response.status).toBe(400);
+      expect(response.body.error.message).toBe('Cannot change type from text/plain to image/png');
+    });
+
+    test.each([
+      ['application/json', '{"a":1}', 'text/html', '<p>a</p>'],
+      ['text/csv', 'a\n1', 'text/plain', 'a 1'],
+      ['text/plain', 'Hello', 'text/markdown', '# Hello'],
+    ])('%s cannot change to %s, which it only converts to indirectly or across families', async (from, body, to, update) => {
+      const id = await create(from, body);
+      const response = await request(app)
+        .put(`/v1/fragments/${id}`)
+        .auth(testUser, testPassword)
+        .set('Content-Type', to)
+        .set('X-Allow-Type-Change', 'true')
+        .send(update);
+
+      expect(response.status).toBe(400);
+      expect(response.body.error.message).toBe(`Cannot change type from ${from} to ${to}`);
+    });
+
+    test('charset changes are not recorded as type changes', async () => {
+      const id = await create('text/plain', 'Hello');
+      await request(app)
+        .put(`/v1/fragments/${id}`)
+        .auth(testUser, testPassword)
+        .set('Content-Type', 'text/plain; charset=utf-8')
+        .send('Hello again');
+
+      const versions = await request(app)
+        .get(`/v1/fragments/${id}/versions`)
+        .auth(testUser, testPassword);
+      expect(versions.body.versions[0].previousType).toBeUndefined();
+    });
+  });
+
   describe('Edge cases', () => {
     test('rejects invalid Content-Type header format', async () => {
       const response = await request(app)
@@ -337,4 +490,96 @@ describe('PUT /v1/fragments/:id', () => {
       expect(response.body.fragment.type).toBe('text/markdown');
     });
   });
-});
\ No newline at end of file
+
+  describe('Conditional updates', () => {
+    // The ETag of the fragment's data
+    const getETag = async () =>
+      (await request(app).get(`/v1/fragments/${fragmentId}`).auth(testUser, testPassword))
+        .headers.etag;
+
+    test('responses include the new ETag', async () => {
+      const before = await getETag();
+      const response = await request(app)
+        .put(`/v1/fragments/${fragmentId}`)
+        .auth(testUser, testPassword)
+        .set('Content-Type', 'text/plain')
+        .send(updatedData);
+
+      expect(response.status).toBe(200);
+      expect(response.headers.etag).toBeDefined();
+      expect(response.headers.etag).not.toBe(before);
+      expect(response.body.fragment.etag).toBe(response.headers.etag);
+      expect(await getETag()).toBe(response.headers.etag);
+    });
+
+    test('succeeds when If-Match matches the current ETag', async () => {
+      const response = await request(app)
+        .put(`/v1/fragments/${fragmentId}`)
+        .auth(testUser, testPassword)
+        .set('Content-Type', 'text/plain')
+        .set('If-Match', await getETag())
+        .send(updatedData);
+
+      expect(response.status).toBe(200);
+    });
+
+    test('returns 412 when If-Match does not match, and leaves the data alone', async () => {
+      const staleETag = await getETag();
+      await request(app)
+        .put(`/v1/fragments/${fragmentId}`)
+        .auth(testUser, testPassword)
+        .set('Content-Type', 'text/plain')
+        .send('someone else got here first');
+
+      const response = await request(app)
+        .put(`/v1/fragments/${fragmentId}`)
+        .auth(testUser, testPassword)
+        .set('Content-Type', 'text/plain')
+        .set('If-Match', staleETag)
+        .send(updatedData);
+
+      expect(response.status).toBe(412);
+      expect(response.body.status).toBe('error');
+
+      const data = await request(app).get(`/v1/fragments/${fragmentId}`).auth(testUser, testPassword);
+      expect(data.text).toBe('someone else got here first');
+    });
+
+    test('returns 412 when the fragment changes between the If-Match check and the write', async () => {
+      const setData = jest
+        .spyOn(Fragment.prototype, 'setData')
+        .mockRejectedValueOnce(new Error(`Fragment changed: ${fragmentId}`));
+      try {
+        const response = await request(app)
+          .put(`/v1/fragments/${fragmentId}`)
+          .auth(testUser, testPassword)
+          .set('Content-Type', 'text/plain')
+          .set('If-Match', await getETag())
+          .send(updatedData);
+
+        expect(response.status).toBe(412);
+        expect(setData).toHaveBeenCalledWith(
+          expect.any(Buffer),
+          expect.objectContaining({ ifUnchanged: true })
+        );
+      } finally {
+        setData.mockRestore();
+      }
+    });
+
+    test('works for fragments stored before we kept ETags', async () => {
+      const stored = await data.readFragment(testUserHashed, fragmentId);
+      delete stored.etag;
+      await data.writeFragment(stored);
+
+      const response = await request(app)
+        .put(`/v1/fragments/${fragmentId}`)
+        .auth(testUser, testPassword)
+        .set('Content-Type', 'text/plain')
+        .set('If-Match', await getETag())
+        .send(updatedData);
+
+      expect(response.status).toBe(200);
+    });
+  });
+});
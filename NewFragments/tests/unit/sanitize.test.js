@@ -0,0 +1,106 @@
+// tests/unit/sanitize.test.js
+const { sanitize, sanitizeOnWrite, sanitizeSvg } = require('../../src/sanitize');
+const { render } = require('../../src/model/converters/markdown');
+
+describe('sanitize()', () => {
+  afterEach(() => {
+    delete process.env.HTML_ALLOWED_TAGS;
+    delete process.env.HTML_ALLOWED_ATTRIBUTES;
+  });
+
+  test('removes scripts, event handlers and javascript: URLs', () => {
+    expect(
+      sanitize(
+        '<p onclick="steal()">Hi<script>steal()</script><a href="javascript:steal()">link</a><img src="x.png" onerror="steal()"></p>'
+      )
+    ).toBe('<p>Hi<a>link</a><img src="x.png" /></p>');
+  });
+
+  test('removes frames, styles and forms', () => {
+    expect(
+      sanitize('<iframe src="https://evil.com"></iframe><style>*{}</style><form><input type="text"></form>ok')
+    ).toBe('ok');
+  });
+
+  test('keeps everything the Markdown renderer produces', () => {
+    const html = render('# Title\n\n- [x] done\n\n| a |\n|--:|\n| 1 |\n\nNote[^1]\n\n[^1]: note', {
+      toc: true,
+      taskLists: true,
+      footnotes: true,
+    });
+    const sanitized = sanitize(html);
+
+    for (const fragment of [
+      'table-of-contents',
+      'id="title"',
+      'type="checkbox"',
+      'checked',
+      'style="text-align:right"',
+      'class="footnotes"',
+    ]) {
+      expect(sanitized).toContain(fragment);
+    }
+  });
+
+  test('task list checkboxes are always disabled', () => {
+    expect(sanitize('<input type="checkbox" checked>')).toBe('<input type="checkbox" checked disabled />');
+  });
+
+  test('the allow-list can be replaced with environment variables', () => {
+    process.env.HTML_ALLOWED_TAGS = 'p, a';
+    process.env.HTML_ALLOWED_ATTRIBUTES = 'a:href';
+    expect(sanitize('<p class="x"><a href="https://a.com" title="t"><b>bold</b></a></p>')).toBe(
+      '<p><a href="https://a.com">bold</a></p>'
+    );
+  });
+});
+
+describe('sanitizeSvg()', () => {
+  test('removes scripts, event handlers, links and foreign content', () => {
+    expect(
+      sanitizeSvg(
+        '<svg xmlns="http://www.w3.org/2000/svg" onload="steal()"><script>steal()</script>' +
+          '<a href="javascript:steal()"><text>Hi</text></a><foreignObject><p>html</p></foreignObject></svg>'
+      )
+    ).toBe('<svg xmlns="http://www.w3.org/2000/svg"><text>Hi</text></svg>');
+  });
+
+  test('removes the DOCTYPE, so entities are never expanded', () => {
+    const svg = sanitizeSvg(
+      '<?xml version="1.0"?><!DOCTYPE svg [<!ENTITY lol "lol">]><svg><text>&lol;</text></svg>'
+    );
+    expect(svg).not.toContain('DOCTYPE');
+    expect(svg).not.toContain('ENTITY');
+    expect(svg.startsWith('<svg>')).toBe(true);
+  });
+
+  test('keeps drawing elements and their (case sensitive) attributes', () => {
+    const svg =
+      '<svg viewBox="0 0 10 10"><defs><linearGradient id="g" gradientUnits="userSpaceOnUse">' +
+      '<stop offset="0" stop-color="red"></stop></linearGradient></defs>' +
+      '<rect width="10" height="10" fill="url(#g)"></rect><use href="#g"></use></svg>';
+    expect(sanitizeSvg(svg)).toBe(svg);
+  });
+
+  test('removes references to anything outside the image', () => {
+    expect(
+      sanitizeSvg(
+        '<svg><use href="file:///etc/passwd"/><image xlink:href="https://evil.com/x.png"/>' +
+          '<rect fill="url(https://evil.com/x)" style="fill: url(https://evil.com/y)"/>' +
+          '<image href="data:image/png;base64,AAAA"/></svg>'
+      )
+    ).toBe('<svg><use></use><image></image><rect></rect><image href="data:image/png;base64,AAAA"></image></svg>');
+  });
+});
+
+describe('sanitizeOnWrite()', () => {
+  afterEach(() => {
+    delete process.env.HTML_SANITIZE_ON_WRITE;
+  });
+
+  test('is off unless HTML_SANITIZE_ON_WRITE=true', () => {
+    expect(sanitizeOnWrite()).toBe(false);
+    process.env.HTML_SANITIZE_ON_WRITE = 'true';
+    expect(sanitizeOnWrite()).toBe(true);
+  });
+});
@@ -0,0 +1,254 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+// Keep the database in a temporary directory
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fragments-sqlite-'));
+const file = path.join(dir, 'nested', 'fragments.db');
+process.env.FRAGMENTS_SQLITE_FILE = file;
+
+const {
+  readFragment,
+  writeFragment,
+  readFragmentData,
+  writeFragmentData,
+  deleteFragment,
+  archiveFragmentData,
+  readFragmentVersionData,
+  deleteFragmentVersionData,
+  claimIdempotencyKey,
+  writeIdempotencyKey,
+  deleteIdempotencyKey,
+  reset,
+} = require('../../src/model/data/sqlite');
+const migrations = require('../../src/model/data/sqlite/migrations');
+
+// Load the backend again, as a new process would
+const reload = () => {
+  let backend;
+  jest.isolateModules(() => {
+    backend = require('../../src/model/data/sqlite');
+  });
+  return backend;
+};
+
+describe('sqlite fragment operations', () => {
+  const sampleFragment = {
+    id: 'test-fragment-1',
+    ownerId: 'user123',
+    type: 'text/plain',
+    size: 13,
+    created: '2023-01-01T00:00:00.000Z',
+    updated: '2023-01-01T00:00:00.000Z',
+  };
+  const sampleBuffer = Buffer.from('Hello, World!', 'utf8');
+
+  beforeEach(() => {
+    reset();
+  });
+
+  afterAll(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe('migrations', () => {
+    test('the database is created and migrated on startup', () => {
+      const db = new Database(file, { readonly: true });
+      try {
+        expect(db.pragma('user_version', { simple: true })).toBe(migrations.length);
+        const tables = db
+          .prepare("SELECT name FROM sqlite_master WHERE type = 'table' ORDER BY name")
+          .all()
+          .map(({ name }) => name);
+        expect(tables).toEqual(['fragment_data', 'fragment_versions', 'fragments', 'idempotency_keys']);
+      } finally {
+        db.close();
+      }
+    });
+
+    test('migrations that already ran are not run again', async () => {
+      await writeFragment(sampleFragment);
+      const backend = reload();
+      expect(await backend.readFragment(sampleFragment.ownerId, sampleFragment.id)).toEqual(
+        sampleFragment
+      );
+    });
+
+    test('a database from a newer version is refused', () => {
+      const newer = path.join(dir, 'newer.db');
+      const db = new Database(newer);
+      db.pragma(`user_version = ${migrations.length + 1}`);
+      db.close();
+
+      const previous = process.env.FRAGMENTS_SQLITE_FILE;
+      process.env.FRAGMENTS_SQLITE_FILE = newer;
+      try {
+        expect(reload).toThrow(`database schema version ${migrations.length + 1} is newer`);
+      } finally {
+        process.env.FRAGMENTS_SQLITE_FILE = previous;
+      }
+    });
+  });
+
+  describe('reset', () => {
+    const nodeEnv = process.env.NODE_ENV;
+
+    afterEach(() => {
+      process.env.FRAGMENTS_SQLITE_FILE = file;
+      process.env.NODE_ENV = nodeEnv;
+    });
+
+    test('refuses to run without FRAGMENTS_SQLITE_FILE, instead of emptying ./data/fragments.db', async () => {
+      await writeFragment(sampleFragment);
+      delete process.env.FRAGMENTS_SQLITE_FILE;
+      expect(() => reset()).toThrow(
+        'refusing to reset SQLite storage without FRAGMENTS_SQLITE_FILE'
+      );
+
+      process.env.FRAGMENTS_SQLITE_FILE = file;
+      expect(await readFragment(sampleFragment.ownerId, sampleFragment.id)).toEqual(sampleFragment);
+    });
+
+    test('refuses to run in production', () => {
+      process.env.NODE_ENV = 'production';
+      expect(() => reset()).toThrow('refusing to reset SQLite storage in production');
+    });
+  });
+
+  test('fragments are still there after a restart', async () => {
+    await writeFragment(sampleFragment);
+    await writeFragmentData(sampleFragment.ownerId, sampleFragment.id, sampleBuffer);
+
+    const backend = reload();
+    expect(await backend.readFragment(sampleFragment.ownerId, sampleFragment.id)).toEqual(
+      sampleFragment
+    );
+    expect(await backend.readFragmentData(sampleFragment.ownerId, sampleFragment.id)).toEqual(
+      sampleBuffer
+    );
+  });
+
+  describe('data', () => {
+    test('ranges past the end stop at the end', async () => {
+      await writeFragmentData('user123', 'abc', sampleBuffer);
+      expect(await readFragmentData('user123', 'abc', { start: 7, end: 100 })).toEqual(
+        Buffer.from('World!')
+      );
+      expect(await readFragmentData('user123', 'missing', { start: 0, end: 1 })).toBeUndefined();
+    });
+
+    test('binary data is kept byte for byte', async () => {
+      const binary = Buffer.from([0, 255, 0, 1, 128]);
+      await writeFragmentData('user123', 'binary', binary);
+      expect(await readFragmentData('user123', 'binary')).toEqual(binary);
+      expect(await readFragmentData('user123', 'binary', { start: 1, end: 2 })).toEqual(
+        Buffer.from([255, 0])
+      );
+    });
+
+    test('prior versions can be archived, read and deleted', async () => {
+      await writeFragmentData('user123', 'abc', Buffer.from('one'));
+      await archiveFragmentData('user123', 'abc', 1);
+      await writeFragmentData('user123', 'abc', Buffer.from('two'));
+
+      expect(await readFragmentVersionData('user123', 'abc', 1)).toEqual(Buffer.from('one'));
+      expect(await readFragmentData('user123', 'abc')).toEqual(Buffer.from('two'));
+
+      await deleteFragmentVersionData('user123', 'abc', 1);
+      expect(await readFragmentVersionData('user123', 'abc', 1)).toBeUndefined();
+    });
+
+    test('archiving missing data is an error', async () => {
+      await expect(archiveFragmentData('user123', 'missing', 1)).rejects.toThrow(
+        'missing data for fragment missing'
+      );
+    });
+
+    test('deleting a fragment deletes its prior versions', async () => {
+      await writeFragment(sampleFragment);
+      await writeFragmentData(sampleFragment.ownerId, sampleFragment.id, sampleBuffer);
+      await archiveFragmentData(sampleFragment.ownerId, sampleFragment.id, 1);
+
+      await deleteFragment(sampleFragment.ownerId, sampleFragment.id);
+      expect(
+        await readFragmentVersionData(sampleFragment.ownerId, sampleFragment.id, 1)
+      ).toBeUndefined();
+    });
+  });
+
+  describe('idempotency keys', () => {
+    const record = { fingerprint: 'abc', status: 'pending', expires: Date.now() / 1000 + 60 };
+
+    test('a key can only be claimed once', async () => {
+      const results = await Promise.all([
+        claimIdempotencyKey('user123', 'key', record),
+        claimIdempotencyKey('user123', 'key', { ...record, fingerprint: 'def' }),
+      ]);
+      expect(results).toEqual([undefined, record]);
+    });
+
+    test('keys can be updated and deleted', async () => {
+      await claimIdempotencyKey('user123', 'key', record);
+      await writeIdempotencyKey('user123', 'key', { ...record, status: 'complete' });
+      expect(await claimIdempotencyKey('user123', 'key', record)).toMatchObject({
+        status: 'complete',
+      });
+
+      await deleteIdempotencyKey('user123', 'key');
+      expect(await claimIdempotencyKey('user123', 'key', record)).toBeUndefined();
+    });
+
+    test('expired keys can be claimed again', async () => {
+      await claimIdempotencyKey('user123', 'key', { ...record, expires: 1 });
+      expect(await claimIdempotencyKey('user123', 'key', record)).toBeUndefined();
+    });
+  });
+
+  describe('FRAGMENTS_BACKEND=sqlite', () => {
+    let previous;
+
+    beforeEach(() => {
+      previous = process.env.FRAGMENTS_BACKEND;
+      process.env.FRAGMENTS_BACKEND = 'sqlite';
+    });
+
+    afterEach(() => {
+      if (previous === undefined) {
+        delete process.env.FRAGMENTS_BACKEND;
+      } else {
+        process.env.FRAGMENTS_BACKEND = previous;
+      }
+    });
+
+    test('selects the SQLite backend', () => {
+      jest.isolateModules(() => {
+        expect(require('../../src/model/data')).toBe(require('../../src/model/data/sqlite'));
+      });
+    });
+
+    test('the API stores fragments in the database', async () => {
+      const request = require('supertest');
+      let app;
+      jest.isolateModules(() => {
+        app = require('../../src/app');
+      });
+
+      const created = await request(app)
+        .post('/v1/fragments')
+        .auth('user1@email.com', 'password1')
+        .set('Content-Type', 'text/plain')
+        .send('stored in sqlite');
+      expect(created.statusCode).toBe(201);
+
+      const { id, ownerId } = created.body.fragment;
+      expect(await readFragment(ownerId, id)).toMatchObject({ id, state: 'committed' });
+
+      const res = await request(app)
+        .get('/v1/fragments?expand=1&type=text/*')
+        .auth('user1@email.com', 'password1');
+      expect(res.statusCode).toBe(200);
+      expect(res.body.fragments.map((fragment) => fragment.id)).toEqual([id]);
+    });
+  });
+});
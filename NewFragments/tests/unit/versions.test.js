@@ -0,0 +1,232 @@
+// tests/unit/versions.test.js
+const request = require('supertest');
+const app = require('../../src/app');
+const hash = require('../../src/hash');
+const data = require('../../src/model/data');
+
+describe('fragment versions', () => {
+  const testUser = 'user1@email.com';
+  const testPassword = 'password1';
+
+  let fragmentId;
+
+  // Create a fragment and update it twice, giving it 3 versions
+  beforeEach(async () => {
+    const createRes = await request(app)
+      .post('/v1/fragments')
+      .auth(testUser, testPassword)
+      .set('Content-Type', 'text/markdown')
+      .send('# Version 1');
+    expect(createRes.status).toBe(201);
+    fragmentId = createRes.body.fragment.id;
+
+    for (const body of ['# Version 2', '# Version 3']) {
+      const putRes = await request(app)
+        .put(`/v1/fragments/${fragmentId}`)
+        .auth(testUser, testPassword)
+        .set('Content-Type', 'text/markdown')
+        .send(body);
+      expect(putRes.status).toBe(200);
+    }
+  });
+
+  describe('GET /v1/fragments/:id/versions', () => {
+    test('unauthenticated requests are denied', () =>
+      request(app).get(`/v1/fragments/${fragmentId}/versions`).expect(401));
+
+    test('lists every version, newest first', async () => {
+      const res = await request(app)
+        .get(`/v1/fragments/${fragmentId}/versions`)
+        .auth(testUser, testPassword);
+
+      expect(res.status).toBe(200);
+      expect(res.body.status).toBe('ok');
+      expect(res.body.versions.map((v) => v.version)).toEqual([3, 2, 1]);
+      expect(res.body.versions.map((v) => v.current)).toEqual([true, false, false]);
+      res.body.versions.forEach((v) => {
+        expect(v.type).toBe('text/markdown');
+        expect(v.size).toBe(11);
+        expect(Date.parse(v.created)).not.toBeNaN();
+      });
+    });
+
+    test('returns 404 for a fragment that does not exist', async () => {
+      const res = await request(app)
+        .get('/v1/fragments/no-such-fragment/versions')
+        .auth(testUser, testPassword);
+      expect(res.status).toBe(404);
+    });
+
+    test('info reports the current version', async () => {
+      const res = await request(app)
+        .get(`/v1/fragments/${fragmentId}/info`)
+        .auth(testUser, testPassword);
+      expect(res.body.fragment.version).toBe(3);
+    });
+  });
+
+  describe('GET /v1/fragments/:id/versions/:version', () => {
+    test('returns the data for a prior version', async () => {
+      const res = await request(app)
+        .get(`/v1/fragments/${fragmentId}/versions/1`)
+        .auth(testUser, testPassword);
+
+      expect(res.status).toBe(200);
+      expect(res.headers['content-type']).toBe('text/markdown');
+      expect(res.text).toBe('# Version 1');
+    });
+
+    test('returns the data for the current version', async () => {
+      const res = await request(app)
+        .get(`/v1/fragments/${fragmentId}/versions/3`)
+        .auth(testUser, testPassword);
+      expect(res.text).toBe('# Version 3');
+    });
+
+    test('returns 404 when a listed version has no data', async () => {
+      await data.deleteFragmentVersionData(hash(testUser), fragmentId, 1);
+
+      const res = await request(app)
+        .get(`/v1/fragments/${fragmentId}/versions/1`)
+        .auth(testUser, testPassword);
+      expect(res.status).toBe(404);
+      expect(res.body.error.message).toBe('Fragment version not found');
+
+      const restore = await request(app)
+        .post(`/v1/fragments/${fragmentId}/versions/1/restore`)
+        .auth(testUser, testPassword);
+      expect(restore.status).toBe(404);
+    });
+
+    test('converts a version using an extension', async () => {
+      const res = await request(app)
+        .get(`/v1/fragments/${fragmentId}/versions/2.html`)
+        .auth(testUser, testPassword);
+
+      expect(res.status).toBe(200);
+      expect(res.headers['content-type']).toBe('text/html');
+      expect(res.text).toContain('<h1>Version 2</h1>');
+    });
+
+    test('returns 415 for an unsupported conversion', async () => {
+      const res = await request(app)
+        .get(`/v1/fragments/${fragmentId}/versions/2.png`)
+        .auth(testUser, testPassword);
+      expect(res.status).toBe(415);
+    });
+
+    test('returns 404 for a version that does not exist', async () => {
+      const res = await request(app)
+        .get(`/v1/fragments/${fragmentId}/versions/42`)
+        .auth(testUser, testPassword);
+      expect(res.status).toBe(404);
+      expect(res.body.error.message).toBe('Fragment version not found');
+    });
+
+    test('returns the original data of a fragment stored before we kept versions as version 0', async () => {
+      const ownerId = hash(testUser);
+      const created = new Date().toISOString();
+      await data.writeFragment({ id: 'legacy', ownerId, type: 'text/plain', size: 8, created, updated: created });
+      await data.writeFragmentData(ownerId, 'legacy', Buffer.from('original'));
+
+      const putRes = await request(app)
+        .put('/v1/fragments/legacy')
+        .auth(testUser, testPassword)
+        .set('Content-Type', 'text/plain')
+        .send('updated');
+      expect(putRes.status).toBe(200);
+
+      const list = await request(app).get('/v1/fragments/legacy/versions').auth(testUser, testPassword);
+      expect(list.body.versions.map((v) => v.version)).toEqual([1, 0]);
+
+      const res = await request(app).get('/v1/fragments/legacy/versions/0').auth(testUser, testPassword);
+      expect(res.status).toBe(200);
+      expect(res.text).toBe('original');
+    });
+
+    test('returns 404 for version 0 of a fragment created with versions', async () => {
+      const res = await request(app)
+        .get(`/v1/fragments/${fragmentId}/versions/0`)
+        .auth(testUser, testPassword);
+      expect(res.status).toBe(404);
+    });
+
+    test('returns 400 for an invalid version', async () => {
+      const res = await request(app)
+        .get(`/v1/fragments/${fragmentId}/versions/latest`)
+        .auth(testUser, testPassword);
+      expect(res.status).toBe(400);
+    });
+  });
+
+  describe('POST /v1/fragments/:id/versions/:version/restore', () => {
+    test('restores a prior version as a new current version', async () => {
+      const res = await request(app)
+        .post(`/v1/fragments/${fragmentId}/versions/1/restore`)
+        .auth(testUser, testPassword);
+
+      expect(res.status).toBe(200);
+      expect(res.body.fragment.version).toBe(4);
+
+      const data = await request(app)
+        .get(`/v1/fragments/${fragmentId}`)
+        .auth(testUser, testPassword);
+      expect(data.text).toBe('# Version 1');
+
+      // The version we replaced is still there
+      const previous = await request(app)
+        .get(`/v1/fragments/${fragmentId}/versions/3`)
+        .auth(testUser, testPassword);
+      expect(previous.text).toBe('# Version 3');
+    });
+
+    test('returns 400 when restoring the current version', async () => {
+      const res = await request(app)
+        .post(`/v1/fragments/${fragmentId}/versions/3/restore`)
+        .auth(testUser, testPassword);
+      expect(res.status).toBe(400);
+    });
+
+    test('returns 404 for a version that does not exist', async () => {
+      const res = await request(app)
+        .post(`/v1/fragments/${fragmentId}/versions/9/restore`)
+        .auth(testUser, testPassword);
+      expect(res.status).toBe(404);
+    });
+
+    test('restores images exactly as they were stored', async () => {
+      const sharp = require('sharp');
+      const tagged = await sharp({ create: { width: 4, height: 4, channels: 3, background: 'blue' } })
+        .withExif({ IFD0: { Make: 'Camera' } })
+        .png()
+        .toBuffer();
+
+      // Kept as uploaded, then replaced
+      const createRes = await request(app)
+        .post('/v1/fragments')
+        .auth(testUser, testPassword)
+        .set('Content-Type', 'image/png')
+        .set('X-Image-Processing', 'none')
+        .send(tagged);
+      const id = createRes.body.fragment.id;
+      await request(app)
+        .put(`/v1/fragments/${id}`)
+        .auth(testUser, testPassword)
+        .set('Content-Type', 'image/png')
+        .send(await sharp(tagged).png().toBuffer());
+
+      const res = await request(app)
+        .post(`/v1/fragments/${id}/versions/1/restore`)
+        .auth(testUser, testPassword);
+      expect(res.status).toBe(200);
+      expect(res.body.fragment.size).toBe(tagged.length);
+    });
+
+    test('users cannot restore versions of other users fragments', async () => {
+      const res = await request(app)
+        .post(`/v1/fragments/${fragmentId}/versions/1/restore`)
+        .auth('user2@email.com', 'password2');
+      expect(res.status).toBe(404);
+    });
+  });
+});